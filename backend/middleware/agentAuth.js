@@ -0,0 +1,157 @@
+const AgentKey = require('../models/AgentKey');
+const database = require('../utils/database');
+const { verifyRequest } = require('../utils/signing');
+
+/**
+ * Agent Authentication Middleware
+ *
+ * Authenticates submissions from client agents. Signed requests carry:
+ *   - X-Agent-Key:       public key id issued at enrollment
+ *   - X-Agent-Timestamp: Unix time in milliseconds
+ *   - X-Agent-Signature: sha256=HMAC(secret, "<timestamp>.<METHOD> <path>\n<raw body>")
+ *
+ * Requests outside the allowed clock skew or re-using a signature already
+ * seen are rejected as replays, and the key must belong to every pcId the
+ * request claims. Seen signatures are kept in memory, so requests signed
+ * before the server started are rejected too: a restart can't reopen them.
+ * (Instances behind a load balancer each keep their own list.)
+ *
+ * AGENT_AUTH_MODE controls unsigned requests:
+ *   - required: every submission must be signed (default)
+ *   - optional: unsigned submissions are accepted only for PCs without an active
+ *               key; a migration aid while existing agents are being enrolled
+ *   - off:      no authentication
+ *
+ * Routes that act on a PC rather than report from it (diagnostic jobs) pass
+ * requireSignature and always need a signed request, whatever the mode.
+ *
+ * Agent keys live in MongoDB: unless the mode is off, requests get 503 while
+ * it is unreachable (see utils/database.js).
+ */
+
+// Configuration
+const CONFIG = {
+  MODE: process.env.AGENT_AUTH_MODE || 'required',
+  MAX_CLOCK_SKEW: parseInt(process.env.AGENT_MAX_CLOCK_SKEW) || 5 * 60 * 1000 // 5 minutes
+};
+
+// Requests signed before this time may have been seen by a previous process
+const startedAt = Date.now();
+
+// Signatures accepted recently, mapped to when they can be forgotten
+// Every entry lives for the same time, so insertion order is expiry order
+const seenSignatures = new Map();
+
+// Forget expired signatures, oldest first
+function pruneSignatures(now) {
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt > now) break;
+    seenSignatures.delete(seen);
+  }
+}
+
+// Remember a signature; returns false if it was already used
+function rememberSignature(signature, now) {
+  pruneSignatures(now);
+
+  if (seenSignatures.has(signature)) return false;
+  seenSignatures.set(signature, now + CONFIG.MAX_CLOCK_SKEW * 2);
+  return true;
+}
+
+function reject(res, status, message) {
+  return res.status(status).json({
+    success: false,
+    message
+  });
+}
+
+/**
+ * Create the agent authentication middleware
+ * Requires req.rawBody (set by the express.json verify hook in server.js).
+ * @param {Object} [options]
+ * @param {Function} [options.getPcIds] - Returns the pcIds a request submits data for (default: [req.body.pcId])
+ * @param {boolean} [options.requireSignature=false] - Require a signed request regardless of AGENT_AUTH_MODE
+ * @returns {Function} Express middleware; sets req.agent = { keyId, pcId } on signed requests
+ */
+function agentAuth(options = {}) {
+  const getPcIds = options.getPcIds || (req => [req.body?.pcId]);
+  const mode = options.requireSignature ? 'required' : CONFIG.MODE;
+
+  return async (req, res, next) => {
+    try {
+      if (mode === 'off') return next();
+
+      if (!database.isAvailable()) {
+        return reject(res, 503, 'Agent keys are unavailable while MongoDB is not connected');
+      }
+
+      const pcIds = [...new Set(getPcIds(req).filter(Boolean))];
+      const keyId = req.get('X-Agent-Key');
+
+      if (!keyId) {
+        if (mode === 'required') {
+          return reject(res, 401, 'Agent authentication required');
+        }
+
+        // Enrolled PCs are protected even in optional mode
+        for (const pcId of pcIds) {
+          if (await AgentKey.hasActiveKey(pcId)) {
+            return reject(res, 401, `PC ${pcId} is enrolled; submissions must be signed`);
+          }
+        }
+        return next();
+      }
+
+      const timestamp = req.get('X-Agent-Timestamp');
+      const signature = req.get('X-Agent-Signature');
+      if (!timestamp || !signature) {
+        return reject(res, 401, 'Missing X-Agent-Timestamp or X-Agent-Signature header');
+      }
+
+      const now = Date.now();
+      const timestampNum = Number(timestamp);
+      if (!Number.isFinite(timestampNum) || Math.abs(now - timestampNum) > CONFIG.MAX_CLOCK_SKEW) {
+        return reject(res, 401, 'Request timestamp outside the allowed clock skew');
+      }
+      if (timestampNum < startedAt) {
+        return reject(res, 401, 'Request signed before the server started; sign it again');
+      }
+
+      const key = await AgentKey.findOne({ keyId }).select('+secret');
+      if (!key || !key.isUsable()) {
+        return reject(res, 401, 'Invalid or revoked agent key');
+      }
+
+      if (!verifyRequest(key.secret, timestamp, req.method, req.originalUrl, req.rawBody || '', signature)) {
+        return reject(res, 401, 'Invalid request signature');
+      }
+
+      const foreignPcId = pcIds.find(pcId => pcId !== key.pcId);
+      if (foreignPcId) {
+        return reject(res, 403, `Agent key is not valid for PC ${foreignPcId}`);
+      }
+
+      if (!rememberSignature(signature, now)) {
+        return reject(res, 401, 'Replayed request');
+      }
+
+      AgentKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date(now) } }).catch((error) => {
+        console.error('Error updating agent key usage:', error);
+      });
+
+      req.agent = { keyId: key.keyId, pcId: key.pcId };
+      next();
+
+    } catch (error) {
+      console.error('Error authenticating agent:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  };
+}
+
+module.exports = agentAuth;
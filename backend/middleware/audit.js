@@ -0,0 +1,114 @@
+const AuditEntry = require('../models/AuditEntry');
+const database = require('../utils/database');
+
+/**
+ * Audit Log Middleware
+ *
+ * Records every mutating API call (POST, PUT, PATCH, DELETE) once its
+ * response is sent: who made it, from where, the route and its parameters,
+ * the outcome and, for bulk operations, how many records changed (handlers
+ * set res.locals.affectedCount). Secrets in parameters are redacted. Agent
+ * telemetry (sample submissions, inventory reports, diagnostic job claims and
+ * results) is not recorded: it arrives every collection cycle and changes no
+ * configuration. While MongoDB is unreachable (see utils/database.js) calls
+ * are only written to the console.
+ */
+
+// Configuration
+const CONFIG = {
+  MAX_BODY_BYTES: parseInt(process.env.AUDIT_MAX_BODY_BYTES) || 4096
+};
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Agent telemetry routes (method and route pattern) left out of the log
+const UNAUDITED_ROUTES = [
+  'POST /api/systemdata',
+  'POST /api/systemdata/batch',
+  'PUT /api/machines/:pcId/inventory',
+  'POST /api/agents/:pcId/jobs/claim',
+  'POST /api/agents/:pcId/jobs/:jobId/result'
+];
+
+// Parameter names whose values are never stored
+const SECRET_KEY = /password|secret|token|signature/i;
+
+// Copy of a value with secret fields redacted
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value === null || typeof value !== 'object') return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY.test(key) ? '[redacted]' : redact(item);
+  }
+  return copy;
+}
+
+// JSON of the call's parameters; a large body is replaced by its size
+function describeParameters(req) {
+  let body = redact(req.body);
+  const bodySize = req.rawBody ? Buffer.byteLength(req.rawBody) : 0;
+  if (bodySize > CONFIG.MAX_BODY_BYTES) body = `[${bodySize} bytes omitted]`;
+
+  return JSON.stringify({
+    params: req.params,
+    query: redact(req.query),
+    body: body && Object.keys(body).length > 0 ? body : undefined
+  });
+}
+
+/**
+ * Audit middleware; must run before the routers so every call is seen
+ */
+function audit(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  const startedAt = Date.now();
+
+  // Keep the response message for the log
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditMessage = body?.message;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1') : null;
+    if (route && UNAUDITED_ROUTES.includes(`${req.method} ${route}`)) return;
+
+    const entry = {
+      ip: req.ip,
+      method: req.method,
+      route,
+      path: req.originalUrl.split('?')[0],
+      parameters: describeParameters(req),
+      status: res.statusCode,
+      success: res.statusCode < 400,
+      message: res.locals.auditMessage,
+      affectedCount: res.locals.affectedCount,
+      durationMs: Date.now() - startedAt
+    };
+
+    if (req.user) {
+      Object.assign(entry, { actor: req.user.username, actorType: 'user', role: req.user.role });
+    } else if (req.agent) {
+      Object.assign(entry, { actor: req.agent.pcId, actorType: 'agent' });
+    } else {
+      entry.actorType = 'anonymous';
+    }
+
+    if (!database.isAvailable()) {
+      console.warn(`⚠️ Audit entry not stored (MongoDB is not connected): ${entry.actor || entry.actorType} ${entry.method} ${entry.path} ${entry.status}`);
+      return;
+    }
+
+    AuditEntry.create(entry).catch((error) => {
+      console.error('Error writing audit entry:', error);
+    });
+  });
+
+  next();
+}
+
+module.exports = audit;
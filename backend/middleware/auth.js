@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const database = require('../utils/database');
+
+/**
+ * Dashboard Authentication Middleware
+ *
+ * Users log in through /api/auth/login and send the issued JWT as
+ * "Authorization: Bearer <token>". authenticate() resolves the user and
+ * requireRole() enforces the viewer < operator < admin hierarchy.
+ *
+ * While MongoDB is unreachable (only possible with another sample store, see
+ * utils/database.js) a valid token is trusted on its own: its user gets the
+ * role the token was issued with, and accounts disabled since then are only
+ * refused again once MongoDB is back.
+ */
+
+// Configuration
+const CONFIG = {
+  JWT_SECRET: process.env.JWT_SECRET,
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '12h'
+};
+
+if (!CONFIG.JWT_SECRET) {
+  CONFIG.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET is not set. Using a random secret; sessions will not survive a restart.');
+}
+
+/**
+ * Issue a session token for a user
+ * @param {Object} user - User document
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function issueToken(user) {
+  const token = jwt.sign(
+    { sub: user._id.toString(), username: user.username, role: user.role },
+    CONFIG.JWT_SECRET,
+    { expiresIn: CONFIG.JWT_EXPIRES_IN }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Resolve the user behind a session token
+ * @param {string} token - JWT
+ * @returns {Promise<Object|null>} Active user, or null if the token is invalid
+ */
+async function resolveToken(token) {
+  try {
+    const payload = jwt.verify(token, CONFIG.JWT_SECRET);
+    if (!database.isAvailable()) {
+      return new User({ _id: payload.sub, username: payload.username, role: payload.role });
+    }
+
+    const user = await User.findById(payload.sub);
+    return user && !user.disabled ? user : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a middleware requiring a valid session token; sets req.user
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryToken=false] - Also accept ?token=<jwt>
+ *   (for EventSource and download links, which cannot send headers)
+ */
+function authenticateWith(options = {}) {
+  return async (req, res, next) => {
+    try {
+      const header = req.get('Authorization') || '';
+      let [scheme, token] = header.split(' ');
+
+      if (!token && options.allowQueryToken && typeof req.query.token === 'string') {
+        scheme = 'Bearer';
+        token = req.query.token;
+      }
+
+      if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const user = await resolveToken(token);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired session'
+        });
+      }
+
+      req.user = user;
+      next();
+
+    } catch (error) {
+      console.error('Error authenticating user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Require a valid session token in the Authorization header; sets req.user
+ */
+const authenticate = authenticateWith();
+
+/**
+ * Require an authenticated user with at least the given role
+ * @param {string} role - viewer, operator or admin
+ * @param {Object} [options] - See authenticateWith()
+ * @returns {Function[]} Express middleware chain
+ */
+function requireRole(role, options) {
+  return [
+    options ? authenticateWith(options) : authenticate,
+    (req, res, next) => {
+      if (!req.user.hasRole(role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Requires ${role} role`
+        });
+      }
+      next();
+    }
+  ];
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  issueToken,
+  resolveToken
+};
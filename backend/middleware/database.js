@@ -0,0 +1,19 @@
+const database = require('../utils/database');
+
+/**
+ * Database Availability Middleware
+ *
+ * Guards routes that only work with MongoDB (accounts, alerts, agent keys,
+ * settings...). When the server runs on another sample store without a
+ * MongoDB connection, they answer 503 instead of failing one query at a time.
+ */
+function requireDatabase(req, res, next) {
+  if (database.isAvailable()) return next();
+
+  res.status(503).json({
+    success: false,
+    message: 'MongoDB is not connected; this endpoint is unavailable until it is'
+  });
+}
+
+module.exports = requireDatabase;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Optional detailed collectors an agent can turn off
+ * (filesystems are always collected: the disk metric comes from them)
+ */
+const COLLECTORS = ['cores', 'loadAverage', 'swap', 'network'];
+
+/**
+ * Levels a configuration applies at, from the broadest to the most specific
+ */
+const SCOPES = ['default', 'group', 'pc'];
+
+// Settings pushed to agents; unset fields leave the agent's own (environment) value
+const settingsSchema = new mongoose.Schema({
+  // Collection interval in ms
+  interval: {
+    type: Number,
+    min: 1000,
+    max: 24 * 60 * 60 * 1000
+  },
+
+  // Enabled optional collectors (see COLLECTORS)
+  collectors: {
+    type: [{ type: String, enum: COLLECTORS }],
+    default: undefined
+  },
+
+  // Processes sent per sample, by CPU and by memory (0 disables)
+  topProcesses: {
+    type: Number,
+    min: 0,
+    max: 50
+  },
+
+  // Send retries of one sample
+  retry: {
+    maxRetries: { type: Number, min: 1, max: 10 },
+    retryDelay: { type: Number, min: 100, max: 10 * 60 * 1000 } // ms, multiplied by the attempt number
+  },
+
+  // Usage percentages above which the agent logs a warning
+  thresholds: {
+    cpu: { type: Number, min: 0, max: 100 },
+    ram: { type: Number, min: 0, max: 100 },
+    disk: { type: Number, min: 0, max: 100 }
+  }
+}, { _id: false });
+
+/**
+ * AgentConfig Schema - centrally managed client settings
+ * A PC's effective configuration merges the default document, the documents
+ * of its groups and its own document, the more specific winning (see
+ * services/agentConfig.js).
+ */
+const agentConfigSchema = new mongoose.Schema({
+  // default, group or pc
+  scope: {
+    type: String,
+    required: true,
+    enum: SCOPES
+  },
+
+  // Group name or pcId ('' for the default scope)
+  target: {
+    type: String,
+    default: '',
+    trim: true
+  },
+
+  settings: {
+    type: settingsSchema,
+    default: () => ({})
+  },
+
+  // Username of the admin who last changed it
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// One document per scope and target
+agentConfigSchema.index({ scope: 1, target: 1 }, { unique: true });
+
+agentConfigSchema.statics.COLLECTORS = COLLECTORS;
+agentConfigSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('AgentConfig', agentConfigSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * AgentKey Schema - per-PC API keys used by client agents to sign submissions
+ * The secret is needed to verify HMAC signatures, so it is stored as issued
+ * and excluded from queries unless explicitly selected.
+ */
+const agentKeySchema = new mongoose.Schema({
+  // Public key identifier sent in the X-Agent-Key header
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // PC this key is allowed to submit data for
+  pcId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true
+  },
+
+  // Rotated keys keep working until this time so in-flight submissions are accepted
+  expiresAt: Date,
+
+  revokedAt: Date,
+  revokedReason: String,
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Check whether the key can currently be used
+ */
+agentKeySchema.methods.isUsable = function(now = new Date()) {
+  if (this.status !== 'active') return false;
+  return !this.expiresAt || this.expiresAt > now;
+};
+
+/**
+ * Static method to check whether a PC has any usable key
+ */
+agentKeySchema.statics.hasActiveKey = async function(pcId) {
+  const count = await this.countDocuments({
+    pcId,
+    status: 'active',
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  return count > 0;
+};
+
+/**
+ * Static method to revoke every key of a PC
+ */
+agentKeySchema.statics.revokeAllForPc = function(pcId, reason) {
+  return this.updateMany(
+    { pcId, status: 'active' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('AgentKey', agentKeySchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+/**
+ * Alert Schema for alerts raised by alert rules
+ * One document per rule/PC incident; it moves pending -> firing -> resolved
+ * and keeps every transition in its history.
+ */
+const alertSchema = new mongoose.Schema({
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+
+  // Snapshot of the rule at the time the alert was raised
+  ruleName: String,
+  condition: String,
+  metric: String,
+  severity: String,
+
+  pcId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // pending: condition breached but duration not reached yet
+  // firing: condition held for the whole duration
+  // resolved: condition no longer breached
+  status: {
+    type: String,
+    enum: ['pending', 'firing', 'resolved'],
+    required: true,
+    index: true
+  },
+
+  // Whether the alert is pending or firing, set from status on validation.
+  // The unique open alert index filters on it: a partial index can only use
+  // equality filters before MongoDB 6.0
+  open: {
+    type: Boolean,
+    default: true
+  },
+
+  // Most recent value of the metric while the alert was open
+  value: Number,
+
+  // Worst value observed while the alert was open
+  peakValue: Number,
+
+  // When the condition was first breached
+  startedAt: {
+    type: Date,
+    required: true
+  },
+
+  firedAt: Date,
+  resolvedAt: Date,
+
+  // Status transitions: [{ status, value, at, note }]
+  history: [{
+    _id: false,
+    status: String,
+    value: Number,
+    at: Date,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Lookup of the open alert for a rule/PC pair during evaluation
+alertSchema.index({ ruleId: 1, pcId: 1, status: 1 });
+
+// At most one open alert per rule/PC pair, even when samples are evaluated concurrently
+alertSchema.index(
+  { ruleId: 1, pcId: 1 },
+  { unique: true, partialFilterExpression: { open: true } }
+);
+
+// Listing alerts newest first
+alertSchema.index({ startedAt: -1 });
+
+alertSchema.pre('validate', function(next) {
+  this.open = this.status !== 'resolved';
+  next();
+});
+
+/**
+ * Static method to get alerts that are currently open (pending or firing)
+ */
+alertSchema.statics.getActiveAlerts = function(filter = {}) {
+  return this.find({
+    ...filter,
+    open: true
+  }).sort({ startedAt: -1 });
+};
+
+/**
+ * Set open on alerts saved before it existed (run before syncIndexes)
+ */
+alertSchema.statics.backfillOpen = async function() {
+  await this.updateMany({ open: { $exists: false }, status: 'resolved' }, { $set: { open: false } });
+  await this.updateMany({ open: { $exists: false } }, { $set: { open: true } });
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * Comparators supported by alert rules, keyed by their operator symbol
+ */
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+/**
+ * Sample fields an alert rule can be evaluated against
+ */
+const METRICS = ['cpu', 'ram', 'disk', 'uptime'];
+
+/**
+ * AlertRule Schema for threshold rules evaluated on every ingested sample
+ * Example: "cpu > 90 for 5 minutes on all PCs"
+ */
+const alertRuleSchema = new mongoose.Schema({
+  // Human readable rule name
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Sample field the rule watches
+  metric: {
+    type: String,
+    required: true,
+    enum: METRICS
+  },
+
+  // Comparison operator applied as: <metric> <comparator> <threshold>
+  comparator: {
+    type: String,
+    required: true,
+    enum: Object.keys(COMPARATORS)
+  },
+
+  threshold: {
+    type: Number,
+    required: true
+  },
+
+  // Seconds the condition must hold before the alert fires (0 = fire immediately)
+  duration: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Which PCs the rule applies to
+  scope: {
+    kind: {
+      type: String,
+      enum: ['all', 'pc', 'group'],
+      default: 'all'
+    },
+    pcId: String,
+    group: String
+  },
+
+  severity: {
+    type: String,
+    enum: ['warning', 'critical'],
+    default: 'warning'
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Check whether the rule applies to a PC
+ * @param {string} pcId - PC identifier
+ * @param {string[]} groups - Groups the PC belongs to
+ */
+alertRuleSchema.methods.appliesTo = function(pcId, groups = []) {
+  switch (this.scope?.kind) {
+    case 'pc':
+      return this.scope.pcId === pcId;
+    case 'group':
+      return groups.includes(this.scope.group);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check whether a metric value breaches the rule threshold
+ */
+alertRuleSchema.methods.isBreached = function(value) {
+  return COMPARATORS[this.comparator](value, this.threshold);
+};
+
+/**
+ * Human readable condition, e.g. "cpu > 90 for 300s"
+ */
+alertRuleSchema.methods.describe = function() {
+  const condition = `${this.metric} ${this.comparator} ${this.threshold}`;
+  return this.duration > 0 ? `${condition} for ${this.duration}s` : condition;
+};
+
+alertRuleSchema.statics.COMPARATORS = COMPARATORS;
+alertRuleSchema.statics.METRICS = METRICS;
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Anomaly Schema - a sample value far from its PC's baseline
+ * Detected by services/anomalies.js when a value deviates from the
+ * baseline mean by more than ANOMALY_SIGMA standard deviations.
+ */
+const anomalySchema = new mongoose.Schema({
+  pcId: {
+    type: String,
+    required: true
+  },
+
+  // Metric name (cpu, ram, disk)
+  metric: {
+    type: String,
+    required: true
+  },
+
+  // Sample the value came from
+  sampleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SystemInfo'
+  },
+
+  // Observed value and the baseline it was compared with
+  value: {
+    type: Number,
+    required: true
+  },
+  mean: Number,
+  stdDev: Number,
+
+  // Signed distance from the mean in standard deviations
+  sigma: {
+    type: Number,
+    required: true
+  },
+
+  // Above or below the baseline
+  direction: {
+    type: String,
+    enum: ['high', 'low'],
+    required: true
+  },
+
+  // Collection time of the sample
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Queries by PC and time range
+anomalySchema.index({ pcId: 1, createdAt: -1 });
+
+// Fleet-wide queries and retention purges
+anomalySchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('Anomaly', anomalySchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * Who made an audited call
+ *   - user:      a dashboard session (actor is the username)
+ *   - agent:     a signed agent request (actor is the pcId)
+ *   - anonymous: neither (e.g. logins, unsigned agents, rejected calls)
+ */
+const ACTOR_TYPES = ['user', 'agent', 'anonymous'];
+
+/**
+ * AuditEntry Schema - one mutating API call (see middleware/audit.js)
+ * The collection is append-only: entries can't be changed or deleted
+ * through the model, and no retention tier purges them.
+ */
+const auditEntrySchema = new mongoose.Schema({
+  // Username, or pcId of an agent
+  actor: {
+    type: String
+  },
+
+  actorType: {
+    type: String,
+    enum: ACTOR_TYPES,
+    required: true
+  },
+
+  // Role of the user at the time of the call
+  role: {
+    type: String
+  },
+
+  // Source IP (see TRUST_PROXY)
+  ip: {
+    type: String
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+
+  // Route pattern (e.g. /api/machines/:pcId) and the requested path
+  route: {
+    type: String
+  },
+  path: {
+    type: String,
+    required: true
+  },
+
+  // JSON of { params, query, body }, with secrets redacted and large bodies cut
+  parameters: {
+    type: String
+  },
+
+  // HTTP status of the response and its message
+  status: {
+    type: Number
+  },
+  success: {
+    type: Boolean
+  },
+  message: {
+    type: String
+  },
+
+  // Records changed by bulk operations (e.g. deleted samples), when known
+  affectedCount: {
+    type: Number
+  },
+
+  // Time taken to respond
+  durationMs: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Newest-first listing, by actor and by route
+auditEntrySchema.index({ createdAt: -1 });
+auditEntrySchema.index({ actor: 1, createdAt: -1 });
+auditEntrySchema.index({ route: 1, createdAt: -1 });
+
+// Append-only: refuse updates and deletes
+const appendOnly = function(next) {
+  next(new Error('Audit entries are append-only'));
+};
+auditEntrySchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], appendOnly);
+auditEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+auditEntrySchema.statics.ACTOR_TYPES = ACTOR_TYPES;
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Baseline Schema - rolling statistics of one metric of one PC
+ * An exponentially weighted mean and variance is kept per hour of the day
+ * (UTC), so a PC that is busy every morning gets a busier morning baseline.
+ * Maintained by services/anomalies.js.
+ */
+const baselineSchema = new mongoose.Schema({
+  pcId: {
+    type: String,
+    required: true
+  },
+
+  // Metric name (cpu, ram, disk)
+  metric: {
+    type: String,
+    required: true
+  },
+
+  // Hour of the day (0-23, UTC) the baseline covers
+  hour: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 23
+  },
+
+  // Exponentially weighted mean and variance
+  mean: {
+    type: Number,
+    default: 0
+  },
+  variance: {
+    type: Number,
+    default: 0
+  },
+
+  // Number of samples folded into the baseline
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One baseline per PC, metric and hour
+baselineSchema.index({ pcId: 1, metric: 1, hour: 1 }, { unique: true });
+
+module.exports = mongoose.model('Baseline', baselineSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+/**
+ * Built-in diagnostics an agent can run (nothing else is ever executed)
+ *   - processes:      full process list
+ *   - diskUsage:      sizes of the entries of a directory (params.path)
+ *   - listeningPorts: sockets listening for connections, with their processes
+ *   - hardware:       systeminformation hardware dump
+ */
+const ACTIONS = ['processes', 'diskUsage', 'listeningPorts', 'hardware'];
+
+/**
+ * Job lifecycle: pending -> running -> completed or failed; pending jobs can
+ * be cancelled, and unfinished jobs expire
+ */
+const STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled', 'expired'];
+
+/**
+ * DiagnosticJob Schema - a diagnostic requested from a PC's agent
+ * Agents claim pending jobs on their collection cycle and post the result
+ * back (see routes/diagnostics.js).
+ */
+const diagnosticJobSchema = new mongoose.Schema({
+  // PC that runs the job
+  pcId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Diagnostic to run (see ACTIONS)
+  action: {
+    type: String,
+    required: true,
+    enum: ACTIONS
+  },
+
+  // Action parameters ({ path } for diskUsage)
+  params: {
+    path: { type: String, maxlength: 1024 }
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+
+  // Username of the operator who requested it
+  requestedBy: {
+    type: String
+  },
+
+  // When the agent picked it up and when it finished
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+
+  // Pending jobs not picked up, and running jobs not finished, by then expire
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Output of a completed job (shape depends on the action)
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Failure reported by the agent
+  error: {
+    type: String,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+// Job history per PC, and pending jobs of a PC
+diagnosticJobSchema.index({ pcId: 1, createdAt: -1 });
+diagnosticJobSchema.index({ pcId: 1, status: 1 });
+
+// Expiry sweeps and retention purges
+diagnosticJobSchema.index({ status: 1, expiresAt: 1 });
+diagnosticJobSchema.index({ createdAt: 1 });
+
+/**
+ * Mark unfinished jobs past their expiry as expired
+ * @param {Object} [filter] - Extra filter (e.g. { pcId })
+ * @returns {Promise<Object>} Update result
+ */
+diagnosticJobSchema.statics.expireStale = function(filter = {}) {
+  const now = new Date();
+  return this.updateMany(
+    { ...filter, status: { $in: ['pending', 'running'] }, expiresAt: { $lte: now } },
+    { $set: { status: 'expired', completedAt: now } }
+  );
+};
+
+diagnosticJobSchema.statics.ACTIONS = ACTIONS;
+diagnosticJobSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('DiagnosticJob', diagnosticJobSchema);
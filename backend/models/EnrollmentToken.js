@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * EnrollmentToken Schema - one-time tokens an agent exchanges for its API key
+ * Only a SHA-256 hash of the token is stored; the token itself is shown once
+ * when it is generated.
+ */
+const enrollmentTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Restrict the token to a single PC (optional)
+  pcId: String,
+
+  note: String,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  usedAt: Date,
+
+  // PC that redeemed the token
+  usedBy: String
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed automatically
+enrollmentTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a plaintext enrollment token
+ */
+enrollmentTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Find a token that can still be redeemed
+ */
+enrollmentTokenSchema.statics.findRedeemable = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    usedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('EnrollmentToken', enrollmentTokenSchema);
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Group and tag names: letters, digits, spaces, dots, dashes and underscores
+const LABEL_PATTERN = /^[\w .-]{1,50}$/;
+
+const labelList = {
+  type: [String],
+  validate: {
+    validator: labels => labels.every(label => LABEL_PATTERN.test(label)),
+    message: 'Group and tag names must be 1-50 letters, digits, spaces, dots, dashes or underscores'
+  }
+};
+
+// Physical disk reported by the client
+const diskSchema = new mongoose.Schema({
+  device: String,
+  name: String,
+  type: String,
+  size: Number // bytes
+}, { _id: false });
+
+/**
+ * Machine Schema - static inventory of each monitored PC
+ * Kept apart from the time-series samples: hardware is reported by the
+ * client at startup and when it changes, seen times are updated on ingestion.
+ */
+const machineSchema = new mongoose.Schema({
+  pcId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Friendly name shown in the dashboard (set by operators)
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Groups and tags assigned by admins
+  groups: labelList,
+  tags: labelList,
+
+  // Groups and tags declared by the client itself (PC_GROUPS / PC_TAGS)
+  declaredGroups: labelList,
+  declaredTags: labelList,
+
+  // Hardware vendor and model
+  manufacturer: String,
+  model: String,
+
+  // Operating system description
+  os: String,
+
+  cpu: {
+    manufacturer: String,
+    brand: String,
+    cores: Number,
+    physicalCores: Number,
+    speed: Number // GHz
+  },
+
+  // Installed memory in bytes
+  totalRam: Number,
+
+  disks: [diskSchema],
+
+  macAddresses: [String],
+
+  // When the client last reported its inventory
+  inventoryUpdatedAt: Date,
+
+  // Oldest and newest sample received from the PC
+  firstSeenAt: Date,
+  lastSeenAt: Date
+}, {
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+machineSchema.index({ groups: 1 });
+machineSchema.index({ declaredGroups: 1 });
+machineSchema.index({ tags: 1 });
+machineSchema.index({ declaredTags: 1 });
+
+// Effective groups and tags: admin-assigned plus client-declared
+machineSchema.virtual('allGroups').get(function() {
+  return [...new Set([...(this.groups || []), ...(this.declaredGroups || [])])];
+});
+
+machineSchema.virtual('allTags').get(function() {
+  return [...new Set([...(this.tags || []), ...(this.declaredTags || [])])];
+});
+
+/**
+ * Inventory fields reported by clients
+ */
+machineSchema.statics.INVENTORY_FIELDS = ['manufacturer', 'model', 'os', 'cpu', 'totalRam', 'disks', 'macAddresses', 'declaredGroups', 'declaredTags'];
+
+machineSchema.statics.LABEL_PATTERN = LABEL_PATTERN;
+
+/**
+ * Find the PCs in a group and/or with a tag (admin-assigned or client-declared)
+ * @param {Object} filter
+ * @param {string} [filter.group] - Group name
+ * @param {string} [filter.tag] - Tag name
+ * @returns {Promise<string[]|null>} Matching pcIds, or null when no filter is given
+ */
+machineSchema.statics.findPcIds = async function({ group, tag } = {}) {
+  if (!group && !tag) return null;
+
+  const conditions = [];
+  if (group) conditions.push({ $or: [{ groups: group }, { declaredGroups: group }] });
+  if (tag) conditions.push({ $or: [{ tags: tag }, { declaredTags: tag }] });
+
+  const machines = await this.find({ $and: conditions }).select('pcId').lean();
+  return machines.map(machine => machine.pcId);
+};
+
+/**
+ * List every group and tag in use, with the number of PCs carrying it
+ * @returns {Promise<{groups: Object[], tags: Object[]}>} [{ name, count }] sorted by name
+ */
+machineSchema.statics.listLabels = async function() {
+  const machines = await this.find().select('groups tags declaredGroups declaredTags');
+
+  const count = (key) => {
+    const counts = new Map();
+    for (const machine of machines) {
+      for (const name of machine[key]) counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return [...counts].map(([name, total]) => ({ name, count: total })).sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  return { groups: count('allGroups'), tags: count('allTags') };
+};
+
+/**
+ * Get the effective groups of PCs
+ * @param {string[]} pcIds - PC identifiers
+ * @returns {Promise<Map<string, string[]>>} pcId -> groups
+ */
+machineSchema.statics.groupsByPc = async function(pcIds) {
+  const machines = await this.find({ pcId: { $in: pcIds } }).select('pcId groups declaredGroups');
+  return new Map(machines.map(machine => [machine.pcId, machine.allGroups]));
+};
+
+/**
+ * Record the time range of received samples (creates the machine if needed)
+ * @param {string} pcId - PC identifier
+ * @param {Date} firstAt - Oldest sample time
+ * @param {Date} lastAt - Newest sample time
+ */
+machineSchema.statics.recordSeen = function(pcId, firstAt, lastAt) {
+  return this.updateOne(
+    { pcId },
+    { $min: { firstSeenAt: firstAt }, $max: { lastSeenAt: lastAt } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Machine', machineSchema);
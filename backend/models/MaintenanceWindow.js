@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { parseCron, cronOccurrences, cronPrevious } = require('../utils/cron');
+
+/**
+ * Window types
+ *   - once:      from startsAt to endsAt
+ *   - recurring: starts at every time matched by cron and lasts duration seconds;
+ *                startsAt/endsAt, when set, bound the occurrences
+ */
+const TYPES = ['once', 'recurring'];
+
+// Longest recurring occurrence (seconds)
+const MAX_DURATION = 7 * 24 * 60 * 60;
+
+/**
+ * MaintenanceWindow Schema - planned work during which alerts and
+ * notifications for the PCs in scope are suppressed
+ * Example: "patch night, every Saturday 02:00 for 3 hours, group lab"
+ */
+const maintenanceWindowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Why the window exists (e.g. change ticket)
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Which PCs the window applies to
+  scope: {
+    kind: {
+      type: String,
+      enum: ['all', 'pc', 'group'],
+      default: 'all'
+    },
+    pcId: String,
+    group: String
+  },
+
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+
+  // Start and end of a one-off window, optional bounds of a recurring one
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+
+  // Recurring windows: five field cron expression (server local time) and length in seconds
+  cron: {
+    type: String,
+    trim: true
+  },
+  duration: {
+    type: Number,
+    min: 60,
+    max: MAX_DURATION
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Username of the creator
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Check whether the window applies to a PC
+ * @param {string} pcId - PC identifier
+ * @param {string[]} groups - Groups the PC belongs to
+ */
+maintenanceWindowSchema.methods.appliesTo = function(pcId, groups = []) {
+  switch (this.scope?.kind) {
+    case 'pc':
+      return this.scope.pcId === pcId;
+    case 'group':
+      return groups.includes(this.scope.group);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Periods of the window that overlap a time range, oldest first
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Object[]} [{ start, end }]
+ */
+maintenanceWindowSchema.methods.periodsBetween = function(from, to) {
+  if (this.type === 'once') {
+    return this.startsAt < to && this.endsAt > from ? [{ start: this.startsAt, end: this.endsAt }] : [];
+  }
+
+  // Occurrences that started up to one duration before the range still overlap it
+  const durationMs = this.duration * 1000;
+  let rangeStart = new Date(from.getTime() - durationMs);
+  let rangeEnd = to;
+  if (this.startsAt && this.startsAt > rangeStart) rangeStart = this.startsAt;
+  if (this.endsAt && this.endsAt < rangeEnd) rangeEnd = this.endsAt;
+  if (rangeStart > rangeEnd) return [];
+
+  return cronOccurrences(parseCron(this.cron), rangeStart, rangeEnd)
+    .map(start => ({ start, end: new Date(start.getTime() + durationMs) }))
+    .filter(period => period.end > from && period.start < to);
+};
+
+/**
+ * The period in effect at a time, if any (the latest one when occurrences overlap)
+ * @param {Date} [at=now]
+ * @returns {Object|null} { start, end }
+ */
+maintenanceWindowSchema.methods.periodAt = function(at = new Date()) {
+  if (this.type === 'once') {
+    return this.startsAt <= at && this.endsAt > at ? { start: this.startsAt, end: this.endsAt } : null;
+  }
+
+  // Only an occurrence that started less than one duration ago is still running
+  const durationMs = this.duration * 1000;
+  let since = new Date(at.getTime() - durationMs + 1);
+  let until = at;
+  if (this.startsAt && this.startsAt > since) since = this.startsAt;
+  if (this.endsAt && this.endsAt < until) until = this.endsAt;
+  if (since > until) return null;
+
+  const start = cronPrevious(parseCron(this.cron), until, since);
+  return start ? { start, end: new Date(start.getTime() + durationMs) } : null;
+};
+
+maintenanceWindowSchema.statics.TYPES = TYPES;
+maintenanceWindowSchema.statics.MAX_DURATION = MAX_DURATION;
+
+module.exports = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * PcStatus Schema - reporting (heartbeat) state of each PC
+ * One document per PC, updated on every sample and by the heartbeat sweeper.
+ */
+const pcStatusSchema = new mongoose.Schema({
+  pcId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // online: reporting on schedule, stale: late, offline: stopped reporting
+  status: {
+    type: String,
+    enum: ['online', 'stale', 'offline'],
+    default: 'online',
+    index: true
+  },
+
+  // Interval (ms) at which the PC is expected to report
+  expectedInterval: {
+    type: Number,
+    min: 1000
+  },
+
+  // Whether expectedInterval was reported by the client or inferred from sample spacing
+  intervalSource: {
+    type: String,
+    enum: ['client', 'observed', 'default'],
+    default: 'default'
+  },
+
+  // Time of the newest sample
+  lastSeenAt: {
+    type: Date,
+    required: true
+  },
+
+  // When the status last changed
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PcStatus', pcStatusSchema);
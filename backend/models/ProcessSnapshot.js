@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// One process in a top-N list
+const processSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  pid: Number,
+  user: String,
+
+  // CPU and memory usage percentages
+  cpu: {
+    type: Number,
+    min: 0
+  },
+  mem: {
+    type: Number,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+/**
+ * ProcessSnapshot Schema - top processes reported with a sample
+ * Kept apart from the samples so they can have a shorter retention
+ * (the "processes" tier in services/retention.js).
+ */
+const processSnapshotSchema = new mongoose.Schema({
+  // PC the snapshot belongs to
+  pcId: {
+    type: String,
+    required: true
+  },
+
+  // Sample the snapshot was reported with
+  sampleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SystemInfo'
+  },
+
+  // Top processes by CPU usage, highest first
+  byCpu: {
+    type: [processSchema],
+    default: []
+  },
+
+  // Top processes by memory usage, highest first
+  byMemory: {
+    type: [processSchema],
+    default: []
+  },
+
+  // Collection time of the sample
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Nearest-snapshot lookups per PC
+processSnapshotSchema.index({ pcId: 1, createdAt: 1 });
+
+// Retention purges
+processSnapshotSchema.index({ createdAt: 1 });
+
+/**
+ * Find the snapshot of a PC closest to a point in time
+ * @param {string} pcId - PC identifier
+ * @param {Date} at - Point in time
+ * @param {number} [maxDistance] - Ignore snapshots further away than this (ms)
+ * @returns {Promise<Object|null>} Snapshot or null
+ */
+processSnapshotSchema.statics.findNearest = async function(pcId, at, maxDistance = Infinity) {
+  const [before, after] = await Promise.all([
+    this.findOne({ pcId, createdAt: { $lte: at } }).sort({ createdAt: -1 }),
+    this.findOne({ pcId, createdAt: { $gt: at } }).sort({ createdAt: 1 })
+  ]);
+
+  const nearest = [before, after]
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(a.createdAt - at) - Math.abs(b.createdAt - at))[0];
+
+  return nearest && Math.abs(nearest.createdAt - at) <= maxDistance ? nearest : null;
+};
+
+module.exports = mongoose.model('ProcessSnapshot', processSnapshotSchema);
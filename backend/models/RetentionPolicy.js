@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * RetentionPolicy Schema - admin override of how long a data tier is kept
+ * Tiers without a document use the retention configured in the environment
+ * (see services/retention.js).
+ */
+const retentionPolicySchema = new mongoose.Schema({
+  // Data tier (raw, processes, minuteRollups, hourRollups, dayRollups, alerts, anomalies, events, diagnostics)
+  tier: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Hours to keep data; 0 keeps it forever
+  hours: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Username of the admin who set the policy
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RetentionPolicy', retentionPolicySchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * Metrics aggregated into rollups
+ * netRx/netTx (bytes per second) are only present in detailed samples
+ */
+const ROLLUP_METRICS = ['cpu', 'ram', 'disk', 'netRx', 'netTx'];
+
+/**
+ * Rollup resolutions, finest first, with their bucket size in ms
+ */
+const RESOLUTIONS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Running aggregate of one metric inside a bucket
+const metricAggregateSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  sum: { type: Number, default: 0 },
+  count: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * Rollup Schema - per-PC aggregates of samples over fixed time buckets
+ * Sums and counts are stored (not averages) so buckets can be updated
+ * incrementally as samples arrive.
+ */
+const rollupSchema = new mongoose.Schema({
+  pcId: {
+    type: String,
+    required: true
+  },
+
+  // Start of the bucket (UTC, aligned to the resolution)
+  bucket: {
+    type: Date,
+    required: true
+  },
+
+  // Number of samples in the bucket
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  ...Object.fromEntries(ROLLUP_METRICS.map(metric => [metric, metricAggregateSchema]))
+}, {
+  timestamps: true
+});
+
+// One bucket per PC per time slot; also serves range queries
+rollupSchema.index({ pcId: 1, bucket: 1 }, { unique: true });
+
+// Range queries across all PCs (overview, retention)
+rollupSchema.index({ bucket: 1 });
+
+/**
+ * Align a time to the start of its bucket
+ * @param {Date|number} time - Time to align
+ * @param {string} resolution - minute, hour or day
+ * @returns {Date} Bucket start
+ */
+function bucketStart(time, resolution) {
+  const size = RESOLUTIONS[resolution];
+  return new Date(Math.floor(new Date(time).getTime() / size) * size);
+}
+
+/**
+ * Convert a rollup document into a history point shaped like a sample
+ * (metrics are averages; min/max are kept alongside)
+ */
+rollupSchema.statics.toPoint = function(rollup) {
+  const point = { pcId: rollup.pcId, createdAt: rollup.bucket, count: rollup.count };
+
+  for (const metric of ROLLUP_METRICS) {
+    const aggregate = rollup[metric];
+    if (!aggregate || !aggregate.count) continue;
+    point[metric] = Math.round((aggregate.sum / aggregate.count) * 100) / 100;
+    point[`${metric}Min`] = aggregate.min;
+    point[`${metric}Max`] = aggregate.max;
+  }
+
+  return point;
+};
+
+const models = Object.fromEntries(Object.keys(RESOLUTIONS).map(resolution => {
+  const name = `${resolution[0].toUpperCase()}${resolution.slice(1)}Rollup`;
+  return [resolution, mongoose.model(name, rollupSchema, `rollups_${resolution}`)];
+}));
+
+module.exports = {
+  ...models,
+  RESOLUTIONS,
+  ROLLUP_METRICS,
+  bucketStart
+};
@@ -1,8 +1,85 @@
 const mongoose = require('mongoose');
 
+/**
+ * A mounted filesystem reported with a sample (payload version 2)
+ */
+const filesystemSchema = new mongoose.Schema({
+  // Mount point (e.g. "/", "/var", "C:")
+  mount: {
+    type: String,
+    required: true
+  },
+
+  // Device or filesystem name (e.g. "/dev/sda1")
+  fs: String,
+
+  // Filesystem type (e.g. "ext4", "NTFS")
+  type: String,
+
+  // Size and used space in bytes
+  size: {
+    type: Number,
+    min: 0
+  },
+  used: {
+    type: Number,
+    min: 0
+  },
+
+  // Usage percentage (0-100)
+  usage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+/**
+ * A network interface's counters reported with a sample (payload version 2)
+ */
+const networkInterfaceSchema = new mongoose.Schema({
+  // Interface name (e.g. "eth0", "Ethernet")
+  iface: {
+    type: String,
+    required: true
+  },
+
+  // Throughput in bytes per second (unknown on the client's first collection)
+  rxSec: {
+    type: Number,
+    min: 0
+  },
+  txSec: {
+    type: Number,
+    min: 0
+  },
+
+  // Packet errors and drops since the interface came up
+  rxErrors: {
+    type: Number,
+    min: 0
+  },
+  txErrors: {
+    type: Number,
+    min: 0
+  },
+  rxDropped: {
+    type: Number,
+    min: 0
+  },
+  txDropped: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
 /**
  * SystemInfo Schema for storing PC monitoring data
  * Each document represents a single data point from a PC
+ * Version 2 payloads add every filesystem, per-core load, swap and load
+ * averages and network interfaces; version 1 documents only have the flat
+ * cpu/ram/disk values.
  */
 const systemInfoSchema = new mongoose.Schema({
   // Unique identifier for each PC (can be hostname, MAC address, etc.)
@@ -28,7 +105,7 @@ const systemInfoSchema = new mongoose.Schema({
     max: 100
   },
   
-  // Disk usage percentage (0-100)
+  // Disk usage percentage (0-100); with payload version 2, the fullest filesystem
   disk: {
     type: Number,
     required: true,
@@ -49,6 +126,62 @@ const systemInfoSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Payload version the sample was submitted with (1: flat, 2: detailed)
+  payloadVersion: {
+    type: Number,
+    default: 1
+  },
+
+  // Agent configuration version applied when the sample was taken (see services/agentConfig.js)
+  configVersion: {
+    type: String,
+    maxlength: 64
+  },
+
+  // Per-core CPU usage percentages (payload version 2)
+  cpuCores: {
+    type: [{ type: Number, min: 0, max: 100 }],
+    default: undefined
+  },
+
+  // 1, 5 and 15 minute load averages (payload version 2, not reported on Windows)
+  loadAverage: {
+    type: [{ type: Number, min: 0 }],
+    default: undefined
+  },
+
+  // Swap usage (payload version 2)
+  swap: {
+    type: new mongoose.Schema({
+      total: { type: Number, min: 0 },
+      used: { type: Number, min: 0 },
+      usage: { type: Number, min: 0, max: 100 }
+    }, { _id: false }),
+    default: undefined
+  },
+
+  // Every mounted filesystem (payload version 2)
+  disks: {
+    type: [filesystemSchema],
+    default: undefined
+  },
+
+  // Up network interfaces (payload version 2)
+  network: {
+    type: [networkInterfaceSchema],
+    default: undefined
+  },
+
+  // Received/transmitted bytes per second summed over all interfaces (payload version 2)
+  netRx: {
+    type: Number,
+    min: 0
+  },
+  netTx: {
+    type: Number,
+    min: 0
+  },
+
   // Timestamp when this data was created
   createdAt: {
     type: Date,
@@ -63,14 +196,36 @@ const systemInfoSchema = new mongoose.Schema({
 // Compound index for efficient queries by PC ID and time
 systemInfoSchema.index({ pcId: 1, createdAt: -1 });
 
-// Index for cleanup queries (older than 24 hours)
+// Paged history reads (samples sharing a createdAt are ordered by _id)
+systemInfoSchema.index({ pcId: 1, createdAt: 1, _id: 1 });
+
+// Index for time-range queries, cleanup and retention purges
 systemInfoSchema.index({ createdAt: 1 });
 
 /**
  * Static method to get latest data for all PCs
+ * @param {string[]} [pcIds] - Only these PCs (default: all)
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Only PCs with a sample since then
+ * @param {Date} [options.to] - Latest sample as of then (default: now)
+ * @param {string} [options.sort='asc'] - PC order: asc or desc by pcId
+ * @param {number} [options.limit] - Max PCs returned
+ * @param {string} [options.after] - Only PCs after this pcId (in sort order)
+ * @param {string[]} [options.fields] - Only these fields (pcId and createdAt are always included)
  */
-systemInfoSchema.statics.getLatestData = function() {
+systemInfoSchema.statics.getLatestData = function(pcIds, { from, to, sort = 'asc', limit, after, fields } = {}) {
+  const direction = sort === 'desc' ? -1 : 1;
+  const match = {};
+  if (pcIds) match.pcId = { $in: pcIds };
+  if (after !== undefined) match.pcId = { ...match.pcId, [direction === 1 ? '$gt' : '$lt']: after };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
   return this.aggregate([
+    ...(Object.keys(match).length > 0 ? [{ $match: match }] : []),
     {
       $sort: { pcId: 1, createdAt: -1 }
     },
@@ -82,7 +237,12 @@ systemInfoSchema.statics.getLatestData = function() {
     },
     {
       $replaceRoot: { newRoot: '$latestData' }
-    }
+    },
+    {
+      $sort: { pcId: direction }
+    },
+    ...(limit ? [{ $limit: limit }] : []),
+    ...(fields ? [{ $project: Object.fromEntries(['pcId', 'createdAt', ...fields].map(field => [field, 1])) }] : [])
   ]);
 };
 
@@ -100,13 +260,19 @@ systemInfoSchema.statics.getHistoricalData = function(pcId, hours = 24) {
 
 /**
  * Static method to get overview statistics (averages across all PCs)
+ * @param {string[]} [pcIds] - Only these PCs (default: all)
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Start of the range (default: 24 hours ago)
+ * @param {Date} [range.to] - End of the range (default: now)
  */
-systemInfoSchema.statics.getOverviewStats = function() {
-  const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000);
+systemInfoSchema.statics.getOverviewStats = function(pcIds, { from, to } = {}) {
+  const cutoffTime = from || new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const match = { createdAt: { $gte: cutoffTime, ...(to && { $lte: to }) } };
+  if (pcIds) match.pcId = { $in: pcIds };
   
   return this.aggregate([
     {
-      $match: { createdAt: { $gte: cutoffTime } }
+      $match: match
     },
     {
       $group: {
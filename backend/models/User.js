@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * User Schema for dashboard accounts
+ * Roles are ordered: viewer < operator < admin (each includes the ones before it).
+ */
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+
+  // bcrypt hash; never returned by queries unless explicitly selected
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Hash and set a new password
+ */
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+/**
+ * Check a password against the stored hash (requires passwordHash to be selected)
+ */
+userSchema.methods.verifyPassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Check whether the user has at least the given role
+ */
+userSchema.methods.hasRole = function(role) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+// Never serialize the password hash
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+/**
+ * Static method to create the first admin account from the environment
+ * Only runs when no users exist yet.
+ * @returns {Promise<Object|null>} Created user, or null if nothing was created
+ */
+userSchema.statics.ensureAdmin = async function(username, password) {
+  if (await this.exists({})) return null;
+  if (!username || !password) return null;
+
+  const admin = new this({ username, role: 'admin' });
+  await admin.setPassword(password);
+  return admin.save();
+};
+
+userSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('User', userSchema);
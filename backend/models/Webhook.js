@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Schema for outbound notification endpoints
+ * Each registered endpoint receives signed JSON payloads for the events it subscribes to.
+ */
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Receiver URL (http or https)
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Shared secret used to sign payloads; never returned by list/get queries
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Event filters: exact names ("alert.firing"), prefixes ("alert.*") or "*" for everything
+  events: {
+    type: [String],
+    default: ['*']
+  },
+
+  // Only deliver events about these PCs (empty = all PCs)
+  pcIds: {
+    type: [String],
+    default: []
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Check whether this webhook wants an event
+ * @param {string} event - Event name
+ * @param {string} [pcId] - PC the event is about
+ */
+webhookSchema.methods.matches = function(event, pcId) {
+  const eventMatches = this.events.some(filter => {
+    if (filter === '*') return true;
+    if (filter.endsWith('.*')) return event.startsWith(filter.slice(0, -1));
+    return filter === event;
+  });
+
+  if (!eventMatches) return false;
+  if (this.pcIds.length === 0 || !pcId) return true;
+  return this.pcIds.includes(pcId);
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookDelivery Schema - delivery log for outbound webhook notifications
+ * One document per event per webhook, with every delivery attempt recorded.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  pcId: String,
+
+  // JSON payload sent to the receiver
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // pending: waiting for (another) attempt, success: 2xx received, failed: retries exhausted
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // When the next attempt is due (pending deliveries only)
+  nextAttemptAt: Date,
+
+  deliveredAt: Date,
+
+  // Attempt log: [{ at, statusCode, error, durationMs }]
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Retry sweeper lookup
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const AgentConfig = require('../models/AgentConfig');
+const Machine = require('../models/Machine');
+const agentConfig = require('../services/agentConfig');
+const { requireRole } = require('../middleware/auth');
+
+// Check the scope/target route params; returns an error message or null
+function validateTarget(scope, target) {
+  if (!AgentConfig.SCOPES.includes(scope)) {
+    return `Invalid scope (${AgentConfig.SCOPES.join(', ')})`;
+  }
+  if (scope === 'default' && target) {
+    return 'The default scope has no target';
+  }
+  if (scope !== 'default' && !target) {
+    return `A ${scope} configuration needs a target`;
+  }
+  if (scope === 'group' && !Machine.LABEL_PATTERN.test(target)) {
+    return 'Invalid group name';
+  }
+  return null;
+}
+
+/**
+ * GET /api/agent-config
+ * Returns every agent configuration document
+ */
+router.get('/', requireRole('operator'), async (req, res) => {
+  try {
+    const configs = await AgentConfig.find().lean();
+    const rank = config => AgentConfig.SCOPES.indexOf(config.scope);
+    configs.sort((a, b) => rank(a) - rank(b) || a.target.localeCompare(b.target));
+
+    res.json({
+      success: true,
+      data: configs,
+      count: configs.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching agent configurations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agent-config/effective/:pcId
+ * Returns the merged settings a PC's agent receives, with their version and sources
+ */
+router.get('/effective/:pcId', requireRole('operator'), async (req, res) => {
+  try {
+    const config = await agentConfig.getEffectiveConfig(req.params.pcId);
+
+    res.json({
+      success: true,
+      data: config
+    });
+
+  } catch (error) {
+    console.error('Error resolving agent configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/agent-config/:scope/:target?
+ * Creates or replaces a configuration document
+ * Params: scope (default, group or pc), target (group name or pcId; none for default)
+ * Body: { settings: { interval?, collectors?, topProcesses?, retry?: { maxRetries?, retryDelay? },
+ *   thresholds?: { cpu?, ram?, disk? } } }
+ */
+router.put('/:scope/:target?', requireRole('admin'), async (req, res) => {
+  try {
+    const { scope, target = '' } = req.params;
+    const { settings } = req.body;
+
+    const validationError = validateTarget(scope, target) || agentConfig.validateSettings(settings);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const config = await AgentConfig.findOneAndUpdate(
+      { scope, target },
+      { $set: { settings, updatedBy: req.user.username } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Agent configuration saved successfully',
+      data: config
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error saving agent configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/agent-config/:scope/:target?
+ * Removes a configuration document (its settings fall back to broader scopes)
+ */
+router.delete('/:scope/:target?', requireRole('admin'), async (req, res) => {
+  try {
+    const { scope, target = '' } = req.params;
+
+    const validationError = validateTarget(scope, target);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = await AgentConfig.deleteOne({ scope, target });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agent configuration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Agent configuration deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting agent configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
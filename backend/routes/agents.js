@@ -0,0 +1,394 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AgentKey = require('../models/AgentKey');
+const EnrollmentToken = require('../models/EnrollmentToken');
+const agentAuth = require('../middleware/agentAuth');
+const agentConfig = require('../services/agentConfig');
+const diagnostics = require('../services/diagnostics');
+const { requireRole } = require('../middleware/auth');
+const { generateSecret } = require('../utils/signing');
+
+// Rotated keys stay valid this long so submissions already in flight are accepted
+const ROTATION_GRACE_PERIOD = parseInt(process.env.AGENT_KEY_ROTATION_GRACE) || 5 * 60 * 1000;
+
+// Issue a new key for a PC
+async function issueKey(pcId) {
+  const keyId = `ak_${crypto.randomBytes(12).toString('hex')}`;
+  const secret = generateSecret();
+
+  await AgentKey.create({ keyId, pcId, secret });
+  return { keyId, secret, pcId };
+}
+
+/**
+ * POST /api/agents/enrollment-tokens
+ * Generates a one-time enrollment token (returned only in this response)
+ * Body: { pcId?, expiresInHours? (default: 24, max: 720), note? }
+ */
+router.post('/enrollment-tokens', requireRole('admin'), async (req, res) => {
+  try {
+    const { pcId, expiresInHours = 24, note } = req.body;
+    const hoursNum = parseInt(expiresInHours);
+
+    if (isNaN(hoursNum) || hoursNum < 1 || hoursNum > 720) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expiresInHours parameter (1-720)'
+      });
+    }
+
+    const token = `et_${crypto.randomBytes(24).toString('hex')}`;
+    const enrollmentToken = await EnrollmentToken.create({
+      tokenHash: EnrollmentToken.hashToken(token),
+      pcId,
+      note,
+      expiresAt: new Date(Date.now() + hoursNum * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Enrollment token created successfully',
+      data: {
+        id: enrollmentToken._id,
+        token,
+        pcId: enrollmentToken.pcId,
+        expiresAt: enrollmentToken.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating enrollment token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agents/enrollment-tokens
+ * Returns enrollment tokens that have not expired (without the tokens themselves)
+ */
+router.get('/enrollment-tokens', requireRole('admin'), async (req, res) => {
+  try {
+    const tokens = await EnrollmentToken.find({ expiresAt: { $gt: new Date() } })
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: tokens,
+      count: tokens.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching enrollment tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents/enroll
+ * Exchanges an enrollment token for a per-PC API key
+ * Body: { token, pcId }
+ * Any existing keys of the PC are revoked (re-enrollment replaces them).
+ */
+router.post('/enroll', async (req, res) => {
+  try {
+    const { token, pcId } = req.body;
+
+    if (!token || !pcId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: token, pcId'
+      });
+    }
+
+    const enrollmentToken = await EnrollmentToken.findRedeemable(token);
+    if (!enrollmentToken || (enrollmentToken.pcId && enrollmentToken.pcId !== pcId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or already used enrollment token'
+      });
+    }
+
+    // Claim the token atomically so it can only be redeemed once
+    const claimed = await EnrollmentToken.findOneAndUpdate(
+      { _id: enrollmentToken._id, usedAt: { $exists: false } },
+      { $set: { usedAt: new Date(), usedBy: pcId } }
+    );
+    if (!claimed) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or already used enrollment token'
+      });
+    }
+
+    await AgentKey.revokeAllForPc(pcId, 'Re-enrolled');
+    const key = await issueKey(pcId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent enrolled successfully',
+      data: key
+    });
+
+  } catch (error) {
+    console.error('Error enrolling agent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents/rotate
+ * Issues a new key to the calling agent (request must be signed with its current key)
+ * The current key keeps working for a short grace period.
+ */
+router.post('/rotate', agentAuth({ getPcIds: () => [] }), async (req, res) => {
+  try {
+    if (!req.agent) {
+      return res.status(401).json({
+        success: false,
+        message: 'Agent authentication required'
+      });
+    }
+
+    const key = await issueKey(req.agent.pcId);
+    await AgentKey.updateOne(
+      { keyId: req.agent.keyId },
+      { $set: { expiresAt: new Date(Date.now() + ROTATION_GRACE_PERIOD) } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent key rotated successfully',
+      data: key
+    });
+
+  } catch (error) {
+    console.error('Error rotating agent key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agents/:pcId/config
+ * Returns the PC's effective agent configuration (signed like submissions)
+ * The ETag is the configuration version; a matching If-None-Match gets 304.
+ */
+router.get('/:pcId/config', agentAuth({ getPcIds: req => [req.params.pcId] }), async (req, res) => {
+  try {
+    const { pcId, version, settings } = await agentConfig.getEffectiveConfig(req.params.pcId);
+    const etag = `"${version}"`;
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'no-cache');
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data: { pcId, version, settings }
+    });
+
+  } catch (error) {
+    console.error('Error fetching agent configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents/:pcId/jobs/claim
+ * Hands the PC's pending diagnostic jobs to its agent (they become running)
+ * Always requires a signed request, whatever AGENT_AUTH_MODE says.
+ */
+router.post('/:pcId/jobs/claim', agentAuth({ getPcIds: req => [req.params.pcId], requireSignature: true }), async (req, res) => {
+  try {
+    const jobs = await diagnostics.claimJobs(req.params.pcId);
+
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length
+    });
+
+  } catch (error) {
+    console.error('Error claiming diagnostic jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents/:pcId/jobs/:jobId/result
+ * Reports the outcome of a running diagnostic job
+ * Body: { status: 'completed' | 'failed', result?, error? }
+ * Always requires a signed request, whatever AGENT_AUTH_MODE says.
+ */
+router.post('/:pcId/jobs/:jobId/result', agentAuth({ getPcIds: req => [req.params.pcId], requireSignature: true }), async (req, res) => {
+  try {
+    const { status, result, error } = req.body;
+
+    if (!['completed', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status (completed, failed)'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job id'
+      });
+    }
+
+    const job = await diagnostics.completeJob(req.params.pcId, req.params.jobId, { status, result, error });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Running diagnostic job not found (it may have expired)'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Diagnostic result saved successfully',
+      data: { id: job._id, status: job.status, error: job.error }
+    });
+
+  } catch (error) {
+    console.error('Error saving diagnostic result:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agents/keys
+ * Returns agent keys (without secrets)
+ * Query params:
+ *   - pcId: Only keys of this PC
+ *   - status: active or revoked
+ */
+router.get('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { pcId, status } = req.query;
+
+    if (status && !['active', 'revoked'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status parameter (active, revoked)'
+      });
+    }
+
+    const filter = {};
+    if (pcId) filter.pcId = pcId;
+    if (status) filter.status = status;
+
+    const keys = await AgentKey.find(filter).sort({ pcId: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching agent keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agents/keys/:keyId/revoke
+ * Revokes a single agent key
+ * Body: { reason? }
+ */
+router.post('/keys/:keyId/revoke', requireRole('admin'), async (req, res) => {
+  try {
+    const key = await AgentKey.findOneAndUpdate(
+      { keyId: req.params.keyId, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revokedReason: req.body.reason || 'Revoked by admin' } },
+      { new: true }
+    );
+
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active agent key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Agent key revoked successfully',
+      data: key
+    });
+
+  } catch (error) {
+    console.error('Error revoking agent key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/agents/:pcId/keys
+ * Revokes every key of a PC (the PC must re-enroll)
+ */
+router.delete('/:pcId/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await AgentKey.revokeAllForPc(req.params.pcId, 'Revoked by admin');
+    res.locals.affectedCount = result.modifiedCount;
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.modifiedCount} agent keys`,
+      revokedCount: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Error revoking agent keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const alertEngine = require('../services/alertEngine');
+const { requireRole } = require('../middleware/auth');
+
+const RULE_FIELDS = ['name', 'metric', 'comparator', 'threshold', 'duration', 'scope', 'severity', 'enabled'];
+
+/**
+ * Validate an alert rule payload
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateRule(body, partial = false) {
+  if (!partial && (!body.name || !body.metric || !body.comparator || body.threshold === undefined)) {
+    return 'Missing required fields: name, metric, comparator, threshold';
+  }
+
+  if (body.metric !== undefined && !AlertRule.METRICS.includes(body.metric)) {
+    return `Invalid metric (${AlertRule.METRICS.join(', ')})`;
+  }
+
+  if (body.comparator !== undefined && !AlertRule.COMPARATORS[body.comparator]) {
+    return `Invalid comparator (${Object.keys(AlertRule.COMPARATORS).join(', ')})`;
+  }
+
+  if (body.threshold !== undefined && typeof body.threshold !== 'number') {
+    return 'Invalid threshold: must be a number';
+  }
+
+  if (body.duration !== undefined && (typeof body.duration !== 'number' || body.duration < 0)) {
+    return 'Invalid duration: must be a number of seconds (>=0)';
+  }
+
+  if (body.scope !== undefined) {
+    const { kind = 'all', pcId, group } = body.scope || {};
+    if (!['all', 'pc', 'group'].includes(kind)) {
+      return 'Invalid scope kind (all, pc, group)';
+    }
+    if (kind === 'pc' && !pcId) {
+      return 'Scope kind "pc" requires scope.pcId';
+    }
+    if (kind === 'group' && !group) {
+      return 'Scope kind "group" requires scope.group';
+    }
+  }
+
+  return null;
+}
+
+// Copy only known rule fields from the request body
+function pickRuleFields(body) {
+  return RULE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+/**
+ * GET /api/alerts
+ * Returns active and past alerts
+ * Query params:
+ *   - status: active (pending + firing), pending, firing, resolved or all (default: all)
+ *   - pcId: Only alerts for this PC
+ *   - ruleId: Only alerts raised by this rule
+ *   - limit: Max number of alerts (default: 100, max: 1000)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const { status = 'all', pcId, ruleId, limit = 100 } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-1000)'
+      });
+    }
+
+    const filter = {};
+    if (status === 'active') {
+      filter.status = { $in: ['pending', 'firing'] };
+    } else if (['pending', 'firing', 'resolved'].includes(status)) {
+      filter.status = status;
+    } else if (status !== 'all') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status parameter (active, pending, firing, resolved, all)'
+      });
+    }
+
+    if (pcId) filter.pcId = pcId;
+    if (ruleId) {
+      if (!mongoose.isValidObjectId(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid ruleId parameter'
+        });
+      }
+      filter.ruleId = ruleId;
+    }
+
+    const alerts = await Alert.find(filter).sort({ startedAt: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data: alerts,
+      count: alerts.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/rules
+ * Returns all alert rules
+ */
+router.get('/rules', requireRole('viewer'), async (req, res) => {
+  try {
+    const rules = await AlertRule.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Creates an alert rule
+ * Body: { name, metric, comparator, threshold, duration?, scope?, severity?, enabled? }
+ */
+router.post('/rules', requireRole('operator'), async (req, res) => {
+  try {
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const rule = await AlertRule.create(pickRuleFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/rules/:id
+ * Returns a single alert rule
+ */
+router.get('/rules/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule id'
+      });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Updates an alert rule (partial updates allowed)
+ * Disabling a rule resolves its open alerts.
+ */
+router.put('/rules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule id'
+      });
+    }
+
+    const validationError = validateRule(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    if (!rule.enabled) {
+      await alertEngine.resolveAlertsForRule(rule, 'Rule disabled');
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Deletes an alert rule and resolves its open alerts
+ */
+router.delete('/rules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule id'
+      });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await alertEngine.resolveAlertsForRule(rule, 'Rule deleted');
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Returns a single alert with its history
+ */
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert id'
+      });
+    }
+
+    const alert = await Alert.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
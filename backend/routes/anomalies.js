@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const Anomaly = require('../models/Anomaly');
+const anomalies = require('../services/anomalies');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * GET /api/anomalies
+ * Returns detected anomalies, newest first
+ * Query params:
+ *   - pcId: Only this PC
+ *   - metric: Only this metric (cpu, ram, disk)
+ *   - hours: How far back to look (default: 24, max: 8760)
+ *   - limit: Max anomalies returned (default: 500, max: 5000)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const { pcId, metric, hours = 24, limit = 500 } = req.query;
+    const hoursNum = parseInt(hours);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(hoursNum) || hoursNum < 1 || hoursNum > 8760) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hours parameter (1-8760)'
+      });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-5000)'
+      });
+    }
+
+    if (metric !== undefined && !anomalies.METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid metric (${anomalies.METRICS.join(', ')})`
+      });
+    }
+
+    const filter = { createdAt: { $gte: new Date(Date.now() - hoursNum * 60 * 60 * 1000) } };
+    if (typeof pcId === 'string' && pcId) filter.pcId = pcId;
+    if (metric) filter.metric = metric;
+
+    const data = await Anomaly.find(filter).sort({ createdAt: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AuditEntry = require('../models/AuditEntry');
+const { requireRole } = require('../middleware/auth');
+
+// Parse an ISO date or epoch milliseconds query value (null when invalid)
+function parseTime(value) {
+  const time = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * GET /api/audit
+ * Returns audit log entries, newest first
+ * Query params:
+ *   - actor: Only calls by this username (or agent pcId)
+ *   - actorType: user, agent or anonymous
+ *   - method: POST, PUT, PATCH or DELETE
+ *   - route: Only this route pattern (e.g. /api/systemdata/cleanup)
+ *   - success: true or false
+ *   - from, to: Time range (ISO dates or epoch ms)
+ *   - limit: Max entries returned (default: 100, max: 1000)
+ *   - cursor: nextCursor of the previous page (older entries)
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { actor, actorType, method, route, success, from, to, cursor, limit = 100 } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-1000)'
+      });
+    }
+
+    if (actorType !== undefined && !AuditEntry.ACTOR_TYPES.includes(actorType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid actorType (${AuditEntry.ACTOR_TYPES.join(', ')})`
+      });
+    }
+
+    if (success !== undefined && !['true', 'false'].includes(success)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid success parameter (true, false)'
+      });
+    }
+
+    const fromTime = from ? parseTime(from) : undefined;
+    const toTime = to ? parseTime(to) : undefined;
+    if (fromTime === null || toTime === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (cursor !== undefined && !mongoose.isValidObjectId(cursor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const filter = {};
+    if (typeof actor === 'string' && actor) filter.actor = actor;
+    if (actorType) filter.actorType = actorType;
+    if (typeof method === 'string' && method) filter.method = method.toUpperCase();
+    if (typeof route === 'string' && route) filter.route = route;
+    if (success) filter.success = success === 'true';
+    if (fromTime || toTime) {
+      filter.createdAt = {};
+      if (fromTime) filter.createdAt.$gte = fromTime;
+      if (toTime) filter.createdAt.$lte = toTime;
+    }
+    if (cursor) filter._id = { $lt: cursor };
+
+    const data = await AuditEntry.find(filter).sort({ _id: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      nextCursor: data.length === limitNum ? data[data.length - 1]._id : null
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate, requireRole, issueToken } = require('../middleware/auth');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Validate a user payload
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateUser(body, partial = false) {
+  if (!partial && (!body.username || !body.password)) {
+    return 'Missing required fields: username, password';
+  }
+
+  if (body.password !== undefined && (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH)) {
+    return `Invalid password: must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (body.role !== undefined && !User.ROLES.includes(body.role)) {
+    return `Invalid role (${User.ROLES.join(', ')})`;
+  }
+
+  if (body.disabled !== undefined && typeof body.disabled !== 'boolean') {
+    return 'Invalid disabled flag: must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/auth/login
+ * Issues a session token
+ * Body: { username, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: username, password'
+      });
+    }
+
+    const user = await User.findOne({ username: String(username).toLowerCase() }).select('+passwordHash');
+    const valid = user && !user.disabled && await user.verifyPassword(password);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { token, expiresAt } = issueToken(user);
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        token,
+        expiresAt,
+        user
+      }
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Returns the logged in user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+/**
+ * GET /api/auth/users
+ * Returns all users (admin only)
+ */
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * Creates a user (admin only)
+ * Body: { username, password, role? }
+ */
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const validationError = validateUser(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { username, password, role } = req.body;
+    if (await User.exists({ username: String(username).toLowerCase() })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    const user = new User({ username, role });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/auth/users/:id
+ * Updates a user's password, role or disabled flag (admin only)
+ * Admins cannot demote or disable themselves, so at least one admin always remains.
+ */
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const validationError = validateUser(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { password, role, disabled } = req.body;
+    const isSelf = user._id.equals(req.user._id);
+    if (isSelf && ((role && role !== 'admin') || disabled)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot demote or disable your own account'
+      });
+    }
+
+    if (password) await user.setPassword(password);
+    if (role) user.role = role;
+    if (disabled !== undefined) user.disabled = disabled;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id
+ * Deletes a user (admin only, not yourself)
+ */
+router.delete('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const Machine = require('../models/Machine');
+const capacity = require('../services/capacity');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * GET /api/capacity
+ * Returns the disk-full forecast of every PC, most urgent first
+ * Query params: group, tag (only PCs in this group / with this tag)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const pcIds = await Machine.findPcIds({
+      group: typeof req.query.group === 'string' ? req.query.group : undefined,
+      tag: typeof req.query.tag === 'string' ? req.query.tag : undefined
+    });
+    const data = await capacity.getReport({ pcIds });
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching capacity report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/capacity/:pcId
+ * Returns the disk-full forecast of one PC, with a forecast per filesystem
+ */
+router.get('/:pcId', requireRole('viewer'), async (req, res) => {
+  try {
+    const [data] = await capacity.getReport({ pcIds: [req.params.pcId] });
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'No disk history for this PC'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Error fetching capacity forecast:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const DiagnosticJob = require('../models/DiagnosticJob');
+const diagnostics = require('../services/diagnostics');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * POST /api/diagnostics
+ * Queues a diagnostic for a PC; its agent runs it on its next collection cycle
+ * Body: { pcId, action (processes, diskUsage, listeningPorts, hardware), params? ({ path } for diskUsage) }
+ */
+router.post('/', requireRole('operator'), async (req, res) => {
+  try {
+    const { pcId, action, params = {} } = req.body;
+
+    if (typeof pcId !== 'string' || !pcId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: pcId'
+      });
+    }
+
+    const validationError = diagnostics.validateJobRequest(action, params);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const job = await diagnostics.createJob({ pcId, action, params, requestedBy: req.user.username });
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `PC ${pcId} already has ${diagnostics.CONFIG.MAX_PENDING} unfinished jobs`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Diagnostic job queued successfully',
+      data: job
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating diagnostic job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/diagnostics
+ * Returns diagnostic jobs, newest first (without their results)
+ * Query params:
+ *   - pcId: Only this PC
+ *   - status: Only jobs in this status
+ *   - limit: Max jobs returned (default: 50, max: 500)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const { pcId, status, limit = 50 } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-500)'
+      });
+    }
+
+    if (status !== undefined && !DiagnosticJob.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status (${DiagnosticJob.STATUSES.join(', ')})`
+      });
+    }
+
+    const filter = {};
+    if (typeof pcId === 'string' && pcId) filter.pcId = pcId;
+    if (status) filter.status = status;
+
+    await DiagnosticJob.expireStale(filter.pcId ? { pcId: filter.pcId } : {});
+    const data = await DiagnosticJob.find(filter).select('-result').sort({ createdAt: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching diagnostic jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/diagnostics/:id
+ * Returns a diagnostic job with its result
+ */
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job id'
+      });
+    }
+
+    const job = await DiagnosticJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Diagnostic job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error fetching diagnostic job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/diagnostics/:id/cancel
+ * Cancels a job its agent has not picked up yet
+ */
+router.post('/:id/cancel', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job id'
+      });
+    }
+
+    const job = await DiagnosticJob.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'cancelled', completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending diagnostic job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Diagnostic job cancelled successfully',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error cancelling diagnostic job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
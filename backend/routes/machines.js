@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const Machine = require('../models/Machine');
+const agentAuth = require('../middleware/agentAuth');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Validate a list of group or tag names
+ * @param {*} value - Submitted value
+ * @param {string} key - Field name for the error message
+ * @returns {string|null} Error message or null when valid
+ */
+function validateLabels(value, key) {
+  if (value === undefined) return null;
+
+  if (!Array.isArray(value) || value.some(label => typeof label !== 'string' || !Machine.LABEL_PATTERN.test(label))) {
+    return `Invalid ${key}: must be an array of names (1-50 letters, digits, spaces, dots, dashes or underscores)`;
+  }
+  return null;
+}
+
+/**
+ * Validate an inventory report
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message or null when valid
+ */
+function validateInventory(body) {
+  for (const key of ['manufacturer', 'model', 'os']) {
+    if (body[key] !== undefined && typeof body[key] !== 'string') {
+      return `Invalid ${key}: must be a string`;
+    }
+  }
+
+  if (body.cpu !== undefined && (typeof body.cpu !== 'object' || body.cpu === null || Array.isArray(body.cpu))) {
+    return 'Invalid cpu: must be an object';
+  }
+
+  if (body.totalRam !== undefined && (typeof body.totalRam !== 'number' || body.totalRam < 0)) {
+    return 'Invalid totalRam: must be a number of bytes (>=0)';
+  }
+
+  if (body.disks !== undefined && (!Array.isArray(body.disks) || body.disks.some(disk => typeof disk !== 'object' || disk === null))) {
+    return 'Invalid disks: must be an array of objects';
+  }
+
+  if (body.macAddresses !== undefined && (!Array.isArray(body.macAddresses) || body.macAddresses.some(mac => typeof mac !== 'string'))) {
+    return 'Invalid macAddresses: must be an array of strings';
+  }
+
+  return validateLabels(body.declaredGroups, 'declaredGroups') || validateLabels(body.declaredTags, 'declaredTags');
+}
+
+/**
+ * GET /api/machines
+ * Returns the inventory of every known machine
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const machines = await Machine.find().sort({ pcId: 1 });
+
+    res.json({
+      success: true,
+      data: machines,
+      count: machines.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching machines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/machines/labels
+ * Returns every group and tag in use with the number of PCs carrying it
+ */
+router.get('/labels', requireRole('viewer'), async (req, res) => {
+  try {
+    const labels = await Machine.listLabels();
+
+    res.json({
+      success: true,
+      data: labels
+    });
+
+  } catch (error) {
+    console.error('Error fetching machine labels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/machines/:pcId
+ * Returns the inventory of one machine
+ */
+router.get('/:pcId', requireRole('viewer'), async (req, res) => {
+  try {
+    const machine = await Machine.findOne({ pcId: req.params.pcId });
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Machine not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: machine
+    });
+
+  } catch (error) {
+    console.error('Error fetching machine:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/machines/:pcId
+ * Updates the editable fields of a machine
+ * Body: { displayName?, groups?, tags? }
+ *   - displayName: null or "" clears it
+ *   - groups, tags: Replace the admin-assigned lists (admin only); groups and
+ *     tags declared by the client are kept separately
+ */
+router.patch('/:pcId', requireRole('operator'), async (req, res) => {
+  try {
+    const { displayName, groups, tags } = req.body;
+
+    if (displayName !== undefined && displayName !== null && typeof displayName !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid displayName: must be a string'
+      });
+    }
+
+    const labelError = validateLabels(groups, 'groups') || validateLabels(tags, 'tags');
+    if (labelError) {
+      return res.status(400).json({
+        success: false,
+        message: labelError
+      });
+    }
+
+    if ((groups !== undefined || tags !== undefined) && !req.user.hasRole('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Requires admin role to change groups or tags'
+      });
+    }
+
+    const update = { $set: {} };
+    if (displayName) {
+      update.$set.displayName = displayName;
+    } else if (displayName !== undefined) {
+      update.$unset = { displayName: 1 };
+    }
+    if (groups !== undefined) update.$set.groups = [...new Set(groups)];
+    if (tags !== undefined) update.$set.tags = [...new Set(tags)];
+
+    const machine = await Machine.findOneAndUpdate(
+      { pcId: req.params.pcId },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!machine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Machine not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Machine updated successfully',
+      data: machine
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating machine:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/machines/:pcId/inventory
+ * Receives the hardware inventory reported by a client
+ * Body: { manufacturer?, model?, os?, cpu?, totalRam?, disks?, macAddresses?, declaredGroups?, declaredTags? }
+ * Enrolled agents must sign the request (see middleware/agentAuth.js).
+ */
+router.put('/:pcId/inventory', agentAuth({ getPcIds: req => [req.params.pcId] }), async (req, res) => {
+  try {
+    const validationError = validateInventory(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const inventory = Machine.INVENTORY_FIELDS.reduce((fields, key) => {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+      return fields;
+    }, {});
+
+    const machine = await Machine.findOneAndUpdate(
+      { pcId: req.params.pcId },
+      { $set: { ...inventory, inventoryUpdatedAt: new Date() } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Inventory saved successfully',
+      data: machine
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error saving machine inventory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
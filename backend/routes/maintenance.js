@@ -0,0 +1,339 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const maintenance = require('../services/maintenance');
+const { validateCron } = require('../utils/cron');
+const { requireRole } = require('../middleware/auth');
+
+const WINDOW_FIELDS = ['name', 'description', 'scope', 'type', 'startsAt', 'endsAt', 'cron', 'duration', 'enabled'];
+
+// Longest range of GET /periods
+const MAX_PERIOD_RANGE = 31 * 24 * 60 * 60 * 1000;
+
+// Parse an ISO date or epoch milliseconds query value (null when invalid)
+function parseTime(value) {
+  const time = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Validate a maintenance window (the whole window, after an update is applied)
+ * @param {Object} window - Window fields
+ * @returns {string|null} Error message or null when valid
+ */
+function validateWindow(window) {
+  if (!window.name || !window.type) {
+    return 'Missing required fields: name, type';
+  }
+
+  if (!MaintenanceWindow.TYPES.includes(window.type)) {
+    return `Invalid type (${MaintenanceWindow.TYPES.join(', ')})`;
+  }
+
+  const { kind = 'all', pcId, group } = window.scope || {};
+  if (!['all', 'pc', 'group'].includes(kind)) {
+    return 'Invalid scope kind (all, pc, group)';
+  }
+  if (kind === 'pc' && !pcId) {
+    return 'Scope kind "pc" requires scope.pcId';
+  }
+  if (kind === 'group' && !group) {
+    return 'Scope kind "group" requires scope.group';
+  }
+
+  const startsAt = window.startsAt ? new Date(window.startsAt) : null;
+  const endsAt = window.endsAt ? new Date(window.endsAt) : null;
+  if ((startsAt && isNaN(startsAt.getTime())) || (endsAt && isNaN(endsAt.getTime()))) {
+    return 'startsAt and endsAt must be valid dates';
+  }
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    return 'endsAt must be after startsAt';
+  }
+
+  if (window.type === 'once') {
+    if (!startsAt || !endsAt) {
+      return 'One-off windows require startsAt and endsAt';
+    }
+    return null;
+  }
+
+  const cronError = validateCron(window.cron);
+  if (cronError) {
+    return `Invalid cron: ${cronError}`;
+  }
+
+  const { duration } = window;
+  if (typeof duration !== 'number' || duration < 60 || duration > MaintenanceWindow.MAX_DURATION) {
+    return `Invalid duration: must be a number of seconds (60-${MaintenanceWindow.MAX_DURATION})`;
+  }
+
+  return null;
+}
+
+// Copy only known window fields from the request body
+function pickWindowFields(body) {
+  return WINDOW_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+// Window with the period in effect now, if any
+function withActivePeriod(window) {
+  return { ...window.toObject(), activePeriod: window.enabled ? window.periodAt() : null };
+}
+
+/**
+ * GET /api/maintenance
+ * Returns all maintenance windows, with the period in effect now (activePeriod)
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const windows = await MaintenanceWindow.find().sort({ createdAt: 1 });
+    const data = windows.map(withActivePeriod);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching maintenance windows:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/maintenance
+ * Creates a maintenance window
+ * Body: { name, type (once, recurring), scope?, description?, enabled?,
+ *         startsAt + endsAt (once; optional bounds of recurring), cron + duration (recurring, seconds) }
+ */
+router.post('/', requireRole('operator'), async (req, res) => {
+  try {
+    const fields = pickWindowFields(req.body);
+
+    const validationError = validateWindow(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const window = await MaintenanceWindow.create({ ...fields, createdBy: req.user.username });
+    maintenance.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance window created successfully',
+      data: withActivePeriod(window)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creating maintenance window:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/maintenance/periods
+ * Returns the maintenance periods of a PC that overlap a time range, oldest first
+ * Query params:
+ *   - pcId: PC identifier (required)
+ *   - from: Range start (ISO date or epoch ms, default: 24 hours ago)
+ *   - to: Range end (ISO date or epoch ms, default: 24 hours from now; at most 31 days after from)
+ */
+router.get('/periods', requireRole('viewer'), async (req, res) => {
+  try {
+    const { pcId, from, to } = req.query;
+
+    if (typeof pcId !== 'string' || !pcId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required parameter: pcId'
+      });
+    }
+
+    const now = Date.now();
+    const fromTime = from ? parseTime(from) : new Date(now - 24 * 60 * 60 * 1000);
+    const toTime = to ? parseTime(to) : new Date(now + 24 * 60 * 60 * 1000);
+    if (!fromTime || !toTime || toTime <= fromTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates, from before to'
+      });
+    }
+    if (toTime - fromTime > MAX_PERIOD_RANGE) {
+      return res.status(400).json({
+        success: false,
+        message: 'Time range too large (max 31 days)'
+      });
+    }
+
+    const data = await maintenance.periodsForPc(pcId, fromTime, toTime);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching maintenance periods:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/maintenance/:id
+ * Returns a single maintenance window
+ */
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maintenance window id'
+      });
+    }
+
+    const window = await MaintenanceWindow.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withActivePeriod(window)
+    });
+
+  } catch (error) {
+    console.error('Error fetching maintenance window:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/maintenance/:id
+ * Updates a maintenance window (partial updates allowed)
+ */
+router.put('/:id', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maintenance window id'
+      });
+    }
+
+    const window = await MaintenanceWindow.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+
+    const fields = pickWindowFields(req.body);
+    const validationError = validateWindow({ ...window.toObject(), ...fields });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    window.set(fields);
+    await window.save();
+    maintenance.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Maintenance window updated successfully',
+      data: withActivePeriod(window)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating maintenance window:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/maintenance/:id
+ * Deletes a maintenance window
+ */
+router.delete('/:id', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maintenance window id'
+      });
+    }
+
+    const window = await MaintenanceWindow.findByIdAndDelete(req.params.id);
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Maintenance window not found'
+      });
+    }
+    maintenance.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Maintenance window deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting maintenance window:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
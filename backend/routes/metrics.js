@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const metrics = require('../services/metrics');
+
+// Optional bearer token required from scrapers
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+/**
+ * GET /metrics
+ * Prometheus text exposition of fleet gauges and backend self-metrics
+ * Requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set.
+ */
+router.get('/', async (req, res) => {
+  try {
+    if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid metrics token'
+      });
+    }
+
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+
+  } catch (error) {
+    console.error('Error collecting metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const retention = require('../services/retention');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * GET /api/retention
+ * Returns the effective retention of every data tier
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const policies = await retention.getPolicies();
+
+    res.json({
+      success: true,
+      data: policies,
+      count: policies.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching retention policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/retention/purge
+ * Deletes expired data right away instead of waiting for the purge job
+ */
+router.post('/purge', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = await retention.purge();
+    res.locals.affectedCount = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+
+    res.json({
+      success: true,
+      message: 'Expired data purged successfully',
+      data: deleted
+    });
+
+  } catch (error) {
+    console.error('Error purging expired data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/retention/:tier
+ * Overrides the retention of a tier
+ * Body: { hours } (0 keeps the tier forever)
+ */
+router.put('/:tier', requireRole('admin'), async (req, res) => {
+  try {
+    const { tier } = req.params;
+    const { hours } = req.body;
+
+    if (!Object.hasOwn(retention.TIERS, tier)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown retention tier (${Object.keys(retention.TIERS).join(', ')})`
+      });
+    }
+
+    if (typeof hours !== 'number' || !Number.isFinite(hours) || hours < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid hours: must be a number (>=0, 0 keeps data forever)'
+      });
+    }
+
+    await retention.setPolicy(tier, hours, req.user.username);
+    const policies = await retention.getPolicies();
+
+    res.json({
+      success: true,
+      message: 'Retention policy updated successfully',
+      data: policies.find(policy => policy.tier === tier)
+    });
+
+  } catch (error) {
+    console.error('Error updating retention policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/retention/:tier
+ * Removes the override of a tier (back to the environment default)
+ */
+router.delete('/:tier', requireRole('admin'), async (req, res) => {
+  try {
+    const { tier } = req.params;
+
+    if (!Object.hasOwn(retention.TIERS, tier)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown retention tier (${Object.keys(retention.TIERS).join(', ')})`
+      });
+    }
+
+    await retention.resetPolicy(tier);
+    const policies = await retention.getPolicies();
+
+    res.json({
+      success: true,
+      message: 'Retention policy reset to default',
+      data: policies.find(policy => policy.tier === tier)
+    });
+
+  } catch (error) {
+    console.error('Error resetting retention policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
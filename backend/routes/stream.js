@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const stream = require('../services/stream');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * GET /api/stream
+ * Server-Sent Events stream of saved samples ("sample") and PC status changes ("status")
+ * Query params:
+ *   - pcIds: Comma-separated PC IDs to stream, or repeated (default: all PCs)
+ *   - token: Session token (EventSource cannot send an Authorization header)
+ */
+router.get('/', requireRole('viewer', { allowQueryToken: true }), (req, res) => {
+  // A repeated pcIds param is parsed as an array
+  const pcIds = [].concat(req.query.pcIds || [])
+    .join(',')
+    .split(',')
+    .map(pcId => pcId.trim())
+    .filter(Boolean);
+
+  if (!stream.subscribe(req, res, { pcIds })) {
+    res.status(503).json({
+      success: false,
+      message: 'Too many live stream subscribers, use polling'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,91 @@
 const express = require('express');
 const router = express.Router();
 const SystemInfo = require('../models/SystemInfo');
+const Rollup = require('../models/Rollup');
+const Machine = require('../models/Machine');
+const ProcessSnapshot = require('../models/ProcessSnapshot');
+const storage = require('../storage');
+const heartbeat = require('../services/heartbeat');
+const history = require('../services/history');
+const ingestion = require('../services/ingestion');
+const exporter = require('../services/export');
+const metrics = require('../services/metrics');
+const agentAuth = require('../middleware/agentAuth');
+const { requireRole } = require('../middleware/auth');
+const requireDatabase = require('../middleware/database');
+
+// Max buckets returned by the overview time series
+const MAX_TIMESERIES_BUCKETS = 5000;
+
+// Parse an ISO date or epoch milliseconds query value (null when invalid)
+function parseTime(value) {
+  const time = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+// PCs selected by the group/tag query params (null: all PCs)
+function filteredPcIds(query) {
+  return Machine.findPcIds({
+    group: typeof query.group === 'string' ? query.group : undefined,
+    tag: typeof query.tag === 'string' ? query.tag : undefined
+  });
+}
+
+// Batch ingestion limits
+const BATCH_CONFIG = {
+  MAX_SIZE: parseInt(process.env.BATCH_MAX_SIZE) || 500,
+  MAX_FUTURE_SKEW: parseInt(process.env.BATCH_MAX_FUTURE_SKEW) || 5 * 60 * 1000, // 5 minutes
+  MAX_SAMPLE_AGE: parseInt(process.env.BATCH_MAX_SAMPLE_AGE) || 7 * 24 * 60 * 60 * 1000 // 1 week
+};
 
 /**
  * POST /api/systemdata
  * Receives system data from client scripts
- * Body: { pcId, cpu, ram, disk, os, uptime }
+ * Body: { pcId, cpu, ram, disk, os, uptime, interval? } (payload version 1), or
+ *   { version: 2, pcId, os, uptime, cpu: { usage, cores, loadAverage },
+ *     memory: { usage, swap }, disks: [...], interval? } (see services/ingestion.js)
+ *   - interval: Client collection interval in ms, used for offline detection
+ * Enrolled agents must sign the request (see middleware/agentAuth.js).
  */
-router.post('/', async (req, res) => {
+router.post('/', agentAuth(), async (req, res) => {
   try {
-    const { pcId, cpu, ram, disk, os, uptime } = req.body;
+    // Accept both the flat (v1) and the detailed (v2) payload
+    const sample = ingestion.normalizeSample(req.body);
+    const { interval, timestamp, processes, ...fields } = sample || {}; // Single samples are stored at server time
 
-    // Validate required fields
-    if (!pcId || cpu === undefined || ram === undefined || disk === undefined || !os || uptime === undefined) {
+    // Validate required fields and data ranges
+    const validationError = ingestion.validateSample(sample);
+    if (validationError) {
+      metrics.samplesRejected.inc({ endpoint: 'single' });
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: pcId, cpu, ram, disk, os, uptime'
+        message: validationError
       });
     }
 
-    // Validate data ranges
-    if (cpu < 0 || cpu > 100 || ram < 0 || ram > 100 || disk < 0 || disk > 100 || uptime < 0) {
+    // Create new system info document
+    const systemData = new SystemInfo(fields);
+    const schemaError = systemData.validateSync();
+    if (schemaError) {
+      metrics.samplesRejected.inc({ endpoint: 'single' });
       return res.status(400).json({
         success: false,
-        message: 'Invalid data ranges: cpu/ram/disk (0-100), uptime (>=0)'
+        message: schemaError.message
       });
     }
 
-    // Create new system info document
-    const systemData = new SystemInfo({
-      pcId,
-      cpu,
-      ram,
-      disk,
-      os,
-      uptime
-    });
+    // Previous sample is used to detect reboots (uptime went backwards)
+    const previousByPc = await ingestion.findPreviousSamples([systemData]);
 
     // Save to database
-    await systemData.save();
+    await storage.insertSamples([systemData]);
+    metrics.samplesIngested.inc({ endpoint: 'single' });
+
+    // Heartbeat, reboot and alert processing runs in the background so ingestion never fails on it
+    ingestion.processSavedSamples([systemData], previousByPc, {
+      intervals: new Map([[systemData.pcId, interval]]),
+      processes: new Map(processes ? [[systemData._id.toString(), processes]] : [])
+    });
 
     // Return success response
     res.status(201).json({
@@ -61,57 +108,257 @@ router.post('/', async (req, res) => {
   }
 });
 
+// PCs a batch submits data for (checked against the agent key)
+function batchPcIds(req) {
+  return Array.isArray(req.body.samples) ? req.body.samples.map(sample => sample?.pcId) : [];
+}
+
+/**
+ * POST /api/systemdata/batch
+ * Receives several samples at once, each with its own collection time
+ * (e.g. samples a client buffered while the server was unreachable)
+ * Body: { samples: [{ pcId, cpu, ram, disk, os, uptime, timestamp, interval? }] }
+ *   (each sample may also use the version 2 payload)
+ *   - timestamp: Collection time (ISO 8601 string or Unix ms); may not be in the
+ *     future beyond BATCH_MAX_FUTURE_SKEW or older than BATCH_MAX_SAMPLE_AGE
+ * Samples are validated individually; valid ones are stored with a single bulk
+ * insert and the response reports accept/reject per item (in request order).
+ */
+router.post('/batch', agentAuth({ getPcIds: batchPcIds }), async (req, res) => {
+  try {
+    const { samples } = req.body;
+
+    if (!Array.isArray(samples) || samples.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Body must contain a non-empty samples array'
+      });
+    }
+
+    if (samples.length > BATCH_CONFIG.MAX_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch too large: max ${BATCH_CONFIG.MAX_SIZE} samples`
+      });
+    }
+
+    const now = Date.now();
+    const results = [];
+    const documents = [];
+    const intervals = new Map();
+    const processes = new Map();
+
+    samples.forEach((submitted, index) => {
+      const sample = ingestion.normalizeSample(submitted);
+      let error = ingestion.validateSample(sample);
+
+      const time = sample && sample.timestamp !== undefined ? new Date(sample.timestamp) : null;
+      if (!error) {
+        if (!time || isNaN(time.getTime())) {
+          error = 'Missing or invalid timestamp';
+        } else if (time.getTime() > now + BATCH_CONFIG.MAX_FUTURE_SKEW) {
+          error = 'Timestamp is too far in the future';
+        } else if (time.getTime() < now - BATCH_CONFIG.MAX_SAMPLE_AGE) {
+          error = 'Timestamp is too old';
+        }
+      }
+
+      if (error) {
+        results.push({ index, status: 'rejected', pcId: sample?.pcId, error });
+        return;
+      }
+
+      const { interval, timestamp, processes: topProcesses, ...fields } = sample;
+      const { pcId } = fields;
+      const document = new SystemInfo({ ...fields, createdAt: time });
+      const schemaError = document.validateSync();
+      if (schemaError) {
+        results.push({ index, status: 'rejected', pcId, error: schemaError.message });
+        return;
+      }
+
+      if (interval !== undefined) intervals.set(pcId, interval);
+      if (topProcesses) processes.set(document._id.toString(), topProcesses);
+      documents.push(document);
+      results.push({ index, status: 'accepted', pcId, id: document._id, timestamp: time });
+    });
+
+    if (documents.length > 0) {
+      const previousByPc = await ingestion.findPreviousSamples(documents);
+      await storage.insertSamples(documents);
+
+      ingestion.processSavedSamples(documents, previousByPc, { intervals, processes });
+    }
+
+    const accepted = documents.length;
+    metrics.samplesIngested.inc({ endpoint: 'batch' }, accepted);
+    metrics.samplesRejected.inc({ endpoint: 'batch' }, samples.length - accepted);
+    res.status(accepted > 0 ? 201 : 400).json({
+      success: accepted > 0,
+      message: `Accepted ${accepted} of ${samples.length} samples`,
+      accepted,
+      rejected: samples.length - accepted,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error saving batch system data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/systemdata
  * Returns latest data for all PCs and overview statistics
+ * Each latest entry includes its heartbeat status (online, stale, offline).
  * Query params: 
  *   - pcId: Get data for specific PC only
- *   - hours: Historical data for last N hours (default: 24)
+ *   - hours: Historical data for last N hours (default: 24, max: 168)
+ *   - from, to: Absolute range instead of hours, ISO date or epoch ms (to defaults to now);
+ *     for all PCs it also limits the latest entries to PCs that reported in the range
+ *   - maxPoints: Max historical points for a PC (default: 500, max: 5000)
+ *   - resolution: auto, raw, minute, hour or day (default: auto)
+ *     auto returns raw samples when they fit in maxPoints, otherwise the
+ *     finest rollup that does (points then carry averages plus min/max)
+ *   - limit: Page size, 1-5000 (historical points for a PC, latest entries for all PCs);
+ *     paged history uses raw samples unless a resolution is given
+ *   - cursor: nextCursor of the previous page
+ *   - sort: asc or desc (default: asc) - by time for a PC, by pcId for all PCs
+ *   - fields: Comma-separated sample fields to return (pcId and createdAt are always included)
+ *   - group, tag: Only PCs in this group / with this tag (all-PC view)
  */
-router.get('/', async (req, res) => {
+router.get('/', requireRole('viewer'), async (req, res) => {
   try {
-    const { pcId, hours = 24 } = req.query;
+    const { pcId, hours = 24, maxPoints = 500, resolution = 'auto', sort = 'asc', cursor } = req.query;
     const hoursNum = parseInt(hours);
+    const maxPointsNum = parseInt(maxPoints);
+    const limitNum = req.query.limit !== undefined ? parseInt(req.query.limit) : undefined;
+    const fields = req.query.fields ? exporter.parseFields(req.query.fields) : undefined;
 
-    // Validate hours parameter
-    if (isNaN(hoursNum) || hoursNum < 1 || hoursNum > 168) { // Max 1 week
+    // Validate hours parameter (only used without from)
+    if (!req.query.from && (isNaN(hoursNum) || hoursNum < 1 || hoursNum > 168)) { // Max 1 week
       return res.status(400).json({
         success: false,
         message: 'Invalid hours parameter (1-168)'
       });
     }
 
+    const to = req.query.to ? parseTime(req.query.to) : new Date();
+    const from = req.query.from ? parseTime(req.query.from) : to && new Date(to.getTime() - hoursNum * 60 * 60 * 1000);
+    if (!from || !to || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (isNaN(maxPointsNum) || maxPointsNum < 1 || maxPointsNum > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid maxPoints parameter (1-5000)'
+      });
+    }
+
+    if (limitNum !== undefined && (isNaN(limitNum) || limitNum < 1 || limitNum > 5000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-5000)'
+      });
+    }
+
+    if (resolution !== 'auto' && !history.RESOLUTION_ORDER.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid resolution parameter (auto, ${history.RESOLUTION_ORDER.join(', ')})`
+      });
+    }
+
+    if (sort !== 'asc' && sort !== 'desc') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sort parameter (asc, desc)'
+      });
+    }
+
+    if (fields === null) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fields parameter (${exporter.FIELDS.join(', ')})`
+      });
+    }
+
+    const after = cursor !== undefined ? history.decodeCursor(cursor, pcId ? 'history' : 'fleet') : undefined;
+    if (after === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    // A cursor without a limit pages by 500
+    const limitValue = limitNum || (after ? 500 : undefined);
+    const timeRange = req.query.from ? `${from.toISOString()} - ${to.toISOString()}` : `${hoursNum} hours`;
     let response = {};
 
     if (pcId) {
       // Get data for specific PC
       const [latestData, historicalData] = await Promise.all([
-        SystemInfo.findOne({ pcId }).sort({ createdAt: -1 }),
-        SystemInfo.getHistoricalData(pcId, hoursNum)
+        storage.findLatest(pcId),
+        history.getHistory(pcId, {
+          from,
+          to,
+          maxPoints: maxPointsNum,
+          resolution,
+          limit: limitValue,
+          after,
+          sort,
+          fields
+        })
       ]);
 
+      const [latestWithStatus] = latestData ? await heartbeat.attachStatus([latestData]) : [null];
+
       response = {
         success: true,
         data: {
           pcId,
-          latest: latestData,
-          historical: historicalData,
-          timeRange: `${hoursNum} hours`
+          latest: latestWithStatus,
+          historical: historicalData.points,
+          resolution: historicalData.resolution,
+          timeRange,
+          nextCursor: historicalData.nextCursor
         }
       };
     } else {
-      // Get data for all PCs
+      // Get data for all PCs (optionally scoped to a group/tag)
+      // Without an explicit range every PC's latest sample is listed, however old
+      const pcIds = await filteredPcIds(req.query);
+      const latestRange = req.query.from || req.query.to ? { from, to } : {};
       const [latestData, overviewStats] = await Promise.all([
-        SystemInfo.getLatestData(),
-        SystemInfo.getOverviewStats()
+        storage.getLatestData(pcIds, {
+          ...latestRange,
+          sort,
+          limit: limitValue && limitValue + 1,
+          after: after?.pcId,
+          fields
+        }),
+        storage.getOverviewStats(pcIds, { from, to })
       ]);
 
+      const hasMore = Boolean(limitValue) && latestData.length > limitValue;
+      const page = hasMore ? latestData.slice(0, limitValue) : latestData;
+
       response = {
         success: true,
         data: {
-          latest: latestData,
+          latest: await heartbeat.attachStatus(page),
           overview: overviewStats[0] || { avgCpu: 0, avgRam: 0, avgDisk: 0, totalPCs: 0 },
-          timeRange: '24 hours'
+          timeRange,
+          nextCursor: hasMore ? history.encodeCursor({ k: 'fleet', pcId: page[page.length - 1].pcId }) : null
         }
       };
     }
@@ -130,11 +377,13 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/systemdata/pcs
- * Returns list of all unique PC IDs with their latest data
+ * Returns list of all unique PC IDs with their latest data and heartbeat status
+ * Query params: group, tag (only PCs in this group / with this tag)
  */
-router.get('/pcs', async (req, res) => {
+router.get('/pcs', requireRole('viewer'), async (req, res) => {
   try {
-    const pcs = await SystemInfo.getLatestData();
+    const pcIds = await filteredPcIds(req.query);
+    const pcs = await heartbeat.attachStatus(await storage.getLatestData(pcIds));
     
     res.json({
       success: true,
@@ -152,12 +401,217 @@ router.get('/pcs', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/systemdata/overview/timeseries
+ * Returns fleet-wide averages, min/max and the number of reporting PCs per time bucket
+ * Computed from the rollups (see services/rollups.js).
+ * Query params:
+ *   - from: Start of the range, ISO date or epoch ms (default: 24 hours ago)
+ *   - to: End of the range, ISO date or epoch ms (default: now)
+ *   - bucket: minute, hour or day (default: hour)
+ *   - group, tag: Only PCs in this group / with this tag
+ */
+router.get('/overview/timeseries', requireDatabase, requireRole('viewer'), async (req, res) => {
+  try {
+    const { bucket = 'hour' } = req.query;
+    const to = req.query.to ? parseTime(req.query.to) : new Date();
+    const from = req.query.from ? parseTime(req.query.from) : new Date(to - 24 * 60 * 60 * 1000);
+
+    if (!from || !to || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from/to parameters: ISO dates or epoch ms, from before to'
+      });
+    }
+
+    if (!Rollup.RESOLUTIONS[bucket]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bucket parameter (${Object.keys(Rollup.RESOLUTIONS).join(', ')})`
+      });
+    }
+
+    if ((to - from) / Rollup.RESOLUTIONS[bucket] > MAX_TIMESERIES_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Range too large for bucket "${bucket}" (max ${MAX_TIMESERIES_BUCKETS} buckets)`
+      });
+    }
+
+    const pcIds = await filteredPcIds(req.query);
+    const points = await history.getFleetTimeseries({ from, to, bucket, pcIds });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        bucket,
+        points
+      },
+      count: points.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching overview time series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/systemdata/processes
+ * Returns the top processes snapshot of a PC closest to a point in time
+ * (kept for the "processes" retention tier only)
+ * Query params:
+ *   - pcId: PC identifier (required)
+ *   - at: Point in time, ISO date or epoch ms (required)
+ *   - within: Max distance from "at" in ms (default: 10 minutes)
+ */
+router.get('/processes', requireDatabase, requireRole('viewer'), async (req, res) => {
+  try {
+    const { pcId } = req.query;
+    const at = req.query.at ? parseTime(req.query.at) : null;
+    const within = req.query.within !== undefined ? parseInt(req.query.within) : 10 * 60 * 1000;
+
+    if (typeof pcId !== 'string' || !pcId || !at) {
+      return res.status(400).json({
+        success: false,
+        message: 'pcId and a valid at are required'
+      });
+    }
+
+    if (!Number.isInteger(within) || within < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'within must be a non-negative number of milliseconds'
+      });
+    }
+
+    const snapshot = await ProcessSnapshot.findNearest(pcId, at, within);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'No process snapshot near this time'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+
+  } catch (error) {
+    console.error('Error fetching process snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Resolve once the response can take more data (or the client went away)
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * GET /api/systemdata/export
+ * Downloads raw samples, streamed from a database cursor, oldest first
+ * Query params:
+ *   - pcId: PC identifier, or several separated by commas (default: all PCs)
+ *   - group, tag: Only PCs in this group / with this tag (when pcId is not given)
+ *   - from, to: Range, ISO date or epoch ms (default: the last 24 hours)
+ *   - format: csv, json or ndjson (default: csv)
+ *   - fields: Comma-separated fields (default: pcId, createdAt, cpu, ram, disk, os, uptime, netRx, netTx)
+ * Also accepts ?token=<jwt> so browsers can download it with a plain link.
+ */
+router.get('/export', requireRole('viewer', { allowQueryToken: true }), async (req, res) => {
+  let cursor = null;
+
+  try {
+    const { format = 'csv' } = req.query;
+    const to = req.query.to ? parseTime(req.query.to) : new Date();
+    const from = req.query.from ? parseTime(req.query.from) : to && new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    const fields = exporter.parseFields(req.query.fields);
+
+    if (!from || !to || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    if (!Object.keys(exporter.FORMATS).includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format parameter (${Object.keys(exporter.FORMATS).join(', ')})`
+      });
+    }
+
+    if (!fields) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fields parameter (${exporter.FIELDS.join(', ')})`
+      });
+    }
+
+    const pcIds = typeof req.query.pcId === 'string' && req.query.pcId
+      ? req.query.pcId.split(',').map(id => id.trim()).filter(Boolean)
+      : await filteredPcIds(req.query);
+
+    const { contentType, extension } = exporter.FORMATS[format];
+    const filename = `systemdata-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.${extension}`;
+    const serializer = exporter.createSerializer(format, fields);
+
+    cursor = storage.iterateSamples({ pcIds, from, to, fields });
+
+    // Stop reading when the client disconnects
+    res.on('close', () => { cursor.close().catch(() => {}); });
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(serializer.start());
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      if (!res.write(serializer.row(doc))) await waitForDrain(res);
+    }
+
+    if (!res.destroyed) res.end(serializer.end());
+
+  } catch (error) {
+    console.error('Error exporting system data:', error);
+    if (cursor) cursor.close().catch(() => {});
+
+    // Once streaming has started the status can't change: cut the download short instead
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/systemdata/cleanup
- * Cleans up old data (older than specified hours)
+ * Cleans up old data (older than specified hours) - admin only
  * Query params: hours (default: 24)
  */
-router.delete('/cleanup', async (req, res) => {
+router.delete('/cleanup', requireRole('admin'), async (req, res) => {
   try {
     const { hours = 24 } = req.query;
     const hoursNum = parseInt(hours);
@@ -169,7 +623,8 @@ router.delete('/cleanup', async (req, res) => {
       });
     }
 
-    const result = await SystemInfo.cleanupOldData(hoursNum);
+    const result = await storage.deleteOlderThan(new Date(Date.now() - hoursNum * 60 * 60 * 1000));
+    res.locals.affectedCount = result.deletedCount;
 
     res.json({
       success: true,
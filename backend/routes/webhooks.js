@@ -0,0 +1,398 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const notifier = require('../services/notifier');
+const { requireRole } = require('../middleware/auth');
+const { generateSecret } = require('../utils/signing');
+
+const WEBHOOK_FIELDS = ['name', 'url', 'secret', 'events', 'pcIds', 'enabled'];
+
+/**
+ * Validate a webhook payload
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (updates)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateWebhook(body, partial = false) {
+  if (!partial && (!body.name || !body.url)) {
+    return 'Missing required fields: name, url';
+  }
+
+  if (body.url !== undefined) {
+    let target;
+    try {
+      target = new URL(body.url);
+    } catch (error) {
+      return 'Invalid url';
+    }
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      return 'Invalid url: only http and https are supported';
+    }
+  }
+
+  for (const key of ['events', 'pcIds']) {
+    if (body[key] !== undefined && (!Array.isArray(body[key]) || body[key].some(item => typeof item !== 'string'))) {
+      return `Invalid ${key}: must be an array of strings`;
+    }
+  }
+
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    return 'Invalid secret: must be a string of at least 16 characters';
+  }
+
+  return null;
+}
+
+// Copy only known webhook fields from the request body
+function pickWebhookFields(body) {
+  return WEBHOOK_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+}
+
+/**
+ * GET /api/webhooks
+ * Returns all registered webhooks (secrets are never included)
+ */
+router.get('/', requireRole('operator'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Registers a webhook endpoint
+ * Body: { name, url, events?, pcIds?, secret?, enabled? }
+ * A secret is generated when none is supplied; it is only returned in this response.
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const validationError = validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const fields = pickWebhookFields(req.body);
+    fields.secret = fields.secret || generateSecret();
+
+    const webhook = await Webhook.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered successfully',
+      data: {
+        ...webhook.toObject(),
+        secret: fields.secret
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error registering webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Returns the delivery log across all webhooks
+ * Query params:
+ *   - webhookId: Only deliveries to this webhook
+ *   - status: pending, success or failed
+ *   - event: Only deliveries of this event
+ *   - limit: Max number of deliveries (default: 100, max: 1000)
+ */
+router.get('/deliveries', requireRole('operator'), async (req, res) => {
+  try {
+    const { webhookId, status, event, limit = 100 } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-1000)'
+      });
+    }
+
+    if (status && !['pending', 'success', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status parameter (pending, success, failed)'
+      });
+    }
+
+    if (webhookId && !mongoose.isValidObjectId(webhookId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhookId parameter'
+      });
+    }
+
+    const filter = {};
+    if (webhookId) filter.webhookId = webhookId;
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limitNum);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Returns a single webhook
+ */
+router.get('/:id', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Updates a webhook (partial updates allowed, including secret rotation)
+ */
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const validationError = validateWebhook(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickWebhookFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Removes a webhook; its delivery log is kept
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Sends a "webhook.test" event to the webhook and returns the first attempt result
+ */
+router.post('/:id/test', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await notifier.enqueue(webhook, 'webhook.test', {
+      message: 'Test notification from Multi-PC System Monitoring'
+    });
+    const result = await notifier.attemptDelivery(delivery._id);
+
+    res.json({
+      success: true,
+      message: `Test delivery ${result.status}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Returns the delivery log for one webhook
+ * Query params: limit (default: 100, max: 1000)
+ */
+router.get('/:id/deliveries', requireRole('operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook id'
+      });
+    }
+
+    const limitNum = parseInt(req.query.limit || 100);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit parameter (1-1000)'
+      });
+    }
+
+    const deliveries = await WebhookDelivery.find({ webhookId: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(limitNum);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Rollup = require('../models/Rollup');
+const rollups = require('../services/rollups');
+const storage = require('../storage');
+
+/**
+ * Rebuild rollups
+ *
+ * Recomputes the minute/hour/day rollups from the raw samples in the sample
+ * store (STORAGE_BACKEND), e.g. for data stored before rollups existed.
+ * Existing buckets in the range are replaced. With the memory store the
+ * samples are read from STORAGE_FILE, so stop the server first to have it
+ * save them.
+ *
+ * Usage:
+ *   node scripts/rebuild-rollups.js          # last 168 hours
+ *   node scripts/rebuild-rollups.js 24       # last 24 hours
+ */
+
+async function main() {
+  const hours = parseInt(process.argv[2]) || 168;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await storage.open();
+  await Promise.all(Object.keys(Rollup.RESOLUTIONS).map(resolution => Rollup[resolution].syncIndexes()));
+
+  console.log(`🔄 Rebuilding rollups for the last ${hours} hours...`);
+  const result = await rollups.rebuild({ from: new Date(Date.now() - hours * 60 * 60 * 1000) });
+
+  for (const [resolution, count] of Object.entries(result)) {
+    console.log(`✅ ${resolution}: ${count} buckets`);
+  }
+
+  await storage.close();
+  await mongoose.connection.close();
+}
+
+main().catch(async (error) => {
+  console.error('❌ Rollup rebuild failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+const http = require('http');
+const { verify } = require('../utils/signing');
+require('dotenv').config();
+
+/**
+ * Local webhook receiver
+ *
+ * Stand-in for chat/ticketing tools while developing or testing webhooks.
+ * Logs every delivery, verifies its signature and can simulate failing
+ * receivers to exercise the retry logic.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js
+ *   RECEIVER_FAIL_FIRST=2 WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js
+ *
+ * Then register http://localhost:5050/ as a webhook URL.
+ */
+
+const CONFIG = {
+  PORT: parseInt(process.env.RECEIVER_PORT) || 5050,
+  SECRET: process.env.WEBHOOK_SECRET || '',
+  // Respond 500 to this many requests before accepting deliveries
+  FAIL_FIRST: parseInt(process.env.RECEIVER_FAIL_FIRST) || 0
+};
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received++;
+
+    const timestamp = req.headers['x-monitor-timestamp'];
+    const signature = req.headers['x-monitor-signature'];
+    const signatureStatus = CONFIG.SECRET
+      ? (verify(CONFIG.SECRET, timestamp, body, signature) ? 'valid' : 'INVALID')
+      : 'not checked (WEBHOOK_SECRET not set)';
+
+    console.log(`\n📨 #${received} ${req.method} ${req.url}`);
+    console.log(`   Event:     ${req.headers['x-monitor-event']}`);
+    console.log(`   Delivery:  ${req.headers['x-monitor-delivery']}`);
+    console.log(`   Signature: ${signatureStatus}`);
+    console.log(`   Body:      ${body}`);
+
+    if (received <= CONFIG.FAIL_FIRST) {
+      console.log('   ↩️  Simulating failure (500)');
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ success: false }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  });
+});
+
+server.listen(CONFIG.PORT, () => {
+  console.log(`🎯 Webhook receiver listening on http://localhost:${CONFIG.PORT}/`);
+});
@@ -5,16 +5,81 @@ require('dotenv').config();
 
 // Import routes
 const systemDataRoutes = require('./routes/systemData');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
+const agentRoutes = require('./routes/agents');
+const authRoutes = require('./routes/auth');
+const streamRoutes = require('./routes/stream');
+const metricsRoutes = require('./routes/metrics');
+const retentionRoutes = require('./routes/retention');
+const machineRoutes = require('./routes/machines');
+const anomalyRoutes = require('./routes/anomalies');
+const capacityRoutes = require('./routes/capacity');
+const agentConfigRoutes = require('./routes/agentConfig');
+const diagnosticRoutes = require('./routes/diagnostics');
+const auditRoutes = require('./routes/audit');
+const maintenanceRoutes = require('./routes/maintenance');
 
 // ✅ Import model (REQUIRED for index sync)
 const SystemInfo = require('./models/SystemInfo');
+const AlertRule = require('./models/AlertRule');
+const Alert = require('./models/Alert');
+const Webhook = require('./models/Webhook');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const PcStatus = require('./models/PcStatus');
+const AgentKey = require('./models/AgentKey');
+const EnrollmentToken = require('./models/EnrollmentToken');
+const User = require('./models/User');
+const Rollup = require('./models/Rollup');
+const RetentionPolicy = require('./models/RetentionPolicy');
+const Machine = require('./models/Machine');
+const ProcessSnapshot = require('./models/ProcessSnapshot');
+const Baseline = require('./models/Baseline');
+const Anomaly = require('./models/Anomaly');
+const AgentConfig = require('./models/AgentConfig');
+const DiagnosticJob = require('./models/DiagnosticJob');
+const AuditEntry = require('./models/AuditEntry');
+const MaintenanceWindow = require('./models/MaintenanceWindow');
+
+// Background services
+const notifier = require('./services/notifier');
+const heartbeat = require('./services/heartbeat');
+const stream = require('./services/stream');
+const metrics = require('./services/metrics');
+const retention = require('./services/retention');
+
+// Raw sample store (STORAGE_BACKEND)
+const storage = require('./storage');
+
+// Audit log of mutating calls
+const audit = require('./middleware/audit');
+
+// 503 for MongoDB-only routes while it is unreachable
+const requireDatabase = require('./middleware/database');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const MONGODB_RETRY_INTERVAL = parseInt(process.env.MONGODB_RETRY_INTERVAL) || 30000;
+
+// With another sample store the server runs without MongoDB: fail MongoDB
+// queries right away instead of queueing them until it connects
+mongoose.set('bufferCommands', storage.backend === 'mongodb');
+
+// Behind a reverse proxy, take client IPs from X-Forwarded-For (hop count, true or trusted addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  limit: '1mb', // Batch submissions carry up to BATCH_MAX_SIZE samples
+  // Keep the raw body for agent signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -23,25 +88,96 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request latency metrics
+app.use(metrics.requestMetrics);
+
+// Audit log of mutating calls
+app.use(audit);
+
+// Sample store (opens STORAGE_FILE for the memory and sqlite backends)
+// Requests are only accepted once it is open
+storage.open()
+.then(() => {
+  console.log(`💾 Sample storage: ${storage.backend}`);
+  stream.start();
+  listen();
+})
+.catch((error) => {
+  console.error('❌ Sample storage error:', error);
+  process.exit(1);
+});
+
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI;
 
-mongoose.connect(MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(async () => {
+// MongoDB is required with the mongodb store; other stores run without it
+// and keep retrying, with the MongoDB-only routes answering 503 meanwhile
+function connectMongo() {
+  return mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(onMongoConnected)
+  .catch(async (error) => {
+    console.error('❌ MongoDB connection error:', error);
+
+    if (storage.backend === 'mongodb') {
+      process.exit(1);
+    }
+    // Start over, also when the setup after connecting failed
+    await mongoose.disconnect().catch(() => {});
+    console.warn(`⚠️ Running without MongoDB (STORAGE_BACKEND=${storage.backend}); retrying in ${MONGODB_RETRY_INTERVAL / 1000}s. Accounts, agent keys, alerts and settings are unavailable until then.`);
+    setTimeout(connectMongo, MONGODB_RETRY_INTERVAL);
+  });
+}
+
+async function onMongoConnected() {
   console.log('✅ Connected to MongoDB successfully');
 
-  // 🔥 IMPORTANT: Sync indexes (TTL, compound index)
+  // 🔥 IMPORTANT: Sync indexes (unique, compound, enrollment token TTL)
+  // Sample, rollup and log retention is enforced by services/retention.js
   await SystemInfo.syncIndexes();
+  await AlertRule.syncIndexes();
+  await Alert.backfillOpen();
+  await Alert.syncIndexes();
+  await Webhook.syncIndexes();
+  await WebhookDelivery.syncIndexes();
+  await PcStatus.syncIndexes();
+  await AgentKey.syncIndexes();
+  await EnrollmentToken.syncIndexes();
+  await User.syncIndexes();
+  await Rollup.minute.syncIndexes();
+  await Rollup.hour.syncIndexes();
+  await Rollup.day.syncIndexes();
+  await RetentionPolicy.syncIndexes();
+  await Machine.syncIndexes();
+  await ProcessSnapshot.syncIndexes();
+  await Baseline.syncIndexes();
+  await Anomaly.syncIndexes();
+  await AgentConfig.syncIndexes();
+  await DiagnosticJob.syncIndexes();
+  await AuditEntry.syncIndexes();
+  await MaintenanceWindow.syncIndexes();
   console.log('📌 MongoDB indexes synced');
 
-})
-.catch((error) => {
-  console.error('❌ MongoDB connection error:', error);
-  process.exit(1);
-});
+  // Create the first admin account on a fresh database
+  const admin = await User.ensureAdmin(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD);
+  if (admin) {
+    console.log(`👤 Created admin account "${admin.username}"`);
+  } else if (!(await User.exists({}))) {
+    console.warn('⚠️ No user accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+  }
+
+  notifier.start();
+  heartbeat.start();
+  retention.start();
+}
+
+if (MONGODB_URI || storage.backend === 'mongodb') {
+  connectMongo();
+} else {
+  console.warn(`⚠️ MONGODB_URI is not set. Running without MongoDB (STORAGE_BACKEND=${storage.backend}): accounts, agent keys, alerts and settings are unavailable.`);
+}
 
 // MongoDB connection event handlers
 mongoose.connection.on('connected', () => {
@@ -57,7 +193,23 @@ mongoose.connection.on('disconnected', () => {
 });
 
 // Routes
+// Samples, history, capacity and the live stream are served from the sample
+// store; the other routes need MongoDB
 app.use('/api/systemdata', systemDataRoutes);
+app.use('/api/alerts', requireDatabase, alertRoutes);
+app.use('/api/webhooks', requireDatabase, webhookRoutes);
+app.use('/api/agents', requireDatabase, agentRoutes);
+app.use('/api/auth', requireDatabase, authRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/retention', requireDatabase, retentionRoutes);
+app.use('/api/machines', requireDatabase, machineRoutes);
+app.use('/api/anomalies', requireDatabase, anomalyRoutes);
+app.use('/api/capacity', capacityRoutes);
+app.use('/api/agent-config', requireDatabase, agentConfigRoutes);
+app.use('/api/diagnostics', requireDatabase, diagnosticRoutes);
+app.use('/api/audit', requireDatabase, auditRoutes);
+app.use('/api/maintenance', requireDatabase, maintenanceRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -74,6 +226,7 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     uptime: process.uptime(),
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    storage: storage.backend,
     timestamp: new Date().toISOString()
   });
 });
@@ -100,6 +253,11 @@ app.use((error, req, res, next) => {
 async function shutdown(signal) {
   console.log(`\n🛑 ${signal} received. Shutting down gracefully...`);
   try {
+    notifier.stop();
+    heartbeat.stop();
+    stream.stop();
+    retention.stop();
+    await storage.close();
     await mongoose.connection.close();
     console.log('📊 MongoDB connection closed');
     process.exit(0);
@@ -112,14 +270,16 @@ async function shutdown(signal) {
 process.on('SIGINT', () => shutdown('SIGINT'));
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Start server (once the sample store is open)
+function listen() {
+  app.listen(PORT, () => {
+    console.log(`
 🚀 Multi-PC System Monitoring Backend
 📡 Port: ${PORT}
 🌐 Environment: ${process.env.NODE_ENV || 'production'}
 ⏰ Started: ${new Date().toISOString()}
-  `);
-});
+    `);
+  });
+}
 
 module.exports = app;
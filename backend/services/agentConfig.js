@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const AgentConfig = require('../models/AgentConfig');
+const Machine = require('../models/Machine');
+
+/**
+ * Agent Configuration
+ *
+ * Agents fetch their settings from the backend at startup and periodically.
+ * A PC's effective settings merge the default document, the documents of its
+ * groups (in name order, later groups winning) and its own document; retry
+ * and thresholds merge key by key. Settings no document sets are left to the
+ * agent's environment. The version is a hash of the merged settings, so it
+ * changes only when they do and doubles as the ETag.
+ */
+
+/**
+ * Settings keys, with the keys of the nested ones
+ */
+const SETTING_KEYS = ['interval', 'collectors', 'topProcesses', 'retry', 'thresholds'];
+const NESTED_KEYS = {
+  retry: ['maxRetries', 'retryDelay'],
+  thresholds: ['cpu', 'ram', 'disk']
+};
+
+// Settings that must be whole numbers
+const INTEGER_SETTINGS = [['interval'], ['topProcesses'], ['retry', 'maxRetries'], ['retry', 'retryDelay']];
+
+// Plain object check (not null, not an array)
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the shape of submitted settings (ranges are checked by the schema)
+ * @param {*} settings - Submitted settings
+ * @returns {string|null} Error message or null when valid
+ */
+function validateSettings(settings) {
+  if (!isObject(settings)) {
+    return 'settings must be an object';
+  }
+
+  const unknown = Object.keys(settings).filter(key => !SETTING_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return `Unknown settings: ${unknown.join(', ')} (${SETTING_KEYS.join(', ')})`;
+  }
+
+  for (const [key, keys] of Object.entries(NESTED_KEYS)) {
+    if (settings[key] === undefined) continue;
+    if (!isObject(settings[key])) {
+      return `${key} must be an object`;
+    }
+    const unknownNested = Object.keys(settings[key]).filter(nested => !keys.includes(nested));
+    if (unknownNested.length > 0) {
+      return `Unknown ${key} settings: ${unknownNested.join(', ')} (${keys.join(', ')})`;
+    }
+  }
+
+  if (settings.collectors !== undefined &&
+      (!Array.isArray(settings.collectors) || new Set(settings.collectors).size !== settings.collectors.length)) {
+    return `collectors must be a list without duplicates (${AgentConfig.COLLECTORS.join(', ')})`;
+  }
+
+  for (const path of INTEGER_SETTINGS) {
+    const value = path.reduce((parent, key) => parent?.[key], settings);
+    if (value !== undefined && !Number.isInteger(value)) {
+      return `${path.join('.')} must be a whole number`;
+    }
+  }
+
+  return null;
+}
+
+// Apply the settings a document sets over merged settings
+function mergeSettings(base, settings = {}) {
+  const merged = { ...base };
+  for (const key of SETTING_KEYS) {
+    const value = settings[key];
+    if (value === undefined || value === null) continue;
+    merged[key] = NESTED_KEYS[key] ? { ...merged[key], ...value } : value;
+  }
+  return merged;
+}
+
+// JSON with sorted object keys, so equal settings always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Version of merged settings
+ * @param {Object} settings - Merged settings
+ * @returns {string} Short hash of the settings
+ */
+function versionOf(settings) {
+  return crypto.createHash('sha256').update(canonicalJson(settings)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Get the effective configuration of a PC
+ * @param {string} pcId - PC identifier
+ * @returns {Promise<Object>} { pcId, version, settings, sources: [{ scope, target }] }
+ *   sources lists the merged documents, broadest first
+ */
+async function getEffectiveConfig(pcId) {
+  const groups = (await Machine.groupsByPc([pcId])).get(pcId) || [];
+  const documents = await AgentConfig.find({
+    $or: [
+      { scope: 'default' },
+      { scope: 'group', target: { $in: groups } },
+      { scope: 'pc', target: pcId }
+    ]
+  }).lean();
+
+  const rank = document => AgentConfig.SCOPES.indexOf(document.scope);
+  documents.sort((a, b) => rank(a) - rank(b) || a.target.localeCompare(b.target));
+
+  const settings = documents.reduce((merged, document) => mergeSettings(merged, document.settings), {});
+  return {
+    pcId,
+    version: versionOf(settings),
+    settings,
+    sources: documents.map(({ scope, target }) => ({ scope, target }))
+  };
+}
+
+module.exports = {
+  SETTING_KEYS,
+  validateSettings,
+  versionOf,
+  getEffectiveConfig
+};
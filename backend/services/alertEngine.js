@@ -0,0 +1,168 @@
+const AlertRule = require('../models/AlertRule');
+const Alert = require('../models/Alert');
+const maintenance = require('./maintenance');
+const { eventBus, EVENTS } = require('./events');
+
+/**
+ * Alert Engine
+ *
+ * Evaluates enabled alert rules against every ingested sample and keeps
+ * one open Alert document per rule/PC pair:
+ *   - condition breached, no open alert  -> pending (or firing if duration is 0)
+ *   - pending and breached for duration   -> firing
+ *   - condition cleared while pending     -> pending alert is discarded
+ *   - condition cleared while firing      -> resolved
+ *
+ * Transitions to firing and resolved are published on the event bus.
+ * Samples taken during a maintenance window of their PC are not evaluated:
+ * no alert is opened, advanced or resolved until the window ends.
+ */
+
+// Pick the worse of two values for the rule's direction
+function worstValue(rule, current, value) {
+  if (current === undefined || current === null) return value;
+  if (rule.comparator.startsWith('<')) return Math.min(current, value);
+  return Math.max(current, value);
+}
+
+/**
+ * Evaluate a single rule against a sample
+ * @param {Object} rule - AlertRule document
+ * @param {Object} sample - Saved SystemInfo document
+ * @returns {Promise<Object|null>} The alert that was created or updated, if any
+ */
+async function evaluateRule(rule, sample) {
+  const value = sample[rule.metric];
+  if (typeof value !== 'number') return null;
+
+  const sampleTime = sample.createdAt ? new Date(sample.createdAt) : new Date();
+  const breached = rule.isBreached(value);
+
+  const openFilter = { ruleId: rule._id, pcId: sample.pcId, open: true };
+  let openAlert = await Alert.findOne(openFilter);
+
+  if (breached) {
+    if (!openAlert) {
+      const firesImmediately = !rule.duration;
+      const status = firesImmediately ? 'firing' : 'pending';
+
+      try {
+        const alert = await Alert.create({
+          ruleId: rule._id,
+          ruleName: rule.name,
+          condition: rule.describe(),
+          metric: rule.metric,
+          severity: rule.severity,
+          pcId: sample.pcId,
+          status,
+          value,
+          peakValue: value,
+          startedAt: sampleTime,
+          firedAt: firesImmediately ? sampleTime : undefined,
+          history: [{ status, value, at: sampleTime }]
+        });
+
+        if (firesImmediately) eventBus.emit(EVENTS.ALERT_FIRING, alert.toObject());
+        return alert;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // A concurrently evaluated sample opened it first (unique open alert
+        // index): apply this sample to that alert instead
+        openAlert = await Alert.findOne(openFilter);
+        if (!openAlert) return null;
+      }
+    }
+
+    openAlert.value = value;
+    openAlert.peakValue = worstValue(rule, openAlert.peakValue, value);
+
+    const breachedFor = sampleTime - openAlert.startedAt;
+    if (openAlert.status === 'pending' && breachedFor >= rule.duration * 1000) {
+      openAlert.status = 'firing';
+      openAlert.firedAt = sampleTime;
+      openAlert.history.push({ status: 'firing', value, at: sampleTime });
+      await openAlert.save();
+      eventBus.emit(EVENTS.ALERT_FIRING, openAlert.toObject());
+      return openAlert;
+    }
+
+    return openAlert.save();
+  }
+
+  if (!openAlert) return null;
+
+  // Condition cleared before the duration elapsed: it never became an alert
+  if (openAlert.status === 'pending') {
+    await openAlert.deleteOne();
+    return null;
+  }
+
+  openAlert.status = 'resolved';
+  openAlert.value = value;
+  openAlert.resolvedAt = sampleTime;
+  openAlert.history.push({ status: 'resolved', value, at: sampleTime });
+  await openAlert.save();
+
+  eventBus.emit(EVENTS.ALERT_RESOLVED, openAlert.toObject());
+  return openAlert;
+}
+
+/**
+ * Evaluate all enabled rules that apply to the sample's PC
+ * Nothing is evaluated while the PC is in a maintenance window.
+ * @param {Object} sample - Saved SystemInfo document
+ * @param {Object} [context] - Extra PC context
+ * @param {string[]} [context.groups] - Groups the PC belongs to
+ * @returns {Promise<Object[]>} Alerts created or updated by this sample
+ */
+async function evaluateSample(sample, context = {}) {
+  const sampleTime = sample.createdAt ? new Date(sample.createdAt) : new Date();
+  if (await maintenance.activeWindow(sample.pcId, context.groups || [], sampleTime)) return [];
+
+  const rules = await AlertRule.find({ enabled: true });
+  const applicable = rules.filter(rule => rule.appliesTo(sample.pcId, context.groups || []));
+
+  const results = [];
+  for (const rule of applicable) {
+    try {
+      const alert = await evaluateRule(rule, sample);
+      if (alert) results.push(alert);
+    } catch (error) {
+      console.error(`Error evaluating alert rule ${rule._id}:`, error);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Resolve every open alert raised by a rule (used when a rule is disabled or deleted)
+ * @param {Object} rule - AlertRule document
+ * @param {string} note - Reason stored in the alert history
+ */
+async function resolveAlertsForRule(rule, note) {
+  const openAlerts = await Alert.find({ ruleId: rule._id, open: true });
+
+  const now = new Date();
+  for (const alert of openAlerts) {
+    if (alert.status === 'pending') {
+      await alert.deleteOne();
+      continue;
+    }
+
+    alert.status = 'resolved';
+    alert.resolvedAt = now;
+    alert.history.push({ status: 'resolved', value: alert.value, at: now, note });
+    await alert.save();
+    eventBus.emit(EVENTS.ALERT_RESOLVED, alert.toObject());
+  }
+
+  return openAlerts.length;
+}
+
+module.exports = {
+  evaluateSample,
+  evaluateRule,
+  resolveAlertsForRule
+};
@@ -0,0 +1,134 @@
+const Baseline = require('../models/Baseline');
+const Anomaly = require('../models/Anomaly');
+
+/**
+ * Anomaly Detection
+ *
+ * Keeps a rolling baseline per PC, metric and hour of the day (UTC): an
+ * exponentially weighted moving average (EWMA) of the mean and variance.
+ * Before a sample is folded into its baseline it is compared with it; a value
+ * more than ANOMALY_SIGMA standard deviations from the mean is recorded as an
+ * anomaly. Baselines need ANOMALY_MIN_SAMPLES samples before they are used,
+ * and the standard deviation is floored at ANOMALY_MIN_STDDEV so near-constant
+ * metrics don't flag every small change.
+ */
+
+// Configuration
+const CONFIG = {
+  ALPHA: parseFloat(process.env.ANOMALY_ALPHA) || 0.05, // EWMA weight of a new sample
+  SIGMA: parseFloat(process.env.ANOMALY_SIGMA) || 3,
+  MIN_SAMPLES: parseInt(process.env.ANOMALY_MIN_SAMPLES) || 30,
+  MIN_STDDEV: parseFloat(process.env.ANOMALY_MIN_STDDEV) || 2 // percentage points
+};
+
+/**
+ * Metrics with a baseline
+ */
+const METRICS = ['cpu', 'ram', 'disk'];
+
+// Detection runs one batch at a time so baselines are updated in sample order
+let queue = Promise.resolve();
+
+// Baseline map key
+function baselineKey(pcId, metric, hour) {
+  return `${pcId}|${metric}|${hour}`;
+}
+
+// Fold a value into a baseline (EWMA mean and variance)
+function updateBaseline(baseline, value) {
+  if (baseline.count === 0) {
+    return { ...baseline, mean: value, variance: 0, count: 1 };
+  }
+
+  const diff = value - baseline.mean;
+  const increment = CONFIG.ALPHA * diff;
+  return {
+    ...baseline,
+    mean: baseline.mean + increment,
+    variance: (1 - CONFIG.ALPHA) * (baseline.variance + diff * increment),
+    count: baseline.count + 1
+  };
+}
+
+// Compare samples with their baselines, then update the baselines
+async function detect(samples) {
+  if (samples.length === 0) return [];
+
+  const pcIds = [...new Set(samples.map(sample => sample.pcId))];
+  const stored = await Baseline.find({ pcId: { $in: pcIds } }).lean();
+  const baselines = new Map(stored.map(baseline => [
+    baselineKey(baseline.pcId, baseline.metric, baseline.hour),
+    { pcId: baseline.pcId, metric: baseline.metric, hour: baseline.hour, mean: baseline.mean, variance: baseline.variance, count: baseline.count }
+  ]));
+  const changed = new Set();
+  const anomalies = [];
+
+  for (const sample of samples) {
+    const createdAt = new Date(sample.createdAt);
+    const hour = createdAt.getUTCHours();
+
+    for (const metric of METRICS) {
+      const value = sample[metric];
+      if (typeof value !== 'number') continue;
+
+      const key = baselineKey(sample.pcId, metric, hour);
+      const baseline = baselines.get(key) || { pcId: sample.pcId, metric, hour, mean: 0, variance: 0, count: 0 };
+
+      if (baseline.count >= CONFIG.MIN_SAMPLES) {
+        const stdDev = Math.sqrt(baseline.variance);
+        const sigma = (value - baseline.mean) / Math.max(stdDev, CONFIG.MIN_STDDEV);
+
+        if (Math.abs(sigma) > CONFIG.SIGMA) {
+          anomalies.push({
+            pcId: sample.pcId,
+            metric,
+            sampleId: sample._id,
+            value,
+            mean: Math.round(baseline.mean * 100) / 100,
+            stdDev: Math.round(stdDev * 100) / 100,
+            sigma: Math.round(sigma * 100) / 100,
+            direction: sigma > 0 ? 'high' : 'low',
+            createdAt
+          });
+        }
+      }
+
+      baselines.set(key, updateBaseline(baseline, value));
+      changed.add(key);
+    }
+  }
+
+  await Baseline.bulkWrite([...changed].map((key) => {
+    const { pcId, metric, hour, mean, variance, count } = baselines.get(key);
+    return {
+      updateOne: {
+        filter: { pcId, metric, hour },
+        update: { $set: { mean, variance, count } },
+        upsert: true
+      }
+    };
+  }));
+
+  if (anomalies.length > 0) {
+    await Anomaly.insertMany(anomalies);
+  }
+
+  return anomalies;
+}
+
+/**
+ * Check saved samples against their baselines and update the baselines
+ * @param {Object[]} samples - Saved SystemInfo documents, oldest first
+ * @returns {Promise<Object[]>} Anomalies recorded
+ */
+function processSamples(samples) {
+  const run = queue.then(() => detect(samples));
+  queue = run.catch(() => {});
+  return run;
+}
+
+module.exports = {
+  METRICS,
+  CONFIG,
+  processSamples
+};
@@ -0,0 +1,184 @@
+const Rollup = require('../models/Rollup');
+const storage = require('../storage');
+const database = require('../utils/database');
+
+/**
+ * Disk Capacity Forecasting
+ *
+ * Fits a linear trend to each PC's disk usage over the last
+ * CAPACITY_LOOKBACK_DAYS (hourly averages) and extrapolates when it reaches
+ * 100%. The overall disk value comes from the hour rollups; filesystems
+ * reported by detailed (version 2) samples are forecast from the raw samples,
+ * so their history is limited by the raw sample retention. Without MongoDB
+ * (see utils/database.js) the overall disk value is averaged from the raw
+ * samples too.
+ *
+ * Confidence reflects how well a straight line explains the history (r²)
+ * and how long that history is.
+ */
+
+// Configuration
+const CONFIG = {
+  LOOKBACK_DAYS: parseInt(process.env.CAPACITY_LOOKBACK_DAYS) || 14,
+  CACHE_TTL: parseInt(process.env.CAPACITY_CACHE_TTL) || 5 * 60 * 1000, // 5 minutes
+  MIN_POINTS: 6 // Hourly points needed for a forecast
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let cachedReport = null; // { createdAt, forecasts }
+let pendingReport = null; // Build in progress, shared by concurrent requests
+
+/**
+ * Fit a linear trend to usage points and extrapolate to 100%
+ * @param {Object[]} points - [{ time: Date, usage: Number }] oldest first
+ * @returns {Object} { current, slopePerDay, r2, points, daysUntilFull, fullAt, confidence }
+ *   daysUntilFull/fullAt are null when usage isn't growing; confidence is
+ *   high, medium, low or none (too little history)
+ */
+function forecast(points) {
+  const current = points.length > 0 ? Math.round(points[points.length - 1].usage * 100) / 100 : null;
+  const result = { current, slopePerDay: null, r2: null, points: points.length, daysUntilFull: null, fullAt: null, confidence: 'none' };
+  if (points.length < CONFIG.MIN_POINTS) return result;
+
+  // Least squares over (days since first point, usage)
+  const origin = points[0].time.getTime();
+  const xs = points.map(point => (point.time.getTime() - origin) / DAY);
+  const ys = points.map(point => point.usage);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (ys[i] - meanY);
+    syy += (ys[i] - meanY) ** 2;
+  });
+  if (sxx === 0) return result;
+
+  const slope = sxy / sxx;
+  const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  const spanDays = xs[xs.length - 1];
+
+  result.slopePerDay = Math.round(slope * 1000) / 1000;
+  result.r2 = Math.round(r2 * 1000) / 1000;
+
+  if (r2 >= 0.8 && spanDays >= 3) result.confidence = 'high';
+  else if (r2 >= 0.5 && spanDays >= 1) result.confidence = 'medium';
+  else result.confidence = 'low';
+
+  if (slope > 0) {
+    const days = Math.max(0, (100 - current) / slope);
+    result.daysUntilFull = Math.round(days * 10) / 10;
+    result.fullAt = new Date(points[points.length - 1].time.getTime() + days * DAY);
+  }
+
+  return result;
+}
+
+// Hourly disk averages per PC from the hour rollups (or the raw samples without MongoDB)
+async function diskHistory(since) {
+  const rollups = database.isAvailable()
+    ? await Rollup.hour.find({ bucket: { $gte: since }, 'disk.count': { $gt: 0 } })
+      .select('pcId bucket disk')
+      .sort({ bucket: 1 })
+      .lean()
+    : (await storage.getBucketStats({ from: since, to: new Date(), bucketSize: HOUR, metrics: ['disk'] }))
+      .filter(stats => stats.disk.count > 0)
+      .sort((a, b) => a.bucket - b.bucket);
+
+  const byPc = new Map();
+  for (const rollup of rollups) {
+    if (!byPc.has(rollup.pcId)) byPc.set(rollup.pcId, []);
+    byPc.get(rollup.pcId).push({ time: rollup.bucket, usage: rollup.disk.sum / rollup.disk.count });
+  }
+  return byPc;
+}
+
+// Hourly usage per PC and filesystem from the raw samples
+async function filesystemHistory(since) {
+  const rows = await storage.getFilesystemUsage(since, HOUR);
+
+  const byPc = new Map();
+  for (const row of rows) {
+    const { pcId, mount, bucket } = row;
+    if (typeof row.usage !== 'number') continue;
+    if (!byPc.has(pcId)) byPc.set(pcId, new Map());
+    const mounts = byPc.get(pcId);
+    if (!mounts.has(mount)) mounts.set(mount, { size: row.size, points: [] });
+    const entry = mounts.get(mount);
+    entry.size = row.size;
+    entry.points.push({ time: bucket, usage: row.usage });
+  }
+  return byPc;
+}
+
+// Sort key: soonest full first, then PCs that aren't filling up by current usage
+function compareUrgency(a, b) {
+  if (a.daysUntilFull !== null && b.daysUntilFull !== null) return a.daysUntilFull - b.daysUntilFull;
+  if (a.daysUntilFull !== null) return -1;
+  if (b.daysUntilFull !== null) return 1;
+  return (b.disk.current || 0) - (a.disk.current || 0);
+}
+
+// Compute the forecast of every PC
+async function buildReport() {
+  const since = new Date(Date.now() - CONFIG.LOOKBACK_DAYS * DAY);
+  const [disks, filesystems] = await Promise.all([diskHistory(since), filesystemHistory(since)]);
+
+  const pcIds = new Set([...disks.keys(), ...filesystems.keys()]);
+  return [...pcIds].map((pcId) => {
+    const disk = forecast(disks.get(pcId) || []);
+    const mounts = [...(filesystems.get(pcId) || new Map())].map(([mount, { size, points }]) => ({
+      mount,
+      size,
+      ...forecast(points)
+    }));
+
+    // The most urgent of the overall disk value and the filesystems
+    const soonest = [{ mount: null, ...disk }, ...mounts]
+      .filter(item => item.daysUntilFull !== null)
+      .sort((a, b) => a.daysUntilFull - b.daysUntilFull)[0];
+
+    return {
+      pcId,
+      daysUntilFull: soonest ? soonest.daysUntilFull : null,
+      fullAt: soonest ? soonest.fullAt : null,
+      confidence: soonest ? soonest.confidence : disk.confidence,
+      mount: soonest ? soonest.mount : null,
+      disk,
+      filesystems: mounts.sort((a, b) => (b.current || 0) - (a.current || 0))
+    };
+  }).sort(compareUrgency);
+}
+
+/**
+ * Get the disk capacity forecast of every PC, most urgent first
+ * Results are cached for CAPACITY_CACHE_TTL ms.
+ * @param {Object} [options]
+ * @param {string[]} [options.pcIds] - Only these PCs (default: all)
+ * @returns {Promise<Object[]>} [{ pcId, daysUntilFull, fullAt, confidence, mount, disk, filesystems }]
+ *   mount is the filesystem expected to fill first (null: the overall disk value)
+ */
+async function getReport({ pcIds } = {}) {
+  if (!cachedReport || Date.now() - cachedReport.createdAt > CONFIG.CACHE_TTL) {
+    if (!pendingReport) {
+      pendingReport = buildReport()
+        .then((forecasts) => { cachedReport = { createdAt: Date.now(), forecasts }; })
+        .finally(() => { pendingReport = null; });
+    }
+    await pendingReport;
+  }
+
+  const forecasts = cachedReport.forecasts;
+  return pcIds ? forecasts.filter(item => pcIds.includes(item.pcId)) : forecasts;
+}
+
+module.exports = {
+  CONFIG,
+  forecast,
+  getReport
+};
@@ -0,0 +1,135 @@
+const DiagnosticJob = require('../models/DiagnosticJob');
+
+/**
+ * Diagnostic Jobs
+ *
+ * Operators queue built-in diagnostics for a PC; its agent claims them on its
+ * next collection cycle, runs them and posts the result back. Only the
+ * actions in DiagnosticJob.ACTIONS exist, on both sides: a job names an
+ * action, never a command. Jobs nobody picks up, or that never report back,
+ * expire.
+ */
+
+// Configuration
+const CONFIG = {
+  JOB_TTL: parseInt(process.env.DIAGNOSTIC_JOB_TTL) || 60 * 60 * 1000, // 1 hour to be picked up
+  RUN_TIMEOUT: parseInt(process.env.DIAGNOSTIC_RUN_TIMEOUT) || 10 * 60 * 1000, // 10 minutes to report back
+  MAX_PENDING: parseInt(process.env.DIAGNOSTIC_MAX_PENDING) || 10, // Unfinished jobs per PC
+  MAX_RESULT_BYTES: parseInt(process.env.DIAGNOSTIC_MAX_RESULT_BYTES) || 512 * 1024,
+  CLAIM_LIMIT: 5 // Jobs handed to an agent per claim
+};
+
+// Parameters each action takes
+const ACTION_PARAMS = {
+  processes: [],
+  diskUsage: ['path'],
+  listeningPorts: [],
+  hardware: []
+};
+
+/**
+ * Validate a job request
+ * @param {*} action - Requested action
+ * @param {*} params - Requested parameters
+ * @returns {string|null} Error message or null when valid
+ */
+function validateJobRequest(action, params = {}) {
+  if (!DiagnosticJob.ACTIONS.includes(action)) {
+    return `Invalid action (${DiagnosticJob.ACTIONS.join(', ')})`;
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return 'params must be an object';
+  }
+
+  const unknown = Object.keys(params).filter(key => !ACTION_PARAMS[action].includes(key));
+  if (unknown.length > 0) {
+    return `Unknown params for ${action}: ${unknown.join(', ')}`;
+  }
+
+  if (action === 'diskUsage' && (typeof params.path !== 'string' || !params.path.trim() || params.path.length > 1024)) {
+    return 'diskUsage needs a path (at most 1024 characters)';
+  }
+
+  return null;
+}
+
+/**
+ * Queue a job for a PC
+ * @param {Object} job - { pcId, action, params, requestedBy } (validated)
+ * @returns {Promise<Object|null>} Created job, or null when the PC has too many unfinished jobs
+ */
+async function createJob({ pcId, action, params = {}, requestedBy }) {
+  await DiagnosticJob.expireStale({ pcId });
+
+  const unfinished = await DiagnosticJob.countDocuments({ pcId, status: { $in: ['pending', 'running'] } });
+  if (unfinished >= CONFIG.MAX_PENDING) return null;
+
+  return DiagnosticJob.create({
+    pcId,
+    action,
+    params,
+    requestedBy,
+    expiresAt: new Date(Date.now() + CONFIG.JOB_TTL)
+  });
+}
+
+/**
+ * Hand a PC's oldest pending jobs to its agent (marks them running)
+ * @param {string} pcId - PC identifier
+ * @returns {Promise<Object[]>} [{ id, action, params }]
+ */
+async function claimJobs(pcId) {
+  await DiagnosticJob.expireStale({ pcId });
+
+  const jobs = [];
+  while (jobs.length < CONFIG.CLAIM_LIMIT) {
+    const now = new Date();
+    // One at a time, so a job is never handed out twice
+    const job = await DiagnosticJob.findOneAndUpdate(
+      { pcId, status: 'pending' },
+      { $set: { status: 'running', startedAt: now, expiresAt: new Date(now.getTime() + CONFIG.RUN_TIMEOUT) } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!job) break;
+    jobs.push({ id: job._id, action: job.action, params: job.params || {} });
+  }
+  return jobs;
+}
+
+/**
+ * Record the outcome of a running job
+ * An oversized result fails the job instead of being stored.
+ * @param {string} pcId - PC reporting the outcome
+ * @param {string} jobId - Job id
+ * @param {Object} report - { status: 'completed' | 'failed', result?, error? }
+ * @returns {Promise<Object|null>} Updated job, or null when the PC has no such running job
+ */
+async function completeJob(pcId, jobId, { status, result, error }) {
+  const update = { status, completedAt: new Date() };
+
+  if (status === 'completed') {
+    const size = Buffer.byteLength(JSON.stringify(result === undefined ? null : result));
+    if (size > CONFIG.MAX_RESULT_BYTES) {
+      update.status = 'failed';
+      update.error = `Result too large (${size} bytes, max ${CONFIG.MAX_RESULT_BYTES})`;
+    } else {
+      update.result = result;
+    }
+  } else {
+    update.error = String(error || 'Unknown error').slice(0, 2000);
+  }
+
+  return DiagnosticJob.findOneAndUpdate(
+    { _id: jobId, pcId, status: 'running' },
+    { $set: update },
+    { new: true }
+  );
+}
+
+module.exports = {
+  CONFIG,
+  validateJobRequest,
+  createJob,
+  claimJobs,
+  completeJob
+};
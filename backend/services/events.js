@@ -0,0 +1,36 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Event names published on the backend event bus
+ */
+const EVENTS = {
+  ALERT_FIRING: 'alert.firing',
+  ALERT_RESOLVED: 'alert.resolved',
+  PC_REBOOTED: 'pc.rebooted',
+  PC_ONLINE: 'pc.online',
+  PC_STALE: 'pc.stale',
+  PC_OFFLINE: 'pc.offline'
+};
+
+/**
+ * High-volume events used inside the backend only
+ * Unlike EVENTS they are not forwarded to webhooks.
+ */
+const INTERNAL_EVENTS = {
+  SAMPLES_SAVED: 'samples.saved'
+};
+
+/**
+ * Process-wide event bus
+ * Subsystems publish fleet events here; subscribers such as the webhook
+ * notifier react to them without the publishers knowing about them.
+ * Listener signature: (payload) => void
+ */
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+module.exports = {
+  eventBus,
+  EVENTS,
+  INTERNAL_EVENTS
+};
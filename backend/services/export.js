@@ -0,0 +1,100 @@
+/**
+ * Sample Export
+ *
+ * Serializes raw samples as CSV, a JSON array or NDJSON (one JSON object per
+ * line) one document at a time, so exports can be streamed from a database
+ * cursor without holding the whole range in memory.
+ */
+
+/**
+ * Fields that can be exported, in column order
+ */
+const FIELDS = [
+  'pcId', 'createdAt', 'cpu', 'ram', 'disk', 'os', 'uptime',
+  'netRx', 'netTx', 'payloadVersion', 'configVersion', 'cpuCores', 'loadAverage', 'swap', 'disks', 'network'
+];
+
+/**
+ * Fields exported when none are requested
+ */
+const DEFAULT_FIELDS = ['pcId', 'createdAt', 'cpu', 'ram', 'disk', 'os', 'uptime', 'netRx', 'netTx'];
+
+/**
+ * Supported formats
+ */
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Parse a comma-separated field list
+ * @param {string} [value] - e.g. "pcId,createdAt,cpu"
+ * @returns {string[]|null} Fields in column order, or null when one is unknown
+ */
+function parseFields(value) {
+  if (value === undefined || value === '') return DEFAULT_FIELDS;
+  const requested = String(value).split(',').map(field => field.trim()).filter(Boolean);
+  if (requested.length === 0 || requested.some(field => !FIELDS.includes(field))) return null;
+  return FIELDS.filter(field => requested.includes(field));
+}
+
+// Quote a CSV cell when needed; nested values are written as JSON
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Sample with only the exported fields, in column order
+function pick(doc, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (doc[field] !== undefined) result[field] = doc[field];
+  }
+  return result;
+}
+
+/**
+ * Create a serializer for one export
+ * @param {string} format - csv, json or ndjson
+ * @param {string[]} fields - Exported fields (see parseFields)
+ * @returns {Object} { start(), row(doc), end() } each returning the text to write
+ */
+function createSerializer(format, fields) {
+  let rows = 0;
+
+  switch (format) {
+    case 'csv':
+      return {
+        start: () => `${fields.join(',')}\n`,
+        row: doc => `${fields.map(field => csvCell(doc[field])).join(',')}\n`,
+        end: () => ''
+      };
+    case 'json':
+      return {
+        start: () => '[',
+        row: doc => `${rows++ > 0 ? ',' : ''}\n${JSON.stringify(pick(doc, fields))}`,
+        end: () => (rows > 0 ? '\n]\n' : ']\n')
+      };
+    case 'ndjson':
+      return {
+        start: () => '',
+        row: doc => `${JSON.stringify(pick(doc, fields))}\n`,
+        end: () => ''
+      };
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  FIELDS,
+  DEFAULT_FIELDS,
+  FORMATS,
+  parseFields,
+  createSerializer
+};
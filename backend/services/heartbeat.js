@@ -0,0 +1,219 @@
+const PcStatus = require('../models/PcStatus');
+const database = require('../utils/database');
+const { eventBus, EVENTS } = require('./events');
+
+/**
+ * Heartbeat Tracker
+ *
+ * Keeps one PcStatus document per PC and classifies PCs by the age of their
+ * newest sample relative to their expected reporting interval:
+ *   - online:  age <= interval * STALE_FACTOR
+ *   - stale:   age >  interval * STALE_FACTOR
+ *   - offline: age >  interval * OFFLINE_FACTOR
+ *
+ * The expected interval is the one reported by the client with each sample,
+ * or inferred from the spacing of samples for clients that don't report it.
+ * A background sweeper re-evaluates PCs that stopped reporting; every status
+ * change is published on the event bus (pc.online, pc.stale, pc.offline).
+ */
+
+// Configuration
+const CONFIG = {
+  DEFAULT_INTERVAL: parseInt(process.env.HEARTBEAT_DEFAULT_INTERVAL) || 60000,
+  STALE_FACTOR: parseFloat(process.env.HEARTBEAT_STALE_FACTOR) || 2,
+  OFFLINE_FACTOR: parseFloat(process.env.HEARTBEAT_OFFLINE_FACTOR) || 5,
+  SWEEP_INTERVAL: parseInt(process.env.HEARTBEAT_SWEEP_INTERVAL) || 30000,
+  MIN_INTERVAL: 1000,
+  MAX_INTERVAL: 24 * 60 * 60 * 1000 // Longest interval agent configuration allows
+};
+
+const STATUS_EVENTS = {
+  online: EVENTS.PC_ONLINE,
+  stale: EVENTS.PC_STALE,
+  offline: EVENTS.PC_OFFLINE
+};
+
+let sweepTimer = null;
+
+/**
+ * Classify a PC by the age of its newest sample
+ * @param {Date|string} lastSeenAt - Time of the newest sample
+ * @param {number} [expectedInterval] - Expected reporting interval in ms
+ * @param {number} [now] - Reference time in ms
+ * @returns {string} online, stale or offline
+ */
+function computeStatus(lastSeenAt, expectedInterval, now = Date.now()) {
+  const interval = Math.min(expectedInterval || CONFIG.DEFAULT_INTERVAL, CONFIG.MAX_INTERVAL);
+  const age = now - new Date(lastSeenAt).getTime();
+
+  if (age > interval * CONFIG.OFFLINE_FACTOR) return 'offline';
+  if (age > interval * CONFIG.STALE_FACTOR) return 'stale';
+  return 'online';
+}
+
+// Work out the expected interval for a PC from the client report or sample spacing
+// Reported intervals are capped at MAX_INTERVAL so a bogus value can't keep a PC online forever
+function resolveInterval(existing, sampleTime, reportedInterval) {
+  if (Number.isFinite(reportedInterval) && reportedInterval >= CONFIG.MIN_INTERVAL) {
+    return { expectedInterval: Math.min(reportedInterval, CONFIG.MAX_INTERVAL), intervalSource: 'client' };
+  }
+
+  if (!existing) {
+    return { expectedInterval: CONFIG.DEFAULT_INTERVAL, intervalSource: 'default' };
+  }
+
+  // Keep an interval the client reported earlier
+  if (existing.intervalSource === 'client') {
+    return { expectedInterval: Math.min(existing.expectedInterval, CONFIG.MAX_INTERVAL), intervalSource: 'client' };
+  }
+
+  const current = existing.expectedInterval || CONFIG.DEFAULT_INTERVAL;
+  const gap = sampleTime - existing.lastSeenAt.getTime();
+
+  // Ignore gaps caused by outages or out-of-order samples
+  if (gap < CONFIG.MIN_INTERVAL || gap > current * CONFIG.OFFLINE_FACTOR) {
+    return { expectedInterval: current, intervalSource: existing.intervalSource };
+  }
+
+  // Smooth observed gaps so one late sample doesn't reset the interval
+  const expectedInterval = existing.intervalSource === 'observed'
+    ? Math.round(current * 0.8 + gap * 0.2)
+    : gap;
+
+  return { expectedInterval, intervalSource: 'observed' };
+}
+
+// Publish a status change on the event bus
+function emitStatusChange(record, previousStatus) {
+  eventBus.emit(STATUS_EVENTS[record.status], {
+    pcId: record.pcId,
+    status: record.status,
+    previousStatus,
+    lastSeenAt: record.lastSeenAt,
+    expectedInterval: record.expectedInterval,
+    timestamp: new Date()
+  });
+}
+
+/**
+ * Record a newly saved sample
+ * @param {Object} sample - Saved SystemInfo document
+ * @param {number} [reportedInterval] - Reporting interval sent by the client (ms)
+ * @returns {Promise<Object>} Updated PcStatus document
+ */
+async function recordSample(sample, reportedInterval) {
+  const sampleTime = sample.createdAt ? new Date(sample.createdAt) : new Date();
+  const existing = await PcStatus.findOne({ pcId: sample.pcId });
+
+  const { expectedInterval, intervalSource } = resolveInterval(existing, sampleTime.getTime(), reportedInterval);
+  const lastSeenAt = existing && existing.lastSeenAt > sampleTime ? existing.lastSeenAt : sampleTime;
+  const status = computeStatus(lastSeenAt, expectedInterval);
+  const previousStatus = existing?.status;
+
+  const update = { expectedInterval, intervalSource, lastSeenAt, status };
+  if (status !== previousStatus) update.statusChangedAt = new Date();
+
+  const record = await PcStatus.findOneAndUpdate(
+    { pcId: sample.pcId },
+    { $set: update },
+    { upsert: true, new: true }
+  );
+
+  if (previousStatus && previousStatus !== status) {
+    emitStatusChange(record, previousStatus);
+  }
+
+  return record;
+}
+
+/**
+ * Re-evaluate every PC that is not already offline
+ * @returns {Promise<number>} Number of status changes
+ */
+async function sweep() {
+  const now = Date.now();
+  const records = await PcStatus.find({ status: { $ne: 'offline' } });
+  let changes = 0;
+
+  for (const record of records) {
+    const status = computeStatus(record.lastSeenAt, record.expectedInterval, now);
+    if (status === record.status) continue;
+
+    // Only update if no sample changed the status in the meantime
+    const updated = await PcStatus.findOneAndUpdate(
+      { _id: record._id, status: record.status, lastSeenAt: record.lastSeenAt },
+      { $set: { status, statusChangedAt: new Date(now) } },
+      { new: true }
+    );
+
+    if (updated) {
+      changes++;
+      emitStatusChange(updated, record.status);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Add live heartbeat status to latest-sample documents
+ * Status is computed at request time so it is accurate between sweeps.
+ * @param {Object[]} samples - Latest SystemInfo documents or plain objects
+ * @returns {Promise<Object[]>} Samples with status, lastSeenAt and expectedInterval
+ */
+async function attachStatus(samples) {
+  const plain = samples.map(sample => (sample.toObject ? sample.toObject() : sample));
+  // Without MongoDB the status follows from the sample times alone
+  const records = database.isAvailable()
+    ? await PcStatus.find({ pcId: { $in: plain.map(sample => sample.pcId) } }).lean()
+    : [];
+  const byPc = new Map(records.map(record => [record.pcId, record]));
+  const now = Date.now();
+
+  return plain.map(sample => {
+    const record = byPc.get(sample.pcId);
+    const lastSeenAt = record?.lastSeenAt || sample.createdAt;
+    const expectedInterval = record?.expectedInterval || CONFIG.DEFAULT_INTERVAL;
+
+    return {
+      ...sample,
+      status: computeStatus(lastSeenAt, expectedInterval, now),
+      lastSeenAt,
+      expectedInterval,
+      statusChangedAt: record?.statusChangedAt
+    };
+  });
+}
+
+/**
+ * Start the background sweeper
+ */
+function start() {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    sweep().catch((error) => {
+      console.error('Error sweeping PC heartbeats:', error);
+    });
+  }, CONFIG.SWEEP_INTERVAL);
+  sweepTimer.unref();
+
+  console.log('💓 Heartbeat sweeper started');
+}
+
+/**
+ * Stop the background sweeper
+ */
+function stop() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  start,
+  stop,
+  sweep,
+  recordSample,
+  attachStatus,
+  computeStatus
+};
@@ -0,0 +1,177 @@
+const storage = require('../storage');
+const Rollup = require('../models/Rollup');
+const database = require('../utils/database');
+
+/**
+ * History Queries
+ *
+ * Serves a PC's history at the cheapest resolution that still fits the
+ * requested number of points: raw samples when there are few enough,
+ * otherwise the finest rollup (minute, hour, day) whose bucket count fits.
+ * Rollups are stored in MongoDB; without it (see utils/database.js) history
+ * is served from the raw samples.
+ */
+
+const RESOLUTION_ORDER = ['raw', ...Object.keys(Rollup.RESOLUTIONS)];
+
+/**
+ * Pick the resolution for a range
+ * @param {string} pcId - PC identifier
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {number} maxPoints - Max points the caller wants
+ * @returns {Promise<string>} raw, minute, hour or day
+ */
+async function selectResolution(pcId, from, to, maxPoints) {
+  if (!database.isAvailable()) return 'raw';
+
+  const rawCount = await storage.countSamples(pcId, from, to);
+  if (rawCount <= maxPoints) return 'raw';
+
+  const range = to - from;
+  const fitting = Object.entries(Rollup.RESOLUTIONS).find(([, size]) => Math.ceil(range / size) <= maxPoints);
+  return fitting ? fitting[0] : 'day';
+}
+
+/**
+ * Encode the position after the last item of a page as an opaque cursor
+ * @param {Object} position - { k: 'history', t, id } or { k: 'fleet', pcId }
+ * @returns {string} Cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} kind - history or fleet
+ * @returns {Object|null} Position, or null when the cursor is malformed or of another kind
+ */
+function decodeCursor(cursor, kind) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    if (!position || position.k !== kind) return null;
+    if (kind === 'history' && (isNaN(new Date(position.t).getTime()) || !/^[0-9a-f]{24}$/i.test(position.id))) return null;
+    if (kind === 'fleet' && typeof position.pcId !== 'string') return null;
+    return position;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Keep only the requested metrics of a rollup point (with their min/max)
+function pickPointFields(point, fields) {
+  if (!fields) return point;
+  const picked = { pcId: point.pcId, createdAt: point.createdAt, count: point.count };
+  for (const field of fields) {
+    for (const key of [field, `${field}Min`, `${field}Max`]) {
+      if (point[key] !== undefined) picked[key] = point[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Get a PC's history
+ * With a limit the range is returned in pages: pass the returned nextCursor
+ * as options.after (decoded) to get the next one. Paged queries use raw
+ * samples unless a rollup resolution is asked for.
+ * @param {string} pcId - PC identifier
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range
+ * @param {Date} [options.to] - End of the range (default: now)
+ * @param {number} [options.maxPoints=500] - Max points to return (auto resolution)
+ * @param {string} [options.resolution='auto'] - auto, raw, minute, hour or day
+ * @param {number} [options.limit] - Max points per page (default: the whole range)
+ * @param {Object} [options.after] - Decoded cursor of the previous page
+ * @param {string} [options.sort='asc'] - asc (oldest first) or desc
+ * @param {string[]} [options.fields] - Only these sample fields (default: all)
+ * @returns {Promise<{resolution: string, points: Object[], nextCursor: string|null}>}
+ *   rollup points carry averages in cpu/ram/disk plus <metric>Min/<metric>Max and count;
+ *   nextCursor is null on the last page
+ */
+async function getHistory(pcId, { from, to = new Date(), maxPoints = 500, resolution = 'auto', limit, after, sort = 'asc', fields }) {
+  let selected = resolution;
+  if (selected === 'auto') {
+    selected = limit ? 'raw' : await selectResolution(pcId, from, to, maxPoints);
+  }
+
+  const fetchLimit = limit ? limit + 1 : undefined; // One extra tells whether there is a next page
+  let docs;
+  if (selected === 'raw') {
+    docs = await storage.findSamples(pcId, { from, to, limit: fetchLimit, after, sort, fields });
+  } else {
+    // Rollup buckets are unique per PC, so the bucket alone positions the cursor
+    const direction = sort === 'desc' ? -1 : 1;
+    const filter = { pcId, bucket: { $gte: Rollup.bucketStart(from, selected), $lte: to } };
+    if (after) filter.bucket[direction === 1 ? '$gt' : '$lt'] = new Date(after.t);
+
+    let query = Rollup[selected].find(filter).sort({ bucket: direction });
+    if (fetchLimit) query = query.limit(fetchLimit);
+    docs = await query.lean();
+  }
+
+  const hasMore = Boolean(limit) && docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  const last = page[page.length - 1];
+
+  return {
+    resolution: selected,
+    points: selected === 'raw' ? page : page.map(rollup => pickPointFields(Rollup[selected].toPoint(rollup), fields)),
+    nextCursor: hasMore
+      ? encodeCursor({ k: 'history', t: selected === 'raw' ? last.createdAt : last.bucket, id: last._id })
+      : null
+  };
+}
+
+/**
+ * Get fleet-wide averages per time bucket, aggregated from the rollups
+ * Averages are weighted by sample count; min/max are the fleet extremes.
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range
+ * @param {Date} [options.to] - End of the range (default: now)
+ * @param {string} [options.bucket='hour'] - minute, hour or day
+ * @param {string[]} [options.pcIds] - Only these PCs (default: all)
+ * @returns {Promise<Object[]>} Points oldest first:
+ *   { bucket, cpu, cpuMin, cpuMax, ram, ..., samples, reportingPcs }
+ */
+async function getFleetTimeseries({ from, to = new Date(), bucket = 'hour', pcIds }) {
+  const group = { _id: '$bucket', pcIds: { $addToSet: '$pcId' }, samples: { $sum: '$count' } };
+  const project = { _id: 0, bucket: '$_id', samples: 1, reportingPcs: { $size: '$pcIds' } };
+
+  for (const metric of Rollup.ROLLUP_METRICS) {
+    group[`${metric}Sum`] = { $sum: `$${metric}.sum` };
+    group[`${metric}Count`] = { $sum: `$${metric}.count` };
+    group[`${metric}Min`] = { $min: `$${metric}.min` };
+    group[`${metric}Max`] = { $max: `$${metric}.max` };
+    project[metric] = {
+      $cond: [
+        { $gt: [`$${metric}Count`, 0] },
+        { $round: [{ $divide: [`$${metric}Sum`, `$${metric}Count`] }, 2] },
+        null
+      ]
+    };
+    project[`${metric}Min`] = 1;
+    project[`${metric}Max`] = 1;
+  }
+
+  const match = { bucket: { $gte: Rollup.bucketStart(from, bucket), $lte: to } };
+  if (pcIds) match.pcId = { $in: pcIds };
+
+  return Rollup[bucket].aggregate([
+    { $match: match },
+    { $group: group },
+    { $project: project },
+    { $sort: { bucket: 1 } }
+  ]);
+}
+
+module.exports = {
+  getHistory,
+  encodeCursor,
+  decodeCursor,
+  getFleetTimeseries,
+  selectResolution,
+  RESOLUTION_ORDER
+};
@@ -0,0 +1,280 @@
+const storage = require('../storage');
+const Machine = require('../models/Machine');
+const ProcessSnapshot = require('../models/ProcessSnapshot');
+const alertEngine = require('./alertEngine');
+const heartbeat = require('./heartbeat');
+const rollups = require('./rollups');
+const anomalies = require('./anomalies');
+const database = require('../utils/database');
+const { eventBus, EVENTS, INTERNAL_EVENTS } = require('./events');
+
+/**
+ * Ingestion helpers shared by single and batch submissions:
+ * payload normalization and validation, and the processing that follows a save
+ * (reboot detection, heartbeat tracking, machine seen times, process
+ * snapshots, rollups, anomaly detection, alert evaluation).
+ */
+
+// Limits on the detailed (version 2) payload
+const PAYLOAD_LIMITS = {
+  MAX_CORES: 1024,
+  MAX_DISKS: 100,
+  MAX_INTERFACES: 64,
+  MAX_PROCESSES: 50
+};
+
+// Sum of a numeric field over a list, or undefined when no item has it
+function sumOf(items, field) {
+  const values = items.map(item => item?.[field]).filter(value => typeof value === 'number');
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : undefined;
+}
+
+/**
+ * Convert a submitted sample to the stored shape
+ * Version 1 (no version field) is the flat payload:
+ *   { pcId, cpu, ram, disk, os, uptime }
+ * Version 2 nests the detailed metrics:
+ *   { version: 2, pcId, os, uptime,
+ *     cpu: { usage, cores: [%], loadAverage: [1m, 5m, 15m] },
+ *     memory: { usage, swap: { total, used, usage } },
+ *     disks: [{ mount, fs, type, size, used, usage }],
+ *     network: [{ iface, rxSec, txSec, rxErrors, txErrors, rxDropped, txDropped }],
+ *     processes: { byCpu: [{ name, pid, user, cpu, mem }], byMemory: [...] } }
+ * Its disk value is the usage of the fullest filesystem and netRx/netTx
+ * are the throughput summed over all interfaces.
+ * configVersion (the agent configuration version applied when the sample was
+ * taken), interval, timestamp and processes (stored as a ProcessSnapshot, not
+ * in the sample) are passed through unchanged.
+ * @param {Object} sample - Submitted sample
+ * @returns {Object} Normalized sample (with payloadVersion), or the input if it is not an object
+ */
+function normalizeSample(sample) {
+  if (!sample || typeof sample !== 'object') {
+    return sample;
+  }
+
+  const { pcId, os, uptime, configVersion, interval, timestamp } = sample;
+  const payloadVersion = sample.version === undefined ? 1 : sample.version;
+
+  if (payloadVersion !== 2) {
+    const { cpu, ram, disk } = sample;
+    return { payloadVersion, pcId, cpu, ram, disk, os, uptime, configVersion, interval, timestamp };
+  }
+
+  const cpu = sample.cpu || {};
+  const memory = sample.memory || {};
+  const disks = Array.isArray(sample.disks) ? sample.disks : [];
+  const network = Array.isArray(sample.network) ? sample.network : undefined;
+
+  return {
+    payloadVersion,
+    pcId,
+    cpu: cpu.usage,
+    ram: memory.usage,
+    disk: disks.length > 0 ? Math.max(...disks.map(fs => Number(fs?.usage))) : undefined,
+    os,
+    uptime,
+    cpuCores: cpu.cores,
+    loadAverage: cpu.loadAverage,
+    swap: memory.swap,
+    disks,
+    network,
+    netRx: network && sumOf(network, 'rxSec'),
+    netTx: network && sumOf(network, 'txSec'),
+    processes: sample.processes,
+    configVersion,
+    interval,
+    timestamp
+  };
+}
+
+/**
+ * Validate the metric fields of a normalized sample
+ * @param {Object} sample - Result of normalizeSample()
+ * @returns {string|null} Error message or null when valid
+ */
+function validateSample(sample) {
+  if (!sample || typeof sample !== 'object') {
+    return 'Sample must be an object';
+  }
+
+  const { payloadVersion, pcId, cpu, ram, disk, os, uptime } = sample;
+
+  if (payloadVersion !== 1 && payloadVersion !== 2) {
+    return `Unsupported payload version: ${payloadVersion}`;
+  }
+
+  if (!pcId || cpu === undefined || ram === undefined || disk === undefined || !os || uptime === undefined) {
+    return payloadVersion === 2
+      ? 'Missing required fields: pcId, cpu.usage, memory.usage, disks, os, uptime'
+      : 'Missing required fields: pcId, cpu, ram, disk, os, uptime';
+  }
+
+  if (cpu < 0 || cpu > 100 || ram < 0 || ram > 100 || disk < 0 || disk > 100 || uptime < 0) {
+    return 'Invalid data ranges: cpu/ram/disk (0-100), uptime (>=0)';
+  }
+
+  if (sample.configVersion !== undefined && (typeof sample.configVersion !== 'string' || sample.configVersion.length > 64)) {
+    return 'configVersion must be a string of at most 64 characters';
+  }
+
+  if (payloadVersion === 2) {
+    if (sample.cpuCores !== undefined &&
+        (!Array.isArray(sample.cpuCores) || sample.cpuCores.length > PAYLOAD_LIMITS.MAX_CORES)) {
+      return `cpu.cores must be an array of at most ${PAYLOAD_LIMITS.MAX_CORES} percentages`;
+    }
+    if (sample.loadAverage !== undefined && (!Array.isArray(sample.loadAverage) || sample.loadAverage.length !== 3)) {
+      return 'cpu.loadAverage must be [1m, 5m, 15m]';
+    }
+    if (sample.disks.length > PAYLOAD_LIMITS.MAX_DISKS) {
+      return `Too many disks: max ${PAYLOAD_LIMITS.MAX_DISKS}`;
+    }
+    if (sample.network && sample.network.length > PAYLOAD_LIMITS.MAX_INTERFACES) {
+      return `Too many network interfaces: max ${PAYLOAD_LIMITS.MAX_INTERFACES}`;
+    }
+    if (sample.processes !== undefined) {
+      const { byCpu = [], byMemory = [] } = sample.processes || {};
+      if (!Array.isArray(byCpu) || !Array.isArray(byMemory) ||
+          byCpu.length > PAYLOAD_LIMITS.MAX_PROCESSES || byMemory.length > PAYLOAD_LIMITS.MAX_PROCESSES) {
+        return `processes.byCpu and processes.byMemory must be arrays of at most ${PAYLOAD_LIMITS.MAX_PROCESSES} processes`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find, per PC, the stored sample preceding the earliest of the given samples
+ * Must be called before the samples are saved.
+ * @param {Object[]} samples - Samples about to be saved (with createdAt)
+ * @returns {Promise<Map<string, Object>>} pcId -> previous sample
+ */
+async function findPreviousSamples(samples) {
+  const earliestByPc = new Map();
+  for (const sample of samples) {
+    const time = new Date(sample.createdAt || Date.now());
+    const earliest = earliestByPc.get(sample.pcId);
+    if (!earliest || time < earliest) earliestByPc.set(sample.pcId, time);
+  }
+
+  const previousByPc = new Map();
+  await Promise.all([...earliestByPc].map(async ([pcId, before]) => {
+    const previous = await storage.findPrevious(pcId, before);
+    if (previous) previousByPc.set(pcId, previous);
+  }));
+
+  return previousByPc;
+}
+
+/**
+ * Store the top processes reported with saved samples
+ * @param {Object[]} samples - Saved SystemInfo documents
+ * @param {Map<string, Object>} processesBySample - Sample id -> { byCpu, byMemory }
+ */
+async function saveProcessSnapshots(samples, processesBySample) {
+  const snapshots = samples
+    .filter(sample => processesBySample.has(sample._id.toString()))
+    .map((sample) => {
+      const { byCpu, byMemory } = processesBySample.get(sample._id.toString());
+      return { pcId: sample.pcId, sampleId: sample._id, byCpu, byMemory, createdAt: sample.createdAt };
+    });
+
+  if (snapshots.length > 0) {
+    await ProcessSnapshot.insertMany(snapshots, { ordered: false });
+  }
+}
+
+/**
+ * Process saved samples: publish reboots, record heartbeats, store process snapshots, update rollups,
+ * detect anomalies and evaluate alert rules
+ * Errors are logged, never thrown, so ingestion responses don't depend on them.
+ * Without MongoDB (see utils/database.js) only reboots and the live stream see the samples.
+ * @param {Object[]} samples - Saved SystemInfo documents
+ * @param {Map<string, Object>} previousByPc - Result of findPreviousSamples()
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.intervals] - pcId -> reporting interval sent by the client (ms)
+ * @param {Map<string, Object>} [options.processes] - Sample id -> top processes sent with it
+ */
+async function processSavedSamples(samples, previousByPc, options = {}) {
+  const ordered = [...samples].sort((a, b) => a.createdAt - b.createdAt);
+  const lastByPc = new Map(previousByPc);
+
+  // Reboots: uptime went backwards compared to the previous sample of the same PC
+  for (const sample of ordered) {
+    const previous = lastByPc.get(sample.pcId);
+    if (previous && sample.uptime < previous.uptime) {
+      eventBus.emit(EVENTS.PC_REBOOTED, {
+        pcId: sample.pcId,
+        uptime: sample.uptime,
+        previousUptime: previous.uptime,
+        lastSeenAt: previous.createdAt,
+        timestamp: sample.createdAt
+      });
+    }
+    lastByPc.set(sample.pcId, sample);
+  }
+
+  // Live stream: saved samples, oldest first
+  eventBus.emit(INTERNAL_EVENTS.SAMPLES_SAVED, ordered);
+
+  // Everything below is stored in MongoDB
+  if (!database.isAvailable()) return;
+
+  // Heartbeat: newest sample of each PC
+  const newestByPc = new Map(ordered.map(sample => [sample.pcId, sample]));
+  for (const sample of newestByPc.values()) {
+    heartbeat.recordSample(sample, Number(options.intervals?.get(sample.pcId))).catch((error) => {
+      console.error('Error recording heartbeat:', error);
+    });
+  }
+
+  // Machines: first/last seen times
+  const oldestByPc = new Map([...ordered].reverse().map(sample => [sample.pcId, sample]));
+  for (const [pcId, newest] of newestByPc) {
+    Machine.recordSeen(pcId, oldestByPc.get(pcId).createdAt, newest.createdAt).catch((error) => {
+      console.error('Error recording machine seen times:', error);
+    });
+  }
+
+  // Process snapshots: kept apart from the samples (shorter retention)
+  if (options.processes && options.processes.size > 0) {
+    saveProcessSnapshots(ordered, options.processes).catch((error) => {
+      console.error('Error saving process snapshots:', error);
+    });
+  }
+
+  // Rollups: every sample is folded into its minute/hour/day buckets
+  rollups.recordSamples(ordered).catch((error) => {
+    console.error('Error updating rollups:', error);
+  });
+
+  // Anomalies: samples compared with (and folded into) their PC's baselines
+  anomalies.processSamples(ordered).catch((error) => {
+    console.error('Error detecting anomalies:', error);
+  });
+
+  // Alerts: evaluated in time order so durations are measured correctly;
+  // group-scoped rules need the PC's groups
+  let groupsByPc = new Map();
+  try {
+    groupsByPc = await Machine.groupsByPc([...newestByPc.keys()]);
+  } catch (error) {
+    console.error('Error loading machine groups:', error);
+  }
+
+  for (const sample of ordered) {
+    try {
+      await alertEngine.evaluateSample(sample, { groups: groupsByPc.get(sample.pcId) || [] });
+    } catch (error) {
+      console.error('Error evaluating alert rules:', error);
+    }
+  }
+}
+
+module.exports = {
+  normalizeSample,
+  validateSample,
+  findPreviousSamples,
+  processSavedSamples
+};
@@ -0,0 +1,114 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Machine = require('../models/Machine');
+
+/**
+ * Maintenance Windows
+ *
+ * Answers whether a PC is in a maintenance window at a given time. The alert
+ * engine skips samples taken during a window and the webhook notifier drops
+ * events of PCs in a window, so planned work (patching, reboots) raises no
+ * alerts or notifications. Enabled windows are cached for
+ * MAINTENANCE_CACHE_TTL ms, along with the last period found for each of them
+ * (samples arrive in time order, so most lookups fall in it); the maintenance
+ * routes clear the cache on change.
+ */
+
+// Configuration
+const CONFIG = {
+  CACHE_TTL: parseInt(process.env.MAINTENANCE_CACHE_TTL) || 30000
+};
+
+let cachedWindows = null; // { loadedAt, windows, periods: Map<window id, { start, end }> }
+
+/**
+ * Enabled maintenance windows (cached)
+ * @returns {Promise<Object[]>} MaintenanceWindow documents
+ */
+async function getWindows() {
+  if (!cachedWindows || Date.now() - cachedWindows.loadedAt > CONFIG.CACHE_TTL) {
+    const windows = await MaintenanceWindow.find({ enabled: true });
+    cachedWindows = { loadedAt: Date.now(), windows, periods: new Map() };
+  }
+  return cachedWindows.windows;
+}
+
+// The period of a window in effect at a time, reusing the last one found when it covers the time
+function cachedPeriodAt(window, at) {
+  const periods = cachedWindows?.periods;
+  const key = String(window._id);
+  const last = periods?.get(key);
+  if (last && last.start <= at && last.end > at) return last;
+
+  const period = window.periodAt(at);
+  if (period && periods) periods.set(key, period);
+  return period;
+}
+
+/**
+ * Drop cached windows so the next lookup reloads them
+ */
+function invalidate() {
+  cachedWindows = null;
+}
+
+/**
+ * The window a PC is in at a time, if any
+ * @param {string} pcId - PC identifier
+ * @param {string[]} groups - Groups the PC belongs to
+ * @param {Date} [at=now]
+ * @returns {Promise<Object|null>} { window, start, end }
+ */
+async function activeWindow(pcId, groups = [], at = new Date()) {
+  const windows = await getWindows();
+
+  for (const window of windows) {
+    if (!window.appliesTo(pcId, groups)) continue;
+    const period = cachedPeriodAt(window, at);
+    if (period) return { window, ...period };
+  }
+  return null;
+}
+
+/**
+ * Check whether a PC is in a maintenance window now (loads its groups when needed)
+ * @param {string} pcId - PC identifier
+ * @returns {Promise<boolean>}
+ */
+async function isUnderMaintenance(pcId) {
+  const windows = await getWindows();
+  if (windows.length === 0) return false;
+
+  let groups = [];
+  if (windows.some(window => window.scope?.kind === 'group')) {
+    groups = (await Machine.groupsByPc([pcId])).get(pcId) || [];
+  }
+  return (await activeWindow(pcId, groups)) !== null;
+}
+
+/**
+ * Maintenance periods of a PC that overlap a time range, oldest first
+ * @param {string} pcId - PC identifier
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Object[]>} [{ windowId, name, type, start, end }]
+ */
+async function periodsForPc(pcId, from, to) {
+  const groups = (await Machine.groupsByPc([pcId])).get(pcId) || [];
+  const windows = (await getWindows()).filter(window => window.appliesTo(pcId, groups));
+
+  const periods = windows.flatMap(window => window.periodsBetween(from, to).map(period => ({
+    windowId: window._id,
+    name: window.name,
+    type: window.type,
+    ...period
+  })));
+  return periods.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  getWindows,
+  invalidate,
+  activeWindow,
+  isUnderMaintenance,
+  periodsForPc
+};
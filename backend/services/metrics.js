@@ -0,0 +1,126 @@
+const client = require('prom-client');
+const storage = require('../storage');
+const Machine = require('../models/Machine');
+const heartbeat = require('./heartbeat');
+
+/**
+ * Prometheus Metrics
+ *
+ * One registry for everything GET /metrics exposes:
+ *   - fleet gauges (latest cpu/ram/disk/uptime per PC, sample age, status),
+ *     read from the database at scrape time and labelled with the PC's
+ *     groups and tags (comma-separated)
+ *   - backend self-metrics (ingestion counters, HTTP request latency)
+ *   - Node.js process metrics
+ */
+
+const PREFIX = 'pcmon_';
+const PC_LABELS = ['pc_id', 'os', 'groups', 'tags'];
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Fleet gauges are filled from one query per scrape, shared by all of them
+let pendingFleetSnapshot = null;
+
+function fleetSnapshot() {
+  if (!pendingFleetSnapshot) {
+    pendingFleetSnapshot = Promise.all([
+      storage.getLatestData().then(latest => heartbeat.attachStatus(latest)),
+      Machine.find().select('pcId groups tags declaredGroups declaredTags')
+    ])
+      .then(([pcs, machines]) => {
+        const machineByPc = new Map(machines.map(machine => [machine.pcId, machine]));
+        return pcs.map(pc => ({ ...pc, machine: machineByPc.get(pc.pcId) }));
+      })
+      .finally(() => { pendingFleetSnapshot = null; });
+  }
+  return pendingFleetSnapshot;
+}
+
+// Gauge of one value per PC, computed from the latest sample
+function pcGauge(name, help, valueOf) {
+  return new client.Gauge({
+    name: `${PREFIX}${name}`,
+    help,
+    labelNames: PC_LABELS,
+    registers: [register],
+    async collect() {
+      const pcs = await fleetSnapshot();
+      this.reset();
+      for (const pc of pcs) {
+        const value = valueOf(pc);
+        if (typeof value !== 'number') continue; // e.g. no network data from older clients
+        this.set({
+          pc_id: pc.pcId,
+          os: pc.os,
+          groups: (pc.machine?.allGroups || []).join(','),
+          tags: (pc.machine?.allTags || []).join(',')
+        }, value);
+      }
+    }
+  });
+}
+
+pcGauge('pc_cpu_percent', 'Latest CPU usage of the PC (%)', pc => pc.cpu);
+pcGauge('pc_ram_percent', 'Latest RAM usage of the PC (%)', pc => pc.ram);
+pcGauge('pc_disk_percent', 'Latest disk usage of the PC (%)', pc => pc.disk);
+pcGauge('pc_network_receive_bytes_per_second', 'Latest received bytes per second over all interfaces', pc => pc.netRx);
+pcGauge('pc_network_transmit_bytes_per_second', 'Latest transmitted bytes per second over all interfaces', pc => pc.netTx);
+pcGauge('pc_uptime_seconds', 'Latest reported uptime of the PC', pc => pc.uptime);
+pcGauge('pc_sample_age_seconds', 'Seconds since the latest sample of the PC',
+  pc => (Date.now() - new Date(pc.createdAt).getTime()) / 1000);
+pcGauge('pc_up', 'Whether the PC is online (1) or stale/offline (0)', pc => (pc.status === 'online' ? 1 : 0));
+
+/**
+ * Samples stored, by ingestion endpoint (single, batch)
+ */
+const samplesIngested = new client.Counter({
+  name: `${PREFIX}samples_ingested_total`,
+  help: 'Samples stored, by ingestion endpoint',
+  labelNames: ['endpoint'],
+  registers: [register]
+});
+
+/**
+ * Samples rejected by validation, by ingestion endpoint (single, batch)
+ */
+const samplesRejected = new client.Counter({
+  name: `${PREFIX}samples_rejected_total`,
+  help: 'Samples rejected by validation, by ingestion endpoint',
+  labelNames: ['endpoint'],
+  registers: [register]
+});
+
+const requestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+/**
+ * Express middleware recording request latency
+ * Routes are labelled by their pattern (e.g. /api/alerts/:id) to keep label
+ * cardinality bounded; live streams are skipped since they stay open.
+ */
+function requestMetrics(req, res, next) {
+  const endTimer = requestDuration.startTimer();
+
+  res.on('finish', () => {
+    if (res.get('Content-Type') === 'text/event-stream') return;
+
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    endTimer({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+}
+
+module.exports = {
+  register,
+  samplesIngested,
+  samplesRejected,
+  requestMetrics
+};
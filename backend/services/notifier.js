@@ -0,0 +1,247 @@
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const maintenance = require('./maintenance');
+const { eventBus, EVENTS } = require('./events');
+const { sign } = require('../utils/signing');
+
+/**
+ * Webhook Notifier
+ *
+ * Subscribes to the event bus and delivers matching events to registered
+ * webhooks as signed JSON payloads. Every delivery is logged; failed attempts
+ * are retried with exponential backoff by a background sweeper, so pending
+ * deliveries also survive a server restart.
+ *
+ * Receivers verify requests with the X-Monitor-Signature header, which is
+ * sign(secret, X-Monitor-Timestamp, rawBody) from utils/signing.js.
+ *
+ * Events of a PC in a maintenance window are not delivered (nor logged).
+ */
+
+// Configuration
+const CONFIG = {
+  MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  RETRY_BASE_DELAY: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 10000,
+  MAX_RETRY_DELAY: 60 * 60 * 1000, // 1 hour
+  REQUEST_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+  SWEEP_INTERVAL: 5000
+};
+
+let sweepTimer = null;
+const listeners = new Map();
+
+/**
+ * POST a JSON body to a URL
+ * @returns {Promise<{statusCode: number}>}
+ */
+function postJson(url, body, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.request(target, {
+      method: 'POST',
+      timeout,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Delay before the next attempt: base * 2^(attempts - 1), capped
+function retryDelay(attempts) {
+  return Math.min(CONFIG.RETRY_BASE_DELAY * 2 ** (attempts - 1), CONFIG.MAX_RETRY_DELAY);
+}
+
+/**
+ * Create a pending delivery of an event to a webhook
+ * @param {Object} webhook - Webhook document
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object>} WebhookDelivery document
+ */
+async function enqueue(webhook, event, data) {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    event,
+    pcId: data?.pcId,
+    nextAttemptAt: new Date()
+  });
+
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event,
+    timestamp: new Date().toISOString(),
+    pcId: data?.pcId,
+    data
+  };
+
+  return delivery.save();
+}
+
+/**
+ * Attempt a pending delivery if it is due
+ * The delivery is claimed atomically so the sweeper and the immediate
+ * attempt never send the same delivery twice.
+ * @param {string} deliveryId - WebhookDelivery id
+ * @returns {Promise<Object|null>} Updated delivery, or null if it was not due
+ */
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CONFIG.REQUEST_TIMEOUT * 2) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || !webhook.enabled) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    delivery.attemptLog.push({ at: now, error: webhook ? 'Webhook disabled' : 'Webhook deleted' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Date.now();
+  const headers = {
+    'User-Agent': 'Multi-PC-Monitoring-Webhook/1.0.0',
+    'X-Monitor-Event': delivery.event,
+    'X-Monitor-Delivery': delivery._id.toString(),
+    'X-Monitor-Timestamp': String(timestamp),
+    'X-Monitor-Signature': sign(webhook.secret, timestamp, body)
+  };
+
+  let statusCode;
+  let errorMessage;
+  try {
+    ({ statusCode } = await postJson(webhook.url, body, headers, CONFIG.REQUEST_TIMEOUT));
+    if (statusCode < 200 || statusCode >= 300) {
+      errorMessage = `Receiver responded with status ${statusCode}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  delivery.attempts += 1;
+  delivery.attemptLog.push({
+    at: now,
+    statusCode,
+    error: errorMessage,
+    durationMs: Date.now() - timestamp
+  });
+
+  if (!errorMessage) {
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= CONFIG.MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    console.error(`❌ Webhook delivery ${delivery._id} failed after ${delivery.attempts} attempts: ${errorMessage}`);
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+  }
+
+  return delivery.save();
+}
+
+/**
+ * Deliver an event to every enabled webhook that subscribes to it
+ * Events of PCs in a maintenance window are dropped.
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {Promise<number>} Number of webhooks notified
+ */
+async function notify(event, data) {
+  if (data?.pcId && await maintenance.isUnderMaintenance(data.pcId)) return 0;
+
+  const webhooks = await Webhook.find({ enabled: true });
+  const targets = webhooks.filter(webhook => webhook.matches(event, data?.pcId));
+
+  for (const webhook of targets) {
+    const delivery = await enqueue(webhook, event, data);
+    attemptDelivery(delivery._id).catch((error) => {
+      console.error(`Error delivering webhook ${delivery._id}:`, error);
+    });
+  }
+
+  return targets.length;
+}
+
+/**
+ * Retry every pending delivery whose next attempt is due
+ */
+async function processDueDeliveries() {
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  }).select('_id').limit(100);
+
+  for (const { _id } of due) {
+    await attemptDelivery(_id);
+  }
+
+  return due.length;
+}
+
+/**
+ * Subscribe to the event bus and start the retry sweeper
+ */
+function start() {
+  if (sweepTimer) return;
+
+  for (const event of Object.values(EVENTS)) {
+    const listener = (data) => {
+      notify(event, data).catch((error) => {
+        console.error(`Error dispatching ${event} notifications:`, error);
+      });
+    };
+    listeners.set(event, listener);
+    eventBus.on(event, listener);
+  }
+
+  sweepTimer = setInterval(() => {
+    processDueDeliveries().catch((error) => {
+      console.error('Error retrying webhook deliveries:', error);
+    });
+  }, CONFIG.SWEEP_INTERVAL);
+  sweepTimer.unref();
+
+  console.log('🔔 Webhook notifier started');
+}
+
+/**
+ * Unsubscribe from the event bus and stop the retry sweeper
+ */
+function stop() {
+  for (const [event, listener] of listeners) {
+    eventBus.off(event, listener);
+  }
+  listeners.clear();
+
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  start,
+  stop,
+  notify,
+  enqueue,
+  attemptDelivery,
+  processDueDeliveries
+};
@@ -0,0 +1,202 @@
+const storage = require('../storage');
+const Rollup = require('../models/Rollup');
+const Alert = require('../models/Alert');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ProcessSnapshot = require('../models/ProcessSnapshot');
+const Anomaly = require('../models/Anomaly');
+const DiagnosticJob = require('../models/DiagnosticJob');
+const RetentionPolicy = require('../models/RetentionPolicy');
+
+/**
+ * Data Retention
+ *
+ * Each data tier is kept for a number of hours configured in the environment
+ * and optionally overridden by admins (RetentionPolicy documents). A
+ * background job periodically deletes data older than its tier's retention;
+ * 0 hours keeps a tier forever.
+ */
+
+// Read a retention in hours from the environment (0 is a valid value)
+function envHours(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Data tiers: what each one deletes and its environment default
+ */
+const TIERS = {
+  raw: {
+    description: 'Raw samples',
+    defaultHours: envHours('RETENTION_RAW_HOURS', 7 * 24),
+    purge: cutoff => storage.deleteOlderThan(cutoff) // Raw samples live in the configured store
+  },
+  processes: {
+    description: 'Top process snapshots',
+    defaultHours: envHours('RETENTION_PROCESSES_HOURS', 24),
+    model: ProcessSnapshot,
+    field: 'createdAt'
+  },
+  minuteRollups: {
+    description: 'Minute rollups',
+    defaultHours: envHours('RETENTION_MINUTE_ROLLUP_HOURS', 7 * 24),
+    model: Rollup.minute,
+    field: 'bucket'
+  },
+  hourRollups: {
+    description: 'Hour rollups',
+    defaultHours: envHours('RETENTION_HOUR_ROLLUP_HOURS', 90 * 24),
+    model: Rollup.hour,
+    field: 'bucket'
+  },
+  dayRollups: {
+    description: 'Day rollups',
+    defaultHours: envHours('RETENTION_DAY_ROLLUP_HOURS', 365 * 24),
+    model: Rollup.day,
+    field: 'bucket'
+  },
+  alerts: {
+    description: 'Resolved alerts',
+    defaultHours: envHours('RETENTION_ALERTS_HOURS', 30 * 24),
+    model: Alert,
+    field: 'resolvedAt',
+    filter: { status: 'resolved' }
+  },
+  anomalies: {
+    description: 'Detected anomalies',
+    defaultHours: envHours('RETENTION_ANOMALIES_HOURS', 30 * 24),
+    model: Anomaly,
+    field: 'createdAt'
+  },
+  events: {
+    description: 'Webhook delivery log',
+    defaultHours: envHours('RETENTION_EVENTS_HOURS', 30 * 24),
+    model: WebhookDelivery,
+    field: 'createdAt',
+    filter: { status: { $ne: 'pending' } }
+  },
+  diagnostics: {
+    description: 'Finished diagnostic jobs',
+    defaultHours: envHours('RETENTION_DIAGNOSTICS_HOURS', 30 * 24),
+    model: DiagnosticJob,
+    field: 'createdAt',
+    filter: { status: { $nin: ['pending', 'running'] } }
+  }
+};
+
+// Configuration
+const CONFIG = {
+  PURGE_INTERVAL: parseInt(process.env.RETENTION_PURGE_INTERVAL) || 60 * 60 * 1000 // 1 hour
+};
+
+let purgeTimer = null;
+
+/**
+ * Get the effective retention of every tier
+ * @returns {Promise<Object[]>} [{ tier, description, hours, defaultHours, source, updatedBy, updatedAt }]
+ *   source is "admin" for overrides and "environment" otherwise
+ */
+async function getPolicies() {
+  const overrides = new Map(
+    (await RetentionPolicy.find()).map(policy => [policy.tier, policy])
+  );
+
+  return Object.entries(TIERS).map(([tier, { description, defaultHours }]) => {
+    const override = overrides.get(tier);
+    return {
+      tier,
+      description,
+      hours: override ? override.hours : defaultHours,
+      defaultHours,
+      source: override ? 'admin' : 'environment',
+      updatedBy: override?.updatedBy,
+      updatedAt: override?.updatedAt
+    };
+  });
+}
+
+/**
+ * Override the retention of a tier
+ * @param {string} tier - Tier name (see TIERS)
+ * @param {number} hours - Hours to keep data (0: forever)
+ * @param {string} [updatedBy] - Username of the admin
+ */
+async function setPolicy(tier, hours, updatedBy) {
+  await RetentionPolicy.findOneAndUpdate(
+    { tier },
+    { $set: { hours, updatedBy } },
+    { upsert: true, runValidators: true }
+  );
+}
+
+/**
+ * Remove the override of a tier (back to the environment default)
+ * @param {string} tier - Tier name
+ */
+async function resetPolicy(tier) {
+  await RetentionPolicy.deleteOne({ tier });
+}
+
+/**
+ * Delete data older than each tier's retention
+ * @returns {Promise<Object>} tier -> number of deleted documents
+ */
+async function purge() {
+  const deleted = {};
+
+  for (const policy of await getPolicies()) {
+    if (!policy.hours) continue;
+
+    const { model, field, filter = {}, purge: purgeTier } = TIERS[policy.tier];
+    const cutoff = new Date(Date.now() - policy.hours * 60 * 60 * 1000);
+    const result = purgeTier
+      ? await purgeTier(cutoff)
+      : await model.deleteMany({ ...filter, [field]: { $lt: cutoff } });
+
+    deleted[policy.tier] = result.deletedCount;
+  }
+
+  const total = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    console.log(`🧹 Retention purge deleted ${total} documents`, deleted);
+  }
+
+  return deleted;
+}
+
+/**
+ * Start the background purge job (runs once right away)
+ */
+function start() {
+  if (purgeTimer) return;
+
+  const run = () => {
+    purge().catch((error) => {
+      console.error('Error purging expired data:', error);
+    });
+  };
+
+  purgeTimer = setInterval(run, CONFIG.PURGE_INTERVAL);
+  purgeTimer.unref();
+  run();
+
+  console.log('🧹 Retention purge job started');
+}
+
+/**
+ * Stop the background purge job
+ */
+function stop() {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
+module.exports = {
+  TIERS,
+  start,
+  stop,
+  purge,
+  getPolicies,
+  setPolicy,
+  resetPolicy
+};
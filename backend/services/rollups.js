@@ -0,0 +1,90 @@
+const Rollup = require('../models/Rollup');
+const storage = require('../storage');
+
+/**
+ * Rollup Maintenance
+ *
+ * Keeps the minute/hour/day rollup collections up to date. Each saved sample
+ * is folded into its bucket at every resolution with $inc/$min/$max upserts,
+ * so rollups never need to re-read raw samples. rebuild() recomputes buckets
+ * from the raw samples in the sample store (e.g. for data stored before
+ * rollups existed).
+ */
+
+// Buckets written per bulkWrite during a rebuild
+const REBUILD_BATCH_SIZE = 1000;
+
+// Upsert operations folding samples into their buckets at one resolution
+function buildBucketUpdates(samples, resolution) {
+  return samples.map((sample) => {
+    const inc = { count: 1 };
+    const min = {};
+    const max = {};
+
+    for (const metric of Rollup.ROLLUP_METRICS) {
+      const value = sample[metric];
+      if (typeof value !== 'number') continue;
+      inc[`${metric}.sum`] = value;
+      inc[`${metric}.count`] = 1;
+      min[`${metric}.min`] = value;
+      max[`${metric}.max`] = value;
+    }
+
+    return {
+      updateOne: {
+        filter: { pcId: sample.pcId, bucket: Rollup.bucketStart(sample.createdAt, resolution) },
+        update: { $inc: inc, $min: min, $max: max },
+        upsert: true
+      }
+    };
+  });
+}
+
+/**
+ * Fold saved samples into the rollups at every resolution
+ * @param {Object[]} samples - Saved SystemInfo documents
+ */
+async function recordSamples(samples) {
+  if (samples.length === 0) return;
+
+  await Promise.all(Object.keys(Rollup.RESOLUTIONS).map(resolution =>
+    Rollup[resolution].bulkWrite(buildBucketUpdates(samples, resolution), { ordered: true })
+  ));
+}
+
+/**
+ * Recompute rollup buckets from raw samples
+ * Buckets overlapping the range are replaced, so running it twice is safe.
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range
+ * @param {Date} [options.to] - End of the range (default: now)
+ * @returns {Promise<Object>} Resolution -> number of buckets written
+ */
+async function rebuild({ from, to = new Date() }) {
+  const result = {};
+
+  for (const [resolution, size] of Object.entries(Rollup.RESOLUTIONS)) {
+    const model = Rollup[resolution];
+    const start = Rollup.bucketStart(from, resolution);
+    const buckets = await storage.getBucketStats({ from: start, to, bucketSize: size, metrics: Rollup.ROLLUP_METRICS });
+
+    let operations = [];
+    for await (const bucket of buckets) {
+      operations.push({ replaceOne: { filter: { pcId: bucket.pcId, bucket: bucket.bucket }, replacement: bucket, upsert: true } });
+      if (operations.length >= REBUILD_BATCH_SIZE) {
+        await model.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+    if (operations.length > 0) await model.bulkWrite(operations, { ordered: false });
+
+    result[resolution] = await model.countDocuments({ bucket: { $gte: start, $lte: to } });
+  }
+
+  return result;
+}
+
+module.exports = {
+  recordSamples,
+  rebuild
+};
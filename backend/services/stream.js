@@ -0,0 +1,157 @@
+const { eventBus, EVENTS, INTERNAL_EVENTS } = require('./events');
+
+/**
+ * Live Stream
+ *
+ * Pushes saved samples and PC status changes to subscribed browsers over
+ * Server-Sent Events. Each subscriber may restrict the stream to a set of
+ * PCs; an empty filter receives every PC.
+ *
+ * Events sent to subscribers:
+ *   - sample: a saved sample (same shape as the GET /api/systemdata entries)
+ *   - status: a PC heartbeat status change (online, stale, offline)
+ *
+ * A subscriber that hasn't drained its previous write by the next one is too
+ * slow to keep up and is disconnected, so the server never buffers more than
+ * about one socket buffer per subscriber. Browsers reconnect by themselves.
+ */
+
+// Configuration
+const CONFIG = {
+  PING_INTERVAL: parseInt(process.env.STREAM_PING_INTERVAL) || 25000,
+  MAX_CLIENTS: parseInt(process.env.STREAM_MAX_CLIENTS) || 200,
+  RETRY_DELAY: 5000
+};
+
+const STATUS_EVENTS = [EVENTS.PC_ONLINE, EVENTS.PC_STALE, EVENTS.PC_OFFLINE];
+
+const clients = new Set();
+const listeners = new Map();
+let pingTimer = null;
+
+// Disconnect a client
+function drop(client) {
+  clients.delete(client);
+  client.res.destroy();
+}
+
+// Write to a client, dropping it if its previous write is still buffered
+function write(client, chunk) {
+  if (client.congested) {
+    console.warn('⚠️ Dropping a live stream subscriber that is not keeping up');
+    return drop(client);
+  }
+
+  if (!client.res.write(chunk)) {
+    client.congested = true;
+    client.res.once('drain', () => { client.congested = false; });
+  }
+}
+
+// Write one SSE event to a client
+function send(client, event, data) {
+  write(client, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send an event to every client subscribed to the PC
+function broadcast(event, pcId, data) {
+  for (const client of clients) {
+    if (client.pcIds.size === 0 || client.pcIds.has(pcId)) {
+      send(client, event, data);
+    }
+  }
+}
+
+/**
+ * Register an SSE subscriber; the client is dropped when the request closes
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {string[]} [options.pcIds] - Only stream these PCs (default: all)
+ * @returns {boolean} false when the subscriber limit is reached
+ */
+function subscribe(req, res, options = {}) {
+  if (clients.size >= CONFIG.MAX_CLIENTS) return false;
+
+  const client = { res, pcIds: new Set(options.pcIds || []), congested: false };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${CONFIG.RETRY_DELAY}\n\n`);
+  send(client, 'ready', { pcIds: [...client.pcIds] });
+
+  clients.add(client);
+  req.on('close', () => clients.delete(client));
+
+  return true;
+}
+
+/**
+ * Subscribe to the event bus and start keep-alive pings
+ */
+function start() {
+  if (pingTimer) return;
+
+  const sampleListener = (samples) => {
+    for (const sample of samples) {
+      const data = typeof sample.toObject === 'function' ? sample.toObject() : sample;
+      broadcast('sample', sample.pcId, data);
+    }
+  };
+  listeners.set(INTERNAL_EVENTS.SAMPLES_SAVED, sampleListener);
+
+  for (const event of STATUS_EVENTS) {
+    listeners.set(event, (data) => broadcast('status', data.pcId, data));
+  }
+
+  for (const [event, listener] of listeners) {
+    eventBus.on(event, listener);
+  }
+
+  // Comment lines keep proxies from closing idle connections
+  pingTimer = setInterval(() => {
+    for (const client of clients) {
+      write(client, ': ping\n\n');
+    }
+  }, CONFIG.PING_INTERVAL);
+  pingTimer.unref();
+
+  console.log('📡 Live stream started');
+}
+
+/**
+ * Unsubscribe from the event bus and close every stream
+ */
+function stop() {
+  for (const [event, listener] of listeners) {
+    eventBus.off(event, listener);
+  }
+  listeners.clear();
+
+  clearInterval(pingTimer);
+  pingTimer = null;
+
+  for (const client of clients) {
+    client.res.end();
+  }
+  clients.clear();
+}
+
+/**
+ * Number of connected subscribers
+ */
+function clientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  start,
+  stop,
+  subscribe,
+  clientCount
+};
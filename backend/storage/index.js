@@ -0,0 +1,53 @@
+/**
+ * Sample Storage
+ *
+ * Raw samples are written and read through a store selected by
+ * STORAGE_BACKEND:
+ *   - mongodb (default): the SystemInfo collection (storage/mongo.js)
+ *   - memory: kept in the server process, optionally saved to STORAGE_FILE
+ *     (storage/memory.js) - for small installs and local testing
+ *   - sqlite: a SQLite database at STORAGE_FILE (storage/sqlite.js) - for
+ *     single-server installs; needs the optional better-sqlite3 package
+ *
+ * All stores implement the same interface (test/storage.test.js):
+ *   - backend: Store name
+ *   - open() / close(): Load and release the store
+ *   - insertSamples(documents): Save validated SystemInfo documents
+ *   - findLatest(pcId): Latest sample of a PC (null when there is none)
+ *   - findPrevious(pcId, before): Latest sample of a PC before a time
+ *   - getLatestData(pcIds, options): Latest sample of each PC (see SystemInfo.getLatestData)
+ *   - getOverviewStats(pcIds, range): [{ avgCpu, avgRam, avgDisk, totalPCs }] ([] without samples)
+ *   - countSamples(pcId, from, to): Samples of a PC in a range
+ *   - findSamples(pcId, options): A PC's samples in a range, by time then _id
+ *     ({ from, to, limit, after: { t, id }, sort: asc|desc, fields })
+ *   - iterateSamples(options): Async iterable over samples oldest first, with close()
+ *     ({ pcIds, from, to, fields })
+ *   - deleteOlderThan(cutoff): Delete samples created before cutoff, resolves to { deletedCount }
+ *   - getFilesystemUsage(since, bucketSize): Average usage and latest size per
+ *     PC, disk mount and time bucket, oldest bucket first
+ *     ([{ pcId, mount, bucket, usage, size }])
+ *   - getBucketStats(options): (Async) iterable of per-PC, per-bucket counts and
+ *     { min, max, sum, count } of each metric, for rebuilding rollups
+ *     ({ from, to, bucketSize, metrics })
+ *
+ * Samples are returned as plain objects. With fields, only _id, pcId, createdAt
+ * and those fields are included.
+ *
+ * Everything else (accounts, agent keys, alerts, rollups, machines...) is
+ * still stored in MongoDB. Only the mongodb backend needs it to start; the
+ * others serve samples without it (see utils/database.js).
+ */
+
+const BACKENDS = {
+  mongodb: () => require('./mongo'),
+  memory: () => require('./memory'),
+  sqlite: () => require('./sqlite')
+};
+
+const backend = process.env.STORAGE_BACKEND || 'mongodb';
+
+if (!BACKENDS[backend]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (${Object.keys(BACKENDS).join(', ')})`);
+}
+
+module.exports = BACKENDS[backend]();
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+/**
+ * In-Memory Sample Store
+ *
+ * Keeps raw samples in the server process, per PC and ordered by createdAt
+ * then _id, for small installs and local testing (see storage/index.js for
+ * the interface). With STORAGE_FILE set, samples are loaded from that file on
+ * open() and written back every STORAGE_SAVE_INTERVAL ms when they changed,
+ * and on close(). At most STORAGE_MAX_SAMPLES samples are kept; the oldest
+ * are dropped first.
+ */
+
+// Configuration
+const CONFIG = {
+  FILE: process.env.STORAGE_FILE || '',
+  SAVE_INTERVAL: parseInt(process.env.STORAGE_SAVE_INTERVAL) || 30 * 1000, // 30 seconds
+  MAX_SAMPLES: parseInt(process.env.STORAGE_MAX_SAMPLES) || 500000
+};
+
+const samplesByPc = new Map(); // pcId -> samples, oldest first
+let total = 0;
+let dirty = false;
+let saveTimer = null;
+
+// Sample order: createdAt, then _id
+function compareSamples(a, b) {
+  const diff = a.createdAt - b.createdAt;
+  if (diff !== 0) return diff;
+  const [idA, idB] = [a._id.toString(), b._id.toString()];
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+// Copy of a sample with only the requested fields (always _id, pcId and createdAt)
+function project(sample, fields) {
+  if (!fields) return { ...sample };
+  const result = { _id: sample._id, pcId: sample.pcId, createdAt: sample.createdAt };
+  for (const field of fields) {
+    if (sample[field] !== undefined) result[field] = sample[field];
+  }
+  return result;
+}
+
+// Whether a sample's time is in [from, to]
+function inRange(sample, from, to) {
+  return (!from || sample.createdAt >= from) && (!to || sample.createdAt <= to);
+}
+
+// Add a sample in order
+function add(sample) {
+  if (!samplesByPc.has(sample.pcId)) samplesByPc.set(sample.pcId, []);
+  const samples = samplesByPc.get(sample.pcId);
+
+  // Samples nearly always arrive in order; search back from the end otherwise
+  let index = samples.length;
+  while (index > 0 && compareSamples(samples[index - 1], sample) > 0) index--;
+  samples.splice(index, 0, sample);
+  total++;
+}
+
+// Drop the oldest samples beyond STORAGE_MAX_SAMPLES
+function enforceLimit() {
+  while (total > CONFIG.MAX_SAMPLES) {
+    let oldest = null;
+    for (const samples of samplesByPc.values()) {
+      if (samples.length > 0 && (!oldest || compareSamples(samples[0], oldest[0]) < 0)) oldest = samples;
+    }
+    oldest.shift();
+    total--;
+  }
+
+  for (const [pcId, samples] of samplesByPc) {
+    if (samples.length === 0) samplesByPc.delete(pcId);
+  }
+}
+
+// Write all samples to STORAGE_FILE (through a temporary file so a crash can't truncate it)
+async function save() {
+  if (!CONFIG.FILE || !dirty) return;
+  dirty = false;
+
+  const samples = [...samplesByPc.values()].flat();
+  const temporary = `${CONFIG.FILE}.tmp`;
+  await fs.promises.mkdir(path.dirname(path.resolve(CONFIG.FILE)), { recursive: true });
+  await fs.promises.writeFile(temporary, JSON.stringify({ version: 1, samples }));
+  await fs.promises.rename(temporary, CONFIG.FILE);
+}
+
+async function open() {
+  if (!CONFIG.FILE) return;
+
+  let content = null;
+  try {
+    content = await fs.promises.readFile(CONFIG.FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (content) {
+    const { samples = [] } = JSON.parse(content);
+    for (const sample of samples) {
+      add({
+        ...sample,
+        _id: new mongoose.Types.ObjectId(sample._id),
+        createdAt: new Date(sample.createdAt),
+        updatedAt: new Date(sample.updatedAt)
+      });
+    }
+    enforceLimit();
+    console.log(`💾 Loaded ${total} samples from ${CONFIG.FILE}`);
+  }
+
+  saveTimer = setInterval(() => {
+    save().catch((error) => {
+      console.error('Error saving sample store:', error);
+    });
+  }, CONFIG.SAVE_INTERVAL);
+  saveTimer.unref();
+}
+
+async function close() {
+  clearInterval(saveTimer);
+  saveTimer = null;
+  await save();
+}
+
+async function insertSamples(documents) {
+  const now = new Date();
+  for (const document of documents) {
+    const sample = document.toObject ? document.toObject() : { ...document };
+    add({ ...sample, createdAt: new Date(sample.createdAt || now), updatedAt: now, __v: 0 });
+  }
+  enforceLimit();
+  dirty = true;
+}
+
+async function findLatest(pcId) {
+  const samples = samplesByPc.get(pcId) || [];
+  return samples.length > 0 ? project(samples[samples.length - 1]) : null;
+}
+
+async function findPrevious(pcId, before) {
+  const samples = samplesByPc.get(pcId) || [];
+  for (let i = samples.length - 1; i >= 0; i--) {
+    if (samples[i].createdAt < before) {
+      const { _id, uptime, createdAt } = samples[i];
+      return { _id, pcId, uptime, createdAt };
+    }
+  }
+  return null;
+}
+
+async function getLatestData(pcIds, { from, to, sort = 'asc', limit, after, fields } = {}) {
+  const direction = sort === 'desc' ? -1 : 1;
+  const latest = [];
+
+  for (const [pcId, samples] of samplesByPc) {
+    if (pcIds && !pcIds.includes(pcId)) continue;
+    if (after !== undefined && (direction === 1 ? pcId <= after : pcId >= after)) continue;
+
+    for (let i = samples.length - 1; i >= 0; i--) {
+      if (to && samples[i].createdAt > to) continue;
+      if (inRange(samples[i], from, to)) latest.push(samples[i]);
+      break;
+    }
+  }
+
+  latest.sort((a, b) => (a.pcId < b.pcId ? -direction : a.pcId > b.pcId ? direction : 0));
+  return (limit ? latest.slice(0, limit) : latest).map(sample => project(sample, fields));
+}
+
+async function getOverviewStats(pcIds, { from, to } = {}) {
+  const cutoff = from || new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const sums = { cpu: 0, ram: 0, disk: 0 };
+  const reporting = new Set();
+  let count = 0;
+
+  for (const [pcId, samples] of samplesByPc) {
+    if (pcIds && !pcIds.includes(pcId)) continue;
+    for (const sample of samples) {
+      if (!inRange(sample, cutoff, to)) continue;
+      sums.cpu += sample.cpu;
+      sums.ram += sample.ram;
+      sums.disk += sample.disk;
+      reporting.add(pcId);
+      count++;
+    }
+  }
+
+  if (count === 0) return [];
+  const average = value => Math.round((value / count) * 100) / 100;
+  return [{ avgCpu: average(sums.cpu), avgRam: average(sums.ram), avgDisk: average(sums.disk), totalPCs: reporting.size }];
+}
+
+async function countSamples(pcId, from, to) {
+  return (samplesByPc.get(pcId) || []).filter(sample => inRange(sample, from, to)).length;
+}
+
+async function findSamples(pcId, { from, to, limit, after, sort = 'asc', fields }) {
+  const direction = sort === 'desc' ? -1 : 1;
+  const position = after ? { createdAt: new Date(after.t), _id: after.id } : null;
+
+  let samples = (samplesByPc.get(pcId) || []).filter(sample => inRange(sample, from, to));
+  if (direction === -1) samples = samples.reverse();
+  if (position) samples = samples.filter(sample => compareSamples(sample, position) * direction > 0);
+  if (limit) samples = samples.slice(0, limit);
+
+  return samples.map(sample => project(sample, fields));
+}
+
+function iterateSamples({ pcIds, from, to, fields }) {
+  // Snapshot of the matching samples, so inserts during the export don't shift it
+  const samples = [...samplesByPc]
+    .filter(([pcId]) => !pcIds || pcIds.includes(pcId))
+    .flatMap(([, pcSamples]) => pcSamples.filter(sample => inRange(sample, from, to)))
+    .sort(compareSamples);
+  let closed = false;
+
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const sample of samples) {
+        if (closed) return;
+        yield project(sample, fields);
+      }
+    },
+    close: async () => { closed = true; }
+  };
+}
+
+async function deleteOlderThan(cutoff) {
+  let deletedCount = 0;
+
+  for (const [pcId, samples] of samplesByPc) {
+    const kept = samples.filter(sample => sample.createdAt >= cutoff);
+    deletedCount += samples.length - kept.length;
+    if (kept.length > 0) samplesByPc.set(pcId, kept);
+    else samplesByPc.delete(pcId);
+  }
+
+  total -= deletedCount;
+  if (deletedCount > 0) dirty = true;
+  return { deletedCount };
+}
+
+// Start of the bucket of a time
+function bucketOf(time, bucketSize) {
+  return time.getTime() - (time.getTime() % bucketSize);
+}
+
+async function getFilesystemUsage(since, bucketSize) {
+  const groups = new Map(); // "<pcId>\n<mount>\n<bucket>" -> row with the usage sum
+
+  for (const [pcId, samples] of samplesByPc) {
+    // Oldest first, so the last size seen is the latest of the bucket
+    for (const sample of samples) {
+      if (sample.createdAt < since || !Array.isArray(sample.disks)) continue;
+      const bucket = bucketOf(sample.createdAt, bucketSize);
+      for (const disk of sample.disks) {
+        const key = `${pcId}\n${disk.mount}\n${bucket}`;
+        if (!groups.has(key)) groups.set(key, { pcId, mount: disk.mount, bucket, sum: 0, count: 0, size: null });
+        const group = groups.get(key);
+        if (typeof disk.usage === 'number') {
+          group.sum += disk.usage;
+          group.count++;
+        }
+        group.size = disk.size ?? null;
+      }
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => a.bucket - b.bucket)
+    .map(({ pcId, mount, bucket, sum, count, size }) => ({
+      pcId, mount, bucket: new Date(bucket), usage: count > 0 ? sum / count : null, size
+    }));
+}
+
+async function getBucketStats({ from, to, bucketSize, metrics }) {
+  const buckets = new Map(); // "<pcId>\n<bucket>" -> bucket
+
+  for (const [pcId, samples] of samplesByPc) {
+    for (const sample of samples) {
+      if (!inRange(sample, from, to)) continue;
+      const bucket = bucketOf(sample.createdAt, bucketSize);
+      const key = `${pcId}\n${bucket}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          pcId,
+          bucket: new Date(bucket),
+          count: 0,
+          ...Object.fromEntries(metrics.map(metric => [metric, { min: null, max: null, sum: 0, count: 0 }]))
+        });
+      }
+
+      const stats = buckets.get(key);
+      stats.count++;
+      for (const metric of metrics) {
+        const value = sample[metric];
+        if (typeof value !== 'number') continue;
+        const aggregate = stats[metric];
+        aggregate.min = aggregate.min === null ? value : Math.min(aggregate.min, value);
+        aggregate.max = aggregate.max === null ? value : Math.max(aggregate.max, value);
+        aggregate.sum += value;
+        aggregate.count++;
+      }
+    }
+  }
+
+  return [...buckets.values()];
+}
+
+module.exports = {
+  backend: 'memory',
+  CONFIG,
+  open,
+  close,
+  insertSamples,
+  findLatest,
+  findPrevious,
+  getLatestData,
+  getOverviewStats,
+  countSamples,
+  findSamples,
+  iterateSamples,
+  deleteOlderThan,
+  getFilesystemUsage,
+  getBucketStats
+};
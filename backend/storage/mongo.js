@@ -0,0 +1,135 @@
+const SystemInfo = require('../models/SystemInfo');
+
+/**
+ * MongoDB Sample Store
+ *
+ * Keeps raw samples in the SystemInfo collection (see storage/index.js for
+ * the interface). The connection itself is managed by server.js.
+ */
+
+// Projection of the requested fields (always with pcId and createdAt)
+function selectFields(fields) {
+  return ['pcId', 'createdAt', ...fields].join(' ');
+}
+
+async function open() {}
+
+async function close() {}
+
+async function insertSamples(documents) {
+  await SystemInfo.insertMany(documents, { ordered: false });
+}
+
+function findLatest(pcId) {
+  return SystemInfo.findOne({ pcId }).sort({ createdAt: -1 }).lean();
+}
+
+function findPrevious(pcId, before) {
+  return SystemInfo.findOne({ pcId, createdAt: { $lt: before } })
+    .sort({ createdAt: -1 })
+    .select('pcId uptime createdAt')
+    .lean();
+}
+
+function getLatestData(pcIds, options) {
+  return SystemInfo.getLatestData(pcIds, options);
+}
+
+function getOverviewStats(pcIds, range) {
+  return SystemInfo.getOverviewStats(pcIds, range);
+}
+
+function countSamples(pcId, from, to) {
+  return SystemInfo.countDocuments({ pcId, createdAt: { $gte: from, $lte: to } });
+}
+
+function findSamples(pcId, { from, to, limit, after, sort = 'asc', fields }) {
+  const direction = sort === 'desc' ? -1 : 1;
+  const beyond = direction === 1 ? '$gt' : '$lt';
+
+  const filter = { pcId, createdAt: { $gte: from, $lte: to } };
+  if (after) {
+    // Samples may share a createdAt, so the _id breaks ties
+    const time = new Date(after.t);
+    filter.$or = [{ createdAt: { [beyond]: time } }, { createdAt: time, _id: { [beyond]: after.id } }];
+  }
+
+  let query = SystemInfo.find(filter).sort({ createdAt: direction, _id: direction });
+  if (fields) query = query.select(selectFields(fields));
+  if (limit) query = query.limit(limit);
+  return query.lean();
+}
+
+function iterateSamples({ pcIds, from, to, fields }) {
+  const filter = { createdAt: { $gte: from, $lte: to } };
+  if (pcIds) filter.pcId = { $in: pcIds };
+
+  let query = SystemInfo.find(filter).sort({ createdAt: 1 });
+  if (fields) query = query.select(selectFields(fields));
+  return query.lean().cursor();
+}
+
+function deleteOlderThan(cutoff) {
+  return SystemInfo.deleteMany({ createdAt: { $lt: cutoff } });
+}
+
+// Start of the bucket of createdAt, as a date
+function bucketOf(bucketSize) {
+  const millis = { $toLong: '$createdAt' };
+  return { $toDate: { $subtract: [millis, { $mod: [millis, bucketSize] }] } };
+}
+
+async function getFilesystemUsage(since, bucketSize) {
+  const rows = await SystemInfo.aggregate([
+    { $match: { createdAt: { $gte: since }, 'disks.0': { $exists: true } } },
+    // In time order, so $last is the size in the latest sample of the bucket
+    { $sort: { createdAt: 1 } },
+    { $unwind: '$disks' },
+    {
+      $group: {
+        _id: { pcId: '$pcId', mount: '$disks.mount', bucket: bucketOf(bucketSize) },
+        usage: { $avg: '$disks.usage' },
+        size: { $last: '$disks.size' }
+      }
+    },
+    { $sort: { '_id.bucket': 1 } }
+  ]).allowDiskUse(true);
+
+  return rows.map(({ _id, usage, size }) => ({ ..._id, usage, size }));
+}
+
+function getBucketStats({ from, to, bucketSize, metrics }) {
+  const group = { _id: { pcId: '$pcId', bucket: bucketOf(bucketSize) }, count: { $sum: 1 } };
+  const project = { _id: 0, pcId: '$_id.pcId', bucket: '$_id.bucket', count: 1 };
+  for (const metric of metrics) {
+    group[`${metric}Min`] = { $min: `$${metric}` };
+    group[`${metric}Max`] = { $max: `$${metric}` };
+    group[`${metric}Sum`] = { $sum: `$${metric}` };
+    // Not every sample has every metric (e.g. network throughput)
+    group[`${metric}Count`] = { $sum: { $cond: [{ $isNumber: `$${metric}` }, 1, 0] } };
+    project[metric] = { min: `$${metric}Min`, max: `$${metric}Max`, sum: `$${metric}Sum`, count: `$${metric}Count` };
+  }
+
+  return SystemInfo.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    { $group: group },
+    { $project: project }
+  ]).allowDiskUse(true).cursor();
+}
+
+module.exports = {
+  backend: 'mongodb',
+  open,
+  close,
+  insertSamples,
+  findLatest,
+  findPrevious,
+  getLatestData,
+  getOverviewStats,
+  countSamples,
+  findSamples,
+  iterateSamples,
+  deleteOlderThan,
+  getFilesystemUsage,
+  getBucketStats
+};
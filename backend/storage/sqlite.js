@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+/**
+ * SQLite Sample Store
+ *
+ * Keeps raw samples in a SQLite database file (STORAGE_FILE, default
+ * data/samples.sqlite), for single-server installs that want samples to
+ * survive restarts without running them through MongoDB (see
+ * storage/index.js for the interface). Each sample is stored as JSON next to
+ * the columns it is looked up by. Needs the optional better-sqlite3 package.
+ */
+
+// Configuration
+const CONFIG = {
+  FILE: process.env.STORAGE_FILE || path.join('data', 'samples.sqlite'),
+  PAGE_SIZE: 500 // Samples read per query by iterateSamples
+};
+
+// Bounds used when a range end is not given (ms)
+const MIN_TIME = -8.64e15;
+const MAX_TIME = 8.64e15;
+
+let db = null;
+let statements = null;
+
+// Load better-sqlite3, which is only installed when this store is wanted
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+}
+
+// Time in ms, or a fallback when not given
+function millis(time, fallback) {
+  return time ? new Date(time).getTime() : fallback;
+}
+
+// Sample stored in a row, with its ids and dates restored
+function toSample(row) {
+  const sample = JSON.parse(row.data);
+  sample._id = new mongoose.Types.ObjectId(sample._id);
+  sample.createdAt = new Date(sample.createdAt);
+  if (sample.updatedAt) sample.updatedAt = new Date(sample.updatedAt);
+  return sample;
+}
+
+// Copy of a sample with only the requested fields (always _id, pcId and createdAt)
+function project(sample, fields) {
+  if (!fields) return sample;
+  const result = { _id: sample._id, pcId: sample.pcId, createdAt: sample.createdAt };
+  for (const field of fields) {
+    if (sample[field] !== undefined) result[field] = sample[field];
+  }
+  return result;
+}
+
+// "?, ?, ?" for a list of values
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+async function open() {
+  const Database = loadDriver();
+  if (CONFIG.FILE !== ':memory:') {
+    await fs.promises.mkdir(path.dirname(path.resolve(CONFIG.FILE)), { recursive: true });
+  }
+
+  db = new Database(CONFIG.FILE);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS samples (
+      id TEXT PRIMARY KEY,
+      pc_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS samples_pc_time ON samples (pc_id, created_at, id);
+    CREATE INDEX IF NOT EXISTS samples_time ON samples (created_at, id);
+  `);
+
+  statements = {
+    insert: db.prepare('INSERT INTO samples (id, pc_id, created_at, data) VALUES (?, ?, ?, ?)'),
+    latest: db.prepare('SELECT data FROM samples WHERE pc_id = ? AND created_at <= ? ORDER BY created_at DESC, id DESC LIMIT 1'),
+    previous: db.prepare('SELECT data FROM samples WHERE pc_id = ? AND created_at < ? ORDER BY created_at DESC, id DESC LIMIT 1'),
+    pcIds: db.prepare('SELECT DISTINCT pc_id FROM samples'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM samples WHERE pc_id = ? AND created_at BETWEEN ? AND ?'),
+    deleteBefore: db.prepare('DELETE FROM samples WHERE created_at < ?')
+  };
+  statements.insertAll = db.transaction((rows) => {
+    for (const row of rows) statements.insert.run(...row);
+  });
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM samples').get();
+  console.log(`💾 Opened ${CONFIG.FILE} (${count} samples)`);
+}
+
+async function close() {
+  if (!db) return;
+  db.close();
+  db = null;
+  statements = null;
+}
+
+async function insertSamples(documents) {
+  const now = new Date();
+  const rows = documents.map((document) => {
+    const sample = document.toObject ? document.toObject() : { ...document };
+    const createdAt = new Date(sample.createdAt || now);
+    const data = JSON.stringify({ ...sample, createdAt, updatedAt: now, __v: 0 });
+    return [sample._id.toString(), sample.pcId, createdAt.getTime(), data];
+  });
+  statements.insertAll(rows);
+}
+
+async function findLatest(pcId) {
+  const row = statements.latest.get(pcId, MAX_TIME);
+  return row ? toSample(row) : null;
+}
+
+async function findPrevious(pcId, before) {
+  const row = statements.previous.get(pcId, millis(before, MAX_TIME));
+  if (!row) return null;
+  const { _id, uptime, createdAt } = toSample(row);
+  return { _id, pcId, uptime, createdAt };
+}
+
+async function getLatestData(pcIds, { from, to, sort = 'asc', limit, after, fields } = {}) {
+  const direction = sort === 'desc' ? -1 : 1;
+  const fromTime = millis(from, MIN_TIME);
+  const toTime = millis(to, MAX_TIME);
+
+  // One indexed lookup per PC (the index on pc_id makes DISTINCT cheap)
+  let candidates = pcIds || statements.pcIds.all().map(row => row.pc_id);
+  if (after !== undefined) candidates = candidates.filter(pcId => (direction === 1 ? pcId > after : pcId < after));
+
+  const latest = [];
+  for (const pcId of new Set(candidates)) {
+    const row = statements.latest.get(pcId, toTime);
+    if (!row) continue;
+    const sample = toSample(row);
+    if (sample.createdAt.getTime() >= fromTime) latest.push(sample);
+  }
+
+  latest.sort((a, b) => (a.pcId < b.pcId ? -direction : a.pcId > b.pcId ? direction : 0));
+  return (limit ? latest.slice(0, limit) : latest).map(sample => project(sample, fields));
+}
+
+async function getOverviewStats(pcIds, { from, to } = {}) {
+  const cutoff = millis(from, Date.now() - 24 * 60 * 60 * 1000);
+  const params = [cutoff, millis(to, MAX_TIME)];
+  let sql = `
+    SELECT COUNT(*) AS count, COUNT(DISTINCT pc_id) AS totalPCs,
+      AVG(json_extract(data, '$.cpu')) AS cpu,
+      AVG(json_extract(data, '$.ram')) AS ram,
+      AVG(json_extract(data, '$.disk')) AS disk
+    FROM samples WHERE created_at BETWEEN ? AND ?`;
+  if (pcIds) {
+    sql += ` AND pc_id IN (${placeholders(pcIds)})`;
+    params.push(...pcIds);
+  }
+
+  const row = db.prepare(sql).get(...params);
+  if (row.count === 0) return [];
+  const round = value => Math.round(value * 100) / 100;
+  return [{ avgCpu: round(row.cpu), avgRam: round(row.ram), avgDisk: round(row.disk), totalPCs: row.totalPCs }];
+}
+
+async function countSamples(pcId, from, to) {
+  return statements.count.get(pcId, millis(from, MIN_TIME), millis(to, MAX_TIME)).count;
+}
+
+async function findSamples(pcId, { from, to, limit, after, sort = 'asc', fields }) {
+  const order = sort === 'desc' ? 'DESC' : 'ASC';
+  const beyond = sort === 'desc' ? '<' : '>';
+  const params = [pcId, millis(from, MIN_TIME), millis(to, MAX_TIME)];
+
+  let sql = 'SELECT data FROM samples WHERE pc_id = ? AND created_at BETWEEN ? AND ?';
+  if (after) {
+    // Samples may share a createdAt, so the id breaks ties
+    const time = millis(after.t);
+    sql += ` AND (created_at ${beyond} ? OR (created_at = ? AND id ${beyond} ?))`;
+    params.push(time, time, String(after.id));
+  }
+  sql += ` ORDER BY created_at ${order}, id ${order}`;
+  if (limit) {
+    sql += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return db.prepare(sql).all(...params).map(row => project(toSample(row), fields));
+}
+
+function iterateSamples({ pcIds, from, to, fields }) {
+  // Read a page at a time: an open better-sqlite3 iterator would block every
+  // other query on the connection until the export finishes
+  const filter = ['created_at BETWEEN ? AND ?'];
+  const filterParams = [millis(from, MIN_TIME), millis(to, MAX_TIME)];
+  if (pcIds) {
+    filter.push(`pc_id IN (${placeholders(pcIds)})`);
+    filterParams.push(...pcIds);
+  }
+  let closed = false;
+
+  return {
+    async *[Symbol.asyncIterator]() {
+      let position = null;
+      while (!closed) {
+        const conditions = [...filter];
+        const params = [...filterParams];
+        if (position) {
+          conditions.push('(created_at > ? OR (created_at = ? AND id > ?))');
+          params.push(position.time, position.time, position.id);
+        }
+        const rows = db.prepare(`SELECT id, created_at, data FROM samples WHERE ${conditions.join(' AND ')} ORDER BY created_at, id LIMIT ?`)
+          .all(...params, CONFIG.PAGE_SIZE);
+
+        for (const row of rows) {
+          if (closed) return;
+          yield project(toSample(row), fields);
+        }
+        if (rows.length < CONFIG.PAGE_SIZE) return;
+        const last = rows[rows.length - 1];
+        position = { time: last.created_at, id: last.id };
+      }
+    },
+    close: async () => { closed = true; }
+  };
+}
+
+async function deleteOlderThan(cutoff) {
+  const { changes } = statements.deleteBefore.run(millis(cutoff));
+  return { deletedCount: changes };
+}
+
+async function getFilesystemUsage(since, bucketSize) {
+  // With a single max() aggregate, SQLite takes the other bare columns (size)
+  // from the row holding the maximum: the latest sample of the bucket
+  const rows = db.prepare(`
+    SELECT s.pc_id AS pcId, json_extract(d.value, '$.mount') AS mount,
+      s.created_at - s.created_at % ? AS bucket,
+      AVG(json_extract(d.value, '$.usage')) AS usage,
+      MAX(s.created_at) AS latestAt, json_extract(d.value, '$.size') AS size
+    FROM samples s, json_each(s.data, '$.disks') d
+    WHERE s.created_at >= ?
+    GROUP BY pcId, mount, bucket
+    ORDER BY bucket
+  `).all(bucketSize, millis(since, MIN_TIME));
+
+  return rows.map(({ pcId, mount, bucket, usage, size }) => ({ pcId, mount, bucket: new Date(bucket), usage, size }));
+}
+
+async function getBucketStats({ from, to, bucketSize, metrics }) {
+  // Metric names are passed as JSON paths, never written into the SQL
+  const columns = metrics.map((metric, i) => `
+      MIN(json_extract(data, @path${i})) AS min${i}, MAX(json_extract(data, @path${i})) AS max${i},
+      SUM(json_extract(data, @path${i})) AS sum${i}, COUNT(json_extract(data, @path${i})) AS count${i}`);
+  const params = { size: bucketSize, from: millis(from, MIN_TIME), to: millis(to, MAX_TIME) };
+  metrics.forEach((metric, i) => { params[`path${i}`] = `$.${metric}`; });
+
+  const rows = db.prepare(`
+    SELECT pc_id AS pcId, created_at - created_at % @size AS bucket, COUNT(*) AS count,${columns.join(',')}
+    FROM samples
+    WHERE created_at BETWEEN @from AND @to
+    GROUP BY pcId, bucket
+  `).all(params);
+
+  return rows.map(row => ({
+    pcId: row.pcId,
+    bucket: new Date(row.bucket),
+    count: row.count,
+    ...Object.fromEntries(metrics.map((metric, i) => [metric, {
+      min: row[`min${i}`],
+      max: row[`max${i}`],
+      sum: row[`sum${i}`] ?? 0,
+      count: row[`count${i}`]
+    }]))
+  }));
+}
+
+module.exports = {
+  backend: 'sqlite',
+  CONFIG,
+  open,
+  close,
+  insertSamples,
+  findLatest,
+  findPrevious,
+  getLatestData,
+  getOverviewStats,
+  countSamples,
+  findSamples,
+  iterateSamples,
+  deleteOlderThan,
+  getFilesystemUsage,
+  getBucketStats
+};
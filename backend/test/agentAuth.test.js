@@ -0,0 +1,178 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AGENT_AUTH_MODE = 'optional';
+
+const AgentKey = require('../models/AgentKey');
+const agentAuth = require('../middleware/agentAuth');
+const { signRequest } = require('../utils/signing');
+
+const SECRET = 'test-secret';
+const keys = {
+  'ak_active': new AgentKey({ keyId: 'ak_active', pcId: 'PC-001', secret: SECRET }),
+  'ak_revoked': new AgentKey({ keyId: 'ak_revoked', pcId: 'PC-001', secret: SECRET, status: 'revoked' })
+};
+
+// Request as the middleware sees it; signed with keyId unless headers are given
+function request({ method = 'POST', path = '/api/systemdata', body = { pcId: 'PC-001' }, keyId = 'ak_active', timestamp = Date.now(), headers } = {}) {
+  const rawBody = JSON.stringify(body);
+  const allHeaders = headers || {
+    'X-Agent-Key': keyId,
+    'X-Agent-Timestamp': String(timestamp),
+    'X-Agent-Signature': signRequest(SECRET, timestamp, method, path, rawBody)
+  };
+  return { method, originalUrl: path, rawBody, body, get: name => allHeaders[name] };
+}
+
+// Run the middleware; resolves with { status, body } or { next: true }
+function run(req, options, middleware = agentAuth) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    middleware(options)(req, res, () => resolve({ next: true, agent: req.agent }));
+  });
+}
+
+describe('agentAuth', () => {
+  let activePcIds;
+  const originals = {};
+
+  before(() => {
+    Object.assign(originals, { findOne: AgentKey.findOne, updateOne: AgentKey.updateOne, hasActiveKey: AgentKey.hasActiveKey });
+    AgentKey.findOne = ({ keyId }) => ({ select: async () => keys[keyId] || null });
+    AgentKey.updateOne = async () => ({});
+    AgentKey.hasActiveKey = async pcId => activePcIds.includes(pcId);
+  });
+
+  after(() => Object.assign(AgentKey, originals));
+
+  beforeEach(() => { activePcIds = ['PC-001']; });
+
+  it('accepts a signed request and sets req.agent', async () => {
+    const result = await run(request());
+    assert.deepEqual(result, { next: true, agent: { keyId: 'ak_active', pcId: 'PC-001' } });
+  });
+
+  it('rejects a tampered body', async () => {
+    const req = request();
+    req.rawBody = JSON.stringify({ pcId: 'PC-001', cpu: 1 });
+    const result = await run(req);
+    assert.equal(result.status, 401);
+    assert.equal(result.body.message, 'Invalid request signature');
+  });
+
+  it('rejects a signature sent to another endpoint or with another method', async () => {
+    const moved = request();
+    moved.originalUrl = '/api/systemdata/batch';
+    assert.equal((await run(moved)).status, 401);
+
+    const otherMethod = request();
+    otherMethod.method = 'PUT';
+    assert.equal((await run(otherMethod)).status, 401);
+  });
+
+  it('rejects a replayed request', async () => {
+    const req = request();
+    assert.equal((await run(req)).next, true);
+    const replay = await run(req);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.message, 'Replayed request');
+  });
+
+  it('rejects timestamps outside the clock skew', async () => {
+    const result = await run(request({ timestamp: Date.now() + 10 * 60 * 1000 }));
+    assert.equal(result.status, 401);
+    assert.match(result.body.message, /clock skew/);
+  });
+
+  it('rejects requests signed before the server started', async () => {
+    const result = await run(request({ timestamp: Date.now() - 60 * 1000 }));
+    assert.equal(result.status, 401);
+    assert.match(result.body.message, /before the server started/);
+  });
+
+  it('rejects unknown and revoked keys', async () => {
+    assert.equal((await run(request({ keyId: 'ak_missing' }))).status, 401);
+    assert.equal((await run(request({ keyId: 'ak_revoked' }))).status, 401);
+  });
+
+  it('rejects data for a PC the key does not belong to', async () => {
+    const result = await run(request({ body: { pcId: 'PC-002' } }));
+    assert.equal(result.status, 403);
+  });
+
+  it('checks every pcId returned by getPcIds', async () => {
+    const body = { samples: [{ pcId: 'PC-001' }, { pcId: 'PC-002' }] };
+    const result = await run(request({ path: '/api/systemdata/batch', body }), {
+      getPcIds: req => req.body.samples.map(sample => sample.pcId)
+    });
+    assert.equal(result.status, 403);
+  });
+
+  it('accepts unsigned requests only for PCs without an active key in optional mode', async () => {
+    assert.equal((await run(request({ body: { pcId: 'PC-002' }, headers: {} }))).next, true);
+    const enrolled = await run(request({ headers: {} }));
+    assert.equal(enrolled.status, 401);
+    assert.match(enrolled.body.message, /enrolled/);
+  });
+
+  it('requires a signature with requireSignature, even in optional mode', async () => {
+    const options = { getPcIds: () => ['PC-002'], requireSignature: true };
+    const unsigned = await run(request({ path: '/api/agents/PC-002/jobs/claim', headers: {} }), options);
+    assert.equal(unsigned.status, 401);
+    assert.equal(unsigned.body.message, 'Agent authentication required');
+  });
+});
+
+describe('agentAuth without AGENT_AUTH_MODE', () => {
+  it('requires a signature from every agent', async () => {
+    const path = require.resolve('../middleware/agentAuth');
+    delete require.cache[path];
+    delete process.env.AGENT_AUTH_MODE;
+    try {
+      const result = await run(request({ body: { pcId: 'PC-404' }, headers: {} }), undefined, require(path));
+      assert.equal(result.status, 401);
+      assert.equal(result.body.message, 'Agent authentication required');
+    } finally {
+      process.env.AGENT_AUTH_MODE = 'optional';
+    }
+  });
+});
+
+describe('agentAuth with AGENT_AUTH_MODE=off', () => {
+  let offAuth;
+  const path = require.resolve('../middleware/agentAuth');
+  const originals = {};
+
+  before(() => {
+    delete require.cache[path];
+    process.env.AGENT_AUTH_MODE = 'off';
+    offAuth = require(path);
+    Object.assign(originals, { findOne: AgentKey.findOne, updateOne: AgentKey.updateOne });
+    AgentKey.findOne = ({ keyId }) => ({ select: async () => keys[keyId] || null });
+    AgentKey.updateOne = async () => ({});
+  });
+
+  after(() => {
+    process.env.AGENT_AUTH_MODE = 'optional';
+    Object.assign(AgentKey, originals);
+  });
+
+  it('lets unsigned submissions through', async () => {
+    assert.equal((await run(request({ headers: {} }), undefined, offAuth)).next, true);
+  });
+
+  it('still requires a valid signature with requireSignature', async () => {
+    const options = { getPcIds: req => [req.body.pcId], requireSignature: true };
+    assert.equal((await run(request({ headers: {} }), options, offAuth)).status, 401);
+
+    const tampered = request();
+    tampered.rawBody = '{}';
+    assert.equal((await run(tampered, options, offAuth)).status, 401);
+
+    const signed = await run(request(), options, offAuth);
+    assert.deepEqual(signed, { next: true, agent: { keyId: 'ak_active', pcId: 'PC-001' } });
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AgentConfig = require('../models/AgentConfig');
+const Machine = require('../models/Machine');
+const { validateSettings, versionOf, getEffectiveConfig } = require('../services/agentConfig');
+
+describe('validateSettings', () => {
+  it('accepts known settings', () => {
+    assert.equal(validateSettings({ interval: 30000, retry: { maxRetries: 5 }, collectors: ['cores', 'swap'] }), null);
+    assert.equal(validateSettings({}), null);
+  });
+
+  it('rejects unknown or malformed settings', () => {
+    assert.match(validateSettings([]), /must be an object/);
+    assert.match(validateSettings({ colour: 'red' }), /Unknown settings: colour/);
+    assert.match(validateSettings({ retry: 3 }), /retry must be an object/);
+    assert.match(validateSettings({ thresholds: { gpu: 90 } }), /Unknown thresholds settings: gpu/);
+    assert.match(validateSettings({ collectors: ['swap', 'swap'] }), /without duplicates/);
+    assert.match(validateSettings({ interval: 1.5 }), /interval must be a whole number/);
+    assert.match(validateSettings({ retry: { retryDelay: '5' } }), /retry.retryDelay must be a whole number/);
+  });
+});
+
+describe('versionOf', () => {
+  it('does not depend on key order', () => {
+    assert.equal(versionOf({ interval: 1000, retry: { maxRetries: 1, retryDelay: 2 } }),
+      versionOf({ retry: { retryDelay: 2, maxRetries: 1 }, interval: 1000 }));
+    assert.notEqual(versionOf({ interval: 1000 }), versionOf({ interval: 2000 }));
+  });
+});
+
+describe('getEffectiveConfig', () => {
+  let documents;
+  let groups;
+  const originals = {};
+
+  before(() => {
+    originals.find = AgentConfig.find;
+    originals.groupsByPc = Machine.groupsByPc;
+    // Documents matching the query's scope/target conditions, in any order
+    AgentConfig.find = (query) => ({
+      lean: async () => documents.filter(document => query.$or.some(condition =>
+        condition.scope === document.scope &&
+        (condition.target === undefined ||
+          (condition.target.$in ? condition.target.$in.includes(document.target) : condition.target === document.target))
+      ))
+    });
+    Machine.groupsByPc = async pcIds => new Map(pcIds.map(pcId => [pcId, groups]));
+  });
+
+  after(() => {
+    AgentConfig.find = originals.find;
+    Machine.groupsByPc = originals.groupsByPc;
+  });
+
+  beforeEach(() => {
+    groups = [];
+    documents = [
+      { scope: 'pc', target: 'PC-001', settings: { retry: { retryDelay: 1000 }, thresholds: { cpu: 95 } } },
+      { scope: 'group', target: 'night', settings: { interval: 120000, collectors: ['swap'] } },
+      { scope: 'group', target: 'lab', settings: { interval: 5000, thresholds: { cpu: 80, ram: 85 } } },
+      { scope: 'default', target: '', settings: { interval: 60000, retry: { maxRetries: 3, retryDelay: 5000 } } },
+      { scope: 'pc', target: 'PC-002', settings: { interval: 1000 } }
+    ];
+  });
+
+  it('merges default, group and PC documents, nested settings key by key', async () => {
+    groups = ['night', 'lab'];
+    const config = await getEffectiveConfig('PC-001');
+
+    // Groups merge in name order: night (later) wins over lab
+    assert.deepEqual(config.settings, {
+      interval: 120000,
+      retry: { maxRetries: 3, retryDelay: 1000 },
+      thresholds: { cpu: 95, ram: 85 },
+      collectors: ['swap']
+    });
+    assert.deepEqual(config.sources, [
+      { scope: 'default', target: '' },
+      { scope: 'group', target: 'lab' },
+      { scope: 'group', target: 'night' },
+      { scope: 'pc', target: 'PC-001' }
+    ]);
+    assert.equal(config.version, versionOf(config.settings));
+  });
+
+  it('leaves settings no document sets to the agent', async () => {
+    documents = [];
+    const config = await getEffectiveConfig('PC-003');
+    assert.deepEqual(config.settings, {});
+    assert.deepEqual(config.sources, []);
+  });
+
+  it('skips settings a document sets to null', async () => {
+    documents.push({ scope: 'pc', target: 'PC-003', settings: { interval: null, topProcesses: 0 } });
+    const config = await getEffectiveConfig('PC-003');
+    assert.equal(config.settings.interval, 60000);
+    assert.equal(config.settings.topProcesses, 0);
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const maintenance = require('../services/maintenance');
+const { eventBus, EVENTS } = require('../services/events');
+const { evaluateSample, evaluateRule } = require('../services/alertEngine');
+
+const base = new Date('2026-03-07T10:00:00.000Z');
+const sample = (seconds, values) => ({ pcId: 'PC-001', createdAt: new Date(base.getTime() + seconds * 1000), ...values });
+const rule = fields => new AlertRule({ name: 'High CPU', metric: 'cpu', comparator: '>', threshold: 90, ...fields });
+
+describe('alertEngine', () => {
+  let alerts; // Saved alerts
+  let rules;
+  let events;
+  let raceAlert; // Alert "saved by another request" when the next create runs
+  const originals = {};
+  const record = name => alert => events.push([name, alert.status]);
+  const listeners = { firing: record('firing'), resolved: record('resolved') };
+
+  // Saved alert matching a filter of ruleId, pcId and open
+  const findSaved = filter => alerts.find(alert =>
+    String(alert.ruleId) === String(filter.ruleId) && alert.pcId === filter.pcId && alert.open === filter.open) || null;
+
+  before(() => {
+    Object.assign(originals, {
+      findOne: Alert.findOne,
+      create: Alert.create,
+      save: Alert.prototype.save,
+      deleteOne: Alert.prototype.deleteOne,
+      find: AlertRule.find,
+      activeWindow: maintenance.activeWindow
+    });
+
+    Alert.findOne = async filter => findSaved(filter);
+    Alert.create = async (data) => {
+      if (raceAlert) {
+        await raceAlert.save();
+        raceAlert = null;
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const alert = new Alert(data);
+      return alert.save();
+    };
+    Alert.prototype.save = async function() {
+      await this.validate();
+      if (!alerts.includes(this)) alerts.push(this);
+      return this;
+    };
+    Alert.prototype.deleteOne = async function() {
+      alerts = alerts.filter(alert => alert !== this);
+    };
+    AlertRule.find = async () => rules;
+    maintenance.activeWindow = async () => null;
+
+    eventBus.on(EVENTS.ALERT_FIRING, listeners.firing);
+    eventBus.on(EVENTS.ALERT_RESOLVED, listeners.resolved);
+  });
+
+  after(() => {
+    Object.assign(Alert, { findOne: originals.findOne, create: originals.create });
+    Object.assign(Alert.prototype, { save: originals.save, deleteOne: originals.deleteOne });
+    AlertRule.find = originals.find;
+    maintenance.activeWindow = originals.activeWindow;
+    eventBus.off(EVENTS.ALERT_FIRING, listeners.firing);
+    eventBus.off(EVENTS.ALERT_RESOLVED, listeners.resolved);
+  });
+
+  beforeEach(() => {
+    alerts = [];
+    rules = [];
+    events = [];
+    raceAlert = null;
+  });
+
+  it('fires immediately without a duration and resolves when the condition clears', async () => {
+    const cpuRule = rule();
+
+    const fired = await evaluateRule(cpuRule, sample(0, { cpu: 95 }));
+    assert.equal(fired.status, 'firing');
+    assert.equal(fired.open, true);
+    assert.deepEqual(fired.firedAt, sample(0).createdAt);
+
+    const resolved = await evaluateRule(cpuRule, sample(60, { cpu: 50 }));
+    assert.equal(resolved, fired);
+    assert.equal(resolved.status, 'resolved');
+    assert.equal(resolved.open, false);
+    assert.deepEqual(resolved.resolvedAt, sample(60).createdAt);
+    assert.deepEqual(resolved.history.map(entry => entry.status), ['firing', 'resolved']);
+    assert.deepEqual(events, [['firing', 'firing'], ['resolved', 'resolved']]);
+
+    // The next breach opens a new alert
+    const next = await evaluateRule(cpuRule, sample(120, { cpu: 99 }));
+    assert.notEqual(next, fired);
+    assert.equal(alerts.length, 2);
+  });
+
+  it('stays pending until the condition held for the duration, tracking the peak', async () => {
+    const cpuRule = rule({ duration: 300 });
+
+    const pending = await evaluateRule(cpuRule, sample(0, { cpu: 95 }));
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.open, true);
+
+    await evaluateRule(cpuRule, sample(120, { cpu: 98 }));
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.value, 98);
+
+    const firing = await evaluateRule(cpuRule, sample(300, { cpu: 92 }));
+    assert.equal(firing, pending);
+    assert.equal(firing.status, 'firing');
+    assert.equal(firing.value, 92);
+    assert.equal(firing.peakValue, 98);
+    assert.deepEqual(firing.firedAt, sample(300).createdAt);
+    assert.deepEqual(firing.history.map(entry => entry.status), ['pending', 'firing']);
+    assert.deepEqual(events, [['firing', 'firing']]);
+  });
+
+  it('discards a pending alert when the condition clears before the duration', async () => {
+    const cpuRule = rule({ duration: 300 });
+    await evaluateRule(cpuRule, sample(0, { cpu: 95 }));
+
+    assert.equal(await evaluateRule(cpuRule, sample(60, { cpu: 10 })), null);
+    assert.deepEqual(alerts, []);
+    assert.deepEqual(events, []);
+  });
+
+  it('tracks the lowest value for "below" rules', async () => {
+    const diskRule = rule({ metric: 'disk', comparator: '<', threshold: 10, duration: 60 });
+    await evaluateRule(diskRule, sample(0, { disk: 8 }));
+    const alert = await evaluateRule(diskRule, sample(30, { disk: 3 }));
+    await evaluateRule(diskRule, sample(45, { disk: 5 }));
+    assert.equal(alert.peakValue, 3);
+  });
+
+  it('applies the sample to the open alert another request created first', async () => {
+    const cpuRule = rule({ duration: 300 });
+    raceAlert = new Alert({
+      ruleId: cpuRule._id, pcId: 'PC-001', status: 'pending', value: 95, peakValue: 95,
+      startedAt: sample(0).createdAt, history: [{ status: 'pending', value: 95, at: sample(0).createdAt }]
+    });
+
+    const alert = await evaluateRule(cpuRule, sample(300, { cpu: 99 }));
+    assert.equal(alert, alerts[0]);
+    assert.equal(alerts.length, 1);
+    assert.equal(alert.status, 'firing');
+    assert.equal(alert.value, 99);
+    assert.equal(alert.peakValue, 99);
+    assert.deepEqual(events, [['firing', 'firing']]);
+  });
+
+  it('ignores samples without the metric', async () => {
+    assert.equal(await evaluateRule(rule(), sample(0, { ram: 99 })), null);
+  });
+
+  it('evaluates only the rules scoped to the PC or its groups', async () => {
+    rules = [
+      rule({ name: 'lab', scope: { kind: 'group', group: 'lab' } }),
+      rule({ name: 'office', scope: { kind: 'group', group: 'office' } }),
+      rule({ name: 'other PC', scope: { kind: 'pc', pcId: 'PC-002' } }),
+      rule({ name: 'this PC', scope: { kind: 'pc', pcId: 'PC-001' } }),
+      rule({ name: 'all' })
+    ];
+
+    const raised = await evaluateSample(sample(0, { cpu: 95 }), { groups: ['lab'] });
+    assert.deepEqual(raised.map(alert => alert.ruleName), ['lab', 'this PC', 'all']);
+
+    const ungrouped = await evaluateSample({ ...sample(0, { cpu: 95 }), pcId: 'PC-003' });
+    assert.deepEqual(ungrouped.map(alert => alert.ruleName), ['all']);
+  });
+
+  it('skips samples taken during a maintenance window', async () => {
+    rules = [rule()];
+    maintenance.activeWindow = async () => ({ name: 'Patching' });
+    try {
+      assert.deepEqual(await evaluateSample(sample(0, { cpu: 95 })), []);
+      assert.deepEqual(alerts, []);
+    } finally {
+      maintenance.activeWindow = async () => null;
+    }
+  });
+});
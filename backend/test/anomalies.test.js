@@ -0,0 +1,91 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ANOMALY_MIN_SAMPLES = '10';
+
+const Baseline = require('../models/Baseline');
+const Anomaly = require('../models/Anomaly');
+const anomalies = require('../services/anomalies');
+
+describe('anomaly detection', () => {
+  let baselines; // "pcId|metric|hour" -> stored baseline
+  let recorded; // Anomalies inserted
+  const originals = {};
+
+  // Samples of PC-001 at the given hour (UTC), one minute apart
+  const samples = (hour, values) => values.map((cpu, i) => ({
+    pcId: 'PC-001', cpu, createdAt: new Date(Date.UTC(2026, 2, 7, hour, i))
+  }));
+
+  before(() => {
+    Object.assign(originals, { find: Baseline.find, bulkWrite: Baseline.bulkWrite, insertMany: Anomaly.insertMany });
+    Baseline.find = () => ({ lean: async () => [...baselines.values()] });
+    Baseline.bulkWrite = async (operations) => {
+      for (const { updateOne: { filter, update } } of operations) {
+        baselines.set(`${filter.pcId}|${filter.metric}|${filter.hour}`, { ...filter, ...update.$set });
+      }
+    };
+    Anomaly.insertMany = async (documents) => { recorded.push(...documents); };
+  });
+
+  after(() => {
+    Object.assign(Baseline, { find: originals.find, bulkWrite: originals.bulkWrite });
+    Anomaly.insertMany = originals.insertMany;
+  });
+
+  beforeEach(() => {
+    baselines = new Map();
+    recorded = [];
+  });
+
+  it('keeps an EWMA mean and variance per PC, metric and hour', async () => {
+    await anomalies.processSamples(samples(10, [50, 60]));
+
+    const baseline = baselines.get('PC-001|cpu|10');
+    assert.equal(baseline.count, 2);
+    assert.equal(baseline.mean, 50.5);
+    assert.equal(baseline.variance, 4.75);
+    // Missing metrics get no baseline
+    assert.equal(baselines.has('PC-001|ram|10'), false);
+  });
+
+  it('does not flag values until the baseline has enough samples', async () => {
+    const found = await anomalies.processSamples(samples(10, [20, 20, 20, 20, 20, 20, 20, 20, 20, 95]));
+    assert.deepEqual(found, []);
+    assert.deepEqual(recorded, []);
+  });
+
+  it('flags values more than SIGMA deviations from the mean', async () => {
+    await anomalies.processSamples(samples(10, Array(10).fill(20)));
+
+    // The deviation is floored at MIN_STDDEV: within 3 x 2 points is normal
+    assert.deepEqual(await anomalies.processSamples(samples(10, [25, 15])), []);
+
+    const [high] = await anomalies.processSamples(samples(10, [95]));
+    assert.equal(high.direction, 'high');
+    assert.equal(high.value, 95);
+    assert.ok(high.stdDev < anomalies.CONFIG.MIN_STDDEV);
+    assert.equal(high.sigma, Math.round((95 - high.mean) / anomalies.CONFIG.MIN_STDDEV * 100) / 100);
+    assert.deepEqual(recorded, [high]);
+  });
+
+  it('flags values far below the mean as low', async () => {
+    const [low] = await anomalies.processSamples(samples(10, [...Array(10).fill(80), 5]));
+    assert.equal(low.direction, 'low');
+    assert.equal(low.mean, 80);
+    assert.ok(low.sigma < -anomalies.CONFIG.SIGMA);
+  });
+
+  it('compares samples only with the baseline of their hour', async () => {
+    await anomalies.processSamples(samples(10, Array(10).fill(20)));
+    assert.deepEqual(await anomalies.processSamples(samples(11, [95])), []);
+    assert.equal(baselines.get('PC-001|cpu|11').count, 1);
+  });
+
+  it('processes concurrent batches in order', async () => {
+    const first = anomalies.processSamples(samples(10, Array(10).fill(20)));
+    const second = anomalies.processSamples(samples(10, [95]));
+    assert.deepEqual(await first, []);
+    assert.equal((await second).length, 1);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.AUDIT_MAX_BODY_BYTES = '200';
+
+const AuditEntry = require('../models/AuditEntry');
+const audit = require('../middleware/audit');
+
+describe('AuditEntry', () => {
+  it('refuses updates and deletes', async () => {
+    await assert.rejects(AuditEntry.updateOne({}, { $set: { actor: 'x' } }), /append-only/);
+    await assert.rejects(AuditEntry.deleteMany({}), /append-only/);
+    await assert.rejects(AuditEntry.findOneAndDelete({}), /append-only/);
+
+    const entry = new AuditEntry({ actorType: 'anonymous', method: 'POST', path: '/api/auth/login' });
+    entry.isNew = false;
+    await assert.rejects(entry.save(), /append-only/);
+  });
+});
+
+describe('audit middleware', () => {
+  let server;
+  let url;
+  let entries; // Audit entries created
+  const originalCreate = AuditEntry.create;
+
+  // Send a request; resolves once its audit entry (if any) would be written
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body && JSON.stringify(body)
+    });
+    await response.json();
+    await new Promise(resolve => setImmediate(resolve));
+    return response;
+  }
+
+  before(async () => {
+    AuditEntry.create = async (entry) => { entries.push(entry); };
+
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
+    app.use(audit);
+    app.use((req, res, next) => {
+      if (req.get('X-Test-User')) req.user = { username: 'alice', role: 'admin' };
+      next();
+    });
+    app.get('/api/machines', (req, res) => res.json({ success: true }));
+    app.put('/api/machines/:pcId', (req, res) => res.json({ success: true, message: 'Machine updated' }));
+    app.delete('/api/systemdata/cleanup', (req, res) => {
+      res.locals.affectedCount = 12;
+      res.json({ success: true, message: 'Cleanup completed' });
+    });
+    app.post('/api/auth/login', (req, res) => res.status(401).json({ success: false, message: 'Invalid username or password' }));
+    app.post('/api/systemdata', (req, res) => res.status(201).json({ success: true }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    AuditEntry.create = originalCreate;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => { entries = []; });
+
+  it('records mutating calls with the route, outcome and affected count', async () => {
+    await request('GET', '/api/machines');
+    await request('PUT', '/api/machines/PC-001?notify=1', { displayName: 'Lab 1' });
+    await request('DELETE', '/api/systemdata/cleanup');
+
+    assert.equal(entries.length, 2);
+    const [update, cleanup] = entries;
+    assert.equal(update.method, 'PUT');
+    assert.equal(update.route, '/api/machines/:pcId');
+    assert.equal(update.path, '/api/machines/PC-001');
+    assert.deepEqual(JSON.parse(update.parameters), { params: { pcId: 'PC-001' }, query: { notify: '1' }, body: { displayName: 'Lab 1' } });
+    assert.equal(update.status, 200);
+    assert.equal(update.success, true);
+    assert.equal(update.message, 'Machine updated');
+    assert.equal(update.actorType, 'anonymous');
+    assert.equal(cleanup.affectedCount, 12);
+  });
+
+  it('redacts secrets, omits large bodies and records the user', async () => {
+    await request('POST', '/api/auth/login', { username: 'alice', password: 'hunter2', nested: { apiToken: 'abc' } }, { 'X-Test-User': '1' });
+    await request('PUT', '/api/machines/PC-001', { notes: 'x'.repeat(300) });
+
+    const [login, large] = entries;
+    assert.deepEqual(JSON.parse(login.parameters).body, { username: 'alice', password: '[redacted]', nested: { apiToken: '[redacted]' } });
+    assert.equal(login.success, false);
+    assert.equal(login.status, 401);
+    assert.deepEqual([login.actor, login.actorType, login.role], ['alice', 'user', 'admin']);
+    assert.match(JSON.parse(large.parameters).body, /^\[\d+ bytes omitted\]$/);
+  });
+
+  it('leaves agent telemetry out', async () => {
+    await request('POST', '/api/systemdata', { pcId: 'PC-001', cpu: 1 });
+    assert.deepEqual(entries, []);
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.AGENT_AUTH_MODE = 'off';
+
+const storage = require('../storage');
+const Machine = require('../models/Machine');
+const heartbeat = require('../services/heartbeat');
+const rollups = require('../services/rollups');
+const anomalies = require('../services/anomalies');
+const alertEngine = require('../services/alertEngine');
+const ingestion = require('../services/ingestion');
+const database = require('../utils/database');
+const systemDataRoutes = require('../routes/systemData');
+const { eventBus, EVENTS, INTERNAL_EVENTS } = require('../services/events');
+
+const MINUTE = 60 * 1000;
+const sample = (minutesAgo, values) => ({
+  pcId: 'PC-001', cpu: 10, ram: 20, disk: 30, os: 'Linux', uptime: 3600,
+  timestamp: new Date(Date.now() - minutesAgo * MINUTE).toISOString(), ...values
+});
+
+describe('POST /api/systemdata/batch', () => {
+  let server;
+  let url;
+  let processed; // Calls of processSavedSamples
+  const originalProcess = ingestion.processSavedSamples;
+
+  // POST a batch; resolves with { status, body }
+  async function post(samples) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ samples })
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    ingestion.processSavedSamples = (...args) => { processed.push(args); };
+    const app = express();
+    app.use(express.json());
+    app.use('/api/systemdata', systemDataRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/systemdata/batch`;
+  });
+
+  after(async () => {
+    ingestion.processSavedSamples = originalProcess;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    processed = [];
+    await storage.deleteOlderThan(new Date(8.64e15));
+  });
+
+  it('stores valid samples at their own timestamps and reports each item', async () => {
+    const { status, body } = await post([
+      sample(3, { interval: 30000 }),
+      sample(2, { cpu: 150 }),
+      { ...sample(1), timestamp: 'yesterday' },
+      sample(1, { version: 2, cpu: { usage: 40 }, memory: { usage: 50 }, disks: [{ mount: '/', usage: 60 }] })
+    ]);
+
+    assert.equal(status, 201);
+    assert.equal(body.accepted, 2);
+    assert.equal(body.rejected, 2);
+    assert.deepEqual(body.results.map(result => [result.index, result.status]),
+      [[0, 'accepted'], [1, 'rejected'], [2, 'rejected'], [3, 'accepted']]);
+    assert.match(body.results[1].error, /Invalid data ranges/);
+    assert.equal(body.results[2].error, 'Missing or invalid timestamp');
+
+    const stored = await storage.findSamples('PC-001', { from: new Date(0), to: new Date() });
+    assert.deepEqual(stored.map(s => [s.cpu, s.createdAt.toISOString()]), [
+      [10, body.results[0].timestamp],
+      [40, body.results[3].timestamp]
+    ]);
+    assert.equal(stored[1].disk, 60);
+
+    const [[documents, , { intervals }]] = processed;
+    assert.equal(documents.length, 2);
+    assert.equal(intervals.get('PC-001'), 30000);
+  });
+
+  it('rejects timestamps too far in the future or too old', async () => {
+    const { status, body } = await post([sample(-10), sample(8 * 24 * 60)]);
+    assert.equal(status, 400);
+    assert.deepEqual(body.results.map(result => result.error), ['Timestamp is too far in the future', 'Timestamp is too old']);
+    assert.deepEqual(processed, []);
+  });
+
+  it('rejects empty and oversized batches', async () => {
+    assert.equal((await post([])).status, 400);
+    const { status, body } = await post(Array.from({ length: 501 }, () => sample(1)));
+    assert.equal(status, 400);
+    assert.match(body.message, /Batch too large/);
+  });
+});
+
+describe('processSavedSamples', () => {
+  let reboots;
+  let evaluated;
+  let streamed;
+  let connected; // Whether MongoDB is available
+  const originals = {};
+  const onReboot = event => reboots.push(event);
+  const onSaved = samples => streamed.push(samples.length);
+
+  before(() => {
+    Object.assign(originals, {
+      recordSample: heartbeat.recordSample,
+      recordSeen: Machine.recordSeen,
+      groupsByPc: Machine.groupsByPc,
+      recordSamples: rollups.recordSamples,
+      processSamples: anomalies.processSamples,
+      evaluateSample: alertEngine.evaluateSample,
+      isAvailable: database.isAvailable
+    });
+    database.isAvailable = () => connected;
+    heartbeat.recordSample = async () => {};
+    Machine.recordSeen = async () => {};
+    Machine.groupsByPc = async () => new Map([['PC-001', ['lab']]]);
+    rollups.recordSamples = async () => {};
+    anomalies.processSamples = async () => {};
+    alertEngine.evaluateSample = async (saved, context) => { evaluated.push([saved.uptime, context.groups]); };
+    eventBus.on(EVENTS.PC_REBOOTED, onReboot);
+    eventBus.on(INTERNAL_EVENTS.SAMPLES_SAVED, onSaved);
+  });
+
+  after(() => {
+    heartbeat.recordSample = originals.recordSample;
+    Object.assign(Machine, { recordSeen: originals.recordSeen, groupsByPc: originals.groupsByPc });
+    rollups.recordSamples = originals.recordSamples;
+    anomalies.processSamples = originals.processSamples;
+    alertEngine.evaluateSample = originals.evaluateSample;
+    database.isAvailable = originals.isAvailable;
+    eventBus.off(EVENTS.PC_REBOOTED, onReboot);
+    eventBus.off(INTERNAL_EVENTS.SAMPLES_SAVED, onSaved);
+  });
+
+  beforeEach(() => {
+    reboots = [];
+    evaluated = [];
+    streamed = [];
+    connected = true;
+  });
+
+  it('detects a reboot once and evaluates alerts in time order', async () => {
+    const at = minutes => new Date(Date.parse('2026-03-07T10:00:00.000Z') + minutes * MINUTE);
+    const previous = { pcId: 'PC-001', uptime: 5000, createdAt: at(0) };
+    // Submitted out of order: the reboot happened between the 1st and 2nd sample
+    const samples = [
+      { pcId: 'PC-001', uptime: 240, createdAt: at(4) },
+      { pcId: 'PC-001', uptime: 5060, createdAt: at(1) },
+      { pcId: 'PC-001', uptime: 60, createdAt: at(2) }
+    ];
+
+    await ingestion.processSavedSamples(samples, new Map([['PC-001', previous]]));
+
+    assert.deepEqual(reboots.map(event => [event.previousUptime, event.uptime]), [[5060, 60]]);
+    assert.deepEqual(evaluated, [[5060, ['lab']], [60, ['lab']], [240, ['lab']]]);
+  });
+
+  it('only publishes reboots and streams the samples without MongoDB', async () => {
+    connected = false;
+    const at = minutes => new Date(Date.parse('2026-03-07T10:00:00.000Z') + minutes * MINUTE);
+    const samples = [{ pcId: 'PC-001', uptime: 60, createdAt: at(1) }];
+
+    await ingestion.processSavedSamples(samples, new Map([['PC-001', { pcId: 'PC-001', uptime: 5000, createdAt: at(0) }]]));
+
+    assert.equal(reboots.length, 1);
+    assert.deepEqual(streamed, [1]);
+    assert.deepEqual(evaluated, []);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.CAPACITY_CACHE_TTL = '1';
+
+const storage = require('../storage');
+const Rollup = require('../models/Rollup');
+const SystemInfo = require('../models/SystemInfo');
+const capacity = require('../services/capacity');
+const database = require('../utils/database');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Usage points every 12 hours over the last `days`, from a usage function of the day
+const history = (days, usage) => Array.from({ length: days * 2 + 1 }, (_, i) => ({
+  time: new Date(Date.now() - (days - i / 2) * DAY),
+  usage: usage(i / 2)
+}));
+
+describe('forecast', () => {
+  it('extrapolates a steady trend to 100%', () => {
+    const points = history(10, day => 50 + day);
+    const result = capacity.forecast(points);
+
+    assert.equal(result.current, 60);
+    assert.equal(result.slopePerDay, 1);
+    assert.equal(result.r2, 1);
+    assert.equal(result.daysUntilFull, 40);
+    assert.equal(result.fullAt.getTime(), points[points.length - 1].time.getTime() + 40 * DAY);
+    assert.equal(result.confidence, 'high');
+  });
+
+  it('has no full date when usage is flat or shrinking', () => {
+    for (const usage of [() => 70, day => 70 - day]) {
+      const result = capacity.forecast(history(5, usage));
+      assert.equal(result.daysUntilFull, null);
+      assert.equal(result.fullAt, null);
+    }
+  });
+
+  it('lowers confidence for short or noisy history', () => {
+    assert.equal(capacity.forecast(history(2, () => 50)).confidence, 'none');
+    assert.equal(capacity.forecast(history(3, () => 50).slice(0, capacity.CONFIG.MIN_POINTS)).confidence, 'medium');
+    assert.equal(capacity.forecast(history(6, day => 50 + day / 10 + (day % 1 ? 3 : -3))).confidence, 'low');
+    assert.deepEqual(capacity.forecast([]), {
+      current: null, slopePerDay: null, r2: null, points: 0, daysUntilFull: null, fullAt: null, confidence: 'none'
+    });
+  });
+});
+
+describe('capacity report', () => {
+  let rollups; // Hour rollups returned by the query
+  let queries; // Number of rollup queries
+  let connected; // Whether MongoDB (the rollups) is available
+  const originals = { find: Rollup.hour.find, isAvailable: database.isAvailable };
+
+  before(() => {
+    database.isAvailable = () => connected;
+    Rollup.hour.find = () => {
+      queries++;
+      const chain = {
+        select: () => chain,
+        sort: () => chain,
+        lean: async () => rollups
+      };
+      return chain;
+    };
+  });
+
+  after(() => {
+    Rollup.hour.find = originals.find;
+    database.isAvailable = originals.isAvailable;
+  });
+
+  beforeEach(async () => {
+    queries = 0;
+    connected = true;
+    await storage.deleteOlderThan(new Date(8.64e15));
+    await new Promise(resolve => setTimeout(resolve, 5)); // Let the cached report expire
+  });
+
+  it('forecasts the overall disk and each filesystem, most urgent first', async () => {
+    // PC-001 grows 1%/day, PC-002 is flat overall but its /data filesystem grows 5%/day
+    rollups = [
+      ...history(10, day => 50 + day).map(({ time, usage }) => ({ pcId: 'PC-001', bucket: time, disk: { sum: usage * 2, count: 2 } })),
+      ...history(10, () => 80).map(({ time, usage }) => ({ pcId: 'PC-002', bucket: time, disk: { sum: usage, count: 1 } }))
+    ];
+    await storage.insertSamples(history(3, day => 70 + 5 * day).map(({ time, usage }, i) => new SystemInfo({
+      pcId: 'PC-002', cpu: 1, ram: 1, disk: 80, uptime: i, createdAt: time,
+      disks: [
+        { mount: '/', usage: 40, size: 1000 },
+        { mount: '/data', usage, size: 4000 }
+      ]
+    })));
+
+    const report = await capacity.getReport();
+
+    assert.deepEqual(report.map(item => [item.pcId, item.mount, item.daysUntilFull]), [
+      ['PC-002', '/data', 3],
+      ['PC-001', null, 40]
+    ]);
+    const [pc2] = report;
+    assert.equal(pc2.disk.daysUntilFull, null);
+    assert.deepEqual(pc2.filesystems.map(fs => [fs.mount, fs.size, fs.current]), [['/data', 4000, 85], ['/', 1000, 40]]);
+  });
+
+  it('averages the raw samples by hour without MongoDB', async () => {
+    connected = false;
+    rollups = [];
+    await storage.insertSamples(history(3, day => 50 + day).map(({ time, usage }, i) => new SystemInfo({
+      pcId: 'PC-001', cpu: 1, ram: 1, disk: usage, uptime: i, createdAt: time
+    })));
+
+    const [report] = await capacity.getReport();
+    assert.equal(queries, 0);
+    assert.equal(report.disk.points, 7);
+    assert.equal(report.disk.slopePerDay, 1);
+    assert.equal(report.daysUntilFull, 47);
+  });
+
+  it('shares one build between concurrent requests and filters by PC', async () => {
+    rollups = history(10, day => 50 + day).map(({ time, usage }) => ({ pcId: 'PC-001', bucket: time, disk: { sum: usage, count: 1 } }));
+
+    const [all, filtered] = await Promise.all([capacity.getReport(), capacity.getReport({ pcIds: ['PC-002'] })]);
+    assert.equal(queries, 1);
+    assert.deepEqual(all.map(item => item.pcId), ['PC-001']);
+    assert.deepEqual(filtered, []);
+  });
+});
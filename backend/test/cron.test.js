@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, validateCron, cronOccurrences, cronPrevious } = require('../utils/cron');
+
+// Local time, like the cron helpers
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+  it('expands values, ranges, steps and lists', () => {
+    const cron = parseCron('*/15 1-3,22 1,15 * 1-5');
+    assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+    assert.deepEqual(cron.hours, [1, 2, 3, 22]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.equal(cron.months.size, 12);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, false);
+    assert.equal(cron.anyWeekday, false);
+  });
+
+  it('runs "a/n" to the end of the range', () => {
+    assert.deepEqual(parseCron('50/5 * * * *').minutes, [50, 55]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /five fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute/);
+    assert.throws(() => parseCron('* 5-2 * * *'), /hour/);
+    assert.throws(() => parseCron('* * * * MON'), /day-of-week/);
+    assert.throws(() => parseCron(null), /five fields/);
+  });
+});
+
+describe('validateCron', () => {
+  it('returns null for a valid expression and the error message otherwise', () => {
+    assert.equal(validateCron('0 2 * * 6'), null);
+    assert.match(validateCron('0 24 * * *'), /hour/);
+  });
+});
+
+describe('cronOccurrences', () => {
+  it('lists matches in a range, oldest first, bounds included', () => {
+    const times = cronOccurrences('0 */6 * * *', at(2026, 3, 10, 6), at(2026, 3, 11, 0));
+    assert.deepEqual(times, [at(2026, 3, 10, 6), at(2026, 3, 10, 12), at(2026, 3, 10, 18), at(2026, 3, 11, 0)]);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 1st of the month or any Friday, in May 2026 (1 May is a Friday)
+    const days = cronOccurrences('0 0 1 * 5', at(2026, 5, 1), at(2026, 5, 31, 23, 59)).map(time => time.getDate());
+    assert.deepEqual(days, [1, 8, 15, 22, 29]);
+  });
+
+  it('treats a stepped day field as restricted', () => {
+    // Every other day of the month, whatever the weekday
+    const monthDays = cronOccurrences('0 2 */2 * *', at(2026, 3, 1), at(2026, 3, 10, 23, 59)).map(time => time.getDate());
+    assert.deepEqual(monthDays, [1, 3, 5, 7, 9]);
+
+    // Sundays, Tuesdays, Thursdays and Saturdays (1 March 2026 is a Sunday)
+    const weekdays = cronOccurrences('0 2 * * */2', at(2026, 3, 1), at(2026, 3, 10, 23, 59)).map(time => time.getDate());
+    assert.deepEqual(weekdays, [1, 3, 5, 7, 8, 10]);
+
+    // Both restricted: every other day of the month or any Monday
+    const either = cronOccurrences('0 2 */2 * 1', at(2026, 3, 1), at(2026, 3, 10, 23, 59)).map(time => time.getDate());
+    assert.deepEqual(either, [1, 2, 3, 5, 7, 9]);
+  });
+
+  it('accepts a parsed expression', () => {
+    const cron = parseCron('30 12 * * *');
+    assert.equal(cronOccurrences(cron, at(2026, 1, 1), at(2026, 1, 3)).length, 2);
+  });
+});
+
+describe('cronPrevious', () => {
+  it('finds the latest match at or before a time', () => {
+    const cron = '0 2 * * 6'; // Saturdays 02:00
+    assert.deepEqual(cronPrevious(cron, at(2026, 3, 12, 9), at(2026, 3, 1)), at(2026, 3, 7, 2));
+    assert.deepEqual(cronPrevious(cron, at(2026, 3, 7, 2), at(2026, 3, 1)), at(2026, 3, 7, 2));
+    assert.deepEqual(cronPrevious(cron, at(2026, 3, 7, 1, 59), at(2026, 2, 1)), at(2026, 2, 28, 2));
+  });
+
+  it('returns null when the latest match is before since', () => {
+    assert.equal(cronPrevious('0 2 * * 6', at(2026, 3, 12, 9), at(2026, 3, 7, 2, 1)), null);
+    assert.equal(cronPrevious('0 0 29 2 *', at(2026, 12, 31), at(2026, 1, 1)), null);
+  });
+
+  it('agrees with the last of cronOccurrences', () => {
+    const expressions = ['*/7 * * * *', '15 3 * * 1-5', '0 0 1,15 * *', '5 4 13 * 5', '0 */3 * 6 *'];
+    const to = at(2026, 6, 20, 13, 37);
+    const from = at(2026, 6, 1);
+    for (const expression of expressions) {
+      const occurrences = cronOccurrences(expression, from, to);
+      assert.deepEqual(cronPrevious(expression, to, from), occurrences[occurrences.length - 1] ?? null, expression);
+    }
+  });
+});
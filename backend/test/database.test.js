@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.AGENT_AUTH_MODE = 'required';
+
+const mongoose = require('mongoose');
+const storage = require('../storage');
+const User = require('../models/User');
+const SystemInfo = require('../models/SystemInfo');
+const database = require('../utils/database');
+const requireDatabase = require('../middleware/database');
+const { issueToken } = require('../middleware/auth');
+const systemDataRoutes = require('../routes/systemData');
+const capacityRoutes = require('../routes/capacity');
+const alertRoutes = require('../routes/alerts');
+
+describe('running without MongoDB', () => {
+  let server;
+  let url;
+  const { token } = issueToken(new User({ username: 'viewer', role: 'viewer' }));
+
+  // GET with the viewer's session; resolves with { status, body }
+  async function get(path) {
+    const response = await fetch(`${url}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    // Queries fail right away instead of waiting for a connection
+    mongoose.set('bufferCommands', false);
+    await storage.insertSamples([
+      new SystemInfo({ pcId: 'PC-001', cpu: 10, ram: 20, disk: 30, os: 'Linux', uptime: 1, createdAt: new Date(Date.now() - 60000) }),
+      new SystemInfo({ pcId: 'PC-001', cpu: 15, ram: 20, disk: 30, os: 'Linux', uptime: 61, createdAt: new Date() })
+    ]);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/systemdata', systemDataRoutes);
+    app.use('/api/capacity', capacityRoutes);
+    app.use('/api/alerts', requireDatabase, alertRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mongoose.set('bufferCommands', true);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('only considers MongoDB available once connected', () => {
+    assert.equal(database.isAvailable(), false);
+  });
+
+  it('serves latest samples and history from the store', async () => {
+    const { status, body } = await get('/api/systemdata?pcId=PC-001&hours=1');
+    assert.equal(status, 200);
+    assert.equal(body.data.resolution, 'raw');
+    assert.deepEqual(body.data.historical.map(point => point.cpu), [10, 15]);
+    assert.equal(body.data.latest.status, 'online');
+
+    const pcs = await get('/api/systemdata/pcs');
+    assert.deepEqual(pcs.body.data.map(pc => pc.pcId), ['PC-001']);
+
+    assert.equal((await get('/api/capacity')).status, 200);
+  });
+
+  it('answers 503 from routes that need MongoDB', async () => {
+    assert.equal((await get('/api/alerts')).status, 503);
+    assert.equal((await get('/api/systemdata/processes?pcId=PC-001')).status, 503);
+
+    // Agent keys can't be checked
+    const response = await fetch(`${url}/api/systemdata`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pcId: 'PC-001', cpu: 1, ram: 1, disk: 1, os: 'Linux', uptime: 1 })
+    });
+    assert.equal(response.status, 503);
+  });
+});
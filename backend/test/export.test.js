@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FIELDS, parseFields, createSerializer } = require('../services/export');
+
+// Whole output of a serializer over some documents
+function serialize(format, fields, docs) {
+  const serializer = createSerializer(format, fields);
+  return serializer.start() + docs.map(doc => serializer.row(doc)).join('') + serializer.end();
+}
+
+const createdAt = new Date('2026-03-07T02:00:00.000Z');
+const docs = [
+  { pcId: 'PC-001', createdAt, cpu: 12.5, ram: 40, os: 'Linux' },
+  { pcId: 'PC-002', createdAt, cpu: 80, os: 'Windows 11, "Pro"', disks: [{ mount: 'C:', use: 50 }] }
+];
+
+describe('parseFields', () => {
+  it('returns the default fields when none are requested', () => {
+    assert.equal(parseFields(undefined), DEFAULT_FIELDS);
+    assert.equal(parseFields(''), DEFAULT_FIELDS);
+  });
+
+  it('puts requested fields in column order', () => {
+    assert.deepEqual(parseFields(' cpu, pcId ,createdAt'), ['pcId', 'createdAt', 'cpu']);
+  });
+
+  it('returns null for unknown or empty field lists', () => {
+    assert.equal(parseFields('cpu,password'), null);
+    assert.equal(parseFields(','), null);
+  });
+});
+
+describe('createSerializer', () => {
+  it('writes CSV with a header, quoting cells that need it and nested values as JSON', () => {
+    const output = serialize('csv', ['pcId', 'createdAt', 'cpu', 'ram', 'os', 'disks'], docs);
+    assert.equal(output, [
+      'pcId,createdAt,cpu,ram,os,disks',
+      'PC-001,2026-03-07T02:00:00.000Z,12.5,40,Linux,',
+      'PC-002,2026-03-07T02:00:00.000Z,80,,"Windows 11, ""Pro""","[{""mount"":""C:"",""use"":50}]"',
+      ''
+    ].join('\n'));
+  });
+
+  it('writes a JSON array of the exported fields', () => {
+    const output = serialize('json', ['pcId', 'cpu', 'disks'], docs);
+    assert.deepEqual(JSON.parse(output), [
+      { pcId: 'PC-001', cpu: 12.5 },
+      { pcId: 'PC-002', cpu: 80, disks: [{ mount: 'C:', use: 50 }] }
+    ]);
+  });
+
+  it('writes an empty JSON array when there are no rows', () => {
+    assert.deepEqual(JSON.parse(serialize('json', ['pcId'], [])), []);
+  });
+
+  it('writes one JSON object per NDJSON line', () => {
+    const lines = serialize('ndjson', ['pcId', 'createdAt'], docs).split('\n');
+    assert.equal(lines.pop(), '');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), [
+      { pcId: 'PC-001', createdAt: '2026-03-07T02:00:00.000Z' },
+      { pcId: 'PC-002', createdAt: '2026-03-07T02:00:00.000Z' }
+    ]);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => createSerializer('xml', DEFAULT_FIELDS), /Unsupported export format/);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PcStatus = require('../models/PcStatus');
+const heartbeat = require('../services/heartbeat');
+const { eventBus, EVENTS } = require('../services/events');
+
+const MINUTE = 60 * 1000;
+
+describe('computeStatus', () => {
+  const now = Date.parse('2026-03-07T10:00:00.000Z');
+  const ago = ms => new Date(now - ms);
+
+  it('classifies by age against the expected interval', () => {
+    assert.equal(heartbeat.computeStatus(ago(2 * MINUTE), MINUTE, now), 'online');
+    assert.equal(heartbeat.computeStatus(ago(2 * MINUTE + 1), MINUTE, now), 'stale');
+    assert.equal(heartbeat.computeStatus(ago(5 * MINUTE + 1), MINUTE, now), 'offline');
+  });
+
+  it('uses the default interval when none is known and caps long intervals at a day', () => {
+    assert.equal(heartbeat.computeStatus(ago(3 * MINUTE), undefined, now), 'stale');
+    assert.equal(heartbeat.computeStatus(ago(6 * 24 * 60 * MINUTE), 365 * 24 * 60 * MINUTE, now), 'offline');
+  });
+});
+
+describe('heartbeat tracking', () => {
+  let records; // pcId -> PcStatus fields
+  let events;
+  const originals = {};
+  const listeners = {};
+
+  // Apply $set to the record of a pcId matching the other filter fields
+  const update = (filter, { $set }, { upsert } = {}) => {
+    const record = [...records.values()].find(candidate =>
+      Object.entries(filter).every(([key, value]) => key === '_id' || String(candidate[key]) === String(value)));
+    if (!record && !upsert) return null;
+    const updated = { ...(record || { _id: filter.pcId, pcId: filter.pcId }), ...$set };
+    records.set(updated.pcId, updated);
+    return updated;
+  };
+
+  before(() => {
+    Object.assign(originals, { findOne: PcStatus.findOne, findOneAndUpdate: PcStatus.findOneAndUpdate, find: PcStatus.find });
+    PcStatus.findOne = async ({ pcId }) => records.get(pcId) || null;
+    PcStatus.findOneAndUpdate = async (filter, change, options) => update(filter, change, options);
+    PcStatus.find = async () => [...records.values()].filter(record => record.status !== 'offline');
+
+    for (const event of [EVENTS.PC_ONLINE, EVENTS.PC_STALE, EVENTS.PC_OFFLINE]) {
+      listeners[event] = payload => events.push([event, payload.pcId, payload.previousStatus]);
+      eventBus.on(event, listeners[event]);
+    }
+  });
+
+  after(() => {
+    Object.assign(PcStatus, originals);
+    for (const [event, listener] of Object.entries(listeners)) eventBus.off(event, listener);
+  });
+
+  beforeEach(() => {
+    records = new Map();
+    events = [];
+  });
+
+  const sampleAgo = ms => ({ pcId: 'PC-001', createdAt: new Date(Date.now() - ms) });
+
+  it('records a first sample as online without an event', async () => {
+    const record = await heartbeat.recordSample(sampleAgo(0), 30000);
+    assert.equal(record.status, 'online');
+    assert.equal(record.expectedInterval, 30000);
+    assert.equal(record.intervalSource, 'client');
+    assert.deepEqual(events, []);
+  });
+
+  it('moves PCs that stop reporting to stale, then offline, and back online with the next sample', async () => {
+    await heartbeat.recordSample(sampleAgo(3 * MINUTE), MINUTE);
+    assert.equal(records.get('PC-001').status, 'stale');
+
+    records.get('PC-001').lastSeenAt = new Date(Date.now() - 6 * MINUTE);
+    assert.equal(await heartbeat.sweep(), 1);
+    assert.equal(records.get('PC-001').status, 'offline');
+
+    // Offline PCs are not swept again
+    assert.equal(await heartbeat.sweep(), 0);
+
+    await heartbeat.recordSample(sampleAgo(0), MINUTE);
+    assert.equal(records.get('PC-001').status, 'online');
+    assert.deepEqual(events, [
+      [EVENTS.PC_OFFLINE, 'PC-001', 'stale'],
+      [EVENTS.PC_ONLINE, 'PC-001', 'offline']
+    ]);
+  });
+
+  it('does not let an older sample move lastSeenAt back', async () => {
+    await heartbeat.recordSample(sampleAgo(0), MINUTE);
+    const { lastSeenAt } = records.get('PC-001');
+    await heartbeat.recordSample(sampleAgo(10 * MINUTE), MINUTE);
+    assert.deepEqual(records.get('PC-001').lastSeenAt, lastSeenAt);
+    assert.equal(records.get('PC-001').status, 'online');
+  });
+
+  it('infers the interval from sample spacing when the client does not report it', async () => {
+    // Spacing measured from one reference time
+    const now = Date.now();
+    const sampleBefore = ms => ({ pcId: 'PC-001', createdAt: new Date(now - ms) });
+
+    await heartbeat.recordSample(sampleBefore(40000));
+    assert.equal(records.get('PC-001').intervalSource, 'default');
+
+    await heartbeat.recordSample(sampleBefore(20000));
+    assert.equal(records.get('PC-001').expectedInterval, 20000);
+    assert.equal(records.get('PC-001').intervalSource, 'observed');
+
+    // Later gaps are smoothed
+    await heartbeat.recordSample(sampleBefore(0));
+    assert.equal(records.get('PC-001').expectedInterval, 20000);
+  });
+
+  it('skips sweep updates when a sample changed the status in the meantime', async () => {
+    await heartbeat.recordSample(sampleAgo(3 * MINUTE), MINUTE);
+    const stale = records.get('PC-001');
+    PcStatus.find = async () => [{ ...stale, lastSeenAt: new Date(Date.now() - 10 * MINUTE) }];
+    try {
+      assert.equal(await heartbeat.sweep(), 0);
+      assert.equal(records.get('PC-001').status, 'stale');
+    } finally {
+      PcStatus.find = async () => [...records.values()].filter(record => record.status !== 'offline');
+    }
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const storage = require('../storage');
+const Rollup = require('../models/Rollup');
+const SystemInfo = require('../models/SystemInfo');
+const history = require('../services/history');
+const database = require('../utils/database');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const base = new Date('2026-03-07T00:00:00.000Z');
+const at = minutes => new Date(base.getTime() + minutes * MINUTE);
+
+describe('history', () => {
+  let buckets; // Stored minute rollups
+  let query; // Filter and options of the last rollup query
+  let connected; // Whether MongoDB (the rollups) is available
+  const originals = { find: Rollup.minute.find, isAvailable: database.isAvailable };
+
+  before(() => {
+    database.isAvailable = () => connected;
+    // Rollup query chain over the stored buckets
+    Rollup.minute.find = (filter) => {
+      query = { filter };
+      const chain = {
+        sort: (sort) => { query.sort = sort; return chain; },
+        limit: (limit) => { query.limit = limit; return chain; },
+        lean: async () => {
+          const { $gte, $lte, $gt, $lt } = filter.bucket;
+          const direction = query.sort.bucket;
+          const matching = buckets
+            .filter(bucket => bucket.bucket >= $gte && bucket.bucket <= $lte &&
+              (!$gt || bucket.bucket > $gt) && (!$lt || bucket.bucket < $lt))
+            .sort((a, b) => (a.bucket - b.bucket) * direction);
+          return query.limit ? matching.slice(0, query.limit) : matching;
+        }
+      };
+      return chain;
+    };
+  });
+
+  after(() => {
+    Rollup.minute.find = originals.find;
+    database.isAvailable = originals.isAvailable;
+  });
+
+  beforeEach(async () => {
+    await storage.deleteOlderThan(new Date(8.64e15));
+    // One sample every 10 seconds for 10 minutes
+    await storage.insertSamples(Array.from({ length: 60 }, (_, i) => new SystemInfo({
+      pcId: 'PC-001', cpu: i, ram: 50, disk: 60, uptime: i * 10, createdAt: new Date(base.getTime() + i * 10000)
+    })));
+    buckets = Array.from({ length: 10 }, (_, i) => ({
+      _id: `64b0000000000000000000${String(i).padStart(2, '0')}`, pcId: 'PC-001', bucket: at(i), count: 6,
+      cpu: { min: i * 6, max: i * 6 + 5, sum: i * 36 + 15, count: 6 },
+      ram: { min: 50, max: 50, sum: 300, count: 6 }
+    }));
+    query = null;
+    connected = true;
+  });
+
+  it('selects raw samples when they fit, otherwise the finest rollup that does', async () => {
+    assert.equal(await history.selectResolution('PC-001', at(0), at(10), 60), 'raw');
+    assert.equal(await history.selectResolution('PC-001', at(0), at(10), 59), 'minute');
+    assert.equal(await history.selectResolution('PC-001', at(0), at(24 * 60), 59), 'hour');
+    assert.equal(await history.selectResolution('PC-001', at(0), at(30 * 24 * 60), 20), 'day');
+    assert.equal(await history.selectResolution('PC-001', at(0), new Date(base.getTime() + 1000 * 24 * HOUR), 20), 'day');
+  });
+
+  it('serves raw samples without MongoDB', async () => {
+    connected = false;
+    const result = await history.getHistory('PC-001', { from: at(0), to: at(10), maxPoints: 20, fields: ['cpu'] });
+    assert.equal(result.resolution, 'raw');
+    assert.equal(result.points.length, 60);
+    assert.equal(query, null);
+  });
+
+  it('returns raw samples in pages', async () => {
+    const first = await history.getHistory('PC-001', { from: at(0), to: at(10), limit: 25, fields: ['cpu'] });
+    assert.equal(first.resolution, 'raw');
+    assert.equal(first.points.length, 25);
+    assert.equal(first.points[0].ram, undefined);
+
+    const after = history.decodeCursor(first.nextCursor, 'history');
+    const rest = await history.getHistory('PC-001', { from: at(0), to: at(10), limit: 50, after });
+    assert.deepEqual(rest.points.map(point => point.cpu), Array.from({ length: 35 }, (_, i) => i + 25));
+    assert.equal(rest.nextCursor, null);
+  });
+
+  it('returns rollup points when raw samples exceed maxPoints', async () => {
+    const result = await history.getHistory('PC-001', { from: at(0), to: at(10), maxPoints: 20, fields: ['cpu'] });
+    assert.equal(result.resolution, 'minute');
+    assert.equal(result.points.length, 10);
+    assert.deepEqual(result.points[1], { pcId: 'PC-001', createdAt: at(1), count: 6, cpu: 8.5, cpuMin: 6, cpuMax: 11 });
+    assert.equal(result.nextCursor, null);
+  });
+
+  it('pages rollup points by bucket, newest first', async () => {
+    const first = await history.getHistory('PC-001', { from: at(0), to: at(10), resolution: 'minute', limit: 4, sort: 'desc' });
+    assert.deepEqual(first.points.map(point => point.createdAt), [at(9), at(8), at(7), at(6)]);
+    assert.equal(query.limit, 5);
+
+    const after = history.decodeCursor(first.nextCursor, 'history');
+    const second = await history.getHistory('PC-001', { from: at(0), to: at(10), resolution: 'minute', limit: 4, sort: 'desc', after });
+    assert.deepEqual(second.points.map(point => point.createdAt), [at(5), at(4), at(3), at(2)]);
+  });
+
+  it('rejects cursors of another kind or malformed ones', () => {
+    const cursor = history.encodeCursor({ k: 'history', t: at(1), id: '64b000000000000000000000' });
+    assert.equal(history.decodeCursor(cursor, 'history').id, '64b000000000000000000000');
+    assert.equal(history.decodeCursor(cursor, 'fleet'), null);
+    assert.equal(history.decodeCursor(history.encodeCursor({ k: 'history', t: 'soon', id: 'x' }), 'history'), null);
+    assert.equal(history.decodeCursor('not base64 json', 'history'), null);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+
+// Local time, like the cron helpers
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+// Saturdays 02:00 for 3 hours
+const patchNight = (fields = {}) => new MaintenanceWindow({
+  name: 'Patch night',
+  type: 'recurring',
+  cron: '0 2 * * 6',
+  duration: 3 * 60 * 60,
+  ...fields
+});
+
+describe('MaintenanceWindow periodAt', () => {
+  it('returns a one-off window while it is in effect', () => {
+    const window = new MaintenanceWindow({ name: 'Move', type: 'once', startsAt: at(2026, 3, 7, 2), endsAt: at(2026, 3, 7, 4) });
+    assert.deepEqual(window.periodAt(at(2026, 3, 7, 3)), { start: at(2026, 3, 7, 2), end: at(2026, 3, 7, 4) });
+    assert.equal(window.periodAt(at(2026, 3, 7, 4)), null);
+  });
+
+  it('returns the running occurrence of a recurring window', () => {
+    const window = patchNight();
+    assert.deepEqual(window.periodAt(at(2026, 3, 7, 4, 59)), { start: at(2026, 3, 7, 2), end: at(2026, 3, 7, 5) });
+    assert.equal(window.periodAt(at(2026, 3, 7, 5)), null);
+    assert.equal(window.periodAt(at(2026, 3, 7, 1, 59)), null);
+  });
+
+  it('only counts occurrences between startsAt and endsAt', () => {
+    assert.equal(patchNight({ startsAt: at(2026, 3, 7, 2, 1) }).periodAt(at(2026, 3, 7, 3)), null);
+    // An occurrence that started before endsAt runs its full duration
+    assert.deepEqual(
+      patchNight({ endsAt: at(2026, 3, 7, 2) }).periodAt(at(2026, 3, 7, 3)),
+      { start: at(2026, 3, 7, 2), end: at(2026, 3, 7, 5) }
+    );
+    assert.equal(patchNight({ endsAt: at(2026, 3, 7, 1) }).periodAt(at(2026, 3, 7, 3)), null);
+  });
+
+  it('returns the latest occurrence when occurrences overlap', () => {
+    const window = new MaintenanceWindow({ name: 'Sweep', type: 'recurring', cron: '0 * * * *', duration: 2 * 60 * 60 });
+    assert.deepEqual(window.periodAt(at(2026, 3, 7, 10, 30)), { start: at(2026, 3, 7, 10), end: at(2026, 3, 7, 12) });
+  });
+
+  it('agrees with periodsBetween', () => {
+    const window = patchNight();
+    const from = at(2026, 3, 1);
+    const periods = window.periodsBetween(from, at(2026, 3, 31));
+    assert.equal(periods.length, 4);
+    for (const period of periods) {
+      assert.deepEqual(window.periodAt(new Date(period.start.getTime() + 60000)), period);
+    }
+  });
+});
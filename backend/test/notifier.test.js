@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_DELAY = '1000';
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const maintenance = require('../services/maintenance');
+const notifier = require('../services/notifier');
+const { verify } = require('../utils/signing');
+
+describe('webhook notifier', () => {
+  let server;
+  let url;
+  let responseStatus; // Status the receiver answers with
+  let received; // Requests the receiver got
+  let webhook;
+  let delivery; // Delivery returned by the atomic claim (null: not due)
+  let saved; // Deliveries saved
+  const originals = {};
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+
+    Object.assign(originals, {
+      findOneAndUpdate: WebhookDelivery.findOneAndUpdate,
+      save: WebhookDelivery.prototype.save,
+      findById: Webhook.findById,
+      find: Webhook.find,
+      isUnderMaintenance: maintenance.isUnderMaintenance
+    });
+    WebhookDelivery.findOneAndUpdate = async () => delivery;
+    WebhookDelivery.prototype.save = async function() {
+      saved.push(this);
+      return this;
+    };
+    Webhook.findById = () => ({ select: async () => webhook });
+  });
+
+  after(async () => {
+    Object.assign(WebhookDelivery, { findOneAndUpdate: originals.findOneAndUpdate });
+    WebhookDelivery.prototype.save = originals.save;
+    Object.assign(Webhook, { findById: originals.findById, find: originals.find });
+    maintenance.isUnderMaintenance = originals.isUnderMaintenance;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    responseStatus = 200;
+    received = [];
+    saved = [];
+    webhook = new Webhook({ name: 'Ops', url, secret: 'hook-secret', events: ['alert.*'] });
+    delivery = await notifier.enqueue(webhook, 'alert.firing', { pcId: 'PC-001', value: 95 });
+    saved = [];
+  });
+
+  it('posts the payload signed with the webhook secret', async () => {
+    const result = await notifier.attemptDelivery(delivery._id);
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.attempts, 1);
+    assert.ok(result.deliveredAt instanceof Date);
+    assert.equal(result.nextAttemptAt, undefined);
+    assert.equal(result.attemptLog[0].statusCode, 200);
+
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-monitor-event'], 'alert.firing');
+    assert.equal(headers['x-monitor-delivery'], delivery._id.toString());
+    assert.equal(verify('hook-secret', headers['x-monitor-timestamp'], body, headers['x-monitor-signature']), true);
+    assert.deepEqual(JSON.parse(body).data, { pcId: 'PC-001', value: 95 });
+  });
+
+  it('retries failed attempts with exponential backoff, then gives up', async () => {
+    responseStatus = 503;
+
+    let before = Date.now();
+    await notifier.attemptDelivery(delivery._id);
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.attemptLog[0].error, 'Receiver responded with status 503');
+    let delay = delivery.nextAttemptAt - before;
+    assert.ok(delay >= 1000 && delay < 1500, `first retry after ${delay}ms`);
+
+    before = Date.now();
+    await notifier.attemptDelivery(delivery._id);
+    delay = delivery.nextAttemptAt - before;
+    assert.equal(delivery.status, 'pending');
+    assert.ok(delay >= 2000 && delay < 2500, `second retry after ${delay}ms`);
+
+    await notifier.attemptDelivery(delivery._id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.nextAttemptAt, undefined);
+    assert.equal(received.length, 3);
+  });
+
+  it('records connection errors as failed attempts', async () => {
+    webhook.url = 'http://127.0.0.1:1/hook';
+    await notifier.attemptDelivery(delivery._id);
+    assert.equal(delivery.status, 'pending');
+    assert.match(delivery.attemptLog[0].error, /ECONNREFUSED/);
+    assert.equal(delivery.attemptLog[0].statusCode, undefined);
+  });
+
+  it('fails deliveries of disabled or deleted webhooks without sending them', async () => {
+    webhook.enabled = false;
+    await notifier.attemptDelivery(delivery._id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attemptLog[0].error, 'Webhook disabled');
+
+    const other = await notifier.enqueue(webhook, 'alert.firing', {});
+    delivery = other;
+    webhook = null;
+    await notifier.attemptDelivery(other._id);
+    assert.equal(other.attemptLog[0].error, 'Webhook deleted');
+    assert.equal(received.length, 0);
+  });
+
+  it('skips deliveries that are not due or already claimed', async () => {
+    delivery = null;
+    assert.equal(await notifier.attemptDelivery('64b000000000000000000000'), null);
+    assert.equal(received.length, 0);
+  });
+
+  it('notifies matching webhooks, except for PCs in maintenance', async () => {
+    const other = new Webhook({ name: 'Other PC', url, secret: 's', events: ['*'], pcIds: ['PC-002'] });
+    const anomalies = new Webhook({ name: 'Anomalies', url, secret: 's', events: ['anomaly.detected'] });
+    Webhook.find = async () => [webhook, other, anomalies];
+    delivery = null; // Leave the immediate attempts to the sweeper
+
+    maintenance.isUnderMaintenance = async () => false;
+    assert.equal(await notifier.notify('alert.firing', { pcId: 'PC-001' }), 1);
+    assert.deepEqual(saved.map(entry => String(entry.webhookId)), [String(webhook._id)]);
+
+    maintenance.isUnderMaintenance = async () => true;
+    assert.equal(await notifier.notify('alert.firing', { pcId: 'PC-001' }), 0);
+  });
+});
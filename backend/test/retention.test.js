@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.RETENTION_PROCESSES_HOURS = '0';
+
+const storage = require('../storage');
+const User = require('../models/User');
+const SystemInfo = require('../models/SystemInfo');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const { issueToken } = require('../middleware/auth');
+const retention = require('../services/retention');
+const retentionRoutes = require('../routes/retention');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('retention purge', () => {
+  let overrides; // RetentionPolicy documents
+  let deletes; // tier -> deleteMany filter
+  const originals = {};
+
+  before(() => {
+    originals.find = RetentionPolicy.find;
+    RetentionPolicy.find = async () => overrides;
+    for (const [tier, { model }] of Object.entries(retention.TIERS)) {
+      if (!model) continue;
+      originals[tier] = model.deleteMany;
+      model.deleteMany = async (filter) => {
+        deletes[tier] = filter;
+        return { deletedCount: 1 };
+      };
+    }
+  });
+
+  after(() => {
+    RetentionPolicy.find = originals.find;
+    for (const [tier, { model }] of Object.entries(retention.TIERS)) {
+      if (model) model.deleteMany = originals[tier];
+    }
+  });
+
+  beforeEach(async () => {
+    overrides = [];
+    deletes = {};
+    await storage.deleteOlderThan(new Date(8.64e15));
+  });
+
+  it('uses environment defaults unless an admin overrode the tier', async () => {
+    overrides = [{ tier: 'alerts', hours: 48, updatedBy: 'admin' }];
+    const policies = new Map((await retention.getPolicies()).map(policy => [policy.tier, policy]));
+
+    assert.deepEqual(Object.keys(retention.TIERS), [...policies.keys()]);
+    assert.equal(policies.get('raw').hours, 7 * 24);
+    assert.equal(policies.get('raw').source, 'environment');
+    assert.equal(policies.get('processes').hours, 0);
+    assert.equal(policies.get('alerts').hours, 48);
+    assert.equal(policies.get('alerts').defaultHours, 30 * 24);
+    assert.equal(policies.get('alerts').source, 'admin');
+    assert.equal(policies.get('alerts').updatedBy, 'admin');
+  });
+
+  it('deletes each tier older than its retention and keeps 0-hour tiers forever', async () => {
+    overrides = [{ tier: 'alerts', hours: 48 }, { tier: 'anomalies', hours: 0 }];
+    await storage.insertSamples([
+      new SystemInfo({ pcId: 'PC-001', cpu: 1, ram: 1, disk: 1, uptime: 1, createdAt: new Date(Date.now() - 8 * 24 * HOUR) }),
+      new SystemInfo({ pcId: 'PC-001', cpu: 2, ram: 1, disk: 1, uptime: 2, createdAt: new Date(Date.now() - HOUR) })
+    ]);
+
+    const before = Date.now();
+    const deleted = await retention.purge();
+
+    assert.equal(deleted.raw, 1);
+    assert.deepEqual((await storage.findSamples('PC-001', { from: new Date(0), to: new Date() })).map(s => s.cpu), [2]);
+    assert.equal(deleted.processes, undefined);
+    assert.equal(deleted.anomalies, undefined);
+    assert.equal(deletes.processes, undefined);
+
+    // Only resolved alerts are purged, by resolution time
+    const { status, resolvedAt } = deletes.alerts;
+    assert.equal(status, 'resolved');
+    assert.ok(Math.abs(resolvedAt.$lt - (before - 48 * HOUR)) < 1000);
+
+    assert.deepEqual(deletes.events.status, { $ne: 'pending' });
+    assert.deepEqual(deletes.diagnostics.status, { $nin: ['pending', 'running'] });
+    assert.ok(deletes.minuteRollups.bucket.$lt instanceof Date);
+  });
+});
+
+describe('retention routes', () => {
+  let server;
+  let url;
+  const admin = new User({ username: 'admin', role: 'admin' });
+  const { token } = issueToken(admin);
+  const originalFindById = User.findById;
+
+  before(async () => {
+    User.findById = async () => admin;
+    const app = express();
+    app.use(express.json());
+    app.use('/api/retention', retentionRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/retention`;
+  });
+
+  after(async () => {
+    User.findById = originalFindById;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('rejects unknown and inherited tier names', async () => {
+    for (const tier of ['unknown', 'constructor', 'toString']) {
+      const response = await fetch(`${url}/${tier}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ hours: 24 })
+      });
+      assert.equal(response.status, 404, tier);
+    }
+  });
+});
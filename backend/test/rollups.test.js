@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const storage = require('../storage');
+const Rollup = require('../models/Rollup');
+const SystemInfo = require('../models/SystemInfo');
+const rollups = require('../services/rollups');
+
+const at = time => new Date(`2026-03-07T${time}Z`);
+
+describe('Rollup', () => {
+  it('aligns times to the start of their bucket', () => {
+    assert.deepEqual(Rollup.bucketStart(at('10:17:45.123'), 'minute'), at('10:17:00.000'));
+    assert.deepEqual(Rollup.bucketStart(at('10:17:45.123'), 'hour'), at('10:00:00.000'));
+    assert.deepEqual(Rollup.bucketStart(at('10:17:45.123'), 'day'), at('00:00:00.000'));
+  });
+
+  it('turns a bucket into a point with averages and min/max', () => {
+    const point = Rollup.minute.toPoint({
+      pcId: 'PC-001', bucket: at('10:17:00.000'), count: 3,
+      cpu: { min: 10, max: 40, sum: 70, count: 3 },
+      netRx: { min: null, max: null, sum: 0, count: 0 }
+    });
+    assert.deepEqual(point, { pcId: 'PC-001', createdAt: at('10:17:00.000'), count: 3, cpu: 23.33, cpuMin: 10, cpuMax: 40 });
+  });
+});
+
+describe('rollups', () => {
+  let writes; // resolution -> bulkWrite operations
+  const originals = {};
+
+  before(() => {
+    for (const resolution of Object.keys(Rollup.RESOLUTIONS)) {
+      const model = Rollup[resolution];
+      originals[resolution] = { bulkWrite: model.bulkWrite, countDocuments: model.countDocuments };
+      model.bulkWrite = async (operations) => { writes[resolution].push(...operations); };
+      model.countDocuments = async () => writes[resolution].length;
+    }
+  });
+
+  after(() => {
+    for (const resolution of Object.keys(Rollup.RESOLUTIONS)) Object.assign(Rollup[resolution], originals[resolution]);
+  });
+
+  beforeEach(async () => {
+    writes = { minute: [], hour: [], day: [] };
+    await storage.deleteOlderThan(new Date(8.64e15));
+  });
+
+  it('folds each sample into its bucket at every resolution', async () => {
+    await rollups.recordSamples([
+      { pcId: 'PC-001', createdAt: at('10:17:45.000'), cpu: 12, ram: 40, disk: 50, netRx: 1000 },
+      { pcId: 'PC-002', createdAt: at('11:02:00.000'), cpu: 30, ram: 60, disk: 70 }
+    ]);
+
+    const [first, second] = writes.minute.map(operation => operation.updateOne);
+    assert.deepEqual(first.filter, { pcId: 'PC-001', bucket: at('10:17:00.000') });
+    assert.equal(first.upsert, true);
+    assert.deepEqual(first.update.$inc, {
+      count: 1,
+      'cpu.sum': 12, 'cpu.count': 1,
+      'ram.sum': 40, 'ram.count': 1,
+      'disk.sum': 50, 'disk.count': 1,
+      'netRx.sum': 1000, 'netRx.count': 1
+    });
+    assert.deepEqual(first.update.$min, { 'cpu.min': 12, 'ram.min': 40, 'disk.min': 50, 'netRx.min': 1000 });
+    // Metrics a sample doesn't have are left out
+    assert.equal(second.update.$inc['netRx.sum'], undefined);
+
+    assert.deepEqual(writes.hour.map(operation => operation.updateOne.filter.bucket), [at('10:00:00.000'), at('11:00:00.000')]);
+    assert.deepEqual(writes.day.map(operation => operation.updateOne.filter.bucket), [at('00:00:00.000'), at('00:00:00.000')]);
+  });
+
+  it('writes nothing for no samples', async () => {
+    await rollups.recordSamples([]);
+    assert.deepEqual(writes, { minute: [], hour: [], day: [] });
+  });
+
+  it('rebuilds buckets from the raw samples in the store', async () => {
+    await storage.insertSamples([
+      new SystemInfo({ pcId: 'PC-001', cpu: 10, ram: 20, disk: 30, uptime: 1, createdAt: at('10:17:10.000') }),
+      new SystemInfo({ pcId: 'PC-001', cpu: 30, ram: 20, disk: 30, uptime: 2, createdAt: at('10:17:50.000') }),
+      new SystemInfo({ pcId: 'PC-001', cpu: 50, ram: 20, disk: 30, uptime: 3, createdAt: at('10:45:00.000') })
+    ]);
+
+    const result = await rollups.rebuild({ from: at('10:00:00.000'), to: at('11:00:00.000') });
+    assert.deepEqual(result, { minute: 2, hour: 1, day: 1 });
+
+    const [{ replaceOne }] = writes.hour;
+    assert.deepEqual(replaceOne.filter, { pcId: 'PC-001', bucket: at('10:00:00.000') });
+    assert.equal(replaceOne.upsert, true);
+    assert.equal(replaceOne.replacement.count, 3);
+    assert.deepEqual(replaceOne.replacement.cpu, { min: 10, max: 50, sum: 90, count: 3 });
+    assert.deepEqual(replaceOne.replacement.netRx, { min: null, max: null, sum: 0, count: 0 });
+  });
+});
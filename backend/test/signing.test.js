@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { sign, verify, signRequest, verifyRequest, generateSecret } = require('../utils/signing');
+
+describe('sign and verify', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000000.{"a":1}').digest('hex');
+    assert.equal(sign('secret', 1700000000000, '{"a":1}'), `sha256=${expected}`);
+  });
+
+  it('accepts only the matching secret, timestamp and body', () => {
+    const signature = sign('secret', 1700000000000, 'body');
+    assert.equal(verify('secret', 1700000000000, 'body', signature), true);
+    assert.equal(verify('other', 1700000000000, 'body', signature), false);
+    assert.equal(verify('secret', 1700000000001, 'body', signature), false);
+    assert.equal(verify('secret', 1700000000000, 'body!', signature), false);
+  });
+
+  it('rejects missing or malformed signatures without throwing', () => {
+    assert.equal(verify('secret', 1, 'body', undefined), false);
+    assert.equal(verify('', 1, 'body', sign('', 1, 'body')), false);
+    assert.equal(verify('secret', 1, 'body', 'sha256=abc'), false);
+  });
+});
+
+describe('signRequest and verifyRequest', () => {
+  const timestamp = 1700000000000;
+  const body = '{"pcId":"PC-001"}';
+  const signature = signRequest('secret', timestamp, 'POST', '/api/systemdata', body);
+
+  it('signs "<timestamp>.<METHOD> <path>\\n<body>"', () => {
+    assert.equal(signature, sign('secret', timestamp, `POST /api/systemdata\n${body}`));
+  });
+
+  it('binds the method and path', () => {
+    assert.equal(verifyRequest('secret', timestamp, 'post', '/api/systemdata', body, signature), true);
+    assert.equal(verifyRequest('secret', timestamp, 'PUT', '/api/systemdata', body, signature), false);
+    assert.equal(verifyRequest('secret', timestamp, 'POST', '/api/systemdata/batch', body, signature), false);
+    assert.equal(verifyRequest('secret', timestamp, 'POST', '/api/systemdata?x=1', body, signature), false);
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns random hex of the requested length', () => {
+    assert.match(generateSecret(), /^[0-9a-f]{64}$/);
+    assert.match(generateSecret(8), /^[0-9a-f]{16}$/);
+    assert.notEqual(generateSecret(), generateSecret());
+  });
+});
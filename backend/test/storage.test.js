@@ -0,0 +1,212 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SystemInfo = require('../models/SystemInfo');
+
+/**
+ * One behaviour suite for every sample store. The memory and sqlite stores run
+ * in memory; the mongodb store runs against MONGODB_TEST_URI when it is set
+ * (its SystemInfo collection is emptied).
+ */
+
+const STORES = {
+  memory: {
+    load: () => {
+      const store = require('../storage/memory');
+      store.CONFIG.FILE = '';
+      return store;
+    }
+  },
+  sqlite: {
+    load: () => {
+      const store = require('../storage/sqlite');
+      store.CONFIG.FILE = ':memory:';
+      return store;
+    },
+    skip: !hasModule('better-sqlite3') && 'better-sqlite3 is not installed'
+  },
+  mongodb: {
+    load: () => require('../storage/mongo'),
+    connect: () => mongoose.connect(process.env.MONGODB_TEST_URI),
+    disconnect: () => mongoose.connection.close(),
+    skip: !process.env.MONGODB_TEST_URI && 'MONGODB_TEST_URI is not set'
+  }
+};
+
+function hasModule(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const base = new Date('2026-03-07T10:00:00.000Z');
+const at = minutes => new Date(base.getTime() + minutes * 60 * 1000);
+
+// Validated sample documents as the routes build them
+function sample(pcId, minutes, values = {}) {
+  return new SystemInfo({ pcId, cpu: 10, ram: 20, disk: 30, uptime: minutes * 60, createdAt: at(minutes), ...values });
+}
+
+// Everything an (async) iterable yields
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+const byKey = (...keys) => (a, b) => {
+  for (const key of keys) {
+    const [x, y] = [String(a[key]), String(b[key])];
+    if (x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+};
+
+for (const [name, { load, connect, disconnect, skip }] of Object.entries(STORES)) {
+  describe(`${name} sample store`, { skip }, () => {
+    let store;
+
+    before(async () => {
+      store = load();
+      if (connect) await connect();
+      await store.open();
+    });
+
+    after(async () => {
+      await store.deleteOlderThan(new Date(8.64e15));
+      await store.close();
+      if (disconnect) await disconnect();
+    });
+
+    beforeEach(async () => {
+      await store.deleteOlderThan(new Date(8.64e15));
+      await store.insertSamples([
+        sample('PC-001', 0, { cpu: 10, disks: [{ mount: '/', usage: 40, size: 100 }, { mount: '/var', usage: 10, size: 50 }] }),
+        sample('PC-001', 30, { cpu: 20, disks: [{ mount: '/', usage: 50, size: 200 }] }),
+        sample('PC-001', 90, { cpu: 60, disks: [{ mount: '/', usage: 70, size: 200 }] }),
+        sample('PC-002', 10, { cpu: 40, ram: 60 }),
+        sample('PC-002', 20, { cpu: 50, ram: 80, netRx: 1000 })
+      ]);
+    });
+
+    it('returns the latest and previous sample of a PC', async () => {
+      const latest = await store.findLatest('PC-001');
+      assert.equal(latest.pcId, 'PC-001');
+      assert.equal(latest.cpu, 60);
+      assert.deepEqual(latest.createdAt, at(90));
+      assert.ok(latest._id instanceof mongoose.Types.ObjectId);
+      assert.ok(latest.updatedAt instanceof Date);
+
+      const previous = await store.findPrevious('PC-001', at(90));
+      assert.deepEqual(previous.createdAt, at(30));
+      assert.equal(previous.uptime, 30 * 60);
+      assert.equal(await store.findPrevious('PC-001', at(0)), null);
+      assert.equal(await store.findLatest('PC-404'), null);
+    });
+
+    it('returns the latest sample of each PC in a range, paged by pcId', async () => {
+      const all = await store.getLatestData(null);
+      assert.deepEqual(all.map(s => [s.pcId, s.cpu]), [['PC-001', 60], ['PC-002', 50]]);
+
+      const earlier = await store.getLatestData(['PC-001', 'PC-002'], { to: at(15) });
+      assert.deepEqual(earlier.map(s => [s.pcId, s.cpu]), [['PC-001', 10], ['PC-002', 40]]);
+
+      // PC-002's latest sample before the end is older than the start
+      const recent = await store.getLatestData(null, { from: at(60), to: at(120) });
+      assert.deepEqual(recent.map(s => s.pcId), ['PC-001']);
+
+      const page = await store.getLatestData(null, { sort: 'desc', limit: 1, after: 'PC-002', fields: ['cpu'] });
+      assert.equal(page.length, 1);
+      assert.equal(page[0].pcId, 'PC-001');
+      assert.equal(page[0].cpu, 60);
+      assert.equal(page[0].ram, undefined);
+    });
+
+    it('averages samples in a range', async () => {
+      const stats = await store.getOverviewStats(null, { from: at(0), to: at(20) });
+      assert.equal(stats.length, 1);
+      assert.deepEqual({ ...stats[0] }, { avgCpu: 33.33, avgRam: 53.33, avgDisk: 30, totalPCs: 2 });
+
+      const one = await store.getOverviewStats(['PC-002'], { from: at(0), to: at(120) });
+      assert.equal(one[0].avgCpu, 45);
+      assert.equal(one[0].totalPCs, 1);
+
+      assert.deepEqual(await store.getOverviewStats(null, { from: at(200), to: at(300) }), []);
+    });
+
+    it('counts and pages through a PC\'s samples in both directions', async () => {
+      assert.equal(await store.countSamples('PC-001', at(0), at(30)), 2);
+
+      // Samples sharing a createdAt are told apart by _id
+      await store.insertSamples([sample('PC-001', 30, { cpu: 21 })]);
+      const ascending = [];
+      let after;
+      for (;;) {
+        const page = await store.findSamples('PC-001', { from: at(0), to: at(120), limit: 2, after });
+        if (page.length === 0) break;
+        ascending.push(...page);
+        const last = page[page.length - 1];
+        after = { t: last.createdAt.getTime(), id: last._id };
+      }
+      assert.deepEqual(ascending.map(s => s.createdAt.getTime()), [at(0), at(30), at(30), at(90)].map(d => d.getTime()));
+      assert.deepEqual(ascending.map(s => s.cpu).slice(1, 3).sort(), [20, 21]);
+
+      const descending = await store.findSamples('PC-001', { from: at(0), to: at(120), sort: 'desc', fields: ['cpu'] });
+      assert.deepEqual(descending.map(s => String(s._id)), ascending.map(s => String(s._id)).reverse());
+      assert.equal(descending[0].ram, undefined);
+      assert.equal(descending[0].cpu, 60);
+    });
+
+    it('iterates over samples oldest first and stops when closed', async () => {
+      const samples = await collect(store.iterateSamples({ from: at(0), to: at(120) }));
+      assert.deepEqual(samples.map(s => s.pcId), ['PC-001', 'PC-002', 'PC-002', 'PC-001', 'PC-001']);
+
+      const filtered = await collect(store.iterateSamples({ pcIds: ['PC-002'], from: at(15), to: at(120), fields: ['ram'] }));
+      assert.deepEqual(filtered.map(s => s.ram), [80]);
+      assert.equal(filtered[0].cpu, undefined);
+
+      const cursor = store.iterateSamples({ from: at(0), to: at(120) });
+      const seen = [];
+      for await (const item of cursor) {
+        seen.push(item);
+        await cursor.close();
+        break;
+      }
+      assert.equal(seen.length, 1);
+    });
+
+    it('deletes samples older than a cutoff', async () => {
+      const { deletedCount } = await store.deleteOlderThan(at(20));
+      assert.equal(deletedCount, 2);
+      assert.equal(await store.countSamples('PC-001', at(0), at(120)), 2);
+      assert.deepEqual((await store.findLatest('PC-002')).createdAt, at(20));
+    });
+
+    it('returns hourly usage per filesystem with the latest size', async () => {
+      const rows = await store.getFilesystemUsage(at(0), HOUR);
+      assert.deepEqual(rows.map(row => ({ ...row })).sort(byKey('bucket', 'mount')), [
+        { pcId: 'PC-001', mount: '/', bucket: at(0), usage: 45, size: 200 },
+        { pcId: 'PC-001', mount: '/var', bucket: at(0), usage: 10, size: 50 },
+        { pcId: 'PC-001', mount: '/', bucket: at(60), usage: 70, size: 200 }
+      ].sort(byKey('bucket', 'mount')));
+      assert.ok(rows[0].bucket <= rows[rows.length - 1].bucket);
+
+      assert.equal((await store.getFilesystemUsage(at(60), HOUR)).length, 1);
+    });
+
+    it('aggregates metrics per PC and bucket for rollups', async () => {
+      const buckets = await collect(await store.getBucketStats({
+        from: at(0), to: at(120), bucketSize: HOUR, metrics: ['cpu', 'netRx']
+      }));
+      assert.deepEqual(buckets.map(bucket => ({ ...bucket })).sort(byKey('pcId', 'bucket')), [
+        { pcId: 'PC-001', bucket: at(0), count: 2, cpu: { min: 10, max: 20, sum: 30, count: 2 }, netRx: { min: null, max: null, sum: 0, count: 0 } },
+        { pcId: 'PC-001', bucket: at(60), count: 1, cpu: { min: 60, max: 60, sum: 60, count: 1 }, netRx: { min: null, max: null, sum: 0, count: 0 } },
+        { pcId: 'PC-002', bucket: at(0), count: 2, cpu: { min: 40, max: 50, sum: 90, count: 2 }, netRx: { min: 1000, max: 1000, sum: 1000, count: 1 } }
+      ]);
+    });
+  });
+}
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const User = require('../models/User');
+const { issueToken } = require('../middleware/auth');
+const stream = require('../services/stream');
+const streamRoutes = require('../routes/stream');
+const { eventBus, EVENTS, INTERNAL_EVENTS } = require('../services/events');
+
+describe('GET /api/stream', () => {
+  let server;
+  let url;
+  const user = new User({ username: 'viewer', role: 'viewer' });
+  const { token } = issueToken(user);
+  const originalFindById = User.findById;
+
+  // Open a stream; resolves with a reader of its events
+  async function open(query) {
+    const controller = new AbortController();
+    const response = await fetch(`${url}?token=${token}&${query}`, { signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Resolve with the next event, skipping the retry hint and pings
+    async function next() {
+      for (;;) {
+        const end = buffer.indexOf('\n\n');
+        if (end !== -1) {
+          const chunk = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const match = chunk.match(/^event: (.+)\ndata: (.+)$/);
+          if (match) return { event: match[1], data: JSON.parse(match[2]) };
+          continue;
+        }
+        const { value } = await reader.read();
+        buffer += decoder.decode(value, { stream: true });
+      }
+    }
+
+    return { status: response.status, next, close: () => controller.abort() };
+  }
+
+  before(async () => {
+    User.findById = async () => user;
+    stream.start();
+    const app = express();
+    app.use('/api/stream', streamRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/stream`;
+  });
+
+  after(async () => {
+    User.findById = originalFindById;
+    stream.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('streams only the subscribed PCs, given as a list or as repeated params', async () => {
+    const listed = await open('pcIds=PC-001,%20PC-002');
+    const repeated = await open('pcIds=PC-001&pcIds=PC-002');
+    try {
+      assert.equal(repeated.status, 200);
+      assert.deepEqual((await listed.next()).data, { pcIds: ['PC-001', 'PC-002'] });
+      assert.deepEqual((await repeated.next()).data, { pcIds: ['PC-001', 'PC-002'] });
+
+      eventBus.emit(INTERNAL_EVENTS.SAMPLES_SAVED, [
+        { pcId: 'PC-003', cpu: 10 },
+        { pcId: 'PC-002', cpu: 20 }
+      ]);
+      eventBus.emit(EVENTS.PC_OFFLINE, { pcId: 'PC-003', status: 'offline' });
+      eventBus.emit(EVENTS.PC_OFFLINE, { pcId: 'PC-001', status: 'offline' });
+
+      for (const subscriber of [listed, repeated]) {
+        assert.deepEqual(await subscriber.next(), { event: 'sample', data: { pcId: 'PC-002', cpu: 20 } });
+        assert.deepEqual(await subscriber.next(), { event: 'status', data: { pcId: 'PC-001', status: 'offline' } });
+      }
+    } finally {
+      listed.close();
+      repeated.close();
+    }
+  });
+
+  it('streams every PC without a filter', async () => {
+    const all = await open('');
+    try {
+      assert.deepEqual((await all.next()).data, { pcIds: [] });
+      eventBus.emit(INTERNAL_EVENTS.SAMPLES_SAVED, [{ pcId: 'PC-003', cpu: 10 }]);
+      assert.deepEqual(await all.next(), { event: 'sample', data: { pcId: 'PC-003', cpu: 10 } });
+    } finally {
+      all.close();
+    }
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Minimal cron expression helpers (server local time)
+ *
+ * Expressions have the five standard fields:
+ *   minute (0-59) hour (0-23) day-of-month (1-31) month (1-12) day-of-week (0-7, 0 and 7 are Sunday)
+ * Each field is "*", a value, a range "a-b", a step "*\/n" or "a-b/n", or a
+ * comma separated list of those. Names (MON, JAN) and the non-standard
+ * characters (L, W, #, ?) are not supported. As in Vixie cron, when both day
+ * fields are restricted a day matches if either of them does; only a bare "*"
+ * leaves a day field unrestricted ("*\/2" restricts it to every other day).
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day-of-week', min: 0, max: 7 }
+];
+
+// Parse one field into the sorted list of values it allows
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} field "${text}"`);
+
+    const [, all, first, last, step] = match;
+    const from = all === '*' ? min : Number(first);
+    let to = all === '*' ? max : Number(last ?? first);
+    // "5/15" means from 5 to the end of the range
+    if (step && all !== '*' && last === undefined) to = max;
+    const stepNum = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || stepNum < 1) {
+      throw new Error(`Invalid ${name} field "${text}" (${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += stepNum) values.add(value);
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five field cron expression
+ * @returns {Object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  return {
+    minutes,
+    hours,
+    days: new Set(days),
+    months: new Set(months),
+    // 7 is another name for Sunday
+    weekdays: new Set(weekdays.map(day => day % 7)),
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+/**
+ * Check a cron expression without throwing
+ * @returns {string|null} Error message or null when valid
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Whether a calendar day matches the day fields
+function dayMatches(cron, date) {
+  if (!cron.months.has(date.getMonth() + 1)) return false;
+
+  const dayOk = cron.days.has(date.getDate());
+  const weekdayOk = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayOk;
+  if (cron.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+}
+
+/**
+ * Times matched by a cron expression within a range, oldest first
+ * @param {string|Object} expression - Cron expression or parseCron() result
+ * @param {Date} from - Range start (inclusive)
+ * @param {Date} to - Range end (inclusive)
+ * @returns {Date[]}
+ */
+function cronOccurrences(expression, from, to) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const occurrences = [];
+
+  const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  while (day <= to) {
+    if (dayMatches(cron, day)) {
+      for (const hour of cron.hours) {
+        for (const minute of cron.minutes) {
+          const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+          if (time >= from && time <= to) occurrences.push(time);
+        }
+      }
+    }
+    // Next calendar day (setDate keeps local midnight across DST changes)
+    day.setDate(day.getDate() + 1);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Latest time matched by a cron expression at or before a time
+ * Walks back one calendar day at a time, so the cost depends on how far back
+ * `since` is rather than on how often the expression matches.
+ * @param {string|Object} expression - Cron expression or parseCron() result
+ * @param {Date} at - Latest time accepted (inclusive)
+ * @param {Date} since - Earliest time accepted (inclusive)
+ * @returns {Date|null} null when nothing matches between since and at
+ */
+function cronPrevious(expression, at, since) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const firstDay = new Date(since.getFullYear(), since.getMonth(), since.getDate());
+
+  const day = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+  while (day >= firstDay) {
+    if (dayMatches(cron, day)) {
+      for (let h = cron.hours.length - 1; h >= 0; h--) {
+        for (let m = cron.minutes.length - 1; m >= 0; m--) {
+          const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), cron.hours[h], cron.minutes[m]);
+          if (time > at) continue;
+          // Times only get earlier from here
+          return time >= since ? time : null;
+        }
+      }
+    }
+    // Previous calendar day (setDate keeps local midnight across DST changes)
+    day.setDate(day.getDate() - 1);
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  cronOccurrences,
+  cronPrevious
+};
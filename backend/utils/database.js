@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const storage = require('../storage');
+
+/**
+ * MongoDB availability
+ * With a sample store other than mongodb the server also runs while MongoDB
+ * is unreachable: features stored in MongoDB check isAvailable() and are
+ * skipped or refused until it connects.
+ */
+
+/**
+ * Whether MongoDB can be queried
+ * Always true with the mongodb store: the server doesn't run without it, and
+ * queries made during a reconnection wait for it.
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return storage.backend === 'mongodb' ||
+    mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+}
+
+module.exports = {
+  isAvailable
+};
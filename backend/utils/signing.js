@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC-SHA256 signing helpers
+ * The signed string is "<timestamp>.<body>" so a captured signature cannot be
+ * replayed with a different timestamp.
+ */
+
+/**
+ * Compute the signature for a payload
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix timestamp in milliseconds
+ * @param {string} body - Raw request body
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a signature in constant time
+ * @returns {boolean} True if the signature matches
+ */
+function verify(secret, timestamp, body, signature) {
+  if (!secret || !signature) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Signed body of an agent request: "<METHOD> <path>\n<body>"
+ * Binding the method and path means a body signed for one endpoint can't be
+ * replayed against another. path is the request path with its query string.
+ */
+function requestPayload(method, path, body) {
+  return `${String(method).toUpperCase()} ${path}\n${body}`;
+}
+
+/**
+ * Compute the signature of an agent request
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+function signRequest(secret, timestamp, method, path, body) {
+  return sign(secret, timestamp, requestPayload(method, path, body));
+}
+
+/**
+ * Verify the signature of an agent request in constant time
+ * @returns {boolean} True if the signature matches
+ */
+function verifyRequest(secret, timestamp, method, path, body, signature) {
+  return verify(secret, timestamp, requestPayload(method, path, body), signature);
+}
+
+/**
+ * Generate a random secret
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex encoded secret
+ */
+function generateSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+module.exports = {
+  sign,
+  verify,
+  signRequest,
+  verifyRequest,
+  generateSecret
+};
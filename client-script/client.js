@@ -1,5 +1,8 @@
 const si = require('systeminformation');
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Wake up backend before starting main client logic
@@ -14,6 +17,11 @@ axios.get('https://pc-monitoring-backend-yctj.onrender.com/api/systemdata/health
  * Monitors CPU, RAM, Disk, OS, and sends data to backend every 60 seconds.
  */
 
+// Split a comma-separated env value into a list
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 // Configuration
 const CONFIG = {
   SERVER_URL: process.env.SERVER_URL || 'http://localhost:5000/api/systemdata',
@@ -22,14 +30,48 @@ const CONFIG = {
   RETRY_DELAY: parseInt(process.env.RETRY_DELAY) || 5000,
   PC_ID: process.env.PC_ID || require('os').hostname(),
   VERBOSE: process.env.VERBOSE === 'true' || false,
-  MAX_OFFLINE_TIME: parseInt(process.env.MAX_OFFLINE_TIME) || 300000, // 5 minutes
+  MAX_OFFLINE_TIME: parseInt(process.env.MAX_OFFLINE_TIME) || 300000, // 5 minutes, then an error is logged
+  ENROLLMENT_TOKEN: process.env.ENROLLMENT_TOKEN || null,
+  AGENT_KEY_FILE: process.env.AGENT_KEY_FILE || path.join(__dirname, '.agent-key.json'),
+  MAX_BUFFERED_SAMPLES: parseInt(process.env.MAX_BUFFERED_SAMPLES) || 1000,
+  BUFFER_FILE: process.env.BUFFER_FILE || path.join(__dirname, '.sample-buffer.json'),
+  BATCH_SIZE: parseInt(process.env.BATCH_SIZE) || 100,
+  INVENTORY_INTERVAL: parseInt(process.env.INVENTORY_INTERVAL) || 3600000, // 1 hour
+  PC_GROUPS: parseList(process.env.PC_GROUPS),
+  PC_TAGS: parseList(process.env.PC_TAGS),
+  TOP_PROCESSES: process.env.TOP_PROCESSES !== undefined ? parseInt(process.env.TOP_PROCESSES) || 0 : 5, // 0 disables
+  CONFIG_REFRESH_INTERVAL: parseInt(process.env.CONFIG_REFRESH_INTERVAL) || 300000, // 5 minutes
+  DIAGNOSTICS_ENABLED: process.env.DIAGNOSTICS_ENABLED !== 'false', // Run diagnostic jobs requested by the backend
+  COLLECTORS: null, // Enabled optional collectors (null: all), set by the backend configuration
+  THRESHOLDS: {} // Usage percentages that trigger a warning, set by the backend configuration
+};
+
+// Optional collectors the backend configuration can turn off
+const COLLECTORS = ['cores', 'loadAverage', 'swap', 'network'];
+
+// Values the backend configuration overrides, restored when it stops setting them
+const LOCAL_SETTINGS = {
+  COLLECTION_INTERVAL: CONFIG.COLLECTION_INTERVAL,
+  MAX_RETRIES: CONFIG.MAX_RETRIES,
+  RETRY_DELAY: CONFIG.RETRY_DELAY,
+  TOP_PROCESSES: CONFIG.TOP_PROCESSES
 };
 
+// Base API URL (SERVER_URL without the /systemdata suffix)
+CONFIG.API_BASE_URL = CONFIG.SERVER_URL.replace(/\/systemdata\/?$/, '');
+
 // Global state
 let isRunning = false;
 let retryCount = 0;
 let lastSuccessfulSend = Date.now();
 let systemInfo = null;
+let agentKey = null;
+let bufferedSamples = []; // Samples that could not be sent, oldest first
+let offlineReported = false; // An error was logged for the current offline period
+let lastInventoryHash = null; // Hash of the last inventory accepted by the server
+let agentConfigVersion = null; // Version of the applied backend configuration
+let monitorTimer = null; // Pending monitoring cycle
+let diagnosticsRunning = false; // Diagnostic jobs are being claimed or run
 
 // Logging utility
 function log(level, message, data = null) {
@@ -42,34 +84,98 @@ function log(level, message, data = null) {
   }
 }
 
-// Get system info
+// Round to two decimals
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Get the top processes by CPU and by memory (null when disabled or unavailable)
+async function getTopProcesses() {
+  if (CONFIG.TOP_PROCESSES <= 0) return null;
+
+  try {
+    const { list } = await si.processes();
+    const top = (key) => [...(list || [])]
+      .sort((a, b) => b[key] - a[key])
+      .slice(0, CONFIG.TOP_PROCESSES)
+      .map(proc => ({ name: proc.name, pid: proc.pid, user: proc.user, cpu: round2(proc.cpu), mem: round2(proc.mem) }));
+
+    return { byCpu: top('cpu'), byMemory: top('mem') };
+  } catch (error) {
+    log('warn', 'Failed to list processes', error.message);
+    return null;
+  }
+}
+
+// Whether an optional collector is enabled by the backend configuration
+function collectorEnabled(name) {
+  return !CONFIG.COLLECTORS || CONFIG.COLLECTORS.includes(name);
+}
+
+// Get system info (payload version 2: every filesystem, per-core load, swap, load averages, network, top processes)
 async function getSystemInfo() {
   try {
-    const [cpu, mem, fs, osInfo, time] = await Promise.all([
+    const [cpu, mem, fs, osInfo, time, networkStats, processes] = await Promise.all([
       si.currentLoad(),
       si.mem(),
       si.fsSize(),
       si.osInfo(),
-      si.time()
+      si.time(),
+      collectorEnabled('network') ? si.networkStats('*') : null,
+      getTopProcesses()
     ]);
 
-    let diskUsage = 0;
-    if (fs && fs.length > 0) {
-      const mainDisk = fs.find(d => d.mount === 'C:' || d.mount === '/' || d.mount === '/System/Volumes/Data') || fs[0];
-      diskUsage = mainDisk ? ((mainDisk.used / mainDisk.size) * 100) : 0;
-    }
+    const disks = (fs || [])
+      .filter(d => d.size > 0)
+      .map(d => ({
+        mount: d.mount,
+        fs: d.fs,
+        type: d.type,
+        size: d.size,
+        used: d.used,
+        usage: round2((d.used / d.size) * 100)
+      }));
+
+    // Rates are only known from the second collection on (null before)
+    const rate = value => (typeof value === 'number' && value >= 0 ? round2(value) : undefined);
+    const network = networkStats && networkStats
+      .filter(stat => stat.operstate === 'up')
+      .map(stat => ({
+        iface: stat.iface,
+        rxSec: rate(stat.rx_sec),
+        txSec: rate(stat.tx_sec),
+        rxErrors: stat.rx_errors,
+        txErrors: stat.tx_errors,
+        rxDropped: stat.rx_dropped,
+        txDropped: stat.tx_dropped
+      }));
 
     const memUsage = mem ? ((mem.used / mem.total) * 100) : 0;
+    const swapUsage = mem && mem.swaptotal > 0 ? ((mem.swapused / mem.swaptotal) * 100) : 0;
     const uptime = time ? time.uptime : 0;
     const osString = osInfo ? `${osInfo.distro} ${osInfo.release} ${osInfo.arch}` : 'Unknown OS';
 
     return {
+      version: 2,
       pcId: CONFIG.PC_ID,
-      cpu: Math.round(cpu.currentLoad * 100) / 100,
-      ram: Math.round(memUsage * 100) / 100,
-      disk: Math.round(diskUsage * 100) / 100,
       os: osString,
-      uptime: Math.round(uptime)
+      uptime: Math.round(uptime),
+      cpu: {
+        usage: round2(cpu.currentLoad),
+        cores: collectorEnabled('cores') ? (cpu.cpus || []).map(core => round2(core.load)) : undefined,
+        // Always 0 on Windows, so not reported there
+        loadAverage: process.platform === 'win32' || !collectorEnabled('loadAverage') ? undefined : require('os').loadavg().map(round2)
+      },
+      memory: {
+        usage: round2(memUsage),
+        swap: mem && collectorEnabled('swap') ? { total: mem.swaptotal, used: mem.swapused, usage: round2(swapUsage) } : undefined
+      },
+      disks,
+      network: network || undefined,
+      processes: processes || undefined,
+      configVersion: agentConfigVersion || undefined,
+      interval: CONFIG.COLLECTION_INTERVAL,
+      timestamp: new Date().toISOString()
     };
 
   } catch (error) {
@@ -78,6 +184,266 @@ async function getSystemInfo() {
   }
 }
 
+// Get static hardware inventory
+async function getInventory() {
+  const [system, cpu, mem, disks, networkInterfaces, osInfo] = await Promise.all([
+    si.system(),
+    si.cpu(),
+    si.mem(),
+    si.diskLayout(),
+    si.networkInterfaces(),
+    si.osInfo()
+  ]);
+
+  const macAddresses = [].concat(networkInterfaces || [])
+    .filter(iface => !iface.internal && iface.mac && iface.mac !== '00:00:00:00:00:00')
+    .map(iface => iface.mac);
+
+  return {
+    manufacturer: system.manufacturer,
+    model: system.model,
+    os: `${osInfo.distro} ${osInfo.release} ${osInfo.arch}`,
+    cpu: {
+      manufacturer: cpu.manufacturer,
+      brand: cpu.brand,
+      cores: cpu.cores,
+      physicalCores: cpu.physicalCores,
+      speed: cpu.speed
+    },
+    totalRam: mem.total,
+    disks: (disks || []).map(disk => ({ device: disk.device, name: disk.name, type: disk.type, size: disk.size })),
+    macAddresses: [...new Set(macAddresses)],
+    declaredGroups: CONFIG.PC_GROUPS,
+    declaredTags: CONFIG.PC_TAGS
+  };
+}
+
+// Report the inventory if it changed since the last successful report
+async function reportInventory() {
+  try {
+    const inventory = await getInventory();
+    const hash = crypto.createHash('sha256').update(JSON.stringify(inventory)).digest('hex');
+    if (hash === lastInventoryHash) return;
+
+    const body = JSON.stringify(inventory);
+    const url = `${CONFIG.API_BASE_URL}/machines/${encodeURIComponent(CONFIG.PC_ID)}/inventory`;
+    await axios.put(url, body, {
+      timeout: 40000,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Multi-PC-Monitoring-Client/1.0.0',
+        ...signedHeaders('PUT', url, body)
+      }
+    });
+
+    lastInventoryHash = hash;
+    log('info', 'Inventory reported', { pcId: CONFIG.PC_ID });
+  } catch (error) {
+    log('warn', 'Failed to report inventory, will retry', { error: error.message, status: error.response?.status });
+  }
+}
+
+// Load the agent key saved at enrollment
+function loadAgentKey() {
+  if (!fs.existsSync(CONFIG.AGENT_KEY_FILE)) return null;
+
+  const key = JSON.parse(fs.readFileSync(CONFIG.AGENT_KEY_FILE, 'utf8'));
+  if (!key.keyId || !key.secret) {
+    throw new Error(`Invalid agent key file: ${CONFIG.AGENT_KEY_FILE}`);
+  }
+  if (key.pcId !== CONFIG.PC_ID) {
+    log('warn', `Agent key belongs to ${key.pcId}, not ${CONFIG.PC_ID}. Ignoring it.`);
+    return null;
+  }
+  return key;
+}
+
+// Save the agent key readable by the current user only
+function saveAgentKey(key) {
+  fs.writeFileSync(CONFIG.AGENT_KEY_FILE, JSON.stringify(key, null, 2), { mode: 0o600 });
+  log('info', `Agent key saved to ${CONFIG.AGENT_KEY_FILE}`, { keyId: key.keyId });
+}
+
+// Authentication headers for a request: key id, timestamp and HMAC over "<timestamp>.<METHOD> <path>\n<body>"
+// (the method and path are signed so the body can't be replayed against another endpoint)
+function signedHeaders(method, url, body) {
+  if (!agentKey) return {};
+
+  const timestamp = Date.now();
+  const { pathname, search } = new URL(url);
+  const payload = `${timestamp}.${method.toUpperCase()} ${pathname}${search}\n${body}`;
+  const digest = crypto.createHmac('sha256', agentKey.secret).update(payload).digest('hex');
+  return {
+    'X-Agent-Key': agentKey.keyId,
+    'X-Agent-Timestamp': String(timestamp),
+    'X-Agent-Signature': `sha256=${digest}`
+  };
+}
+
+// A key rotated with --rotate-key by another process is only written to AGENT_KEY_FILE:
+// when a signed request is refused, reload the file and, if it holds a newer key, retry once with it
+axios.interceptors.response.use(null, async (error) => {
+  const config = error.config;
+  if (error.response?.status !== 401 || !config || config.agentKeyReloaded || !agentKey) throw error;
+  if (!config.headers?.['X-Agent-Key']) throw error;
+
+  let key = null;
+  try {
+    key = loadAgentKey();
+  } catch (loadError) {
+    log('warn', 'Failed to reload agent key', { error: loadError.message });
+  }
+  if (!key || key.keyId === agentKey.keyId) throw error;
+
+  agentKey = key;
+  log('info', 'Agent key changed on disk, using the new key', { keyId: key.keyId });
+  config.agentKeyReloaded = true;
+  config.headers.set(signedHeaders(config.method, config.url, config.data || ''));
+  return axios.request(config);
+});
+
+// Exchange ENROLLMENT_TOKEN for a per-PC API key
+async function enrollAgent() {
+  log('info', 'Enrolling agent with backend...', { pcId: CONFIG.PC_ID });
+  const response = await axios.post(`${CONFIG.API_BASE_URL}/agents/enroll`, {
+    token: CONFIG.ENROLLMENT_TOKEN,
+    pcId: CONFIG.PC_ID
+  }, { timeout: 40000 });
+
+  const key = response.data.data;
+  saveAgentKey(key);
+  return key;
+}
+
+// Replace the current agent key with a new one
+async function rotateAgentKey() {
+  const body = JSON.stringify({});
+  const url = `${CONFIG.API_BASE_URL}/agents/rotate`;
+  const response = await axios.post(url, body, {
+    timeout: 40000,
+    headers: { 'Content-Type': 'application/json', ...signedHeaders('POST', url, body) }
+  });
+
+  agentKey = response.data.data;
+  saveAgentKey(agentKey);
+  return agentKey;
+}
+
+// Load the agent key, enrolling first if a token was provided
+async function initAgentKey() {
+  agentKey = loadAgentKey();
+  if (agentKey) {
+    log('info', 'Using agent key', { keyId: agentKey.keyId });
+    return;
+  }
+
+  if (!CONFIG.ENROLLMENT_TOKEN) {
+    log('warn', 'No agent key found and ENROLLMENT_TOKEN is not set. Sending unsigned data.');
+    return;
+  }
+
+  agentKey = await enrollAgent();
+}
+
+// Check backend configuration settings; returns an error message or null when valid
+function validateAgentSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'settings must be an object';
+
+  const inRange = (value, min, max) => value === undefined || (Number.isInteger(value) && value >= min && value <= max);
+  const { interval, collectors, topProcesses, retry = {}, thresholds = {} } = settings;
+
+  if (!inRange(interval, 1000, 86400000)) return 'interval must be 1000-86400000 ms';
+  if (collectors !== undefined && (!Array.isArray(collectors) || collectors.some(name => !COLLECTORS.includes(name)))) {
+    return `collectors must be a list of: ${COLLECTORS.join(', ')}`;
+  }
+  if (!inRange(topProcesses, 0, 50)) return 'topProcesses must be 0-50';
+  if (!inRange(retry.maxRetries, 1, 10)) return 'retry.maxRetries must be 1-10';
+  if (!inRange(retry.retryDelay, 100, 600000)) return 'retry.retryDelay must be 100-600000 ms';
+  for (const [metric, threshold] of Object.entries(thresholds)) {
+    if (!['cpu', 'ram', 'disk'].includes(metric) || typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+      return 'thresholds must be cpu, ram and disk percentages (0-100)';
+    }
+  }
+  return null;
+}
+
+// Apply backend configuration settings over the local ones, rescheduling the next collection if the interval changed
+function applyAgentConfig(version, settings) {
+  const { retry = {} } = settings;
+  const previousInterval = CONFIG.COLLECTION_INTERVAL;
+
+  CONFIG.COLLECTION_INTERVAL = settings.interval ?? LOCAL_SETTINGS.COLLECTION_INTERVAL;
+  CONFIG.MAX_RETRIES = retry.maxRetries ?? LOCAL_SETTINGS.MAX_RETRIES;
+  CONFIG.RETRY_DELAY = retry.retryDelay ?? LOCAL_SETTINGS.RETRY_DELAY;
+  CONFIG.TOP_PROCESSES = settings.topProcesses ?? LOCAL_SETTINGS.TOP_PROCESSES;
+  CONFIG.COLLECTORS = settings.collectors || null;
+  CONFIG.THRESHOLDS = settings.thresholds || {};
+  agentConfigVersion = version;
+
+  if (monitorTimer && CONFIG.COLLECTION_INTERVAL !== previousInterval) {
+    clearTimeout(monitorTimer);
+    monitorTimer = setTimeout(monitorSystem, CONFIG.COLLECTION_INTERVAL);
+  }
+
+  log('info', 'Applied agent configuration', {
+    version,
+    collectionInterval: CONFIG.COLLECTION_INTERVAL,
+    maxRetries: CONFIG.MAX_RETRIES,
+    retryDelay: CONFIG.RETRY_DELAY,
+    topProcesses: CONFIG.TOP_PROCESSES,
+    collectors: CONFIG.COLLECTORS || 'all',
+    thresholds: CONFIG.THRESHOLDS
+  });
+}
+
+// Fetch the backend configuration and apply it if it changed (the current one is kept on any failure)
+async function fetchAgentConfig() {
+  try {
+    const url = `${CONFIG.API_BASE_URL}/agents/${encodeURIComponent(CONFIG.PC_ID)}/config`;
+    const response = await axios.get(url, {
+      timeout: 40000,
+      headers: {
+        'User-Agent': 'Multi-PC-Monitoring-Client/1.0.0',
+        ...(agentConfigVersion ? { 'If-None-Match': `"${agentConfigVersion}"` } : {}),
+        ...signedHeaders('GET', url, '')
+      },
+      validateStatus: status => status === 200 || status === 304
+    });
+
+    if (response.status === 304) {
+      log('info', 'Agent configuration unchanged', { version: agentConfigVersion });
+      return;
+    }
+
+    const { version, settings } = response.data.data || {};
+    const error = typeof version === 'string' && version ? validateAgentSettings(settings) : 'missing version';
+    if (error) {
+      log('warn', `Ignoring invalid agent configuration: ${error}`);
+      return;
+    }
+
+    if (version !== agentConfigVersion) applyAgentConfig(version, settings);
+
+  } catch (error) {
+    log('warn', 'Failed to fetch agent configuration, keeping the current one', { error: error.message, status: error.response?.status });
+  }
+}
+
+// Warn about usage above the configured thresholds
+function checkThresholds(data) {
+  const usage = {
+    cpu: data.cpu.usage,
+    ram: data.memory.usage,
+    disk: data.disks.length > 0 ? Math.max(...data.disks.map(d => d.usage)) : undefined
+  };
+
+  for (const [metric, threshold] of Object.entries(CONFIG.THRESHOLDS)) {
+    if (usage[metric] > threshold) {
+      log('warn', `${metric.toUpperCase()} usage ${usage[metric]}% is above the ${threshold}% threshold`);
+    }
+  }
+}
+
 // Send data to server with retries
 async function sendDataToServer(data) {
   const maxRetries = CONFIG.MAX_RETRIES;
@@ -86,9 +452,15 @@ async function sendDataToServer(data) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       log('info', `Sending data to server (attempt ${attempt}/${maxRetries})`);
-      const response = await axios.post(CONFIG.SERVER_URL, data, {
+      // Sign every attempt with a fresh timestamp so retries are not rejected as replays
+      const body = JSON.stringify(data);
+      const response = await axios.post(CONFIG.SERVER_URL, body, {
         timeout: 40000,
-        headers: { 'Content-Type': 'application/json', 'User-Agent': 'Multi-PC-Monitoring-Client/1.0.0' }
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Multi-PC-Monitoring-Client/1.0.0',
+          ...signedHeaders('POST', CONFIG.SERVER_URL, body)
+        }
       });
 
       if (response.status === 200 || response.status === 201) {
@@ -116,34 +488,300 @@ async function sendDataToServer(data) {
   return false;
 }
 
-// Check if client should continue
-function shouldContinueRunning() {
-  const offlineTime = Date.now() - lastSuccessfulSend;
-  if (offlineTime > CONFIG.MAX_OFFLINE_TIME) {
-    log('error', `Server offline for ${Math.round(offlineTime / 1000)}s. Stopping client.`);
-    return false;
+// Keep a sample that could not be sent so it can be delivered later with its original timestamp
+function bufferSample(data) {
+  bufferedSamples.push(data);
+  if (bufferedSamples.length > CONFIG.MAX_BUFFERED_SAMPLES) {
+    const dropped = bufferedSamples.length - CONFIG.MAX_BUFFERED_SAMPLES;
+    bufferedSamples = bufferedSamples.slice(dropped);
+    log('warn', `Sample buffer full, dropped ${dropped} oldest sample(s)`);
+  }
+  saveBufferedSamples();
+}
+
+// Write buffered samples to BUFFER_FILE so a restart doesn't lose them (the file is removed once empty)
+function saveBufferedSamples() {
+  try {
+    if (bufferedSamples.length === 0) {
+      fs.rmSync(CONFIG.BUFFER_FILE, { force: true });
+      return;
+    }
+    // Write a temporary file and rename it so a crash mid-write can't leave a truncated buffer
+    const tempFile = `${CONFIG.BUFFER_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(bufferedSamples), { mode: 0o600 });
+    fs.renameSync(tempFile, CONFIG.BUFFER_FILE);
+  } catch (error) {
+    log('warn', 'Failed to save buffered samples', { error: error.message, file: CONFIG.BUFFER_FILE });
+  }
+}
+
+// Load samples buffered by a previous run
+function loadBufferedSamples() {
+  if (!fs.existsSync(CONFIG.BUFFER_FILE)) return;
+
+  try {
+    const samples = JSON.parse(fs.readFileSync(CONFIG.BUFFER_FILE, 'utf8'));
+    if (!Array.isArray(samples)) throw new Error('not a list of samples');
+    // Another PC's buffer (PC_ID changed) is not ours to send
+    bufferedSamples = samples.filter(sample => sample?.pcId === CONFIG.PC_ID).slice(-CONFIG.MAX_BUFFERED_SAMPLES);
+    log('info', `Loaded ${bufferedSamples.length} buffered sample(s) from ${CONFIG.BUFFER_FILE}`);
+  } catch (error) {
+    log('warn', 'Ignoring unreadable sample buffer file', { error: error.message, file: CONFIG.BUFFER_FILE });
+  }
+}
+
+// Send buffered samples through the batch endpoint, oldest first
+// Returns true once the buffer is empty, false if the server could not be reached
+async function flushBufferedSamples() {
+  while (bufferedSamples.length > 0) {
+    const chunk = bufferedSamples.slice(0, CONFIG.BATCH_SIZE);
+    const body = JSON.stringify({ samples: chunk });
+
+    try {
+      const url = `${CONFIG.SERVER_URL}/batch`;
+      const response = await axios.post(url, body, {
+        timeout: 40000,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Multi-PC-Monitoring-Client/1.0.0',
+          ...signedHeaders('POST', url, body)
+        }
+      });
+      log('info', `Sent ${response.data.accepted} buffered sample(s)`, { rejected: response.data.rejected });
+      retryCount = 0;
+      lastSuccessfulSend = Date.now();
+    } catch (error) {
+      // 400 means every sample was rejected (e.g. too old); anything else is retried later
+      if (error.response?.status !== 400) {
+        log('warn', 'Failed to send buffered samples, will retry', { error: error.message, buffered: bufferedSamples.length });
+        return false;
+      }
+      log('warn', 'Buffered samples rejected by server', { error: error.response.data?.message });
+    }
+
+    bufferedSamples = bufferedSamples.slice(chunk.length);
+    saveBufferedSamples();
   }
   return true;
 }
 
+// Limits of the diagnostic actions
+const DIAGNOSTIC_LIMITS = {
+  MAX_PROCESSES: 1000,
+  MAX_DISK_ENTRIES: 100, // Largest entries reported by diskUsage
+  MAX_DISK_FILES: 200000, // Files and directories diskUsage visits
+  DISK_TIME_LIMIT: 60000 // ms
+};
+
+// Total size of the files under a directory, within the diskUsage budget (symlinks are not followed)
+async function directorySize(directory, budget) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    budget.unreadable++;
+    return 0;
+  }
+
+  let size = 0;
+  for (const entry of entries) {
+    if (--budget.files < 0 || Date.now() > budget.deadline) {
+      budget.truncated = true;
+      break;
+    }
+
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      size += await directorySize(entryPath, budget);
+    } else if (entry.isFile()) {
+      try {
+        size += (await fs.promises.stat(entryPath)).size;
+      } catch (error) {
+        budget.unreadable++;
+      }
+    }
+  }
+  return size;
+}
+
+// Built-in diagnostics the backend can request; a job names one of these, nothing else is ever run
+const DIAGNOSTIC_ACTIONS = {
+  // Every process, by CPU usage (arguments are left out: they can hold secrets)
+  processes: async () => {
+    const { all, running, sleeping, blocked, list } = await si.processes();
+    const processes = [...(list || [])]
+      .sort((a, b) => b.cpu - a.cpu)
+      .slice(0, DIAGNOSTIC_LIMITS.MAX_PROCESSES)
+      .map(proc => ({
+        pid: proc.pid,
+        parentPid: proc.parentPid,
+        name: proc.name,
+        user: proc.user,
+        state: proc.state,
+        cpu: round2(proc.cpu),
+        mem: round2(proc.mem),
+        started: proc.started,
+        command: proc.path ? path.join(proc.path, proc.command) : proc.command
+      }));
+    return { all, running, sleeping, blocked, processes };
+  },
+
+  // Size of each entry of a directory, largest first
+  diskUsage: async (params) => {
+    const root = path.resolve(params.path);
+    if (!(await fs.promises.stat(root)).isDirectory()) {
+      throw new Error(`${root} is not a directory`);
+    }
+
+    const budget = {
+      files: DIAGNOSTIC_LIMITS.MAX_DISK_FILES,
+      deadline: Date.now() + DIAGNOSTIC_LIMITS.DISK_TIME_LIMIT,
+      truncated: false,
+      unreadable: 0
+    };
+    const entries = [];
+
+    for (const entry of await fs.promises.readdir(root, { withFileTypes: true })) {
+      const entryPath = path.join(root, entry.name);
+      if (entry.isDirectory()) {
+        entries.push({ name: entry.name, type: 'directory', size: await directorySize(entryPath, budget) });
+      } else if (entry.isFile()) {
+        const stat = await fs.promises.stat(entryPath).catch(() => null);
+        entries.push({ name: entry.name, type: 'file', size: stat ? stat.size : 0 });
+      }
+      if (budget.truncated) break;
+    }
+
+    entries.sort((a, b) => b.size - a.size);
+    return {
+      path: root,
+      total: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries: entries.slice(0, DIAGNOSTIC_LIMITS.MAX_DISK_ENTRIES),
+      omittedEntries: Math.max(0, entries.length - DIAGNOSTIC_LIMITS.MAX_DISK_ENTRIES),
+      truncated: budget.truncated, // The file or time budget ran out; sizes are lower bounds
+      unreadable: budget.unreadable
+    };
+  },
+
+  // Sockets listening for connections (every bound UDP socket)
+  listeningPorts: async () => {
+    const connections = await si.networkConnections();
+    const ports = (connections || [])
+      .filter(conn => conn.state === 'LISTEN' || (conn.protocol?.startsWith('udp') && conn.localPort))
+      .map(conn => ({
+        protocol: conn.protocol,
+        address: conn.localAddress,
+        port: Number(conn.localPort),
+        pid: conn.pid,
+        process: conn.process
+      }))
+      .sort((a, b) => a.port - b.port);
+    return { ports };
+  },
+
+  // Hardware dump
+  hardware: async () => {
+    const [system, bios, baseboard, cpu, memLayout, diskLayout, graphics, networkInterfaces] = await Promise.all([
+      si.system(),
+      si.bios(),
+      si.baseboard(),
+      si.cpu(),
+      si.memLayout(),
+      si.diskLayout(),
+      si.graphics(),
+      si.networkInterfaces()
+    ]);
+    return { system, bios, baseboard, cpu, memLayout, diskLayout, graphics, networkInterfaces };
+  }
+};
+
+// Claim the diagnostic jobs the backend queued for this PC, run them and report the results
+// (the backend only hands jobs to enrolled agents)
+async function runDiagnosticJobs() {
+  if (!CONFIG.DIAGNOSTICS_ENABLED || !agentKey || diagnosticsRunning) return;
+  diagnosticsRunning = true;
+
+  const jobsUrl = `${CONFIG.API_BASE_URL}/agents/${encodeURIComponent(CONFIG.PC_ID)}/jobs`;
+  const post = (url, data) => {
+    const body = JSON.stringify(data);
+    return axios.post(url, body, {
+      timeout: 40000,
+      maxBodyLength: Infinity,
+      headers: { 'Content-Type': 'application/json', ...signedHeaders('POST', url, body) }
+    });
+  };
+
+  try {
+    const response = await post(`${jobsUrl}/claim`, {});
+    for (const job of response.data.data || []) {
+      let report;
+      try {
+        if (!Object.prototype.hasOwnProperty.call(DIAGNOSTIC_ACTIONS, job.action)) {
+          throw new Error(`Unsupported diagnostic action: ${job.action}`);
+        }
+        log('info', `Running diagnostic ${job.action}`, { id: job.id, params: job.params });
+        report = { status: 'completed', result: await DIAGNOSTIC_ACTIONS[job.action](job.params || {}) };
+      } catch (error) {
+        report = { status: 'failed', error: error.message };
+      }
+
+      try {
+        await post(`${jobsUrl}/${job.id}/result`, report);
+        log('info', `Diagnostic ${job.action} ${report.status}`, { id: job.id });
+      } catch (error) {
+        log('warn', 'Failed to report diagnostic result', { id: job.id, error: error.message, status: error.response?.status });
+      }
+    }
+  } catch (error) {
+    log('warn', 'Failed to fetch diagnostic jobs', { error: error.message, status: error.response?.status });
+  } finally {
+    diagnosticsRunning = false;
+  }
+}
+
+// Log an error once per offline period longer than MAX_OFFLINE_TIME; collection and buffering go on
+function checkOfflineTime() {
+  const offlineTime = Date.now() - lastSuccessfulSend;
+  if (offlineTime <= CONFIG.MAX_OFFLINE_TIME) {
+    offlineReported = false;
+  } else if (!offlineReported) {
+    offlineReported = true;
+    log('error', `Server offline for ${Math.round(offlineTime / 1000)}s. Still collecting; samples are buffered until it is back.`, { buffered: bufferedSamples.length });
+  }
+}
+
 // Monitoring loop
 async function monitorSystem() {
+  monitorTimer = null;
   if (!isRunning) return;
 
   try {
     const currentData = await getSystemInfo();
     systemInfo = currentData;
-    await sendDataToServer(currentData);
+    checkThresholds(currentData);
+
+    // While samples are buffered, the current one is sent after them so the
+    // server always receives a PC's samples in time order
+    let sent;
+    if (bufferedSamples.length > 0) {
+      bufferSample(currentData);
+      sent = await flushBufferedSamples();
+    } else {
+      sent = await sendDataToServer(currentData);
+      if (!sent) bufferSample(currentData);
+    }
+
+    if (sent) {
+      runDiagnosticJobs(); // In the background, so long diagnostics don't delay collection
+    }
 
   } catch (error) {
     log('error', 'Error in monitoring cycle', error);
   }
 
-  if (isRunning && shouldContinueRunning()) {
-    setTimeout(monitorSystem, CONFIG.COLLECTION_INTERVAL);
-  } else if (isRunning) {
-    log('error', 'Stopping monitoring due to server connectivity issues');
-    process.exit(1);
+  checkOfflineTime();
+  if (isRunning) {
+    monitorTimer = setTimeout(monitorSystem, CONFIG.COLLECTION_INTERVAL);
   }
 }
 
@@ -152,7 +790,17 @@ function gracefulShutdown(signal) {
   log('info', `Received ${signal}. Shutting down gracefully...`);
   isRunning = false;
 
-  if (systemInfo) {
+  // Samples still buffered are sent by the next run
+  saveBufferedSamples();
+  if (bufferedSamples.length > 0) {
+    log('info', `Saved ${bufferedSamples.length} buffered sample(s) to ${CONFIG.BUFFER_FILE}`);
+  }
+
+  if (bufferedSamples.length > 0) {
+    // The latest sample is buffered too; sending it now would put it ahead of the older ones
+    log('info', 'Goodbye!');
+    process.exit(0);
+  } else if (systemInfo) {
     sendDataToServer(systemInfo).then(() => {
       log('info', 'Final data sent. Goodbye!');
       process.exit(0);
@@ -176,6 +824,9 @@ async function startClient() {
     verbose: CONFIG.VERBOSE
   });
 
+  await initAgentKey();
+  loadBufferedSamples();
+
   // Correct health-check endpoint
   try {
     log('info', 'Testing server connectivity...');
@@ -197,17 +848,43 @@ async function startClient() {
   process.on('uncaughtException', error => { log('error', 'Uncaught exception', error); gracefulShutdown('uncaughtException'); });
   process.on('unhandledRejection', (reason, promise) => { log('error', 'Unhandled rejection', { reason, promise }); gracefulShutdown('unhandledRejection'); });
 
+  // Backend configuration is applied before the first sample and re-checked periodically
+  await fetchAgentConfig();
+  setInterval(fetchAgentConfig, CONFIG.CONFIG_REFRESH_INTERVAL);
+
   isRunning = true;
   monitorSystem();
 
+  // Inventory is sent at startup and re-checked periodically; only changes are sent
+  reportInventory();
+  setInterval(reportInventory, CONFIG.INVENTORY_INTERVAL);
+
   setInterval(() => {
     if (isRunning) {
       const timeSinceLast = Date.now() - lastSuccessfulSend;
-      log('info', 'Client status', { running: isRunning, retryCount, timeSinceLast: Math.round(timeSinceLast/1000)+'s', pcId: CONFIG.PC_ID });
+      log('info', 'Client status', { running: isRunning, retryCount, buffered: bufferedSamples.length, timeSinceLast: Math.round(timeSinceLast/1000)+'s', pcId: CONFIG.PC_ID });
     }
   }, 60000);
 }
 
+// Rotate the stored agent key (--rotate-key)
+async function rotateKeyAndExit() {
+  try {
+    agentKey = loadAgentKey();
+    if (!agentKey) {
+      log('error', 'No agent key to rotate. Enroll first with ENROLLMENT_TOKEN.');
+      process.exit(1);
+    }
+
+    const key = await rotateAgentKey();
+    console.log(`✅ Agent key rotated (new key: ${key.keyId})`);
+    process.exit(0);
+  } catch (error) {
+    log('error', 'Failed to rotate agent key', { error: error.message, status: error.response?.status });
+    process.exit(1);
+  }
+}
+
 // Help info
 function showHelp() {
   console.log(`
@@ -221,12 +898,28 @@ Environment Variables:
   PC_ID              PC identifier (default: hostname)
   MAX_RETRIES        Maximum retry attempts (default: 3)
   RETRY_DELAY        Delay between retries in ms (default: 5000)
-  MAX_OFFLINE_TIME   Max time to run without server connection in ms (default: 300000)
+  MAX_OFFLINE_TIME   Time without server connection before an error is logged in ms (default: 300000)
   VERBOSE            Enable verbose logging (default: false)
+  ENROLLMENT_TOKEN   One-time token used to obtain an agent key on first start
+  AGENT_KEY_FILE     Where the agent key is stored (default: .agent-key.json next to client.js)
+  MAX_BUFFERED_SAMPLES Samples kept while the server is unreachable (default: 1000)
+  BUFFER_FILE        Where unsent samples are kept across restarts (default: .sample-buffer.json next to client.js)
+  BATCH_SIZE         Buffered samples sent per batch request (default: 100)
+  INVENTORY_INTERVAL How often hardware inventory is checked for changes in ms (default: 3600000)
+  TOP_PROCESSES      Processes sent per sample, by CPU and by memory; 0 disables (default: 5)
+  PC_GROUPS          Comma-separated groups this PC declares itself part of
+  PC_TAGS            Comma-separated tags this PC declares
+  CONFIG_REFRESH_INTERVAL How often the backend agent configuration is checked in ms (default: 300000)
+  DIAGNOSTICS_ENABLED Run diagnostic jobs requested from the dashboard (default: true)
+
+Options:
+  --rotate-key       Replace the stored agent key with a new one and exit
+  -h, --help         Show this help
 
 Examples:
   node client.js
   PC_ID=MyPC-001 SERVER_URL=http://localhost:5000/api/systemdata node client.js
+  ENROLLMENT_TOKEN=et_... node client.js
 `);
 }
 
@@ -235,7 +928,11 @@ if (process.argv.includes('--help') || process.argv.includes('-h')) {
   process.exit(0);
 }
 
-startClient().catch(error => {
-  log('error', 'Failed to start client', error);
-  process.exit(1);
-});
\ No newline at end of file
+if (process.argv.includes('--rotate-key')) {
+  rotateKeyAndExit();
+} else {
+  startClient().catch(error => {
+    log('error', 'Failed to start client', error);
+    process.exit(1);
+  });
+}
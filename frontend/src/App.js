@@ -1,15 +1,42 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Dashboard from './components/Dashboard';
+import Login from './components/Login';
+import { authAPI, authStorage, AUTH_LOGOUT_EVENT } from './utils/api';
 import './App.css';
 
 /**
  * App Component - Main application component
- * Renders the dashboard with routing support for future expansion
+ * Shows the login screen until a user is signed in, then the dashboard
  */
 function App() {
+  const [user, setUser] = useState(() => (authStorage.getToken() ? authStorage.getUser() : null));
+
+  // Return to the login screen when the session ends
+  useEffect(() => {
+    const handleLogout = () => setUser(null);
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleLogout);
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleLogout);
+  }, []);
+
+  // Refresh the stored user (role may have changed since the last visit)
+  useEffect(() => {
+    if (!authStorage.getToken()) return;
+
+    authAPI.getCurrentUser()
+      .then((response) => {
+        authStorage.setSession(authStorage.getToken(), response.data);
+        setUser(response.data);
+      })
+      .catch((err) => console.error('Error refreshing session:', err));
+  }, []);
+
   return (
     <div className="App">
-      <Dashboard />
+      {user ? (
+        <Dashboard user={user} onLogout={authAPI.logout} />
+      ) : (
+        <Login onLogin={setUser} />
+      )}
     </div>
   );
 }
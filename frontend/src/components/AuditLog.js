@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { auditAPI, dataUtils } from '../utils/api';
+
+// Time ranges, in hours (0: everything)
+const RANGES = [
+  { hours: 24, label: 'Last 24 hours' },
+  { hours: 24 * 7, label: 'Last 7 days' },
+  { hours: 24 * 30, label: 'Last 30 days' },
+  { hours: 0, label: 'All time' }
+];
+
+const PAGE_SIZE = 100;
+
+// Query parameters of the filters
+function filterParams({ actor, method, outcome, hours }) {
+  return {
+    actor: actor || undefined,
+    method: method || undefined,
+    success: outcome ? outcome === 'success' : undefined,
+    from: hours ? new Date(Date.now() - hours * 60 * 60 * 1000).toISOString() : undefined,
+    limit: PAGE_SIZE
+  };
+}
+
+/**
+ * AuditLog Component - Mutating API calls, newest first (admin only)
+ * Filter by actor, method, outcome and time; click an entry for its parameters
+ */
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [actorInput, setActorInput] = useState('');
+  const [filters, setFilters] = useState({ actor: '', method: '', outcome: '', hours: 24 * 7 });
+  const [expandedId, setExpandedId] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch the first page whenever the filters change
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    auditAPI.getEntries(filterParams(filters))
+      .then(response => {
+        if (cancelled) return;
+        setEntries(response.data || []);
+        setNextCursor(response.nextCursor || null);
+      })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [filters, refreshCount]);
+
+  // Append the next page
+  const handleLoadMore = async () => {
+    setLoading(true);
+    try {
+      const response = await auditAPI.getEntries({ ...filterParams(filters), cursor: nextCursor });
+      setEntries(prev => [...prev, ...(response.data || [])]);
+      setNextCursor(response.nextCursor || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  // Pretty-print the stored parameters
+  const formatParameters = (parameters) => {
+    try {
+      return JSON.stringify(JSON.parse(parameters), null, 2);
+    } catch (err) {
+      return parameters || '';
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-xl font-semibold text-white mb-1">Audit Log</h3>
+          <p className="text-gray-400 text-sm">
+            Every change made through the API: who, from where, and what happened
+          </p>
+        </div>
+        <button
+          onClick={() => setRefreshCount(count => count + 1)}
+          disabled={loading}
+          className="text-blue-400 hover:text-blue-300 disabled:text-gray-500 text-sm"
+        >
+          {loading ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex items-center gap-2 mb-4">
+        <input
+          type="text"
+          value={actorInput}
+          onChange={(e) => setActorInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') updateFilter('actor', actorInput.trim()); }}
+          onBlur={() => updateFilter('actor', actorInput.trim())}
+          className="form-input"
+          style={{ width: 'auto' }}
+          placeholder="Actor (username or PC)"
+          aria-label="Actor"
+        />
+        <select
+          value={filters.method}
+          onChange={(e) => updateFilter('method', e.target.value)}
+          className="form-input"
+          style={{ width: 'auto' }}
+          aria-label="Method"
+        >
+          <option value="">All methods</option>
+          {['POST', 'PUT', 'PATCH', 'DELETE'].map(method => (
+            <option key={method} value={method}>{method}</option>
+          ))}
+        </select>
+        <select
+          value={filters.outcome}
+          onChange={(e) => updateFilter('outcome', e.target.value)}
+          className="form-input"
+          style={{ width: 'auto' }}
+          aria-label="Outcome"
+        >
+          <option value="">All outcomes</option>
+          <option value="success">Succeeded</option>
+          <option value="failure">Failed</option>
+        </select>
+        <select
+          value={filters.hours}
+          onChange={(e) => updateFilter('hours', parseInt(e.target.value))}
+          className="form-input"
+          style={{ width: 'auto' }}
+          aria-label="Time range"
+        >
+          {RANGES.map(range => (
+            <option key={range.hours} value={range.hours}>{range.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : entries.length === 0 ? (
+        <p className="text-gray-400 text-sm">{loading ? 'Loading audit log...' : 'No matching entries.'}</p>
+      ) : (
+        <>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="text-left py-2">Time</th>
+                <th className="text-left py-2">Actor</th>
+                <th className="text-left py-2 px-4">Call</th>
+                <th className="text-left py-2">Result</th>
+                <th className="text-right py-2">Affected</th>
+                <th className="text-left py-2 px-4">IP</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-300">
+              {entries.map(entry => (
+                <React.Fragment key={entry._id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === entry._id ? null : entry._id)}
+                    style={{ cursor: 'pointer' }}
+                    title="Show parameters"
+                  >
+                    <td className="text-left py-2">{dataUtils.formatTimestamp(entry.createdAt)}</td>
+                    <td className="text-left py-2">
+                      {entry.actor || 'anonymous'}
+                      {entry.role && <span className="text-gray-500">{` (${entry.role})`}</span>}
+                      {entry.actorType === 'agent' && <span className="text-gray-500"> (agent)</span>}
+                    </td>
+                    <td className="text-left py-2 px-4">{`${entry.method} ${entry.path}`}</td>
+                    <td className={`text-left py-2 ${entry.success ? 'text-green-400' : 'text-red-400'}`}>
+                      {`${entry.status}${entry.message ? ` ${entry.message}` : ''}`}
+                    </td>
+                    <td className="text-right py-2">{entry.affectedCount ?? '-'}</td>
+                    <td className="text-left py-2 px-4 text-gray-400">{entry.ip || '-'}</td>
+                  </tr>
+                  {expandedId === entry._id && (
+                    <tr>
+                      <td colSpan={6} className="py-2">
+                        <pre className="bg-gray-700 rounded p-2 text-gray-300 text-xs" style={{ overflow: 'auto' }}>
+                          {formatParameters(entry.parameters)}
+                        </pre>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          {nextCursor && (
+            <div className="text-center mt-4">
+              <button
+                onClick={handleLoadMore}
+                disabled={loading}
+                className="text-blue-400 hover:text-blue-300 disabled:text-gray-500 text-sm"
+              >
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
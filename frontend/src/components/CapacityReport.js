@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { capacityAPI, dataUtils } from '../utils/api';
+
+/**
+ * CapacityReport Component - Fleet disk-full forecasts, most urgent first
+ * group/tag scope the report like the rest of the dashboard
+ */
+const CapacityReport = ({ group, tag, machines = {} }) => {
+  const [forecasts, setForecasts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch the report
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await capacityAPI.getReport({ group, tag });
+      setForecasts(response.data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching capacity report:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [group, tag]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-xl font-semibold text-white mb-1">Disk Capacity</h3>
+          <p className="text-gray-400 text-sm">
+            Linear trend of each PC's disk usage, soonest full first
+          </p>
+        </div>
+        <button
+          onClick={fetchReport}
+          disabled={loading}
+          className="text-blue-400 hover:text-blue-300 disabled:text-gray-500 text-sm"
+        >
+          {loading ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : forecasts.length === 0 ? (
+        <p className="text-gray-400 text-sm">{loading ? 'Loading capacity report...' : 'No disk history yet.'}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left py-2">PC</th>
+              <th className="text-left py-2">Filesystem</th>
+              <th className="text-right py-2">Usage</th>
+              <th className="text-right py-2">Growth</th>
+              <th className="text-left py-2 px-4">Forecast</th>
+              <th className="text-left py-2">Confidence</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {forecasts.map(item => {
+              const source = item.mount !== null
+                ? item.filesystems.find(fs => fs.mount === item.mount)
+                : item.disk;
+
+              return (
+                <tr key={item.pcId}>
+                  <td className="text-left py-2">{machines[item.pcId]?.displayName || item.pcId}</td>
+                  <td className="text-left py-2">{item.mount || 'Disk (overall)'}</td>
+                  <td className="text-right py-2">{dataUtils.formatPercentage(source.current)}</td>
+                  <td className="text-right py-2">
+                    {source.slopePerDay !== null
+                      ? `${source.slopePerDay > 0 ? '+' : ''}${source.slopePerDay.toFixed(2)}%/day`
+                      : '-'}
+                  </td>
+                  <td className="text-left py-2 px-4" style={{ color: dataUtils.getForecastColor(item.daysUntilFull) }}>
+                    {dataUtils.formatDaysUntilFull(item.daysUntilFull)}
+                  </td>
+                  <td className="text-left py-2 text-gray-400">{item.confidence}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default CapacityReport;
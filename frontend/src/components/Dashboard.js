@@ -1,24 +1,70 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import PCCard from './PCCard';
 import OverviewChart from './OverviewChart';
-import { systemDataAPI, errorUtils } from '../utils/api';
+import CapacityReport from './CapacityReport';
+import ExportPanel from './ExportPanel';
+import AuditLog from './AuditLog';
+import MaintenanceWindows from './MaintenanceWindows';
+import { systemDataAPI, streamAPI, retentionAPI, machinesAPI, capacityAPI, authAPI, dataUtils, errorUtils } from '../utils/api';
+
+// Polling intervals with and without the live stream
+const POLL_INTERVAL = 30000;
+const LIVE_POLL_INTERVAL = 300000; // Overview stats only; samples arrive over the stream
+const CAPACITY_POLL_INTERVAL = 600000; // Disk forecasts change slowly
+
+/**
+ * Query params for a fleet scope selector value ("", "group:<name>" or "tag:<name>")
+ */
+const scopeParams = (scope) => {
+  if (scope.startsWith('group:')) return { group: scope.slice(6) };
+  if (scope.startsWith('tag:')) return { tag: scope.slice(4) };
+  return {};
+};
+
+/**
+ * Merge a streamed sample into the latest-per-PC list
+ * Older samples (e.g. buffered ones flushed late) don't replace newer data.
+ */
+const mergeLatestSample = (latest, sample) => {
+  const current = latest.find(pc => pc.pcId === sample.pcId);
+  if (!current) {
+    return [...latest, { ...sample, status: 'online', lastSeenAt: sample.createdAt }];
+  }
+  if (new Date(sample.createdAt) < new Date(current.createdAt)) return latest;
+
+  return latest.map(pc => pc.pcId === sample.pcId
+    ? { ...pc, ...sample, lastSeenAt: sample.createdAt }
+    : pc);
+};
 
 /**
  * Dashboard Component - Main dashboard page
  * Displays overview charts and individual PC cards
+ * Updates arrive over the live stream; polling is the fallback when it is unavailable
+ * The group/tag selector scopes both the cards and the overview
+ * Admin-only actions are shown based on the logged in user's role
  */
-const Dashboard = () => {
+const Dashboard = ({ user, onLogout }) => {
   const [systemData, setSystemData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [autoRefresh, setAutoRefresh] = useState(true);
+  const [cleaningUp, setCleaningUp] = useState(false);
+  const [live, setLive] = useState(false);
+  const [retention, setRetention] = useState(null);
+  const [machines, setMachines] = useState({}); // pcId -> machine inventory
+  const [labels, setLabels] = useState({ groups: [], tags: [] });
+  const [scope, setScope] = useState(''); // "", "group:<name>" or "tag:<name>"
+  const [view, setView] = useState('pcs'); // 'pcs', 'capacity', 'maintenance' or 'audit' (admin)
+  const [capacity, setCapacity] = useState({}); // pcId -> disk-full forecast
+  const [showExport, setShowExport] = useState(false);
 
   // Fetch system data from API
-  const fetchSystemData = async () => {
+  const fetchSystemData = useCallback(async () => {
     try {
       setError(null);
-      const response = await systemDataAPI.getData();
+      const response = await systemDataAPI.getData(scopeParams(scope));
       
       if (response.success) {
         setSystemData(response.data);
@@ -33,26 +79,141 @@ const Dashboard = () => {
     } finally {
       setLoading(false);
     }
+  }, [scope]);
+
+  // Fetch machine inventory (display names, hardware details)
+  const fetchMachines = async () => {
+    try {
+      const response = await machinesAPI.getMachines();
+      setMachines(Object.fromEntries(response.data.map(machine => [machine.pcId, machine])));
+    } catch (err) {
+      console.error('Error fetching machines:', err);
+    }
+  };
+
+  // Fetch disk-full forecasts for the PC cards
+  const fetchCapacity = async () => {
+    try {
+      const response = await capacityAPI.getReport();
+      setCapacity(Object.fromEntries(response.data.map(forecast => [forecast.pcId, forecast])));
+    } catch (err) {
+      console.error('Error fetching capacity forecasts:', err);
+    }
+  };
+
+  // Fetch groups and tags for the scope selector
+  const fetchLabels = async () => {
+    try {
+      const response = await machinesAPI.getLabels();
+      setLabels(response.data);
+    } catch (err) {
+      console.error('Error fetching groups and tags:', err);
+    }
+  };
+
+  // PCs in the selected scope (null: whole fleet)
+  const scopedPcIds = (() => {
+    const { group, tag } = scopeParams(scope);
+    if (!group && !tag) return null;
+    return Object.values(machines)
+      .filter(machine => (group ? machine.allGroups?.includes(group) : machine.allTags?.includes(tag)))
+      .map(machine => machine.pcId);
+  })();
+  const scopedPcIdsKey = scopedPcIds ? scopedPcIds.join(',') : '*';
+
+  // Handle a machine updated from a card
+  const handleMachineUpdate = (machine) => {
+    setMachines(prev => ({ ...prev, [machine.pcId]: machine }));
+    fetchLabels();
   };
 
   // Initial data fetch
   useEffect(() => {
-    fetchSystemData();
+    fetchMachines();
+    fetchLabels();
+    fetchCapacity();
+
+    retentionAPI.getPolicies()
+      .then(response => setRetention(response.data))
+      .catch(err => console.error('Error fetching retention policies:', err));
+
+    const capacityInterval = setInterval(fetchCapacity, CAPACITY_POLL_INTERVAL);
+    return () => clearInterval(capacityInterval);
   }, []);
 
-  // Auto-refresh setup
+  // Fetch data for the selected scope
+  useEffect(() => {
+    fetchSystemData();
+  }, [fetchSystemData]);
+
+  // Live stream setup (restricted to the PCs in scope)
+  // Keyed on the PC list, not the array, so machine refreshes don't reconnect
+  useEffect(() => {
+    const pcIds = scopedPcIdsKey === '*' ? null : scopedPcIdsKey.split(',').filter(Boolean);
+    if (!autoRefresh || (pcIds && pcIds.length === 0)) return;
+
+    const unsubscribe = streamAPI.subscribe({
+      pcIds: pcIds || [],
+      onSample: (sample) => {
+        setSystemData(prev => prev && { ...prev, latest: mergeLatestSample(prev.latest || [], sample) });
+        setLastUpdate(new Date());
+      },
+      onStatus: (change) => {
+        setSystemData(prev => prev && {
+          ...prev,
+          latest: (prev.latest || []).map(pc => pc.pcId === change.pcId
+            ? { ...pc, status: change.status, expectedInterval: change.expectedInterval }
+            : pc)
+        });
+      },
+      onConnectionChange: setLive
+    });
+
+    return () => {
+      if (unsubscribe) unsubscribe();
+      setLive(false);
+    };
+  }, [autoRefresh, scopedPcIdsKey]);
+
+  // Auto-refresh setup (slower while the live stream is connected)
   useEffect(() => {
     if (!autoRefresh) return;
 
-    const interval = setInterval(fetchSystemData, 30000); // Refresh every 30 seconds
+    const interval = setInterval(fetchSystemData, live ? LIVE_POLL_INTERVAL : POLL_INTERVAL);
     
     return () => clearInterval(interval);
-  }, [autoRefresh]);
+  }, [autoRefresh, live, fetchSystemData]);
 
   // Handle manual refresh
   const handleRefresh = () => {
     setLoading(true);
     fetchSystemData();
+    fetchMachines();
+    fetchCapacity();
+  };
+
+  // Handle data cleanup (admin only)
+  const handleCleanup = async () => {
+    if (!window.confirm('Delete all monitoring data older than 24 hours?')) return;
+
+    setCleaningUp(true);
+    try {
+      const response = await systemDataAPI.cleanupData(24);
+      window.alert(response.message);
+      fetchSystemData();
+    } catch (err) {
+      window.alert(errorUtils.getErrorMessage(err));
+    } finally {
+      setCleaningUp(false);
+    }
+  };
+
+  // Footer text for the raw sample and longest rollup retention
+  const retentionText = () => {
+    const raw = retention?.find(policy => policy.tier === 'raw');
+    const rollups = retention?.find(policy => policy.tier === 'dayRollups');
+    if (!raw || !rollups) return 'unknown';
+    return `raw samples ${dataUtils.formatRetention(raw.hours)}, rollups ${dataUtils.formatRetention(rollups.hours)}`;
   };
 
   // Handle auto-refresh toggle
@@ -96,8 +257,8 @@ const Dashboard = () => {
     );
   }
 
-  // No data state
-  if (systemData && (!systemData.latest || systemData.latest.length === 0)) {
+  // No data state (a scope without PCs still shows the dashboard so it can be changed)
+  if (!scope && systemData && (!systemData.latest || systemData.latest.length === 0)) {
     return (
       <div className="min-h-screen bg-gray-900 flex items-center justify-center">
         <div className="text-center max-w-md">
@@ -132,6 +293,31 @@ const Dashboard = () => {
             </div>
             
             <div className="flex items-center space-x-4">
+              {/* Group/tag scope */}
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className="form-input"
+                style={{ width: 'auto' }}
+                aria-label="Group or tag"
+              >
+                <option value="">All PCs</option>
+                {labels.groups.length > 0 && (
+                  <optgroup label="Groups">
+                    {labels.groups.map(group => (
+                      <option key={group.name} value={`group:${group.name}`}>{`${group.name} (${group.count})`}</option>
+                    ))}
+                  </optgroup>
+                )}
+                {labels.tags.length > 0 && (
+                  <optgroup label="Tags">
+                    {labels.tags.map(tag => (
+                      <option key={tag.name} value={`tag:${tag.name}`}>{`#${tag.name} (${tag.count})`}</option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+
               {/* Auto-refresh toggle */}
               <div className="flex items-center space-x-2">
                 <label className="text-sm text-gray-300">Auto-refresh</label>
@@ -169,6 +355,38 @@ const Dashboard = () => {
                   </>
                 )}
               </button>
+
+              {/* Export the PCs in scope */}
+              <button
+                onClick={() => setShowExport(!showExport)}
+                className="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                Export
+              </button>
+
+              {/* Data cleanup (admin only) */}
+              {authAPI.hasRole(user, 'admin') && (
+                <button
+                  onClick={handleCleanup}
+                  disabled={cleaningUp}
+                  className="bg-red-600 hover:bg-red-700 disabled:bg-gray-600 text-white px-4 py-2 rounded-lg transition-colors"
+                >
+                  {cleaningUp ? 'Cleaning up...' : 'Clean up'}
+                </button>
+              )}
+
+              {/* Current user */}
+              <div className="flex items-center space-x-2">
+                <span className="text-sm text-gray-300">
+                  {user?.username} <span className="text-gray-500">({user?.role})</span>
+                </span>
+                <button
+                  onClick={onLogout}
+                  className="text-blue-400 hover:text-blue-300 text-sm"
+                >
+                  Log out
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -191,7 +409,7 @@ const Dashboard = () => {
                   Last update: {lastUpdate ? lastUpdate.toLocaleTimeString() : 'Never'}
                 </div>
                 <div className="text-sm text-gray-400">
-                  Auto-refresh: {autoRefresh ? 'On' : 'Off'}
+                  Auto-refresh: {autoRefresh ? (live ? 'Live' : 'Polling') : 'Off'}
                 </div>
               </div>
               {error && (
@@ -206,40 +424,124 @@ const Dashboard = () => {
           </div>
         </div>
 
-        {/* Overview Chart */}
-        <div className="mb-8">
-          <OverviewChart 
-            overviewData={systemData?.overview} 
-            onDataUpdate={fetchSystemData}
+        {showExport && (
+          <ExportPanel
+            group={scopeParams(scope).group}
+            tag={scopeParams(scope).tag}
+            onClose={() => setShowExport(false)}
           />
+        )}
+
+        {/* View tabs */}
+        <div className="flex space-x-2 mb-6">
+          <button
+            onClick={() => setView('pcs')}
+            className={`px-3 py-1 rounded text-sm ${
+              view === 'pcs' ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            PCs
+          </button>
+          <button
+            onClick={() => setView('capacity')}
+            className={`px-3 py-1 rounded text-sm ${
+              view === 'capacity' ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            Capacity
+          </button>
+          <button
+            onClick={() => setView('maintenance')}
+            className={`px-3 py-1 rounded text-sm ${
+              view === 'maintenance' ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            Maintenance
+          </button>
+          {authAPI.hasRole(user, 'admin') && (
+            <button
+              onClick={() => setView('audit')}
+              className={`px-3 py-1 rounded text-sm ${
+                view === 'audit' ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              Audit
+            </button>
+          )}
         </div>
 
-        {/* PC Cards Grid */}
-        <div className="mb-8">
-          <h2 className="text-xl font-semibold text-white mb-6">Individual PC Status</h2>
-          {systemData?.latest && systemData.latest.length > 0 ? (
-            <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-              {systemData.latest.map((pcData) => (
-                <PCCard
-                  key={pcData.pcId}
-                  pcId={pcData.pcId}
-                  latestData={pcData}
-                  onDataUpdate={fetchSystemData}
-                />
-              ))}
+        {view === 'audit' && authAPI.hasRole(user, 'admin') && (
+          <div className="mb-8">
+            <AuditLog />
+          </div>
+        )}
+
+        {view === 'maintenance' && (
+          <div className="mb-8">
+            <MaintenanceWindows
+              canEdit={authAPI.hasRole(user, 'operator')}
+              pcIds={(systemData?.latest || []).map(pcData => pcData.pcId)}
+              groups={labels.groups.map(group => group.name)}
+            />
+          </div>
+        )}
+
+        {view === 'capacity' && (
+          <div className="mb-8">
+            <CapacityReport
+              group={scopeParams(scope).group}
+              tag={scopeParams(scope).tag}
+              machines={machines}
+            />
+          </div>
+        )}
+
+        {view === 'pcs' && (
+          <>
+            {/* Overview Chart */}
+            <div className="mb-8">
+              <OverviewChart 
+                overviewData={systemData?.overview} 
+                group={scopeParams(scope).group}
+                tag={scopeParams(scope).tag}
+                onDataUpdate={fetchSystemData}
+              />
             </div>
-          ) : (
-            <div className="bg-gray-800 border border-gray-700 rounded-lg p-8 text-center">
-              <p className="text-gray-400">No PC data available</p>
+
+            {/* PC Cards Grid */}
+            <div className="mb-8">
+              <h2 className="text-xl font-semibold text-white mb-6">Individual PC Status</h2>
+              {systemData?.latest && systemData.latest.length > 0 ? (
+                <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
+                  {systemData.latest.map((pcData) => (
+                    <PCCard
+                      key={pcData.pcId}
+                      pcId={pcData.pcId}
+                      latestData={pcData}
+                      machine={machines[pcData.pcId]}
+                      capacity={capacity[pcData.pcId]}
+                      canEdit={authAPI.hasRole(user, 'operator')}
+                      canEditLabels={authAPI.hasRole(user, 'admin')}
+                      onMachineUpdate={handleMachineUpdate}
+                      live={live}
+                      onDataUpdate={fetchSystemData}
+                    />
+                  ))}
+                </div>
+              ) : (
+                <div className="bg-gray-800 border border-gray-700 rounded-lg p-8 text-center">
+                  <p className="text-gray-400">No PC data available</p>
+                </div>
+              )}
             </div>
-          )}
-        </div>
+          </>
+        )}
 
         {/* Footer */}
         <footer className="text-center text-gray-400 text-sm">
           <p>Multi-PC System Monitoring Dashboard v1.0.0</p>
           <p className="mt-1">
-            Data retention: 24 hours | Refresh interval: 30 seconds
+            Data retention: {retentionText()} | Updates: {live ? 'live' : `every ${POLL_INTERVAL / 1000} seconds`}
           </p>
         </footer>
       </main>
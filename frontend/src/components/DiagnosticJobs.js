@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { diagnosticsAPI, dataUtils } from '../utils/api';
+
+// Diagnostics an agent can run
+const ACTIONS = [
+  { value: 'processes', label: 'Process list' },
+  { value: 'diskUsage', label: 'Disk usage of a path' },
+  { value: 'listeningPorts', label: 'Listening ports' },
+  { value: 'hardware', label: 'Hardware dump' }
+];
+const ACTION_LABELS = Object.fromEntries(ACTIONS.map(action => [action.value, action.label]));
+
+// Job status colors
+const STATUS_COLORS = {
+  pending: '#9ca3af',
+  running: '#3b82f6',
+  completed: '#10b981',
+  failed: '#ef4444',
+  cancelled: '#6b7280',
+  expired: '#f59e0b'
+};
+
+const MAX_ROWS = 100; // Rows shown of long results
+const POLL_INTERVAL = 5000; // While jobs are unfinished
+
+/**
+ * Result of a completed job, by action
+ */
+const JobResult = ({ job }) => {
+  const { action, result } = job;
+
+  if (action === 'processes') {
+    return (
+      <div>
+        <p className="text-gray-400 text-xs mb-1">
+          {`${result.all} processes (${result.running} running, ${result.sleeping} sleeping)`}
+        </p>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left">Name</th>
+              <th className="text-right">PID</th>
+              <th className="text-left px-2">User</th>
+              <th className="text-right">CPU</th>
+              <th className="text-right">Mem</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {result.processes.slice(0, MAX_ROWS).map(proc => (
+              <tr key={proc.pid} title={proc.command}>
+                <td className="text-left">{proc.name}</td>
+                <td className="text-right">{proc.pid}</td>
+                <td className="text-left px-2">{proc.user || '-'}</td>
+                <td className="text-right">{dataUtils.formatPercentage(proc.cpu)}</td>
+                <td className="text-right">{dataUtils.formatPercentage(proc.mem)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {result.processes.length > MAX_ROWS && (
+          <p className="text-gray-400 text-xs mt-1">{`${result.processes.length - MAX_ROWS} more not shown`}</p>
+        )}
+      </div>
+    );
+  }
+
+  if (action === 'diskUsage') {
+    return (
+      <div>
+        <p className="text-gray-400 text-xs mb-1">
+          {`${result.path}: ${dataUtils.formatBytes(result.total)}`}
+          {result.truncated && ' (scan stopped early; sizes are lower bounds)'}
+          {result.unreadable > 0 && `, ${result.unreadable} unreadable`}
+        </p>
+        <div className="space-y-2 text-xs">
+          {result.entries.map(entry => (
+            <div key={entry.name} className="flex justify-between">
+              <span className="text-gray-300">{entry.type === 'directory' ? `${entry.name}/` : entry.name}</span>
+              <span className="text-gray-400">{dataUtils.formatBytes(entry.size)}</span>
+            </div>
+          ))}
+        </div>
+        {result.omittedEntries > 0 && (
+          <p className="text-gray-400 text-xs mt-1">{`${result.omittedEntries} smaller entries not shown`}</p>
+        )}
+      </div>
+    );
+  }
+
+  if (action === 'listeningPorts') {
+    return result.ports.length > 0 ? (
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left">Protocol</th>
+            <th className="text-left px-2">Address</th>
+            <th className="text-right">Port</th>
+            <th className="text-left px-2">Process</th>
+          </tr>
+        </thead>
+        <tbody className="text-gray-300">
+          {result.ports.map(port => (
+            <tr key={`${port.protocol}-${port.address}-${port.port}`}>
+              <td className="text-left">{port.protocol}</td>
+              <td className="text-left px-2">{port.address}</td>
+              <td className="text-right">{port.port}</td>
+              <td className="text-left px-2">{port.process ? `${port.process} (${port.pid})` : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="text-gray-400 text-xs">No listening ports reported</p>
+    );
+  }
+
+  return (
+    <pre className="text-gray-300 text-xs" style={{ maxHeight: '20rem', overflow: 'auto' }}>
+      {JSON.stringify(result, null, 2)}
+    </pre>
+  );
+};
+
+/**
+ * DiagnosticJobs Component - Diagnostic job history of a PC, shown inside a PCCard
+ * Operators and admins can queue built-in diagnostics; the PC's agent runs them
+ * on its next collection cycle. Click a finished job to see its result.
+ */
+const DiagnosticJobs = ({ pcId, canRun, onClose }) => {
+  const [jobs, setJobs] = useState([]);
+  const [action, setAction] = useState('processes');
+  const [diskPath, setDiskPath] = useState('/');
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedJob, setSelectedJob] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const unfinished = jobs.some(job => job.status === 'pending' || job.status === 'running');
+  const selectedStatus = jobs.find(job => job._id === selectedId)?.status;
+
+  // Fetch the job history
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    diagnosticsAPI.getJobs({ pcId, limit: 20 })
+      .then(response => { if (!cancelled) { setJobs(response.data || []); setError(null); } })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [pcId, refreshCount]);
+
+  // Poll while a job is waiting for the agent
+  useEffect(() => {
+    if (!unfinished) return;
+    const interval = setInterval(() => setRefreshCount(count => count + 1), POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [unfinished]);
+
+  // Fetch the selected job with its result (again once it finishes)
+  useEffect(() => {
+    if (!selectedId) {
+      setSelectedJob(null);
+      return;
+    }
+    let cancelled = false;
+
+    diagnosticsAPI.getJob(selectedId)
+      .then(response => { if (!cancelled) setSelectedJob(response.data); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+
+    return () => { cancelled = true; };
+  }, [selectedId, selectedStatus]);
+
+  // Queue the chosen diagnostic
+  const handleRun = async () => {
+    setSubmitting(true);
+    try {
+      const response = await diagnosticsAPI.createJob(pcId, action, action === 'diskUsage' ? { path: diskPath } : {});
+      setSelectedId(response.data._id);
+      setRefreshCount(count => count + 1);
+    } catch (err) {
+      window.alert(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Cancel a job the agent has not picked up
+  const handleCancel = async (id) => {
+    try {
+      await diagnosticsAPI.cancelJob(id);
+      setRefreshCount(count => count + 1);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-white">Diagnostics</h4>
+        <button onClick={onClose} className="text-blue-400 hover:text-blue-300 text-sm">
+          Close
+        </button>
+      </div>
+
+      {canRun && (
+        <div className="flex items-center gap-2 mb-4">
+          <select
+            value={action}
+            onChange={(e) => setAction(e.target.value)}
+            className="form-input"
+            style={{ width: 'auto' }}
+            aria-label="Diagnostic"
+          >
+            {ACTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {action === 'diskUsage' && (
+            <input
+              type="text"
+              value={diskPath}
+              onChange={(e) => setDiskPath(e.target.value)}
+              className="form-input"
+              placeholder="Path, e.g. /var or C:\Users"
+              aria-label="Path"
+            />
+          )}
+          <button
+            onClick={handleRun}
+            disabled={submitting || (action === 'diskUsage' && !diskPath.trim())}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm"
+          >
+            {submitting ? 'Queuing...' : 'Run'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+
+      {jobs.length > 0 ? (
+        <div className="space-y-2 text-xs">
+          {jobs.map(job => (
+            <div key={job._id}>
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => setSelectedId(selectedId === job._id ? null : job._id)}
+                  className="text-left text-gray-300 hover:text-blue-300"
+                >
+                  {`${ACTION_LABELS[job.action] || job.action}${job.params?.path ? ` ${job.params.path}` : ''}`}
+                </button>
+                <div className="flex items-center space-x-2">
+                  <span className="text-gray-400" title={job.requestedBy ? `Requested by ${job.requestedBy}` : undefined}>
+                    {dataUtils.formatTimestamp(job.createdAt)}
+                  </span>
+                  <span style={{ color: STATUS_COLORS[job.status] }}>{job.status}</span>
+                  {canRun && job.status === 'pending' && (
+                    <button onClick={() => handleCancel(job._id)} className="text-blue-400 hover:text-blue-300">
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+              {selectedId === job._id && selectedJob?._id === job._id && (
+                <div className="bg-gray-800 rounded p-2 mt-1">
+                  {selectedJob.status === 'completed' ? (
+                    <JobResult job={selectedJob} />
+                  ) : selectedJob.status === 'failed' ? (
+                    <p className="text-red-400">{selectedJob.error}</p>
+                  ) : (
+                    <p className="text-gray-400">
+                      {selectedJob.status === 'pending' || selectedJob.status === 'running'
+                        ? 'Waiting for the agent (jobs run on its next collection cycle)...'
+                        : `Job ${selectedJob.status}.`}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-400 text-sm">{loading ? 'Loading jobs...' : 'No diagnostics run on this PC yet.'}</p>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticJobs;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { systemDataAPI } from '../utils/api';
+
+// Export ranges, in hours
+const RANGES = [
+  { hours: 24, label: 'Last 24 hours' },
+  { hours: 24 * 7, label: 'Last 7 days' },
+  { hours: 24 * 30, label: 'Last 30 days' }
+];
+
+// Fields added by the "detailed" option (filesystems, cores, swap, interfaces)
+const DETAILED_FIELDS = 'pcId,createdAt,cpu,ram,disk,os,uptime,netRx,netTx,payloadVersion,configVersion,cpuCores,loadAverage,swap,disks,network';
+
+/**
+ * ExportPanel Component - Downloads raw samples as CSV, JSON or NDJSON
+ * Exports one PC (pcId) or every PC in the current group/tag scope
+ */
+const ExportPanel = ({ pcId, group, tag, onClose }) => {
+  const [format, setFormat] = useState('csv');
+  const [hours, setHours] = useState(24);
+  const [detailed, setDetailed] = useState(false);
+
+  // Start the download; the server streams the file
+  const handleExport = () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+    const link = document.createElement('a');
+    link.href = systemDataAPI.getExportUrl({
+      pcId,
+      group,
+      tag,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      format,
+      fields: detailed ? DETAILED_FIELDS : undefined
+    });
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-white">
+          Export {pcId || (group ? `group ${group}` : tag ? `#${tag}` : 'all PCs')}
+        </h4>
+        <button onClick={onClose} className="text-blue-400 hover:text-blue-300 text-sm">
+          Close
+        </button>
+      </div>
+      <div className="flex items-center gap-2">
+        <select
+          value={hours}
+          onChange={(e) => setHours(parseInt(e.target.value))}
+          className="form-input"
+          style={{ width: 'auto' }}
+          aria-label="Export range"
+        >
+          {RANGES.map(range => (
+            <option key={range.hours} value={range.hours}>{range.label}</option>
+          ))}
+        </select>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="form-input"
+          style={{ width: 'auto' }}
+          aria-label="Export format"
+        >
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+          <option value="ndjson">NDJSON</option>
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-300">
+          <input type="checkbox" checked={detailed} onChange={(e) => setDetailed(e.target.checked)} />
+          Detailed fields
+        </label>
+        <button
+          onClick={handleExport}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm"
+        >
+          Download
+        </button>
+      </div>
+      <p className="text-gray-400 text-xs mt-2">
+        Raw samples only: older ranges are limited by the raw sample retention.
+      </p>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { machinesAPI, dataUtils, errorUtils } from '../utils/api';
+
+/**
+ * MachineDetails Component - Hardware inventory panel shown inside a PCCard
+ * Operators and admins can set the machine's display name; admins can set its groups and tags
+ */
+const MachineDetails = ({ pcId, machine, canEdit, canEditLabels, onMachineUpdate }) => {
+  const [saving, setSaving] = useState(false);
+
+  // Handle rename (empty name clears it)
+  const handleRename = async () => {
+    const displayName = window.prompt(`Display name for ${pcId}`, machine?.displayName || '');
+    if (displayName === null) return;
+
+    setSaving(true);
+    try {
+      const response = await machinesAPI.updateMachine(pcId, { displayName: displayName.trim() || null });
+      onMachineUpdate(response.data);
+    } catch (err) {
+      window.alert(errorUtils.getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Handle group/tag editing (comma-separated; client-declared labels are kept)
+  const handleEditLabels = async () => {
+    const groups = window.prompt(`Groups for ${pcId} (comma-separated)`, (machine?.groups || []).join(', '));
+    if (groups === null) return;
+    const tags = window.prompt(`Tags for ${pcId} (comma-separated)`, (machine?.tags || []).join(', '));
+    if (tags === null) return;
+
+    const toList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    setSaving(true);
+    try {
+      const response = await machinesAPI.updateMachine(pcId, { groups: toList(groups), tags: toList(tags) });
+      onMachineUpdate(response.data);
+    } catch (err) {
+      window.alert(errorUtils.getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!machine) {
+    return (
+      <div className="bg-gray-700 rounded-lg p-4 mb-6">
+        <p className="text-gray-400 text-sm">No inventory reported by this PC yet.</p>
+      </div>
+    );
+  }
+
+  const rows = [
+    ['Hardware', [machine.manufacturer, machine.model].filter(Boolean).join(' ') || 'Unknown'],
+    ['CPU', machine.cpu?.brand
+      ? `${machine.cpu.manufacturer || ''} ${machine.cpu.brand} (${machine.cpu.physicalCores || '?'} cores / ${machine.cpu.cores || '?'} threads)`
+      : 'Unknown'],
+    ['RAM', machine.totalRam ? dataUtils.formatBytes(machine.totalRam) : 'Unknown'],
+    ['Disks', machine.disks?.length
+      ? machine.disks.map(disk => `${disk.name || disk.device} (${disk.type || '?'}, ${dataUtils.formatBytes(disk.size)})`).join(', ')
+      : 'Unknown'],
+    ['Groups', machine.allGroups?.length ? machine.allGroups.join(', ') : 'None'],
+    ['Tags', machine.allTags?.length ? machine.allTags.map(tag => `#${tag}`).join(' ') : 'None'],
+    ['MAC addresses', machine.macAddresses?.length ? machine.macAddresses.join(', ') : 'Unknown'],
+    ['First seen', dataUtils.formatTimestamp(machine.firstSeenAt)],
+    ['Last seen', dataUtils.formatTimestamp(machine.lastSeenAt)],
+    ['Inventory updated', dataUtils.formatTimestamp(machine.inventoryUpdatedAt)]
+  ];
+
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-white">Machine Details</h4>
+        <div className="flex space-x-4">
+          {canEditLabels && (
+            <button
+              onClick={handleEditLabels}
+              disabled={saving}
+              className="text-blue-400 hover:text-blue-300 disabled:text-gray-500 text-sm"
+            >
+              Edit groups/tags
+            </button>
+          )}
+          {canEdit && (
+            <button
+              onClick={handleRename}
+              disabled={saving}
+              className="text-blue-400 hover:text-blue-300 disabled:text-gray-500 text-sm"
+            >
+              {saving ? 'Saving...' : 'Rename'}
+            </button>
+          )}
+        </div>
+      </div>
+      <dl className="space-y-2 text-sm">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between space-x-4">
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="text-gray-300 text-right">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default MachineDetails;
@@ -0,0 +1,415 @@
+import React, { useState, useEffect } from 'react';
+import { maintenanceAPI, dataUtils } from '../utils/api';
+
+// Same color as the maintenance badge and chart shading of a PCCard
+const MAINTENANCE_COLOR = '#a855f7';
+
+// Form of a new window (duration in minutes; the API takes seconds)
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  type: 'once',
+  scopeKind: 'all',
+  pcId: '',
+  group: '',
+  startsAt: '',
+  endsAt: '',
+  cron: '0 2 * * 6',
+  duration: 60,
+  enabled: true
+};
+
+// Date as the value of a datetime-local input (local time, minutes)
+function toLocalInput(date) {
+  if (!date) return '';
+  const time = new Date(date);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}T${pad(time.getHours())}:${pad(time.getMinutes())}`;
+}
+
+// Form values of an existing window
+function windowToForm(maintenanceWindow) {
+  return {
+    name: maintenanceWindow.name,
+    description: maintenanceWindow.description || '',
+    type: maintenanceWindow.type,
+    scopeKind: maintenanceWindow.scope?.kind || 'all',
+    pcId: maintenanceWindow.scope?.pcId || '',
+    group: maintenanceWindow.scope?.group || '',
+    startsAt: toLocalInput(maintenanceWindow.startsAt),
+    endsAt: toLocalInput(maintenanceWindow.endsAt),
+    cron: maintenanceWindow.cron || EMPTY_FORM.cron,
+    duration: maintenanceWindow.duration ? Math.round(maintenanceWindow.duration / 60) : EMPTY_FORM.duration,
+    enabled: maintenanceWindow.enabled
+  };
+}
+
+// Request body of the form (cleared bounds are sent as null so an update removes them)
+function formToWindow(form) {
+  const maintenanceWindow = {
+    name: form.name.trim(),
+    description: form.description.trim(),
+    type: form.type,
+    scope: {
+      kind: form.scopeKind,
+      ...(form.scopeKind === 'pc' ? { pcId: form.pcId.trim() } : {}),
+      ...(form.scopeKind === 'group' ? { group: form.group.trim() } : {})
+    },
+    startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+    endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+    enabled: form.enabled
+  };
+  if (form.type === 'recurring') {
+    maintenanceWindow.cron = form.cron.trim();
+    maintenanceWindow.duration = Math.round(Number(form.duration) * 60);
+  }
+  return maintenanceWindow;
+}
+
+// Which PCs a window applies to
+function describeScope(scope) {
+  if (scope?.kind === 'pc') return `PC ${scope.pcId}`;
+  if (scope?.kind === 'group') return `Group ${scope.group}`;
+  return 'All PCs';
+}
+
+// When a window is in effect
+function describeSchedule(maintenanceWindow) {
+  if (maintenanceWindow.type === 'once') {
+    return `${dataUtils.formatTimestamp(maintenanceWindow.startsAt)} to ${dataUtils.formatTimestamp(maintenanceWindow.endsAt)}`;
+  }
+  const bounds = [
+    maintenanceWindow.startsAt && `from ${dataUtils.formatTimestamp(maintenanceWindow.startsAt)}`,
+    maintenanceWindow.endsAt && `until ${dataUtils.formatTimestamp(maintenanceWindow.endsAt)}`
+  ].filter(Boolean).join(' ');
+  return `"${maintenanceWindow.cron}" for ${Math.round(maintenanceWindow.duration / 60)} min${bounds ? `, ${bounds}` : ''}`;
+}
+
+/**
+ * MaintenanceWindows Component - Planned maintenance during which alerts and
+ * notifications are suppressed for the PCs in scope
+ * Everyone can see the windows and which are in effect; operators and admins
+ * can create, edit, disable and delete them. Recurring windows use a five field
+ * cron expression in the server's local time.
+ */
+const MaintenanceWindows = ({ canEdit = false, pcIds = [], groups = [] }) => {
+  const [windows, setWindows] = useState([]);
+  const [editingId, setEditingId] = useState(null); // Window being edited, 'new' for a new one
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch the windows
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    maintenanceAPI.getWindows()
+      .then(response => { if (!cancelled) { setWindows(response.data || []); setError(null); } })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [refreshCount]);
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const startEditing = (maintenanceWindow) => {
+    setEditingId(maintenanceWindow ? maintenanceWindow._id : 'new');
+    setForm(maintenanceWindow ? windowToForm(maintenanceWindow) : EMPTY_FORM);
+  };
+
+  // Create or update the window in the form
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await maintenanceAPI.createWindow(formToWindow(form));
+      } else {
+        await maintenanceAPI.updateWindow(editingId, formToWindow(form));
+      }
+      setEditingId(null);
+      setRefreshCount(count => count + 1);
+    } catch (err) {
+      window.alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (maintenanceWindow) => {
+    try {
+      await maintenanceAPI.updateWindow(maintenanceWindow._id, { enabled: !maintenanceWindow.enabled });
+      setRefreshCount(count => count + 1);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  const handleDelete = async (maintenanceWindow) => {
+    if (!window.confirm(`Delete maintenance window "${maintenanceWindow.name}"?`)) return;
+    try {
+      await maintenanceAPI.deleteWindow(maintenanceWindow._id);
+      if (editingId === maintenanceWindow._id) setEditingId(null);
+      setRefreshCount(count => count + 1);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-xl font-semibold text-white mb-1">Maintenance Windows</h3>
+          <p className="text-gray-400 text-sm">
+            Alerts and notifications are suppressed for the PCs in scope while a window is in effect
+          </p>
+        </div>
+        <div className="flex items-center space-x-4">
+          {canEdit && editingId === null && (
+            <button
+              onClick={() => startEditing(null)}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm"
+            >
+              New window
+            </button>
+          )}
+          <button
+            onClick={() => setRefreshCount(count => count + 1)}
+            disabled={loading}
+            className="text-blue-400 hover:text-blue-300 disabled:text-gray-500 text-sm"
+          >
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {editingId !== null && (
+        <form onSubmit={handleSave} className="bg-gray-700 rounded-lg p-4 mb-6 space-y-2">
+          <h4 className="text-sm font-medium text-white">
+            {editingId === 'new' ? 'New maintenance window' : 'Edit maintenance window'}
+          </h4>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+              className="form-input"
+              placeholder="Name, e.g. Patch night"
+              aria-label="Name"
+              maxLength={100}
+              required
+            />
+            <select
+              value={form.type}
+              onChange={(e) => updateForm('type', e.target.value)}
+              className="form-input"
+              style={{ width: 'auto' }}
+              aria-label="Type"
+            >
+              <option value="once">One-off</option>
+              <option value="recurring">Recurring</option>
+            </select>
+          </div>
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => updateForm('description', e.target.value)}
+            className="form-input"
+            placeholder="Description, e.g. change ticket (optional)"
+            aria-label="Description"
+            maxLength={500}
+          />
+          <div className="flex items-center gap-2">
+            <select
+              value={form.scopeKind}
+              onChange={(e) => updateForm('scopeKind', e.target.value)}
+              className="form-input"
+              style={{ width: 'auto' }}
+              aria-label="Scope"
+            >
+              <option value="all">All PCs</option>
+              <option value="pc">One PC</option>
+              <option value="group">A group</option>
+            </select>
+            {form.scopeKind === 'pc' && (
+              <>
+                <input
+                  type="text"
+                  value={form.pcId}
+                  onChange={(e) => updateForm('pcId', e.target.value)}
+                  className="form-input"
+                  placeholder="PC ID"
+                  aria-label="PC ID"
+                  list="maintenance-pc-ids"
+                  required
+                />
+                <datalist id="maintenance-pc-ids">
+                  {pcIds.map(pcId => <option key={pcId} value={pcId} />)}
+                </datalist>
+              </>
+            )}
+            {form.scopeKind === 'group' && (
+              <>
+                <input
+                  type="text"
+                  value={form.group}
+                  onChange={(e) => updateForm('group', e.target.value)}
+                  className="form-input"
+                  placeholder="Group"
+                  aria-label="Group"
+                  list="maintenance-groups"
+                  required
+                />
+                <datalist id="maintenance-groups">
+                  {groups.map(group => <option key={group} value={group} />)}
+                </datalist>
+              </>
+            )}
+          </div>
+          {form.type === 'recurring' && (
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={form.cron}
+                onChange={(e) => updateForm('cron', e.target.value)}
+                className="form-input"
+                placeholder="Cron, e.g. 0 2 * * 6"
+                aria-label="Cron expression"
+                title="minute hour day-of-month month day-of-week (server local time)"
+                required
+              />
+              <input
+                type="number"
+                value={form.duration}
+                onChange={(e) => updateForm('duration', e.target.value)}
+                className="form-input"
+                style={{ width: '8rem' }}
+                min={1}
+                max={7 * 24 * 60}
+                aria-label="Duration in minutes"
+                required
+              />
+              <span className="text-gray-400 text-sm">minutes</span>
+            </div>
+          )}
+          <div className="flex items-center gap-2">
+            <label className="text-gray-400 text-sm">
+              {form.type === 'once' ? 'Starts' : 'Not before'}
+            </label>
+            <input
+              type="datetime-local"
+              value={form.startsAt}
+              onChange={(e) => updateForm('startsAt', e.target.value)}
+              className="form-input"
+              style={{ width: 'auto' }}
+              aria-label="Starts at"
+              required={form.type === 'once'}
+            />
+            <label className="text-gray-400 text-sm">
+              {form.type === 'once' ? 'Ends' : 'Not after'}
+            </label>
+            <input
+              type="datetime-local"
+              value={form.endsAt}
+              onChange={(e) => updateForm('endsAt', e.target.value)}
+              className="form-input"
+              style={{ width: 'auto' }}
+              aria-label="Ends at"
+              required={form.type === 'once'}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <label className="flex items-center space-x-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => updateForm('enabled', e.target.checked)}
+              />
+              <span>Enabled</span>
+            </label>
+            <div className="flex items-center space-x-4">
+              <button
+                type="button"
+                onClick={() => setEditingId(null)}
+                className="text-blue-400 hover:text-blue-300 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-3 py-1 rounded text-sm"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : windows.length === 0 ? (
+        <p className="text-gray-400 text-sm">{loading ? 'Loading maintenance windows...' : 'No maintenance windows.'}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left py-2">Name</th>
+              <th className="text-left py-2 px-4">Scope</th>
+              <th className="text-left py-2">Schedule</th>
+              <th className="text-left py-2 px-4">Status</th>
+              {canEdit && <th className="text-right py-2">Actions</th>}
+            </tr>
+          </thead>
+          <tbody className="text-gray-300">
+            {windows.map(maintenanceWindow => (
+              <tr key={maintenanceWindow._id}>
+                <td className="text-left py-2" title={maintenanceWindow.description || undefined}>
+                  {maintenanceWindow.name}
+                  {maintenanceWindow.createdBy && <span className="text-gray-500">{` (${maintenanceWindow.createdBy})`}</span>}
+                </td>
+                <td className="text-left py-2 px-4">{describeScope(maintenanceWindow.scope)}</td>
+                <td className="text-left py-2">{describeSchedule(maintenanceWindow)}</td>
+                <td className="text-left py-2 px-4">
+                  {maintenanceWindow.activePeriod ? (
+                    <span
+                      style={{ color: MAINTENANCE_COLOR }}
+                      title={`Until ${dataUtils.formatTimestamp(maintenanceWindow.activePeriod.end)}`}
+                    >
+                      In effect
+                    </span>
+                  ) : maintenanceWindow.enabled ? (
+                    <span className="text-gray-400">Scheduled</span>
+                  ) : (
+                    <span className="text-gray-500">Disabled</span>
+                  )}
+                </td>
+                {canEdit && (
+                  <td className="text-right py-2 space-x-2">
+                    <button onClick={() => startEditing(maintenanceWindow)} className="text-blue-400 hover:text-blue-300">
+                      Edit
+                    </button>
+                    <button onClick={() => handleToggle(maintenanceWindow)} className="text-blue-400 hover:text-blue-300">
+                      {maintenanceWindow.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button onClick={() => handleDelete(maintenanceWindow)} className="text-red-400 hover:text-red-300">
+                      Delete
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceWindows;
@@ -5,8 +5,9 @@ import { systemDataAPI, dataUtils } from '../utils/api';
 /**
  * OverviewChart Component - Displays overall system statistics
  * Shows average CPU, RAM, Disk usage across all PCs with various chart types
+ * group/tag scope the trend chart to part of the fleet
  */
-const OverviewChart = ({ overviewData, onDataUpdate }) => {
+const OverviewChart = ({ overviewData, group, tag, onDataUpdate }) => {
   const [historicalOverview, setHistoricalOverview] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -19,12 +20,17 @@ const OverviewChart = ({ overviewData, onDataUpdate }) => {
     setError(null);
     
     try {
-      // Get data for all PCs over the last 24 hours
-      const response = await systemDataAPI.getData({ hours: 24 });
-      if (response.success && response.data.latest) {
-        // Calculate hourly averages
-        const hourlyData = calculateHourlyAverages(response.data.latest);
-        setHistoricalOverview(hourlyData);
+      // Fleet averages per hour over the last 24 hours
+      const response = await systemDataAPI.getOverviewTimeseries({ bucket: 'hour', group, tag });
+      if (response.success) {
+        setHistoricalOverview(response.data.points.map(point => ({
+          ...point,
+          hour: new Date(point.bucket).toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+          })
+        })));
         setLastUpdate(new Date());
       }
     } catch (err) {
@@ -35,44 +41,6 @@ const OverviewChart = ({ overviewData, onDataUpdate }) => {
     }
   };
 
-  // Calculate hourly averages from PC data
-  const calculateHourlyAverages = (pcData) => {
-    const now = new Date();
-    const hourlyAverages = [];
-    
-    // Create 24 hourly buckets
-    for (let i = 23; i >= 0; i--) {
-      const hourStart = new Date(now.getTime() - i * 60 * 60 * 1000);
-      const hourEnd = new Date(now.getTime() - (i - 1) * 60 * 60 * 1000);
-      
-      // Filter PCs that have data in this hour
-      const pcsInHour = pcData.filter(pc => {
-        const pcTime = new Date(pc.createdAt);
-        return pcTime >= hourStart && pcTime < hourEnd;
-      });
-      
-      if (pcsInHour.length > 0) {
-        const avgCpu = dataUtils.calculateAverage(pcsInHour.map(pc => pc.cpu));
-        const avgRam = dataUtils.calculateAverage(pcsInHour.map(pc => pc.ram));
-        const avgDisk = dataUtils.calculateAverage(pcsInHour.map(pc => pc.disk));
-        
-        hourlyAverages.push({
-          hour: hourStart.toLocaleTimeString('en-US', { 
-            hour: '2-digit', 
-            minute: '2-digit',
-            hour12: false 
-          }),
-          cpu: avgCpu,
-          ram: avgRam,
-          disk: avgDisk,
-          timestamp: hourStart
-        });
-      }
-    }
-    
-    return hourlyAverages;
-  };
-
   // Fetch data on component mount
   useEffect(() => {
     fetchHistoricalOverview();
@@ -81,7 +49,7 @@ const OverviewChart = ({ overviewData, onDataUpdate }) => {
     const interval = setInterval(fetchHistoricalOverview, 60000);
     
     return () => clearInterval(interval);
-  }, []);
+  }, [group, tag]);
 
   // Prepare pie chart data
   const pieData = overviewData ? [
@@ -99,8 +67,13 @@ const OverviewChart = ({ overviewData, onDataUpdate }) => {
           {payload.map((entry, index) => (
             <p key={index} className="text-sm" style={{ color: entry.color }}>
               {`${entry.dataKey.toUpperCase()}: ${entry.value.toFixed(1)}%`}
+              {entry.payload[`${entry.dataKey}Max`] != null &&
+                ` (${entry.payload[`${entry.dataKey}Min`].toFixed(1)}-${entry.payload[`${entry.dataKey}Max`].toFixed(1)}%)`}
             </p>
           ))}
+          <p className="text-gray-400 text-xs mt-1">
+            {`${payload[0].payload.reportingPcs} PC${payload[0].payload.reportingPcs !== 1 ? 's' : ''} reporting`}
+          </p>
         </div>
       );
     }
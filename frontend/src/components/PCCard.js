@@ -1,28 +1,66 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { systemDataAPI, dataUtils } from '../utils/api';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, ReferenceArea } from 'recharts';
+import MachineDetails from './MachineDetails';
+import SystemBreakdown from './SystemBreakdown';
+import ProcessSnapshot from './ProcessSnapshot';
+import ExportPanel from './ExportPanel';
+import DiagnosticJobs from './DiagnosticJobs';
+import { systemDataAPI, anomaliesAPI, maintenanceAPI, dataUtils } from '../utils/api';
+
+// History bucket sizes by resolution (ms)
+const BUCKET_SIZES = { minute: 60000, hour: 3600000, day: 86400000 };
+const MAX_POINTS = 120;
+
+// Maintenance periods are refreshed separately so the badge follows windows created later
+const MAINTENANCE_POLL_INTERVAL = 60000;
+const MAINTENANCE_COLOR = '#a855f7';
 
 /**
  * PCCard Component - Displays individual PC monitoring data
  * Shows CPU, RAM, Disk usage with charts and system information
+ * While live, new samples arrive through latestData instead of polling
+ * The details panel shows the machine's hardware inventory
+ * Detailed samples (payload version 2) add a per-filesystem and per-core breakdown
+ * and a network throughput chart
+ * Clicking a point on the usage chart shows the top processes at that time
+ * Detected anomalies are marked on the usage chart
+ * capacity is the PC's disk-full forecast (see CapacityReport)
+ * The diagnostics panel lists the PC's diagnostic jobs; operators can queue new ones
+ * Maintenance windows show a badge while in effect and are shaded on the history charts
  */
-const PCCard = ({ pcId, latestData, onDataUpdate }) => {
+const PCCard = ({ pcId, latestData, machine, capacity, canEdit = false, canEditLabels = false, live = false, onMachineUpdate, onDataUpdate }) => {
   const [historicalData, setHistoricalData] = useState([]);
+  const [anomalies, setAnomalies] = useState([]);
+  const [maintenancePeriods, setMaintenancePeriods] = useState([]);
+  const [resolution, setResolution] = useState('raw');
+  const [showDetails, setShowDetails] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [selectedTime, setSelectedTime] = useState(null); // Chart point whose processes are shown
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
 
+  const handledSample = useRef(null); // Last live sample added to the chart
+
   // Fetch historical data for this PC
-  const fetchHistoricalData = async () => {
+  const fetchHistoricalData = useCallback(async () => {
     if (!pcId) return;
     
     setLoading(true);
     setError(null);
     
+    // Anomalies are optional; the chart works without them
+    anomaliesAPI.getAnomalies({ pcId, hours: 24 })
+      .then(response => setAnomalies(response.data || []))
+      .catch(err => console.error('Error fetching anomalies:', err));
+
     try {
-      const response = await systemDataAPI.getData({ pcId, hours: 24 });
+      // The server downsamples to at most 120 points (rollups for long ranges)
+      const response = await systemDataAPI.getData({ pcId, hours: 24, maxPoints: MAX_POINTS });
       if (response.success) {
         setHistoricalData(response.data.historical || []);
+        setResolution(response.data.resolution || 'raw');
         setLastUpdate(new Date());
       }
     } catch (err) {
@@ -31,26 +69,142 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [pcId]);
 
   // Fetch data on component mount and when pcId changes
   useEffect(() => {
     fetchHistoricalData();
+    if (live) return;
     
     // Set up interval to refresh data every 30 seconds
     const interval = setInterval(fetchHistoricalData, 30000);
     
     return () => clearInterval(interval);
-  }, [pcId]);
+  }, [fetchHistoricalData, live]);
+
+  // Maintenance periods over the charted range, up to the next poll (optional, like anomalies)
+  const rangeStart = historicalData[0]?.createdAt;
+  useEffect(() => {
+    if (!pcId) return;
+    let cancelled = false;
+
+    const fetchMaintenancePeriods = () => {
+      const from = rangeStart ? new Date(rangeStart).getTime() : Date.now() - 24 * 60 * 60 * 1000;
+      const to = Date.now() + MAINTENANCE_POLL_INTERVAL;
+      maintenanceAPI.getPeriods({ pcId, from, to })
+        .then(response => { if (!cancelled) setMaintenancePeriods(response.data || []); })
+        .catch(err => console.error('Error fetching maintenance periods:', err));
+    };
+
+    fetchMaintenancePeriods();
+    const interval = setInterval(fetchMaintenancePeriods, MAINTENANCE_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [pcId, rangeStart]);
 
-  // Prepare chart data
+  // Live updates: append raw samples; refetch rollups once a new bucket starts
+  // Each sample is handled once, not again when the history it caused arrives
+  useEffect(() => {
+    if (!live || !latestData || historicalData.length === 0) return;
+    if (handledSample.current === latestData) return;
+    handledSample.current = latestData;
+
+    const lastPoint = historicalData[historicalData.length - 1];
+    const sampleTime = new Date(latestData.createdAt);
+    const lastTime = new Date(lastPoint.createdAt);
+
+    if (resolution === 'raw') {
+      if (sampleTime > lastTime) {
+        setHistoricalData(prev => [...prev, latestData].slice(-MAX_POINTS));
+        setLastUpdate(new Date());
+      }
+    } else if (sampleTime - lastTime >= BUCKET_SIZES[resolution]) {
+      fetchHistoricalData();
+    }
+  }, [latestData, live, historicalData, resolution, fetchHistoricalData]);
+
+  // Show the processes of a clicked chart point (a rollup point covers its whole bucket)
+  const handleChartClick = (state) => {
+    const point = state?.activePayload?.[0]?.payload;
+    if (point) setSelectedTime(new Date(point.timestamp).getTime());
+  };
+  const bucketSize = BUCKET_SIZES[resolution];
+  const processLookup = bucketSize
+    ? { at: selectedTime + bucketSize / 2, within: bucketSize / 2 }
+    : { at: selectedTime, within: undefined };
+
+  // Prepare chart data (daily points are labelled with their date)
   const chartData = historicalData.map(item => ({
-    time: new Date(item.createdAt).toLocaleTimeString(),
+    time: resolution === 'day' ? new Date(item.createdAt).toLocaleDateString() : new Date(item.createdAt).toLocaleTimeString(),
     cpu: item.cpu,
     ram: item.ram,
     disk: item.disk,
+    netRx: item.netRx,
+    netTx: item.netTx,
     timestamp: item.createdAt
-  })).slice(-20); // Show last 20 data points
+  }));
+
+  // The x axis is keyed by timestamp (labels repeat across days) and shows the time label
+  const timeLabels = new Map(chartData.map(point => [point.timestamp, point.time]));
+  const formatTick = (timestamp) => timeLabels.get(timestamp) ?? '';
+
+  // Attach each anomaly to the chart point closest in time
+  for (const anomaly of anomalies) {
+    const time = new Date(anomaly.createdAt).getTime();
+    let closest = null;
+    for (const point of chartData) {
+      const distance = Math.abs(new Date(point.timestamp).getTime() - time);
+      if (!closest || distance < closest.distance) closest = { point, distance };
+    }
+    if (closest) closest.point.anomalies = [...(closest.point.anomalies || []), anomaly];
+  }
+
+  // Line dot marking the points with an anomaly of the metric
+  const anomalyDot = (metric) => (props) => {
+    const { key, cx, cy, payload, stroke } = props;
+    if (!payload.anomalies?.some(anomaly => anomaly.metric === metric)) return null;
+    return <circle key={key} cx={cx} cy={cy} r={5} fill="#ef4444" stroke={stroke} strokeWidth={2} />;
+  };
+
+  // Maintenance period in effect now, if any
+  const now = Date.now();
+  const activeMaintenance = maintenancePeriods.find(period =>
+    new Date(period.start).getTime() <= now && new Date(period.end).getTime() > now
+  );
+
+  // Shaded chart ranges, snapped outwards to the points around each period: from the last
+  // point at or before its start to the first at or after its end. A period shorter than
+  // the spacing of the points (e.g. one hour at daily resolution) still gets a visible width.
+  const pointTimes = chartData.map(point => new Date(point.timestamp).getTime());
+  const chartEnd = pointTimes[pointTimes.length - 1] + (bucketSize || 0);
+  const maintenanceAreas = maintenancePeriods.map(period => {
+    const start = new Date(period.start).getTime();
+    const end = new Date(period.end).getTime();
+    if (pointTimes.length === 0 || end <= pointTimes[0] || start >= chartEnd) return null;
+
+    const before = pointTimes.filter(time => time <= start).length - 1;
+    const after = pointTimes.findIndex(time => time >= end);
+    return {
+      key: `${period.windowId}-${period.start}`,
+      x1: chartData[Math.max(before, 0)].timestamp,
+      x2: chartData[after === -1 ? chartData.length - 1 : after].timestamp
+    };
+  }).filter(Boolean);
+
+  const maintenanceShading = maintenanceAreas.map(area => (
+    <ReferenceArea
+      key={area.key}
+      x1={area.x1}
+      x2={area.x2}
+      fill={MAINTENANCE_COLOR}
+      fillOpacity={0.15}
+    />
+  ));
+
+  const hasNetworkData = chartData.some(point => typeof point.netRx === 'number' || typeof point.netTx === 'number');
 
   // Current usage data for pie charts
   const currentUsage = latestData ? [
@@ -69,16 +223,38 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
   ] : [];
 
   // Custom tooltip for charts
-  const CustomTooltip = ({ active, payload, label }) => {
+  const CustomTooltip = ({ active, payload }) => {
     if (active && payload && payload.length) {
       return (
         <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 shadow-lg">
-          <p className="text-gray-300 text-sm mb-1">{`Time: ${label}`}</p>
+          <p className="text-gray-300 text-sm mb-1">{`Time: ${payload[0].payload.time}`}</p>
           {payload.map((entry, index) => (
             <p key={index} className="text-sm" style={{ color: entry.color }}>
               {`${entry.dataKey.toUpperCase()}: ${entry.value.toFixed(1)}%`}
             </p>
           ))}
+          {(payload[0].payload.anomalies || []).map(anomaly => (
+            <p key={anomaly._id} className="text-red-400 text-xs mt-1">
+              {`Anomaly: ${anomaly.metric.toUpperCase()} ${anomaly.value.toFixed(1)}% (${anomaly.sigma > 0 ? '+' : ''}${anomaly.sigma.toFixed(1)}σ from ${anomaly.mean.toFixed(1)}%)`}
+            </p>
+          ))}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  // Tooltip for the network chart (rates instead of percentages)
+  const NetworkTooltip = ({ active, payload }) => {
+    if (active && payload && payload.length) {
+      return (
+        <div className="bg-gray-800 border border-gray-600 rounded-lg p-3 shadow-lg">
+          <p className="text-gray-300 text-sm mb-1">{`Time: ${payload[0].payload.time}`}</p>
+          {payload.map((entry, index) => (
+            <p key={index} className="text-sm" style={{ color: entry.color }}>
+              {`${entry.name}: ${dataUtils.formatRate(entry.value)}`}
+            </p>
+          ))}
         </div>
       );
     }
@@ -98,12 +274,43 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
     );
   }
 
+  const connectionStatus = latestData.status || 'online';
+  const connectionColor = dataUtils.getConnectionStatusColor(connectionStatus);
+
   return (
-    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 hover:border-gray-600 transition-colors">
+    <div className={`bg-gray-800 rounded-lg p-6 border border-gray-700 hover:border-gray-600 transition-colors ${
+      connectionStatus === 'offline' ? 'pc-card-offline' : ''
+    }`}>
       {/* Header */}
       <div className="flex items-center justify-between mb-6">
         <div>
-          <h3 className="text-xl font-semibold text-white mb-1">{pcId}</h3>
+          <div className="flex items-center space-x-2 mb-1">
+            <h3 className="text-xl font-semibold text-white" title={machine?.displayName ? pcId : undefined}>
+              {machine?.displayName || pcId}
+            </h3>
+            <span
+              className="text-xs px-2 py-1 rounded-full"
+              style={{
+                backgroundColor: connectionColor + '20',
+                color: connectionColor
+              }}
+              title={`Last seen: ${dataUtils.formatTimestamp(latestData.lastSeenAt || latestData.createdAt)}`}
+            >
+              {dataUtils.getConnectionStatusText(connectionStatus)}
+            </span>
+            {activeMaintenance && (
+              <span
+                className="text-xs px-2 py-1 rounded-full"
+                style={{
+                  backgroundColor: MAINTENANCE_COLOR + '20',
+                  color: MAINTENANCE_COLOR
+                }}
+                title={`${activeMaintenance.name} until ${dataUtils.formatTimestamp(activeMaintenance.end)}; alerts and notifications are suppressed`}
+              >
+                Maintenance
+              </span>
+            )}
+          </div>
           <p className="text-gray-400 text-sm">{latestData.os}</p>
         </div>
         <div className="text-right">
@@ -173,7 +380,9 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
         {/* Disk Status */}
         <div className="bg-gray-700 rounded-lg p-4">
           <div className="flex items-center justify-between mb-2">
-            <span className="text-gray-300 text-sm">Disk</span>
+            <span className="text-gray-300 text-sm" title={latestData.disks?.length ? 'Fullest filesystem' : undefined}>
+              {latestData.disks?.length ? 'Disk (fullest)' : 'Disk'}
+            </span>
             <span 
               className="text-xs px-2 py-1 rounded-full"
               style={{ 
@@ -196,12 +405,27 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
               }}
             ></div>
           </div>
+          {capacity?.daysUntilFull !== null && capacity?.daysUntilFull !== undefined && capacity.daysUntilFull <= 365 && (
+            <p
+              className="text-xs mt-2"
+              style={{ color: dataUtils.getForecastColor(capacity.daysUntilFull) }}
+              title={`${capacity.mount || 'Disk'}: ${capacity.confidence} confidence`}
+            >
+              {`${capacity.mount ? `${capacity.mount} ` : 'Disk '}${dataUtils.formatDaysUntilFull(capacity.daysUntilFull)}`}
+            </p>
+          )}
         </div>
       </div>
 
+      {/* Filesystems and cores */}
+      <SystemBreakdown latestData={latestData} />
+
       {/* Historical Charts */}
       <div className="mb-6">
-        <h4 className="text-lg font-medium text-white mb-4">24-Hour Usage Trends</h4>
+        <div className="flex items-center justify-between mb-4">
+          <h4 className="text-lg font-medium text-white">24-Hour Usage Trends</h4>
+          <span className="text-gray-400 text-xs">Click a point for its top processes</span>
+        </div>
         {loading ? (
           <div className="flex items-center justify-center h-48">
             <div className="text-center">
@@ -223,10 +447,12 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
           </div>
         ) : chartData.length > 0 ? (
           <ResponsiveContainer width="100%" height={200}>
-            <LineChart data={chartData}>
+            <LineChart data={chartData} onClick={handleChartClick} style={{ cursor: 'pointer' }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              {maintenanceShading}
               <XAxis 
-                dataKey="time" 
+                dataKey="timestamp"
+                tickFormatter={formatTick}
                 stroke="#9ca3af"
                 fontSize={12}
                 tick={{ fill: '#9ca3af' }}
@@ -243,7 +469,7 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
                 dataKey="cpu" 
                 stroke="#10b981" 
                 strokeWidth={2}
-                dot={false}
+                dot={anomalyDot('cpu')}
                 name="CPU"
               />
               <Line 
@@ -251,7 +477,7 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
                 dataKey="ram" 
                 stroke="#3b82f6" 
                 strokeWidth={2}
-                dot={false}
+                dot={anomalyDot('ram')}
                 name="RAM"
               />
               <Line 
@@ -259,7 +485,7 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
                 dataKey="disk" 
                 stroke="#f59e0b" 
                 strokeWidth={2}
-                dot={false}
+                dot={anomalyDot('disk')}
                 name="Disk"
               />
             </LineChart>
@@ -271,18 +497,123 @@ const PCCard = ({ pcId, latestData, onDataUpdate }) => {
         )}
       </div>
 
+      {/* Top processes at the clicked point */}
+      {selectedTime !== null && (
+        <ProcessSnapshot
+          pcId={pcId}
+          at={processLookup.at}
+          within={processLookup.within}
+          onClose={() => setSelectedTime(null)}
+        />
+      )}
+
+      {/* Network Throughput */}
+      {!loading && !error && hasNetworkData && (
+        <div className="mb-6">
+          <h4 className="text-lg font-medium text-white mb-4">Network Throughput</h4>
+          <ResponsiveContainer width="100%" height={160}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              {maintenanceShading}
+              <XAxis 
+                dataKey="timestamp"
+                tickFormatter={formatTick}
+                stroke="#9ca3af"
+                fontSize={12}
+                tick={{ fill: '#9ca3af' }}
+              />
+              <YAxis 
+                stroke="#9ca3af"
+                fontSize={12}
+                tick={{ fill: '#9ca3af' }}
+                tickFormatter={dataUtils.formatRate}
+                width={80}
+              />
+              <Tooltip content={<NetworkTooltip />} />
+              <Line 
+                type="monotone" 
+                dataKey="netRx" 
+                stroke="#8b5cf6" 
+                strokeWidth={2}
+                dot={false}
+                name="Received"
+              />
+              <Line 
+                type="monotone" 
+                dataKey="netTx" 
+                stroke="#ec4899" 
+                strokeWidth={2}
+                dot={false}
+                name="Sent"
+              />
+            </LineChart>
+          </ResponsiveContainer>
+          {latestData.network?.length > 0 && (
+            <div className="space-y-2 text-xs mt-2">
+              {latestData.network.map(iface => (
+                <div key={iface.iface} className="flex justify-between">
+                  <span className="text-gray-300">{iface.iface}</span>
+                  <span className={iface.rxErrors || iface.txErrors ? 'text-red-400' : 'text-gray-400'}>
+                    {`errors ${iface.rxErrors || 0} rx / ${iface.txErrors || 0} tx, drops ${iface.rxDropped || 0} rx / ${iface.txDropped || 0} tx`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Machine Details */}
+      {showDetails && (
+        <MachineDetails
+          pcId={pcId}
+          machine={machine}
+          canEdit={canEdit}
+          canEditLabels={canEditLabels}
+          onMachineUpdate={onMachineUpdate}
+        />
+      )}
+
+      {/* Export */}
+      {showExport && <ExportPanel pcId={pcId} onClose={() => setShowExport(false)} />}
+
+      {/* Diagnostics */}
+      {showDiagnostics && <DiagnosticJobs pcId={pcId} canRun={canEdit} onClose={() => setShowDiagnostics(false)} />}
+
       {/* Last Update */}
       <div className="flex items-center justify-between text-sm text-gray-400">
         <span>
-          Last updated: {lastUpdate ? dataUtils.formatTimestamp(lastUpdate) : 'Never'}
+          {connectionStatus === 'online'
+            ? `Last updated: ${lastUpdate ? dataUtils.formatTimestamp(lastUpdate) : 'Never'}`
+            : `Last seen: ${dataUtils.formatTimestamp(latestData.lastSeenAt || latestData.createdAt)}`}
         </span>
-        <button 
-          onClick={fetchHistoricalData}
-          disabled={loading}
-          className="text-blue-400 hover:text-blue-300 disabled:text-gray-500"
-        >
-          {loading ? 'Refreshing...' : 'Refresh'}
-        </button>
+        <div className="flex space-x-4">
+          <button
+            onClick={() => setShowDetails(!showDetails)}
+            className="text-blue-400 hover:text-blue-300"
+          >
+            {showDetails ? 'Hide details' : 'Details'}
+          </button>
+          <button
+            onClick={() => setShowExport(!showExport)}
+            className="text-blue-400 hover:text-blue-300"
+          >
+            Export
+          </button>
+          <button
+            onClick={() => setShowDiagnostics(!showDiagnostics)}
+            className="text-blue-400 hover:text-blue-300"
+          >
+            Diagnostics
+          </button>
+          <button 
+            onClick={fetchHistoricalData}
+            disabled={loading}
+            className="text-blue-400 hover:text-blue-300 disabled:text-gray-500"
+          >
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
       </div>
     </div>
   );
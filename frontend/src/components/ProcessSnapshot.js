@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { systemDataAPI, dataUtils } from '../utils/api';
+
+/**
+ * Table of processes in one top-N list
+ */
+const ProcessTable = ({ title, processes }) => (
+  <div>
+    <h5 className="text-sm font-medium text-white mb-2">{title}</h5>
+    {processes.length > 0 ? (
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left">Name</th>
+            <th className="text-right">PID</th>
+            <th className="text-left px-2">User</th>
+            <th className="text-right">CPU</th>
+            <th className="text-right">Mem</th>
+          </tr>
+        </thead>
+        <tbody className="text-gray-300">
+          {processes.map(proc => (
+            <tr key={proc.pid}>
+              <td className="text-left">{proc.name}</td>
+              <td className="text-right">{proc.pid}</td>
+              <td className="text-left px-2">{proc.user || '-'}</td>
+              <td className="text-right">{dataUtils.formatPercentage(proc.cpu)}</td>
+              <td className="text-right">{dataUtils.formatPercentage(proc.mem)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="text-gray-400 text-xs">No processes reported</p>
+    )}
+  </div>
+);
+
+/**
+ * ProcessSnapshot Component - Top processes of a PC around a history chart point
+ * Snapshots are kept for a shorter time than samples, so older points may have none
+ */
+const ProcessSnapshot = ({ pcId, at, within, onClose }) => {
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch the snapshot closest to the selected point
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    systemDataAPI.getProcessSnapshot({ pcId, at: new Date(at).toISOString(), within })
+      .then(response => { if (!cancelled) setSnapshot(response.data); })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [pcId, at, within]);
+
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-white">
+          Top Processes {snapshot && `at ${dataUtils.formatTimestamp(snapshot.createdAt)}`}
+        </h4>
+        <button onClick={onClose} className="text-blue-400 hover:text-blue-300 text-sm">
+          Close
+        </button>
+      </div>
+      {loading ? (
+        <p className="text-gray-400 text-sm">Loading processes...</p>
+      ) : error ? (
+        <p className="text-red-400 text-sm">{error}</p>
+      ) : snapshot ? (
+        <div className="grid grid-cols-2 gap-4">
+          <ProcessTable title="By CPU" processes={snapshot.byCpu} />
+          <ProcessTable title="By Memory" processes={snapshot.byMemory} />
+        </div>
+      ) : (
+        <p className="text-gray-400 text-sm">No process snapshot near this time.</p>
+      )}
+    </div>
+  );
+};
+
+export default ProcessSnapshot;
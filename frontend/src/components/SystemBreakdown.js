@@ -0,0 +1,85 @@
+import React from 'react';
+import { dataUtils } from '../utils/api';
+
+/**
+ * Usage bar shared by the filesystem and core rows
+ */
+const UsageBar = ({ value }) => (
+  <div className="w-full bg-gray-600 rounded-full h-2">
+    <div
+      className="h-2 rounded-full transition-all duration-300"
+      style={{
+        width: `${value}%`,
+        backgroundColor: dataUtils.getStatusColor(value)
+      }}
+    ></div>
+  </div>
+);
+
+/**
+ * SystemBreakdown Component - Per-filesystem and per-core usage shown inside a PCCard
+ * Only samples from clients sending payload version 2 carry these details
+ */
+const SystemBreakdown = ({ latestData }) => {
+  const disks = [...(latestData.disks || [])].sort((a, b) => b.usage - a.usage);
+  const cores = latestData.cpuCores || [];
+
+  if (disks.length === 0 && cores.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="grid grid-cols-2 gap-4 mb-6">
+      {/* Filesystems, fullest first */}
+      <div className="bg-gray-700 rounded-lg p-4">
+        <h4 className="text-sm font-medium text-white mb-2">Filesystems</h4>
+        <div className="space-y-2">
+          {disks.map(disk => (
+            <div key={disk.mount} className="text-xs">
+              <div className="flex justify-between mb-1">
+                <span className="text-gray-300" title={disk.fs}>{disk.mount}</span>
+                <span className="text-gray-400">
+                  {`${dataUtils.formatBytes(disk.used)} / ${dataUtils.formatBytes(disk.size)} (${dataUtils.formatPercentage(disk.usage)})`}
+                </span>
+              </div>
+              <UsageBar value={disk.usage} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Cores, swap and load */}
+      <div className="bg-gray-700 rounded-lg p-4">
+        <h4 className="text-sm font-medium text-white mb-2">CPU Cores</h4>
+        <div className="grid grid-cols-4 gap-2 mb-4">
+          {cores.map((load, index) => (
+            <div key={index} className="text-xs" title={`Core ${index}: ${dataUtils.formatPercentage(load)}`}>
+              <span className="text-gray-400">{index}</span>
+              <UsageBar value={load} />
+            </div>
+          ))}
+        </div>
+        <div className="space-y-2 text-xs">
+          {latestData.swap && (
+            <div className="flex justify-between">
+              <span className="text-gray-400">Swap</span>
+              <span className="text-gray-300">
+                {latestData.swap.total > 0
+                  ? `${dataUtils.formatBytes(latestData.swap.used)} / ${dataUtils.formatBytes(latestData.swap.total)} (${dataUtils.formatPercentage(latestData.swap.usage)})`
+                  : 'None'}
+              </span>
+            </div>
+          )}
+          {latestData.loadAverage?.length === 3 && (
+            <div className="flex justify-between">
+              <span className="text-gray-400">Load average</span>
+              <span className="text-gray-300">{latestData.loadAverage.map(load => load.toFixed(2)).join(' / ')}</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SystemBreakdown;
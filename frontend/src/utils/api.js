@@ -12,10 +12,47 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for logging
+// Session token storage
+const TOKEN_STORAGE_KEY = 'pcMonitoringToken';
+const USER_STORAGE_KEY = 'pcMonitoringUser';
+
+// Event dispatched on window when the session ends (logout or expired token)
+export const AUTH_LOGOUT_EVENT = 'pcmonitoring:logout';
+
+/**
+ * Session storage utilities
+ */
+export const authStorage = {
+  getToken: () => localStorage.getItem(TOKEN_STORAGE_KEY),
+
+  getUser: () => {
+    try {
+      return JSON.parse(localStorage.getItem(USER_STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  setSession: (token, user) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(user));
+  },
+
+  clearSession: () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    localStorage.removeItem(USER_STORAGE_KEY);
+  }
+};
+
+// Request interceptor for logging and authentication
 api.interceptors.request.use(
   (config) => {
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
+
+    const token = authStorage.getToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -38,6 +75,12 @@ api.interceptors.response.use(
       // Server responded with error status
       const { status, data } = error.response;
       console.error(`Server Error ${status}:`, data);
+
+      // Session expired or revoked: end it (login failures are handled by the caller)
+      if (status === 401 && !error.config?.url?.endsWith('/auth/login')) {
+        authStorage.clearSession();
+        window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT));
+      }
     } else if (error.request) {
       // Request was made but no response received
       console.error('Network Error: No response received');
@@ -50,6 +93,60 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Authentication API functions
+ */
+export const authAPI = {
+  /**
+   * Log in and store the session
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Logged in user
+   */
+  login: async (username, password) => {
+    try {
+      const response = await api.post('/auth/login', { username, password });
+      const { token, user } = response.data.data;
+      authStorage.setSession(token, user);
+      return user;
+    } catch (error) {
+      throw new Error(errorUtils.getErrorMessage(error));
+    }
+  },
+
+  /**
+   * End the session
+   */
+  logout: () => {
+    authStorage.clearSession();
+    window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT));
+  },
+
+  /**
+   * Get the logged in user from the API
+   * @returns {Promise} API response with user
+   */
+  getCurrentUser: async () => {
+    try {
+      const response = await api.get('/auth/me');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch current user: ${error.message}`);
+    }
+  },
+
+  /**
+   * Check whether a user has at least the given role
+   * @param {Object} user - User object
+   * @param {string} role - viewer, operator or admin
+   * @returns {boolean} True if the user has the role
+   */
+  hasRole: (user, role) => {
+    const roles = ['viewer', 'operator', 'admin'];
+    return !!user && roles.indexOf(user.role) >= roles.indexOf(role);
+  }
+};
+
 /**
  * System Data API functions
  */
@@ -79,6 +176,16 @@ export const systemDataAPI = {
    * @param {Object} params - Query parameters
    * @param {string} [params.pcId] - Specific PC ID to get data for
    * @param {number} [params.hours=24] - Hours of historical data to retrieve
+   * @param {number} [params.maxPoints=500] - Max historical points (longer ranges use rollups)
+   * @param {string} [params.resolution='auto'] - auto, raw, minute, hour or day
+   * @param {string|number} [params.from] - Range start instead of hours, ISO date or epoch ms
+   * @param {string|number} [params.to] - Range end, ISO date or epoch ms (default: now)
+   * @param {number} [params.limit] - Page size (historical points, or PCs in the all-PC view)
+   * @param {string} [params.cursor] - data.nextCursor of the previous page
+   * @param {string} [params.sort='asc'] - asc or desc
+   * @param {string} [params.fields] - Comma-separated sample fields
+   * @param {string} [params.group] - Only PCs in this group (all-PC view)
+   * @param {string} [params.tag] - Only PCs with this tag (all-PC view)
    * @returns {Promise} API response with system data
    */
   getData: async (params = {}) => {
@@ -90,6 +197,68 @@ export const systemDataAPI = {
     }
   },
 
+  /**
+   * Get fleet-wide averages per time bucket
+   * @param {Object} params - Query parameters
+   * @param {string|number} [params.from] - Range start, ISO date or epoch ms (default: 24 hours ago)
+   * @param {string|number} [params.to] - Range end, ISO date or epoch ms (default: now)
+   * @param {string} [params.bucket='hour'] - minute, hour or day
+   * @param {string} [params.group] - Only PCs in this group
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @returns {Promise} API response with time series points
+   */
+  getOverviewTimeseries: async (params = {}) => {
+    try {
+      const response = await api.get('/systemdata/overview/timeseries', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch overview time series: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the top processes snapshot of a PC closest to a point in time
+   * @param {Object} params - Query parameters
+   * @param {string} params.pcId - PC identifier
+   * @param {string|number} params.at - Point in time, ISO date or epoch ms
+   * @param {number} [params.within] - Max distance from "at" in ms
+   * @returns {Promise} API response with the snapshot (data is null when there is none)
+   */
+  getProcessSnapshot: async (params) => {
+    try {
+      const response = await api.get('/systemdata/processes', { params });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { success: false, data: null };
+      }
+      throw new Error(`Failed to fetch process snapshot: ${error.message}`);
+    }
+  },
+
+  /**
+   * Build the download URL of a sample export
+   * The session token is passed in the query string so the browser can
+   * stream the file straight to disk from a plain link.
+   * @param {Object} params - Query parameters
+   * @param {string} [params.pcId] - PC identifier(s), comma-separated (default: all PCs)
+   * @param {string} [params.group] - Only PCs in this group
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @param {string} [params.from] - Range start, ISO date or epoch ms
+   * @param {string} [params.to] - Range end, ISO date or epoch ms
+   * @param {string} [params.format] - csv, json or ndjson
+   * @param {string} [params.fields] - Comma-separated fields
+   * @returns {string} Export URL
+   */
+  getExportUrl: (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    query.set('token', authStorage.getToken() || '');
+    return `${API_BASE_URL}/systemdata/export?${query}`;
+  },
+
   /**
    * Get list of all PCs with their latest data
    * @returns {Promise} API response with PC list
@@ -133,6 +302,338 @@ export const systemDataAPI = {
   }
 };
 
+/**
+ * Machine inventory API functions
+ */
+export const machinesAPI = {
+  /**
+   * Get the inventory of every known machine
+   * @returns {Promise} API response with machines
+   */
+  getMachines: async () => {
+    try {
+      const response = await api.get('/machines');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch machines: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get every group and tag in use
+   * @returns {Promise} API response with { groups, tags } ([{ name, count }])
+   */
+  getLabels: async () => {
+    try {
+      const response = await api.get('/machines/labels');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch groups and tags: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the inventory of one machine
+   * @param {string} pcId - PC identifier
+   * @returns {Promise} API response with the machine
+   */
+  getMachine: async (pcId) => {
+    try {
+      const response = await api.get(`/machines/${encodeURIComponent(pcId)}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch machine: ${error.message}`);
+    }
+  },
+
+  /**
+   * Update the editable fields of a machine (operator or admin)
+   * @param {string} pcId - PC identifier
+   * @param {Object} fields - { displayName, groups, tags } (groups and tags: admin only)
+   * @returns {Promise} API response with the updated machine
+   */
+  updateMachine: async (pcId, fields) => {
+    try {
+      const response = await api.patch(`/machines/${encodeURIComponent(pcId)}`, fields);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to update machine: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Data retention API functions
+ */
+export const retentionAPI = {
+  /**
+   * Get the effective retention of every data tier
+   * @returns {Promise} API response with retention policies
+   */
+  getPolicies: async () => {
+    try {
+      const response = await api.get('/retention');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch retention policies: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Anomaly API functions
+ */
+export const anomaliesAPI = {
+  /**
+   * Get detected anomalies, newest first
+   * @param {Object} params - Query parameters
+   * @param {string} [params.pcId] - Only this PC
+   * @param {string} [params.metric] - Only this metric (cpu, ram, disk)
+   * @param {number} [params.hours=24] - How far back to look
+   * @param {number} [params.limit=500] - Max anomalies returned
+   * @returns {Promise} API response with anomalies
+   */
+  getAnomalies: async (params = {}) => {
+    try {
+      const response = await api.get('/anomalies', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch anomalies: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Disk capacity API functions
+ */
+export const capacityAPI = {
+  /**
+   * Get the disk-full forecast of every PC, most urgent first
+   * @param {Object} params - Query parameters
+   * @param {string} [params.group] - Only PCs in this group
+   * @param {string} [params.tag] - Only PCs with this tag
+   * @returns {Promise} API response with forecasts
+   */
+  getReport: async (params = {}) => {
+    try {
+      const response = await api.get('/capacity', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch capacity report: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Diagnostic job API functions
+ */
+export const diagnosticsAPI = {
+  /**
+   * Get diagnostic jobs, newest first (without their results)
+   * @param {Object} params - Query parameters
+   * @param {string} [params.pcId] - Only this PC
+   * @param {string} [params.status] - Only jobs in this status
+   * @param {number} [params.limit=50] - Max jobs returned
+   * @returns {Promise} API response with jobs
+   */
+  getJobs: async (params = {}) => {
+    try {
+      const response = await api.get('/diagnostics', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch diagnostic jobs: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get a diagnostic job with its result
+   * @param {string} id - Job id
+   * @returns {Promise} API response with the job
+   */
+  getJob: async (id) => {
+    try {
+      const response = await api.get(`/diagnostics/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch diagnostic job: ${error.message}`);
+    }
+  },
+
+  /**
+   * Queue a diagnostic for a PC (operator or admin)
+   * @param {string} pcId - PC identifier
+   * @param {string} action - processes, diskUsage, listeningPorts or hardware
+   * @param {Object} [params] - { path } for diskUsage
+   * @returns {Promise} API response with the queued job
+   */
+  createJob: async (pcId, action, params = {}) => {
+    try {
+      const response = await api.post('/diagnostics', { pcId, action, params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to queue diagnostic job: ${error.message}`);
+    }
+  },
+
+  /**
+   * Cancel a job its agent has not picked up yet (operator or admin)
+   * @param {string} id - Job id
+   * @returns {Promise} API response with the cancelled job
+   */
+  cancelJob: async (id) => {
+    try {
+      const response = await api.post(`/diagnostics/${id}/cancel`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to cancel diagnostic job: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Audit log API functions
+ */
+export const auditAPI = {
+  /**
+   * Get audit log entries, newest first (admin)
+   * @param {Object} params - Query parameters
+   * @param {string} [params.actor] - Only calls by this username (or agent pcId)
+   * @param {string} [params.actorType] - user, agent or anonymous
+   * @param {string} [params.method] - POST, PUT, PATCH or DELETE
+   * @param {string} [params.route] - Only this route pattern
+   * @param {boolean} [params.success] - Only successful or failed calls
+   * @param {string} [params.from] - Start of the time range
+   * @param {string} [params.to] - End of the time range
+   * @param {number} [params.limit=100] - Max entries returned
+   * @param {string} [params.cursor] - nextCursor of the previous page
+   * @returns {Promise} API response with entries and nextCursor
+   */
+  getEntries: async (params = {}) => {
+    try {
+      const response = await api.get('/audit', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch audit log: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Maintenance window API functions
+ */
+export const maintenanceAPI = {
+  /**
+   * Get all maintenance windows, with the period in effect now (activePeriod)
+   * @returns {Promise} API response with windows
+   */
+  getWindows: async () => {
+    try {
+      const response = await api.get('/maintenance');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch maintenance windows: ${error.message}`);
+    }
+  },
+
+  /**
+   * Create a maintenance window (operator or admin)
+   * @param {Object} window - { name, type, scope?, description?, enabled?, startsAt?, endsAt?, cron?, duration? (seconds) }
+   * @returns {Promise} API response with the created window
+   */
+  createWindow: async (window) => {
+    try {
+      const response = await api.post('/maintenance', window);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to create maintenance window: ${errorUtils.getErrorMessage(error)}`);
+    }
+  },
+
+  /**
+   * Update a maintenance window (operator or admin; partial updates allowed)
+   * @param {string} id - Window id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise} API response with the updated window
+   */
+  updateWindow: async (id, changes) => {
+    try {
+      const response = await api.put(`/maintenance/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to update maintenance window: ${errorUtils.getErrorMessage(error)}`);
+    }
+  },
+
+  /**
+   * Delete a maintenance window (operator or admin)
+   * @param {string} id - Window id
+   * @returns {Promise} API response
+   */
+  deleteWindow: async (id) => {
+    try {
+      const response = await api.delete(`/maintenance/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to delete maintenance window: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the maintenance periods of a PC that overlap a time range
+   * @param {Object} params - Query parameters
+   * @param {string} params.pcId - PC identifier
+   * @param {string} [params.from] - Range start (default: 24 hours ago)
+   * @param {string} [params.to] - Range end (default: 24 hours from now)
+   * @returns {Promise} API response with [{ windowId, name, type, start, end }]
+   */
+  getPeriods: async (params = {}) => {
+    try {
+      const response = await api.get('/maintenance/periods', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch maintenance periods: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Live stream of samples and PC status changes (Server-Sent Events)
+ */
+export const streamAPI = {
+  /**
+   * Subscribe to the live stream; the browser reconnects automatically after errors
+   * @param {Object} handlers
+   * @param {string[]} [handlers.pcIds] - Only stream these PCs (default: all)
+   * @param {Function} [handlers.onSample] - Called with each saved sample
+   * @param {Function} [handlers.onStatus] - Called with each PC status change
+   * @param {Function} [handlers.onConnectionChange] - Called with true/false as the stream opens or drops
+   * @returns {Function|null} Unsubscribe function, or null when streaming is unavailable
+   */
+  subscribe: ({ pcIds = [], onSample, onStatus, onConnectionChange } = {}) => {
+    const token = authStorage.getToken();
+    if (typeof EventSource === 'undefined' || !token) return null;
+
+    const params = new URLSearchParams({ token });
+    if (pcIds.length > 0) params.set('pcIds', pcIds.join(','));
+
+    const source = new EventSource(`${API_BASE_URL}/stream?${params}`);
+    const parse = (handler) => (event) => {
+      try {
+        handler?.(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid stream event:', error);
+      }
+    };
+
+    source.addEventListener('ready', () => onConnectionChange?.(true));
+    source.addEventListener('sample', parse(onSample));
+    source.addEventListener('status', parse(onStatus));
+    source.onerror = () => onConnectionChange?.(false);
+
+    return () => source.close();
+  }
+};
+
 /**
  * Utility functions for data processing
  */
@@ -180,6 +681,28 @@ export const dataUtils = {
     return 'Critical';
   },
 
+  /**
+   * Get color for a PC heartbeat status
+   * @param {string} status - online, stale or offline
+   * @returns {string} Hex color
+   */
+  getConnectionStatusColor: (status) => {
+    if (status === 'offline') return '#6b7280'; // Gray
+    if (status === 'stale') return '#f59e0b'; // Yellow
+    return '#10b981'; // Green
+  },
+
+  /**
+   * Get label for a PC heartbeat status
+   * @param {string} status - online, stale or offline
+   * @returns {string} Status text
+   */
+  getConnectionStatusText: (status) => {
+    if (status === 'offline') return 'Offline';
+    if (status === 'stale') return 'Stale';
+    return 'Online';
+  },
+
   /**
    * Format percentage with proper decimal places
    * @param {number} value - Percentage value
@@ -201,6 +724,58 @@ export const dataUtils = {
     return sum / values.length;
   },
 
+  /**
+   * Format a size in bytes for display
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Formatted size (e.g. "15.9 GB")
+   */
+  formatBytes: (bytes) => {
+    if (typeof bytes !== 'number' || isNaN(bytes) || bytes <= 0) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+  },
+
+  /**
+   * Format a throughput in bytes per second for display
+   * @param {number} bytesPerSecond - Throughput
+   * @returns {string} Formatted rate (e.g. "1.5 MB/s")
+   */
+  formatRate: (bytesPerSecond) => `${dataUtils.formatBytes(bytesPerSecond)}/s`,
+
+  /**
+   * Format a disk-full forecast for display
+   * @param {number|null} days - Days until full
+   * @returns {string} e.g. "full in ~12 days", or "not filling up"
+   */
+  formatDaysUntilFull: (days) => {
+    if (days === null || days === undefined) return 'not filling up';
+    if (days < 1) return 'full in < 1 day';
+    const rounded = Math.round(days);
+    return `full in ~${rounded} day${rounded !== 1 ? 's' : ''}`;
+  },
+
+  /**
+   * Color for a disk-full forecast (red within a week, yellow within a month)
+   * @param {number|null} days - Days until full
+   * @returns {string} Color hex code
+   */
+  getForecastColor: (days) => {
+    if (days === null || days === undefined || days > 30) return '#9ca3af';
+    return days <= 7 ? '#ef4444' : '#f59e0b';
+  },
+
+  /**
+   * Format a retention period for display
+   * @param {number} hours - Retention in hours (0: forever)
+   * @returns {string} Formatted retention
+   */
+  formatRetention: (hours) => {
+    if (!hours) return 'forever';
+    if (hours % 24 === 0) return `${hours / 24} day${hours === 24 ? '' : 's'}`;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  },
+
   /**
    * Get timestamp for display
    * @param {string|Date} timestamp - Timestamp